@@ -0,0 +1,31 @@
+const { pool } = require('./connection');
+const { logger } = require('../utils/logger');
+
+/**
+ * Run `fn` inside a single database transaction.
+ * `fn` receives a client whose `query` has the same signature as connection.query;
+ * the transaction is committed when it resolves and rolled back when it throws.
+ */
+async function withTransaction(fn) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      logger.error('Failed to roll back transaction:', rollbackError);
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  withTransaction
+};
@@ -4,35 +4,82 @@ const helmet = require('helmet');
 require('dotenv').config();
 
 const toolsRouter = require('./routes/tools');
+const mcpRouter = require('./routes/mcp');
+const eventsRouter = require('./routes/events');
 const { logger } = require('./utils/logger');
-const { connectDB } = require('./database/connection');
+const { registry } = require('./utils/metrics');
+const { connectDB, query } = require('./database/connection');
+const { ValidationError, errorResponse } = require('./utils/errors');
+const { startSendWorker } = require('./tools/outgoingMail');
+const { startWebhookDispatcher } = require('./tools/webhooks');
+const { startJobWorker } = require('./jobs/worker');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind nginx: take the client address from X-Forwarded-For set by a proxy on the
+// local network, so req.ip (recorded in the audit log) is the real client
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback, uniquelocal');
+
 // Middleware
 app.use(helmet());
 app.use(cors());
-app.use(express.json({ limit: '50mb' }));
+// JSON-RPC reads its own body so that malformed JSON gets a JSON-RPC parse error
+app.use('/mcp', mcpRouter);
+// Large enough for a SEND_MAX_MESSAGE_MB message once attachments are base64 encoded
+app.use(express.json({ limit: process.env.REQUEST_BODY_LIMIT || '40mb' }));
 
 // Routes
 app.use('/tools', toolsRouter);
+app.use('/events', eventsRouter);
+
+// Prometheus metrics. Set METRICS_TOKEN to require "Authorization: Bearer <token>".
+app.get('/metrics', async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get('authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  try {
+    res.set('Content-Type', registry.contentType);
+    res.send(await registry.metrics());
+  } catch (error) {
+    logger.error('Failed to render metrics:', error);
+    res.status(500).end();
+  }
+});
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+// Health check (liveness: the agent is up and can reach its database).
+// The health tool probes the mail services themselves.
+app.get('/health', async (req, res) => {
+  try {
+    await query('SELECT 1');
+    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  } catch (error) {
+    logger.error('Health endpoint database check failed:', error);
+    res.status(503).json({ status: 'down', timestamp: new Date().toISOString() });
+  }
 });
 
-// Error handling
+// Error handling. Bodies the JSON parser refuses are the client's fault;
+// anything else is answered 500 without details.
 app.use((err, req, res, next) => {
-  logger.error('Unhandled error:', err);
-  res.status(500).json({ error: 'Internal server error' });
+  const error = err.type && err.status < 500 ? new ValidationError(err.message, { status: err.status }) : err;
+  if (error === err) {
+    logger.error('Unhandled error:', err);
+  }
+
+  const { status, body } = errorResponse(error);
+  res.status(status).json(body);
 });
 
 // Start server
 async function startServer() {
   try {
     await connectDB();
+    startSendWorker();
+    startWebhookDispatcher();
+    startJobWorker();
     app.listen(PORT, () => {
       logger.info(`MailHero Agent running on port ${PORT}`);
     });
@@ -0,0 +1,109 @@
+const os = require('os');
+const { logger } = require('../utils/logger');
+const { NotFoundError } = require('../utils/errors');
+const { nextRun } = require('../utils/cron');
+const { findTool, toolNotFound, runTool } = require('../tools/registry');
+const jobs = require('../tools/jobs');
+const { purgeDueMailboxes } = require('../tools/mailboxLifecycle');
+const { pruneSendLog } = require('../tools/sendingLimits');
+const { collectQuotaUsage } = require('../tools/quotaManagement');
+const { archiveAuditLog } = require('../tools/auditLog');
+const { pruneEvents } = require('../tools/events');
+
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+const JOB_POLL_SECONDS = parseInt(process.env.JOB_POLL_SECONDS, 10) || 2;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Maintenance tasks queued on a cron schedule (UTC). Every worker queues them,
+// but each run is queued once however many workers there are.
+const RECURRING_JOBS = [
+  { name: 'purgeDueMailboxes', schedule: process.env.PURGE_SCHEDULE || '0 * * * *', run: purgeDueMailboxes },
+  { name: 'pruneEvents', schedule: '10 * * * *', run: pruneEvents },
+  { name: 'pruneSendLog', schedule: '20 * * * *', run: pruneSendLog },
+  { name: 'collectQuotaUsage', schedule: process.env.QUOTA_COLLECT_SCHEDULE || '30 * * * *', run: collectQuotaUsage },
+  { name: 'pruneJobs', schedule: '40 * * * *', run: jobs.pruneJobs },
+  { name: 'archiveAuditLog', schedule: process.env.AUDIT_ARCHIVE_SCHEDULE || '0 3 * * *', run: archiveAuditLog }
+];
+
+/**
+ * Run one claimed job and record its outcome. Tool jobs run through runTool
+ * with the caller, IP and user agent of the request that queued them, so
+ * they are logged and audited like a direct call.
+ */
+async function runJob(job) {
+  try {
+    let result;
+    if (job.kind === 'tool') {
+      const tool = findTool(job.name);
+      if (!tool) {
+        throw toolNotFound(job.name);
+      }
+      result = await runTool(tool, job.input, job.context);
+    } else {
+      const task = RECURRING_JOBS.find(recurring => recurring.name === job.name);
+      if (!task) {
+        throw new NotFoundError(`Task '${job.name}' not found`);
+      }
+      result = await task.run();
+    }
+    await jobs.completeJob(job, result);
+  } catch (error) {
+    await jobs.failJob(job, error);
+  }
+}
+
+/**
+ * Poll the job queue: queue due recurring jobs, recover jobs abandoned by a
+ * stopped worker and run up to JOB_CONCURRENCY jobs at a time
+ */
+function startJobWorker() {
+  // Refuse a bad schedule at startup rather than on its first run
+  RECURRING_JOBS.forEach(({ schedule }) => nextRun(schedule));
+
+  const running = new Map();
+  let synced = false;
+  let polling = false;
+
+  const poll = async () => {
+    if (!synced) {
+      await jobs.syncSchedules(RECURRING_JOBS);
+      synced = true;
+    }
+    if (running.size > 0) {
+      await jobs.touchJobs([...running.keys()]);
+    }
+    await jobs.recoverAbandonedJobs();
+    await jobs.enqueueDueJobs();
+
+    if (running.size >= JOB_CONCURRENCY) {
+      return;
+    }
+    for (const job of await jobs.claimJobs(JOB_CONCURRENCY - running.size, WORKER_ID)) {
+      const run = runJob(job)
+        .catch(error => logger.error(`Failed to record the outcome of job ${job.id}:`, error))
+        .finally(() => running.delete(job.id));
+      running.set(job.id, run);
+    }
+  };
+
+  const timer = setInterval(() => {
+    // A slow poll is not started again until it has finished
+    if (polling) {
+      return;
+    }
+    polling = true;
+    poll()
+      .catch(error => logger.error('Job queue poll failed:', error))
+      .finally(() => { polling = false; });
+  }, JOB_POLL_SECONDS * 1000);
+  timer.unref();
+
+  logger.info(`Job worker ${WORKER_ID} running up to ${JOB_CONCURRENCY} jobs`);
+  return timer;
+}
+
+module.exports = {
+  RECURRING_JOBS,
+  startJobWorker
+};
@@ -0,0 +1,191 @@
+const { listTools, prepareCall, runTool } = require('../tools/registry');
+const { logger } = require('../utils/logger');
+const { errorResponse } = require('../utils/errors');
+const { version } = require('../../package.json');
+
+// MCP revisions this server speaks, newest first
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const RPC_MAX_BATCH = parseInt(process.env.RPC_MAX_BATCH, 10) || 50;
+
+// JSON-RPC 2.0 error codes, plus two server-defined ones for refused calls
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+const UNAUTHORIZED = -32001;
+const FORBIDDEN = -32003;
+
+/**
+ * JSON-RPC error response
+ */
+function rpcError(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) {
+    error.data = data;
+  }
+  return { jsonrpc: '2.0', id, error };
+}
+
+/**
+ * Error a method throws to answer with a specific JSON-RPC error
+ */
+function rpcFailure(code, message, data) {
+  const error = new Error(message);
+  error.rpcCode = code;
+  error.data = data;
+  return error;
+}
+
+/**
+ * JSON-RPC error for a tool call refused before the tool ran: unknown tool,
+ * invalid arguments, or a caller who may not make the call
+ */
+function refusalOf(error) {
+  if (error.reason === 'INVALID_INPUT' || error.reason === 'TOOL_NOT_FOUND') {
+    return rpcFailure(INVALID_PARAMS, error.message, errorResponse(error).body.error);
+  }
+  if (error.statusCode === 401 || error.statusCode === 403) {
+    return rpcFailure(error.statusCode === 401 ? UNAUTHORIZED : FORBIDDEN, error.message, errorResponse(error).body.error);
+  }
+  return error;
+}
+
+/**
+ * MCP result of a tool that ran: the result as JSON text and as structuredContent
+ */
+function toolResult(result) {
+  return {
+    content: [{ type: 'text', text: JSON.stringify(result) }],
+    structuredContent: result
+  };
+}
+
+/**
+ * MCP result of a tool that failed: isError with the REST error envelope, plus
+ * the HTTP status as error.status
+ */
+function toolFailure(error) {
+  const { status, body } = errorResponse(error);
+
+  return {
+    isError: true,
+    content: [{ type: 'text', text: JSON.stringify({ error: { ...body.error, status } }) }]
+  };
+}
+
+/**
+ * initialize: agree on a protocol revision and announce the tools capability
+ */
+function initialize(params) {
+  return {
+    protocolVersion: PROTOCOL_VERSIONS.includes(params.protocolVersion) ? params.protocolVersion : PROTOCOL_VERSIONS[0],
+    capabilities: { tools: { listChanged: false } },
+    serverInfo: { name: 'mailhero-agent', version }
+  };
+}
+
+/**
+ * tools/call: run a tool through the same validation, permissions and audit as
+ * POST /tools/:toolName. Failures of the tool itself are reported in the result.
+ */
+async function callTool(params, context) {
+  const { name } = params;
+  const input = params.arguments === undefined ? {} : params.arguments;
+  if (typeof name !== 'string') {
+    throw rpcFailure(INVALID_PARAMS, 'params.name must be a tool name');
+  }
+
+  let tool;
+  try {
+    tool = await prepareCall(name, input, context);
+  } catch (error) {
+    throw refusalOf(error);
+  }
+
+  try {
+    return toolResult(await runTool(tool, input, context));
+  } catch (error) {
+    return toolFailure(error);
+  }
+}
+
+const methods = {
+  initialize,
+  ping: () => ({}),
+  'tools/list': () => ({ tools: listTools() }),
+  'tools/call': callTool,
+  'notifications/initialized': () => null,
+  'notifications/cancelled': () => null
+};
+
+/**
+ * Answer one JSON-RPC request; null for notifications, which get no response
+ */
+async function handleRequest(request, context) {
+  const validId = request && ['string', 'number'].includes(typeof request.id);
+  if (!request || typeof request !== 'object' || Array.isArray(request) || request.jsonrpc !== '2.0'
+      || typeof request.method !== 'string' || ('id' in request && !validId && request.id !== null)) {
+    return rpcError(validId ? request.id : null, INVALID_REQUEST, 'Invalid Request');
+  }
+
+  const notification = !('id' in request);
+  const method = Object.prototype.hasOwnProperty.call(methods, request.method) ? methods[request.method] : null;
+  if (!method) {
+    return notification ? null : rpcError(request.id, METHOD_NOT_FOUND, `Method not found: ${request.method}`);
+  }
+
+  const params = request.params === undefined ? {} : request.params;
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    return notification ? null : rpcError(request.id, INVALID_PARAMS, 'params must be an object');
+  }
+
+  try {
+    const result = await method(params, context);
+    return notification ? null : { jsonrpc: '2.0', id: request.id, result };
+  } catch (error) {
+    if (notification) {
+      return null;
+    }
+    if (error.rpcCode) {
+      return rpcError(request.id, error.rpcCode, error.message, error.data);
+    }
+    logger.error(`JSON-RPC ${request.method} failed:`, error);
+    return rpcError(request.id, INTERNAL_ERROR, 'Internal error');
+  }
+}
+
+/**
+ * Answer a JSON-RPC message: a single request or a batch. Batch entries run in
+ * order. Returns null when there is nothing to send back (only notifications).
+ * `context` is { caller, ip, userAgent } of the connection.
+ */
+async function handleMessage(message, context) {
+  if (!Array.isArray(message)) {
+    return handleRequest(message, context);
+  }
+
+  if (message.length === 0) {
+    return rpcError(null, INVALID_REQUEST, 'Empty batch');
+  }
+  if (message.length > RPC_MAX_BATCH) {
+    return rpcError(null, INVALID_REQUEST, `A batch may hold at most ${RPC_MAX_BATCH} requests`);
+  }
+
+  const responses = [];
+  for (const request of message) {
+    const response = await handleRequest(request, context);
+    if (response) {
+      responses.push(response);
+    }
+  }
+  return responses.length > 0 ? responses : null;
+}
+
+module.exports = {
+  PARSE_ERROR,
+  UNAUTHORIZED,
+  rpcError,
+  handleMessage
+};
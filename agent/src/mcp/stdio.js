@@ -0,0 +1,77 @@
+// stdout carries the protocol; anything else written to it (logs) goes to stderr
+const writeMessage = process.stdout.write.bind(process.stdout);
+process.stdout.write = process.stderr.write.bind(process.stderr);
+
+const readline = require('readline');
+require('dotenv').config();
+
+const { connectDB, query } = require('../database/connection');
+const { logger } = require('../utils/logger');
+const { domainOf } = require('../middleware/auth');
+const { PARSE_ERROR, rpcError, handleMessage } = require('./jsonRpc');
+
+/**
+ * Write one JSON-RPC message as a line on stdout
+ */
+function send(message) {
+  writeMessage(`${JSON.stringify(message)}\n`);
+}
+
+/**
+ * The user calls run as, from MCP_CALLER; null allows public tools only.
+ * Whoever starts this process already holds the database credentials, so no
+ * token is asked for.
+ */
+async function stdioCaller() {
+  const email = process.env.MCP_CALLER;
+  if (!email) {
+    return null;
+  }
+
+  const result = await query(
+    "SELECT id, email, role FROM users WHERE LOWER(email) = LOWER($1) AND status = 'active'",
+    [email]
+  );
+  if (result.rows.length === 0) {
+    throw new Error(`MCP_CALLER ${email} is not an active user`);
+  }
+
+  const user = result.rows[0];
+  return { id: user.id, email: user.email, role: user.role, domain: domainOf(user.email) };
+}
+
+/**
+ * Serve JSON-RPC over stdin/stdout, one message per line, until stdin closes
+ */
+async function serveStdio() {
+  await connectDB();
+  const context = { caller: await stdioCaller(), ip: null, userAgent: 'mcp-stdio' };
+  logger.info('MCP stdio transport ready', { caller: context.caller && context.caller.email });
+
+  const lines = readline.createInterface({ input: process.stdin, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      send(rpcError(null, PARSE_ERROR, 'Parse error'));
+      continue;
+    }
+
+    const response = await handleMessage(message, context);
+    if (response !== null) {
+      send(response);
+    }
+  }
+}
+
+serveStdio()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    logger.error('MCP stdio transport failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,252 @@
+const jwt = require('jsonwebtoken');
+const { query } = require('../database/connection');
+const { logger } = require('../utils/logger');
+const { UnauthenticatedError, ForbiddenError, errorResponse } = require('../utils/errors');
+
+const ROLES = {
+  SUPERADMIN: 'superadmin',
+  DOMAIN_ADMIN: 'domain_admin',
+  USER: 'user'
+};
+
+/**
+ * Get the domain part of an email address
+ */
+function domainOf(email) {
+  return String(email).split('@').pop().toLowerCase();
+}
+
+/**
+ * Who made a request and from where: the context passed to tool handlers
+ */
+function requestContext(req) {
+  return {
+    caller: req.caller || null,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  };
+}
+
+/**
+ * The ip_address, user_agent and actor_email of an audit_log entry made in
+ * `context`; all null for work no request asked for
+ */
+function auditColumns(context = {}) {
+  const caller = context.caller || null;
+  return [context.ip || null, context.userAgent || null, caller ? caller.email : null];
+}
+
+/**
+ * Write a denied tool call to the audit log; `context` is { caller, ip, userAgent }.
+ * Failures are logged but never change the response sent to the caller.
+ */
+async function auditDenial(context, { tool, code, reason }) {
+  const caller = context.caller || null;
+
+  try {
+    await query(
+      `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        caller ? caller.id : null,
+        'ACCESS_DENIED',
+        { tool, code, reason, actor: caller ? caller.email : null, role: caller ? caller.role : null },
+        ...auditColumns(context)
+      ]
+    );
+  } catch (error) {
+    logger.error('Failed to write access denial to audit log:', error);
+  }
+}
+
+/**
+ * The error a denial ({ status, code, message }) is answered with; the denial
+ * code becomes its reason
+ */
+function denialError({ status, code, message }) {
+  return status === 401
+    ? new UnauthenticatedError(message, { reason: code })
+    : new ForbiddenError(message, { reason: code });
+}
+
+/**
+ * Send a structured 401/403 response and record it in the audit log
+ */
+async function deny(req, res, { status, code, message, tool }) {
+  logger.warn(`Access denied: ${tool || req.params.toolName}`, { code, message });
+  await auditDenial(requestContext(req), { tool: tool || req.params.toolName, code, reason: message });
+
+  const response = errorResponse(denialError({ status, code, message }));
+  return res.status(response.status).json(response.body);
+}
+
+/**
+ * Resolve the caller of an Authorization header value (a Bearer JWT).
+ * Returns { caller }, with caller null when there is no header, or
+ * { denial: { status, code, message } } for a token that is not accepted.
+ */
+async function resolveCaller(header) {
+  if (!header) {
+    return { caller: null };
+  }
+
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return { denial: { status: 401, code: 'INVALID_TOKEN', message: 'Authorization header must be a Bearer token' } };
+  }
+
+  if (!process.env.JWT_SECRET) {
+    logger.error('JWT_SECRET is not configured; rejecting authenticated request');
+    return { denial: { status: 401, code: 'INVALID_TOKEN', message: 'Token verification is not available' } };
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (!(error instanceof jwt.JsonWebTokenError)) {
+      throw error;
+    }
+    const code = error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN';
+    return { denial: { status: 401, code, message: error.message } };
+  }
+
+  if (!Object.values(ROLES).includes(payload.role)) {
+    return { denial: { status: 401, code: 'INVALID_TOKEN', message: 'Token carries an unknown role' } };
+  }
+
+  // Access tokens are bound to a session so logout and forceLogout take effect
+  // immediately, and to their account so suspending or deleting it does too
+  const accountResult = await query(
+    `SELECT u.status, s.revoked_at, s.expires_at
+     FROM users u LEFT JOIN sessions s ON s.id = $1 AND s.user_id = u.id
+     WHERE u.id = $2`,
+    [payload.sid || null, payload.sub]
+  );
+  const account = accountResult.rows[0];
+  if (!account || account.status !== 'active') {
+    return { denial: { status: 403, code: 'ACCOUNT_INACTIVE', message: `Account is ${account ? account.status : 'gone'}` } };
+  }
+  if (payload.sid && (!account.expires_at || account.revoked_at || new Date(account.expires_at) <= new Date())) {
+    return { denial: { status: 401, code: 'SESSION_REVOKED', message: 'Session has been revoked or has expired' } };
+  }
+
+  return {
+    caller: {
+      id: payload.sub,
+      email: payload.email,
+      role: payload.role,
+      domain: payload.domain || domainOf(payload.email)
+    }
+  };
+}
+
+/**
+ * Resolve the caller from a Bearer JWT.
+ * Requests without an Authorization header continue with req.caller = null so
+ * public tools stay reachable; an invalid or expired token is rejected.
+ */
+async function authenticate(req, res, next) {
+  req.caller = null;
+
+  try {
+    const { caller, denial } = await resolveCaller(req.get('authorization'));
+    if (denial) {
+      return deny(req, res, denial);
+    }
+    req.caller = caller;
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Collect the target addresses a permission entry points at in the tool input
+ */
+function targetAddresses(permission, input) {
+  const fields = [].concat(permission.target || []);
+  const addresses = [];
+
+  for (const field of fields) {
+    const value = input[field];
+    if (Array.isArray(value)) {
+      addresses.push(...value);
+    } else if (value !== undefined && value !== null) {
+      addresses.push(value);
+    }
+  }
+
+  return addresses.map(address => String(address).toLowerCase());
+}
+
+/**
+ * Check a caller against a tool permission entry.
+ * Returns null when the call is allowed, otherwise { status, code, message }.
+ */
+function authorizeTool(permission, caller, input) {
+  // Runs before the input is validated: anything but an object names no target
+  if (!input || typeof input !== 'object') {
+    input = {};
+  }
+
+  if (!permission) {
+    return { status: 403, code: 'TOOL_FORBIDDEN', message: 'No permission rule is defined for this tool' };
+  }
+
+  if (permission.public) {
+    return null;
+  }
+
+  if (!caller) {
+    return { status: 401, code: 'UNAUTHENTICATED', message: 'A Bearer token is required for this tool' };
+  }
+
+  if (!permission.roles.includes(caller.role)) {
+    return { status: 403, code: 'ROLE_FORBIDDEN', message: `Role '${caller.role}' may not call this tool` };
+  }
+
+  if (caller.role === ROLES.SUPERADMIN) {
+    return null;
+  }
+
+  if (caller.role === ROLES.DOMAIN_ADMIN) {
+    const domains = targetAddresses(permission, input).map(domainOf);
+    if (permission.targetDomain && input[permission.targetDomain]) {
+      domains.push(String(input[permission.targetDomain]).toLowerCase());
+    }
+
+    if (domains.some(domain => domain !== caller.domain)) {
+      return { status: 403, code: 'DOMAIN_FORBIDDEN', message: `Domain admins may only manage ${caller.domain}` };
+    }
+    return null;
+  }
+
+  // Tools acting only on what the caller owns (such as their jobs) check that themselves
+  if (permission.ownRecords) {
+    return null;
+  }
+
+  // End users: only self-service tools, and only against their own mailbox.
+  // Tools marked `aliases` also take the caller's aliases and check ownership themselves.
+  const addresses = targetAddresses(permission, input);
+  if (!permission.selfService || addresses.length === 0 ||
+      (!permission.aliases && addresses.some(address => address !== String(caller.email).toLowerCase()))) {
+    return { status: 403, code: 'MAILBOX_FORBIDDEN', message: 'Users may only manage their own mailbox' };
+  }
+
+  return null;
+}
+
+module.exports = {
+  ROLES,
+  domainOf,
+  requestContext,
+  auditColumns,
+  auditDenial,
+  resolveCaller,
+  authenticate,
+  authorizeTool,
+  denialError,
+  deny
+};
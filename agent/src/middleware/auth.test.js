@@ -0,0 +1,108 @@
+jest.mock('../database/connection', () => ({ query: jest.fn() }), { virtual: true });
+jest.mock('../utils/logger', () => ({ logger: { error: jest.fn(), warn: jest.fn() } }), { virtual: true });
+
+const jwt = require('jsonwebtoken');
+const { query } = require('../database/connection');
+const { resolveCaller, authorizeTool, ROLES } = require('./auth');
+
+const SECRET = 'test-secret';
+
+const token = (claims, options = {}) => `Bearer ${jwt.sign({
+  sub: 'user-1',
+  email: 'ann@example.com',
+  role: ROLES.USER,
+  sid: 'session-1',
+  ...claims
+}, SECRET, options)}`;
+
+const account = (fields = {}) => ({
+  rows: [{ status: 'active', revoked_at: null, expires_at: new Date(Date.now() + 60000), ...fields }]
+});
+
+describe('resolveCaller', () => {
+  beforeEach(() => {
+    process.env.JWT_SECRET = SECRET;
+    query.mockReset();
+  });
+
+  test('lets requests without a header through anonymously', async () => {
+    expect(await resolveCaller(undefined)).toEqual({ caller: null });
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  test('resolves the caller of a token with a live session on an active account', async () => {
+    query.mockResolvedValue(account());
+
+    expect(await resolveCaller(token())).toEqual({
+      caller: { id: 'user-1', email: 'ann@example.com', role: 'user', domain: 'example.com' }
+    });
+    expect(query.mock.calls[0][1]).toEqual(['session-1', 'user-1']);
+  });
+
+  test('refuses other schemes, bad signatures, expired tokens and unknown roles', async () => {
+    expect((await resolveCaller('Basic abc')).denial.code).toBe('INVALID_TOKEN');
+    expect((await resolveCaller(`${token()}x`)).denial.code).toBe('INVALID_TOKEN');
+    expect((await resolveCaller(token({}, { expiresIn: -10 }))).denial.code).toBe('TOKEN_EXPIRED');
+    expect((await resolveCaller(token({ role: 'root' }))).denial.code).toBe('INVALID_TOKEN');
+  });
+
+  test('refuses a revoked or expired session', async () => {
+    query.mockResolvedValueOnce(account({ revoked_at: new Date() }));
+    expect((await resolveCaller(token())).denial).toEqual(expect.objectContaining({ status: 401, code: 'SESSION_REVOKED' }));
+
+    query.mockResolvedValueOnce(account({ expires_at: new Date(Date.now() - 1000) }));
+    expect((await resolveCaller(token())).denial.code).toBe('SESSION_REVOKED');
+
+    // The session row is missing
+    query.mockResolvedValueOnce(account({ expires_at: null }));
+    expect((await resolveCaller(token())).denial.code).toBe('SESSION_REVOKED');
+  });
+
+  test('refuses the token of an account that is no longer active', async () => {
+    query.mockResolvedValueOnce(account({ status: 'suspended' }));
+    expect((await resolveCaller(token())).denial).toEqual({ status: 403, code: 'ACCOUNT_INACTIVE', message: 'Account is suspended' });
+
+    query.mockResolvedValueOnce({ rows: [] });
+    expect((await resolveCaller(token())).denial.code).toBe('ACCOUNT_INACTIVE');
+  });
+});
+
+describe('authorizeTool', () => {
+  const superadmin = { id: 's', email: 'root@example.com', role: ROLES.SUPERADMIN, domain: 'example.com' };
+  const domainAdmin = { id: 'd', email: 'admin@example.com', role: ROLES.DOMAIN_ADMIN, domain: 'example.com' };
+  const user = { id: 'u', email: 'ann@example.com', role: ROLES.USER, domain: 'example.com' };
+
+  const provision = { roles: [ROLES.SUPERADMIN, ROLES.DOMAIN_ADMIN], target: ['email', 'aliases'] };
+  const forwarding = { roles: Object.values(ROLES), target: 'email', selfService: true };
+
+  test('refuses tools without a permission rule', () => {
+    expect(authorizeTool(undefined, superadmin, {}).code).toBe('TOOL_FORBIDDEN');
+  });
+
+  test('lets anyone call public tools and nobody else call the rest anonymously', () => {
+    expect(authorizeTool({ public: true }, null, {})).toBeNull();
+    expect(authorizeTool(provision, null, {})).toEqual(expect.objectContaining({ status: 401, code: 'UNAUTHENTICATED' }));
+  });
+
+  test('checks the role', () => {
+    expect(authorizeTool(provision, user, { email: 'bob@example.com' }).code).toBe('ROLE_FORBIDDEN');
+    expect(authorizeTool(provision, superadmin, { email: 'bob@other.org' })).toBeNull();
+  });
+
+  test('keeps domain admins to their own domain, aliases included', () => {
+    expect(authorizeTool(provision, domainAdmin, { email: 'Bob@Example.com', aliases: ['b@example.com'] })).toBeNull();
+    expect(authorizeTool(provision, domainAdmin, { email: 'bob@example.com', aliases: ['b@other.org'] }).code)
+      .toBe('DOMAIN_FORBIDDEN');
+  });
+
+  test('keeps users to self-service tools on their own mailbox', () => {
+    expect(authorizeTool(forwarding, user, { email: 'ANN@example.com' })).toBeNull();
+    expect(authorizeTool(forwarding, user, { email: 'bob@example.com' }).code).toBe('MAILBOX_FORBIDDEN');
+    expect(authorizeTool(forwarding, user, {}).code).toBe('MAILBOX_FORBIDDEN');
+  });
+
+  test('reads no target from input that is not an object', () => {
+    expect(authorizeTool(forwarding, user, null).code).toBe('MAILBOX_FORBIDDEN');
+    expect(authorizeTool(provision, domainAdmin, 'bob@other.org')).toBeNull();
+  });
+});
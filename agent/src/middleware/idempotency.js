@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { query } = require('../database/connection');
+const { logger } = require('../utils/logger');
+const { ValidationError, ConflictError, errorResponse } = require('../utils/errors');
+const { redact } = require('../utils/redact');
+const { toolPermissions } = require('../tools/registry');
+
+const KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+// A key whose first request has not answered in this long (the agent stopped
+// while running it) is released so the call can be retried
+const PENDING_TIMEOUT_SECONDS = parseInt(process.env.IDEMPOTENCY_PENDING_TIMEOUT_SECONDS, 10) || 300;
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Hash the tool name and input a key was first used with
+ */
+function requestHash(toolName, body) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ toolName, body }))
+    .digest('hex');
+}
+
+/**
+ * Error for a key whose first request has not finished
+ */
+function inProgress() {
+  return new ConflictError('A request with this Idempotency-Key is being processed', {
+    reason: 'IDEMPOTENCY_IN_PROGRESS'
+  });
+}
+
+/**
+ * Answer with the error response of `error`
+ */
+function refuse(res, error) {
+  const { status, body } = errorResponse(error);
+  return res.status(status).json(body);
+}
+
+/**
+ * Replay stored results for requests carrying an `Idempotency-Key` header.
+ * The first request with a key claims it and its response (anything below 500)
+ * is stored; retries with the same key and input get the stored response back
+ * instead of running the tool again. Keys are scoped to the caller.
+ * Credentials in a response (generated passwords, secrets) are returned once
+ * and replayed masked; the public session tools, which issue tokens, are never
+ * stored.
+ */
+async function idempotency(req, res, next) {
+  const key = req.get('idempotency-key');
+  if (!key || toolPermissions[req.tool.name].public) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return refuse(res, new ValidationError(`Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`, {
+      reason: 'IDEMPOTENCY_KEY_INVALID'
+    }));
+  }
+
+  const { toolName } = req.params;
+  const scope = req.caller ? req.caller.id : 'anonymous';
+  const hash = requestHash(toolName, req.body);
+
+  try {
+    // Expired keys, and keys whose first request never answered, may be reused
+    await query(
+      `DELETE FROM idempotency_keys
+       WHERE idempotency_key = $1 AND scope = $2
+         AND (created_at < NOW() - make_interval(hours => $3)
+              OR (response_status IS NULL AND created_at < NOW() - make_interval(secs => $4)))`,
+      [key, scope, KEY_TTL_HOURS, PENDING_TIMEOUT_SECONDS]
+    );
+
+    const claim = await query(
+      `INSERT INTO idempotency_keys (idempotency_key, scope, tool_name, request_hash)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (idempotency_key, scope) DO NOTHING
+       RETURNING id`,
+      [key, scope, toolName, hash]
+    );
+
+    if (claim.rowCount === 0) {
+      const existing = await query(
+        `SELECT tool_name, request_hash, response_status, response_body
+         FROM idempotency_keys WHERE idempotency_key = $1 AND scope = $2`,
+        [key, scope]
+      );
+      const record = existing.rows[0];
+
+      if (!record) {
+        // Claimed and released between our insert and select; let the client retry
+        return refuse(res, inProgress());
+      }
+
+      if (record.tool_name !== toolName || record.request_hash !== hash) {
+        return refuse(res, new ConflictError('This Idempotency-Key was already used with a different request', {
+          reason: 'IDEMPOTENCY_KEY_REUSED',
+          status: 422
+        }));
+      }
+
+      if (record.response_status === null) {
+        return refuse(res, inProgress());
+      }
+
+      logger.info(`Replaying stored result for ${toolName}`, { idempotencyKey: key });
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.response_status).json(record.response_body);
+    }
+
+    // Store the outcome before it is sent; server errors release the key so it can be retried
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      const store = res.statusCode < 500
+        ? query(
+          `UPDATE idempotency_keys SET response_status = $1, response_body = $2, completed_at = CURRENT_TIMESTAMP
+           WHERE idempotency_key = $3 AND scope = $4`,
+          [res.statusCode, JSON.stringify(redact(body)), key, scope]
+        )
+        : query('DELETE FROM idempotency_keys WHERE idempotency_key = $1 AND scope = $2', [key, scope]);
+
+      store
+        .catch(error => logger.error('Failed to store idempotent response:', error))
+        .finally(() => sendJson(body));
+      return res;
+    };
+
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+}
+
+module.exports = {
+  idempotency
+};
@@ -0,0 +1,169 @@
+jest.mock('../database/connection', () => ({ query: jest.fn() }), { virtual: true });
+jest.mock('../utils/logger', () => ({ logger: { error: jest.fn(), info: jest.fn() } }), { virtual: true });
+jest.mock('../tools/registry', () => ({
+  toolPermissions: { login: { public: true }, provisionUser: { roles: ['superadmin'] } }
+}));
+
+const { query } = require('../database/connection');
+const { idempotency } = require('./idempotency');
+
+const CALLER = { id: 'admin-1', email: 'root@example.com', role: 'superadmin' };
+const INPUT = { email: 'ann@example.com', displayName: 'Ann', password: 'Harbour-lights-42' };
+
+/**
+ * A POST /tools/:toolName request for `toolName`, with an Idempotency-Key when `key` is given
+ */
+function request(toolName, { key, body = INPUT } = {}) {
+  const headers = { 'idempotency-key': key };
+  return {
+    params: { toolName },
+    tool: { name: toolName },
+    caller: CALLER,
+    body,
+    get: name => headers[name.toLowerCase()]
+  };
+}
+
+/**
+ * A response recording what was sent
+ */
+function response() {
+  const res = { statusCode: 200, headers: {}, sent: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  res.json = (body) => {
+    res.sent = body;
+    return res;
+  };
+  return res;
+}
+
+/**
+ * Run the middleware; `handler` stands in for the tool route when it is reached
+ */
+async function run(req, handler = () => {}) {
+  const res = response();
+  const next = jest.fn(error => (error ? undefined : handler(res)));
+  await idempotency(req, res, next);
+  // The wrapped res.json sends once the response is stored
+  await new Promise(resolve => setImmediate(resolve));
+  return { res, next };
+}
+
+/**
+ * Answer the claim with `claimed` and the lookup of an existing key with `existing`
+ */
+function keys({ claimed = true, existing = null } = {}) {
+  query.mockImplementation(async (sql) => {
+    if (sql.includes('INSERT INTO idempotency_keys')) {
+      return claimed ? { rows: [{ id: 1 }], rowCount: 1 } : { rows: [], rowCount: 0 };
+    }
+    if (sql.includes('SELECT tool_name')) {
+      return { rows: existing ? [existing] : [] };
+    }
+    return { rows: [], rowCount: 1 };
+  });
+}
+
+const statements = pattern => query.mock.calls.filter(([sql]) => pattern.test(sql));
+
+/**
+ * The request hash a first provisionUser call with INPUT claims its key with
+ */
+async function firstClaimHash() {
+  keys();
+  await run(request('provisionUser', { key: 'k1' }));
+  const [[, [, , , hash]]] = statements(/INSERT INTO idempotency_keys/);
+  query.mockReset();
+  return hash;
+}
+
+describe('idempotency', () => {
+  beforeEach(() => {
+    query.mockReset();
+  });
+
+  test('does nothing without a key or for the public session tools', async () => {
+    expect((await run(request('provisionUser'))).next).toHaveBeenCalledWith();
+    expect((await run(request('login', { key: 'k1' }))).next).toHaveBeenCalledWith();
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  test('refuses keys that are too long', async () => {
+    const { res, next } = await run(request('provisionUser', { key: 'k'.repeat(256) }));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(400);
+    expect(res.sent.error.reason).toBe('IDEMPOTENCY_KEY_INVALID');
+  });
+
+  test('releases expired keys and keys whose first call never answered before claiming', async () => {
+    keys();
+    await run(request('provisionUser', { key: 'k1' }));
+
+    const [[sql, params]] = statements(/DELETE FROM idempotency_keys/);
+    expect(sql).toMatch(/response_status IS NULL AND created_at < NOW\(\) - make_interval\(secs => \$4\)/);
+    expect(params).toEqual(['k1', 'admin-1', 24, 300]);
+  });
+
+  test('stores the first response with credentials masked and sends it whole', async () => {
+    keys();
+    const { res } = await run(request('provisionUser', { key: 'k1' }), out => out.json({
+      status: 'created',
+      userId: 'user-1',
+      generatedPassword: 'x7-Secret-pw'
+    }));
+
+    expect(res.sent.generatedPassword).toBe('x7-Secret-pw');
+    const [[, [status, stored, key, scope]]] = statements(/SET response_status/);
+    expect([status, key, scope]).toEqual([200, 'k1', 'admin-1']);
+    expect(JSON.parse(stored)).toEqual({ status: 'created', userId: 'user-1', generatedPassword: expect.not.stringContaining('Secret') });
+  });
+
+  test('releases the key when the call fails with a server error', async () => {
+    keys();
+    await run(request('provisionUser', { key: 'k1' }), out => out.status(502).json({ error: { code: 'UPSTREAM_UNAVAILABLE' } }));
+
+    expect(statements(/SET response_status/)).toEqual([]);
+    expect(statements(/^DELETE FROM idempotency_keys WHERE idempotency_key = \$1 AND scope = \$2$/)).toHaveLength(1);
+  });
+
+  test('replays the stored response of a repeated call', async () => {
+    const hash = await firstClaimHash();
+    keys({
+      claimed: false,
+      existing: { tool_name: 'provisionUser', request_hash: hash, response_status: 201, response_body: { status: 'created' } }
+    });
+
+    const { res, next } = await run(request('provisionUser', { key: 'k1' }));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(201);
+    expect(res.headers['Idempotent-Replayed']).toBe('true');
+    expect(res.sent).toEqual({ status: 'created' });
+  });
+
+  test('refuses a repeated call while the first one is still running', async () => {
+    const hash = await firstClaimHash();
+    keys({ claimed: false, existing: { tool_name: 'provisionUser', request_hash: hash, response_status: null } });
+
+    const { res } = await run(request('provisionUser', { key: 'k1' }));
+    expect(res.statusCode).toBe(409);
+    expect(res.sent.error.reason).toBe('IDEMPOTENCY_IN_PROGRESS');
+  });
+
+  test('refuses a key reused with other input', async () => {
+    const hash = await firstClaimHash();
+    keys({ claimed: false, existing: { tool_name: 'provisionUser', request_hash: hash, response_status: 200 } });
+
+    const { res } = await run(request('provisionUser', { key: 'k1', body: { ...INPUT, displayName: 'Bob' } }));
+    expect(res.statusCode).toBe(422);
+    expect(res.sent.error.reason).toBe('IDEMPOTENCY_KEY_REUSED');
+  });
+});
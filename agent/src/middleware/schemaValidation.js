@@ -0,0 +1,117 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { ValidationError, errorResponse } = require('../utils/errors');
+
+// Inputs are normalized while they are checked: declared defaults are filled in
+// and fields a schema does not declare are dropped, so handlers get exactly the
+// input their schema describes
+const ajv = new Ajv({
+  allErrors: true,
+  useDefaults: true,
+  removeAdditional: 'all',
+  strict: false
+});
+addFormats(ajv);
+
+/**
+ * Compile one input schema with the normalizing options above
+ */
+function compileSchema(schema) {
+  return ajv.compile(schema);
+}
+
+/**
+ * Compile the input schema of every tool once, keyed by tool name
+ */
+function compileInputSchemas(tools) {
+  const validators = new Map();
+  for (const tool of Object.values(tools)) {
+    validators.set(tool.name, compileSchema(tool.inputSchema));
+  }
+  return validators;
+}
+
+/**
+ * Path of the field an ajv error is about, e.g. rules[0].forwardTo
+ */
+function fieldOf(error) {
+  const segments = error.instancePath.split('/').slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (error.keyword === 'required') {
+    segments.push(error.params.missingProperty);
+  }
+
+  return segments.reduce((path, segment) => {
+    if (/^\d+$/.test(segment)) {
+      return `${path}[${segment}]`;
+    }
+    return path ? `${path}.${segment}` : segment;
+  }, '') || 'input';
+}
+
+/**
+ * One { field, message } per problem ajv found
+ */
+function fieldErrors(errors) {
+  const fields = [];
+  const seen = new Set();
+  for (const error of errors) {
+    const field = fieldOf(error);
+    const message = error.keyword === 'required' ? 'is required' : error.message;
+    if (!seen.has(`${field} ${message}`)) {
+      seen.add(`${field} ${message}`);
+      fields.push({ field, message });
+    }
+  }
+  return fields;
+}
+
+/**
+ * Error for an input its tool schema rejects, listing each field that is wrong
+ */
+function invalidInput(errors) {
+  const fields = fieldErrors(errors);
+  return new ValidationError(`Invalid input: ${fields.map(entry => `${entry.field} ${entry.message}`).join('; ')}`, {
+    reason: 'INVALID_INPUT',
+    details: { fields }
+  });
+}
+
+/**
+ * Check a tool input with its compiled schema, normalizing it in place.
+ * Throws invalidInput listing every field that is wrong.
+ */
+function validateToolInput(validate, input) {
+  if (!validate(input)) {
+    throw invalidInput(validate.errors);
+  }
+  return input;
+}
+
+/**
+ * Validate the body of POST /tools/:toolName against the tool's input schema.
+ * Unknown tools are passed on for the router to answer with 404.
+ */
+function validateInput(validators) {
+  return (req, res, next) => {
+    const validate = validators.get(req.params.toolName);
+    if (!validate) {
+      return next();
+    }
+
+    try {
+      validateToolInput(validate, req.body);
+      return next();
+    } catch (error) {
+      const { status, body } = errorResponse(error);
+      return res.status(status).json(body);
+    }
+  };
+}
+
+module.exports = {
+  compileSchema,
+  compileInputSchemas,
+  validateToolInput,
+  validateInput
+};
@@ -0,0 +1,117 @@
+const { compileInputSchemas, validateToolInput, validateInput } = require('./schemaValidation');
+const { ValidationError } = require('../utils/errors');
+
+const tools = {
+  setForwarding: {
+    name: 'setForwarding',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        rules: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              forwardTo: { type: 'array', items: { type: 'string', format: 'email' } },
+              keepCopy: { type: 'boolean', default: true }
+            },
+            required: ['forwardTo']
+          }
+        }
+      },
+      required: ['email', 'rules']
+    }
+  }
+};
+
+const validators = compileInputSchemas(tools);
+
+/**
+ * The ValidationError validateToolInput throws for `input`
+ */
+function problem(input) {
+  try {
+    validateToolInput(validators.get('setForwarding'), input);
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the input to be refused');
+}
+
+describe('validateToolInput', () => {
+  test('fills in defaults and drops fields the schema does not declare', () => {
+    const input = { email: 'ann@example.com', rules: [{ forwardTo: ['bob@example.net'], extra: 1 }], role: 'superadmin' };
+
+    expect(validateToolInput(validators.get('setForwarding'), input)).toBe(input);
+    expect(input).toEqual({ email: 'ann@example.com', rules: [{ forwardTo: ['bob@example.net'], keepCopy: true }] });
+  });
+
+  test('names the path of every wrong field', () => {
+    const error = problem({ email: 'not-an-address', rules: [{ keepCopy: 'yes' }, { forwardTo: ['bob@'] }] });
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.reason).toBe('INVALID_INPUT');
+    expect(error.details.fields).toEqual([
+      { field: 'email', message: 'must match format "email"' },
+      { field: 'rules[0].forwardTo', message: 'is required' },
+      { field: 'rules[0].keepCopy', message: 'must be boolean' },
+      { field: 'rules[1].forwardTo[0]', message: 'must match format "email"' }
+    ]);
+    expect(error.message).toMatch(/^Invalid input: email must match format "email"; rules\[0\]\.forwardTo is required/);
+  });
+
+  test('reports missing fields and input that is not an object', () => {
+    expect(problem({}).details.fields).toEqual([
+      { field: 'email', message: 'is required' },
+      { field: 'rules', message: 'is required' }
+    ]);
+    expect(problem('text').details.fields).toEqual([{ field: 'input', message: 'must be object' }]);
+  });
+});
+
+describe('validateInput', () => {
+  const middleware = validateInput(validators);
+
+  /**
+   * Run the middleware on a call to `toolName` with `body`
+   */
+  function call(toolName, body) {
+    const res = { statusCode: null, sent: null };
+    res.status = (code) => {
+      res.statusCode = code;
+      return res;
+    };
+    res.json = (sent) => {
+      res.sent = sent;
+      return res;
+    };
+    const next = jest.fn();
+    middleware({ params: { toolName }, body }, res, next);
+    return { res, next };
+  }
+
+  test('passes valid input on', () => {
+    const body = { email: 'ann@example.com', rules: [] };
+    expect(call('setForwarding', body).next).toHaveBeenCalledWith();
+  });
+
+  test('answers invalid input with a 400 listing the fields', () => {
+    const { res, next } = call('setForwarding', { email: 'ann@example.com' });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(400);
+    expect(res.sent).toEqual({
+      error: {
+        code: 'VALIDATION',
+        message: 'Invalid input: rules is required',
+        reason: 'INVALID_INPUT',
+        fields: [{ field: 'rules', message: 'is required' }]
+      }
+    });
+  });
+
+  test('leaves unknown tools to the router', () => {
+    expect(call('noSuchTool', null).next).toHaveBeenCalledWith();
+  });
+});
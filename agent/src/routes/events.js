@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router();
+const { ROLES, authenticate, deny } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const { ValidationError, errorResponse } = require('../utils/errors');
+const { EVENT_TYPES, parseCursor, readEvents, currentCursor } = require('../tools/events');
+
+const EVENT_STREAM_POLL_SECONDS = parseInt(process.env.EVENT_STREAM_POLL_SECONDS, 10) || 2;
+// Comment lines keep proxies from closing an idle stream
+const EVENT_STREAM_HEARTBEAT_SECONDS = 15;
+
+/**
+ * Write one event in SSE framing; the SSE id is the stream cursor, which a
+ * reconnecting client sends back as Last-Event-ID
+ */
+function writeEvent(res, { cursor, event }) {
+  res.write(`id: ${cursor}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+// GET /events - Server-Sent Events stream of mailbox lifecycle events.
+// Superadmins see every domain, domain admins their own. `types` filters by
+// event type (comma separated); Last-Event-ID resumes after an event.
+router.get('/', authenticate, async (req, res, next) => {
+  const { caller } = req;
+  if (!caller) {
+    return deny(req, res, {
+      status: 401, code: 'UNAUTHENTICATED', message: 'A Bearer token is required for this stream', tool: 'events'
+    });
+  }
+  if (caller.role !== ROLES.SUPERADMIN && caller.role !== ROLES.DOMAIN_ADMIN) {
+    return deny(req, res, {
+      status: 403, code: 'ROLE_FORBIDDEN', message: `Role '${caller.role}' may not read events`, tool: 'events'
+    });
+  }
+
+  const types = String(req.query.types || '').split(',').map(type => type.trim()).filter(Boolean);
+  const unknown = types.find(type => !EVENT_TYPES.includes(type));
+  if (unknown) {
+    const { status, body } = errorResponse(
+      new ValidationError(`Unknown event type ${unknown}; expected one of ${EVENT_TYPES.join(', ')}`)
+    );
+    return res.status(status).json(body);
+  }
+
+  const domain = caller.role === ROLES.DOMAIN_ADMIN ? caller.domain : null;
+  const resumeFrom = req.get('last-event-id');
+
+  let after;
+  try {
+    after = parseCursor(resumeFrom) ? resumeFrom : await currentCursor();
+  } catch (error) {
+    return next(error);
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // nginx would otherwise buffer the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${EVENT_STREAM_POLL_SECONDS * 1000}\n\n`);
+
+  let closed = false;
+  let timer = null;
+  let idleSince = Date.now();
+
+  const poll = async () => {
+    try {
+      const events = await readEvents({ after, types, domain });
+      for (const entry of events) {
+        writeEvent(res, entry);
+        after = entry.cursor;
+      }
+      if (events.length > 0) {
+        idleSince = Date.now();
+      } else if (Date.now() - idleSince >= EVENT_STREAM_HEARTBEAT_SECONDS * 1000) {
+        res.write(': heartbeat\n\n');
+        idleSince = Date.now();
+      }
+    } catch (error) {
+      logger.error('Failed to read events for stream:', error);
+    }
+
+    if (!closed) {
+      timer = setTimeout(poll, EVENT_STREAM_POLL_SECONDS * 1000);
+    }
+  };
+
+  req.on('close', () => {
+    closed = true;
+    clearTimeout(timer);
+  });
+
+  logger.info('Event stream opened', { actor: caller.email, types, after });
+  return poll();
+});
+
+module.exports = router;
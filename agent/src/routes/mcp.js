@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const { resolveCaller, requestContext, auditDenial, denialError } = require('../middleware/auth');
+const { errorResponse } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+const { PARSE_ERROR, UNAUTHORIZED, rpcError, handleMessage } = require('../mcp/jsonRpc');
+
+router.use(express.json({ limit: process.env.REQUEST_BODY_LIMIT || '40mb' }));
+
+// POST /mcp - JSON-RPC 2.0 (MCP tools/list and tools/call), single requests or batches
+router.post('/', async (req, res, next) => {
+  try {
+    const { caller, denial } = await resolveCaller(req.get('authorization'));
+    req.caller = caller || null;
+    if (denial) {
+      logger.warn('Access denied: mcp', { code: denial.code, message: denial.message });
+      await auditDenial(requestContext(req), { tool: 'mcp', code: denial.code, reason: denial.message });
+      return res.status(401).json(rpcError(null, UNAUTHORIZED, denial.message, errorResponse(denialError(denial)).body.error));
+    }
+
+    const response = await handleMessage(req.body, requestContext(req));
+    if (response === null) {
+      return res.status(202).end();
+    }
+    return res.json(response);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// Responses are not streamed, so there is no event stream to open
+router.get('/', (req, res) => {
+  res.set('Allow', 'POST').status(405).end();
+});
+
+// A body that is not JSON gets a JSON-RPC parse error
+router.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json(rpcError(null, PARSE_ERROR, 'Parse error'));
+  }
+  return next(error);
+});
+
+module.exports = router;
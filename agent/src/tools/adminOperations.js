@@ -1,97 +1,53 @@
 const dns = require('dns').promises;
+const fs = require('fs').promises;
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const { query } = require('../database/connection');
 const { logger } = require('../utils/logger');
+const { getManagedDomain } = require('./domainManagement');
+const { rotationSelectors, syncDkimKeys } = require('./dkimManagement');
+const { analyzeDomainDns, verdictFor } = require('../utils/dnsChecks');
+const { probeSmtp, probeImap, probeHttp } = require('../utils/probes');
+const { toolPerformance } = require('../utils/metrics');
 
 const execAsync = promisify(exec);
 
 /**
- * Check DNS configuration status
+ * Check DNS configuration status.
+ * Returns the records found, a list of findings with severity and suggested fix,
+ * and an overall verdict. `resolver` defaults to Node's DNS and can be swapped for
+ * an offline stub with the same resolve* / reverse API.
  */
-async function dnsStatus(input) {
+async function dnsStatus(input, context = {}, resolver = dns) {
   const { domain } = input;
   
   try {
-    const results = {
-      domain,
-      mx: [],
-      spf: null,
-      dkim: [],
-      dmarc: null,
-      verdict: 'unknown'
-    };
+    // DKIM: the selector configured for a managed domain plus keys in rotation,
+    // else common selectors
+    const managedDomain = await getManagedDomain(domain);
+    const selectors = managedDomain
+      ? [managedDomain.dkim_selector, ...await rotationSelectors(managedDomain)]
+      : ['s1', 'default', 'selector1', 'selector2'];
     
-    // Check MX records
-    try {
-      const mxRecords = await dns.resolveMx(domain);
-      results.mx = mxRecords.map(record => ({
-        exchange: record.exchange,
-        priority: record.priority
-      }));
-    } catch (error) {
-      logger.warn(`Failed to resolve MX records for ${domain}:`, error.message);
-    }
+    const results = await analyzeDomainDns(domain, {
+      resolver,
+      selectors,
+      mailHostname: process.env.MAIL_HOSTNAME || process.env.HOSTNAME,
+      serverIps: (process.env.MAIL_SERVER_IPS || '').split(',').map(ip => ip.trim()).filter(Boolean)
+    });
     
-    // Check SPF record
-    try {
-      const txtRecords = await dns.resolveTxt(domain);
-      const spfRecord = txtRecords.find(record => 
-        record.join('').startsWith('v=spf1')
-      );
-      if (spfRecord) {
-        results.spf = spfRecord.join('');
-      }
-    } catch (error) {
-      logger.warn(`Failed to resolve SPF record for ${domain}:`, error.message);
+    // Advance DKIM key rotation from what is published
+    if (managedDomain) {
+      results.dkimRotation = await syncDkimKeys(managedDomain, results.dkim);
     }
     
-    // Check DKIM records (common selectors)
-    const dkimSelectors = ['s1', 'default', 'selector1', 'selector2'];
-    for (const selector of dkimSelectors) {
-      try {
-        const dkimDomain = `${selector}._domainkey.${domain}`;
-        const txtRecords = await dns.resolveTxt(dkimDomain);
-        const dkimRecord = txtRecords.find(record => 
-          record.join('').includes('v=DKIM1')
-        );
-        if (dkimRecord) {
-          results.dkim.push({
-            selector,
-            txt: dkimRecord.join('')
-          });
-        }
-      } catch (error) {
-        // DKIM selector not found - this is normal
-      }
-    }
+    results.verdict = verdictFor(results.findings);
     
-    // Check DMARC record
-    try {
-      const dmarcDomain = `_dmarc.${domain}`;
-      const txtRecords = await dns.resolveTxt(dmarcDomain);
-      const dmarcRecord = txtRecords.find(record => 
-        record.join('').startsWith('v=DMARC1')
-      );
-      if (dmarcRecord) {
-        results.dmarc = dmarcRecord.join('');
-      }
-    } catch (error) {
-      logger.warn(`Failed to resolve DMARC record for ${domain}:`, error.message);
-    }
-    
-    // Determine verdict
-    let score = 0;
-    if (results.mx.length > 0) score += 25;
-    if (results.spf) score += 25;
-    if (results.dkim.length > 0) score += 25;
-    if (results.dmarc) score += 25;
-    
-    if (score >= 100) results.verdict = 'pass';
-    else if (score >= 75) results.verdict = 'warn';
-    else results.verdict = 'fail';
-    
-    logger.info(`DNS status check for ${domain}:`, { score, verdict: results.verdict });
+    logger.info(`DNS status check for ${domain}:`, {
+      verdict: results.verdict,
+      errors: results.findings.filter(finding => finding.severity === 'error').length,
+      warnings: results.findings.filter(finding => finding.severity === 'warning').length
+    });
     
     return results;
   } catch (error) {
@@ -100,66 +56,168 @@ async function dnsStatus(input) {
   }
 }
 
+const HEALTH_TIMEOUT_MS = parseInt(process.env.HEALTH_TIMEOUT_MS, 10) || 5000;
+const HEALTH_SLOW_MS = parseInt(process.env.HEALTH_SLOW_MS, 10) || 2000;
+const CERT_WARNING_DAYS = parseInt(process.env.HEALTH_CERT_WARNING_DAYS, 10) || 14;
+
+const MAIL_STORAGE_PATH = process.env.MAIL_STORAGE_PATH || '/var/mail';
+
+// A critical component being down takes the whole service down
+const CRITICAL_COMPONENTS = ['database', 'smtp', 'imap'];
+
+/**
+ * Run a probe and turn its outcome into { status, latencyMs, ... }.
+ * `assess(result)` returns reasons the component is degraded (empty when healthy).
+ */
+async function runProbe(name, probe, assess = () => []) {
+  const started = Date.now();
+  try {
+    const result = await probe();
+    const latencyMs = result.latencyMs !== undefined ? result.latencyMs : Date.now() - started;
+    const issues = assess(result);
+    if (latencyMs > HEALTH_SLOW_MS) {
+      issues.push(`slow response (${latencyMs}ms)`);
+    }
+    return { status: issues.length > 0 ? 'degraded' : 'up', ...result, latencyMs, issues };
+  } catch (error) {
+    logger.warn(`Health probe failed: ${name}`, { error: error.message });
+    return { status: 'down', latencyMs: Date.now() - started, error: error.message };
+  }
+}
+
+/**
+ * Bytes to gigabytes, two decimals
+ */
+function toGB(bytes) {
+  return Math.round((bytes / (1024 * 1024 * 1024)) * 100) / 100;
+}
+
+/**
+ * Degradation reasons from a TLS certificate summary
+ */
+function certificateIssues(tlsInfo) {
+  if (!tlsInfo) {
+    return [];
+  }
+  if (tlsInfo.daysRemaining < 0) {
+    return [`TLS certificate expired on ${tlsInfo.validTo}`];
+  }
+  if (tlsInfo.daysRemaining < CERT_WARNING_DAYS) {
+    return [`TLS certificate expires in ${tlsInfo.daysRemaining} days`];
+  }
+  return [];
+}
+
+/**
+ * Postfix queue depth from the postfix exporter Prometheus endpoint (null when unavailable)
+ */
+async function postfixQueueDepth() {
+  const url = process.env.POSTFIX_EXPORTER_URL;
+  if (!url) {
+    return null;
+  }
+
+  const { statusCode, body } = await probeHttp({ url, timeoutMs: HEALTH_TIMEOUT_MS });
+  if (statusCode !== 200) {
+    throw new Error(`Postfix exporter returned ${statusCode}`);
+  }
+
+  // Sum messages across queues from the showq size histogram counts
+  return body.split('\n')
+    .filter(line => line.startsWith('postfix_showq_message_size_bytes_count'))
+    .reduce((total, line) => total + (parseFloat(line.split(' ').pop()) || 0), 0);
+}
+
 /**
- * Get system health status
+ * Get system health status.
+ * Probes each component for real (SQL, SMTP EHLO/STARTTLS, IMAP CAPABILITY/LOGIN,
+ * Rspamd /ping, webmail HTTP) with a timeout and reports latency, TLS expiry and
+ * an overall status of ok, degraded or down.
  */
 async function health(input) {
   try {
     const health = {
       timestamp: new Date().toISOString(),
+      status: 'unknown',
       smtp: 'unknown',
       imap: 'unknown',
       webmail: 'unknown',
       database: 'unknown',
-      queueDepth: 0,
+      rspamd: 'unknown',
+      queueDepth: null,
       storageFreeGB: 0,
       activeUsers: 0,
-      version: '1.0.0'
+      version: '1.0.0',
+      components: {}
     };
     
-    // Check database connectivity
-    try {
-      await query('SELECT 1');
-      health.database = 'up';
-      
-      // Get active users count
-      const userCount = await query('SELECT COUNT(*) as count FROM users WHERE status = $1', ['active']);
-      health.activeUsers = parseInt(userCount.rows[0].count);
-    } catch (error) {
-      health.database = 'down';
-      logger.error('Database health check failed:', error);
-    }
+    const smtpHost = process.env.SMTP_HOST || 'localhost';
+    const imapHost = process.env.IMAP_HOST || 'localhost';
     
-    // Check SMTP service (simplified - would normally check Postfix)
-    try {
-      // This would typically check if Postfix is running and accepting connections
-      health.smtp = 'up'; // Placeholder
-    } catch (error) {
-      health.smtp = 'down';
-    }
-    
-    // Check IMAP service (simplified - would normally check Dovecot)
-    try {
-      // This would typically check if Dovecot is running and accepting connections
-      health.imap = 'up'; // Placeholder
-    } catch (error) {
-      health.imap = 'down';
-    }
+    const [database, smtp, imap, rspamd, webmail] = await Promise.all([
+      runProbe('database', async () => {
+        await query('SELECT 1');
+        // Get active users count
+        const userCount = await query('SELECT COUNT(*) as count FROM users WHERE status = $1', ['active']);
+        health.activeUsers = parseInt(userCount.rows[0].count);
+        return {};
+      }),
+      
+      runProbe('smtp', () => probeSmtp({
+        host: smtpHost,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        servername: process.env.SMTP_TLS_SERVERNAME,
+        timeoutMs: HEALTH_TIMEOUT_MS
+      }), result => [
+        ...(result.starttls ? [] : ['STARTTLS not offered']),
+        ...certificateIssues(result.tls)
+      ]),
+      
+      runProbe('imap', () => probeImap({
+        host: imapHost,
+        port: parseInt(process.env.IMAP_PORT, 10) || 993,
+        servername: process.env.IMAP_TLS_SERVERNAME,
+        user: process.env.HEALTH_IMAP_USER,
+        password: process.env.HEALTH_IMAP_PASSWORD,
+        timeoutMs: HEALTH_TIMEOUT_MS
+      }), result => [
+        ...(result.login === 'failed' ? ['IMAP login failed'] : []),
+        ...certificateIssues(result.tls)
+      ]),
+      
+      runProbe('rspamd', async () => {
+        const response = await probeHttp({
+          url: `${process.env.RSPAMD_URL || 'http://rspamd:11334'}/ping`,
+          timeoutMs: HEALTH_TIMEOUT_MS
+        });
+        if (response.statusCode !== 200 || !/pong/i.test(response.body)) {
+          throw new Error(`Unexpected /ping response: ${response.statusCode}`);
+        }
+        return { latencyMs: response.latencyMs };
+      }),
+      
+      runProbe('webmail', async () => {
+        const response = await probeHttp({
+          url: process.env.WEBMAIL_URL || 'http://webmail:80',
+          timeoutMs: HEALTH_TIMEOUT_MS
+        });
+        if (response.statusCode >= 500) {
+          throw new Error(`Webmail returned ${response.statusCode}`);
+        }
+        return { latencyMs: response.latencyMs };
+      })
+    ]);
     
-    // Check webmail service
-    try {
-      // This would typically make an HTTP request to the webmail service
-      health.webmail = 'up'; // Placeholder
-    } catch (error) {
-      health.webmail = 'down';
+    health.components = { database, smtp, imap, rspamd, webmail };
+    for (const [name, component] of Object.entries(health.components)) {
+      health[name] = component.status;
     }
     
-    // Get queue depth (simplified)
+    // Get queue depth
     try {
-      // This would typically check Postfix queue
-      health.queueDepth = 0; // Placeholder
+      health.queueDepth = await postfixQueueDepth();
     } catch (error) {
-      logger.warn('Failed to get queue depth:', error);
+      logger.warn('Failed to get queue depth:', error.message);
     }
     
     // Get storage info
@@ -170,7 +228,16 @@ async function health(input) {
       logger.warn('Failed to get storage info:', error);
     }
     
-    logger.info('Health check completed:', health);
+    const statuses = Object.entries(health.components);
+    if (statuses.some(([name, component]) => CRITICAL_COMPONENTS.includes(name) && component.status === 'down')) {
+      health.status = 'down';
+    } else if (statuses.some(([, component]) => component.status !== 'up')) {
+      health.status = 'degraded';
+    } else {
+      health.status = 'ok';
+    }
+    
+    logger.info('Health check completed:', { status: health.status });
     
     return health;
   } catch (error) {
@@ -180,7 +247,9 @@ async function health(input) {
 }
 
 /**
- * Get system metrics for monitoring
+ * Get system metrics for monitoring.
+ * Tool latency and error rate cover calls since the agent started; mail counts
+ * are today's totals from mail_stats.
  */
 async function getMetrics() {
   try {
@@ -193,15 +262,18 @@ async function getMetrics() {
       },
       mail: {
         sent_today: 0,
-        received_today: 0,
-        queue_depth: 0
+        send_failures_today: 0,
+        fetched_today: 0,
+        queue_depth: null
       },
       storage: {
-        used_gb: 0,
-        free_gb: 0,
-        quota_usage_percent: 0
+        used_gb: null,
+        free_gb: null,
+        allocated_gb: 0,
+        quota_usage_percent: null
       },
       performance: {
+        tool_calls: 0,
         avg_response_time_ms: 0,
         error_rate_percent: 0
       }
@@ -212,7 +284,8 @@ async function getMetrics() {
       SELECT 
         COUNT(*) as total,
         COUNT(*) FILTER (WHERE status = 'active') as active,
-        COUNT(*) FILTER (WHERE status = 'suspended') as suspended
+        COUNT(*) FILTER (WHERE status = 'suspended') as suspended,
+        COALESCE(SUM(quota_mb) FILTER (WHERE status IN ('active', 'suspended')), 0) as quota_mb
       FROM users
     `);
     
@@ -222,10 +295,53 @@ async function getMetrics() {
         active: parseInt(userStats.rows[0].active),
         suspended: parseInt(userStats.rows[0].suspended)
       };
+      metrics.storage.allocated_gb = toGB(parseInt(userStats.rows[0].quota_mb) * 1024 * 1024);
+    }
+    
+    // Quota usage from the latest reading of each mailbox (see collectQuotaUsage)
+    const quotaStats = await query(`
+      SELECT COALESCE(SUM(latest.used_kb), 0) AS used_kb, COALESCE(SUM(u.quota_mb), 0) AS quota_mb
+      FROM users u
+      JOIN LATERAL (
+        SELECT used_kb FROM quota_usage WHERE user_id = u.id ORDER BY collected_at DESC LIMIT 1
+      ) latest ON true
+      WHERE u.status IN ('active', 'suspended')
+    `);
+    const quotaMB = parseInt(quotaStats.rows[0].quota_mb, 10);
+    if (quotaMB > 0) {
+      metrics.storage.quota_usage_percent =
+        Math.round((parseInt(quotaStats.rows[0].used_kb, 10) / (quotaMB * 1024)) * 1000) / 10;
+    }
+    
+    // Mail counters recorded by sendMail and fetchMail
+    const mailStats = await query('SELECT sent, send_failures, fetched FROM mail_stats WHERE day = CURRENT_DATE');
+    if (mailStats.rows.length > 0) {
+      metrics.mail.sent_today = mailStats.rows[0].sent;
+      metrics.mail.send_failures_today = mailStats.rows[0].send_failures;
+      metrics.mail.fetched_today = mailStats.rows[0].fetched;
+    }
+    
+    try {
+      metrics.mail.queue_depth = await postfixQueueDepth();
+    } catch (error) {
+      logger.warn('Failed to get queue depth:', error.message);
     }
     
-    // Get mail statistics (would be implemented with actual mail logs)
-    // For now, return placeholder data
+    // Mail volume usage
+    try {
+      const stats = await fs.statfs(MAIL_STORAGE_PATH);
+      metrics.storage.used_gb = toGB((stats.blocks - stats.bfree) * stats.bsize);
+      metrics.storage.free_gb = toGB(stats.bavail * stats.bsize);
+    } catch (error) {
+      logger.warn('Failed to get storage info:', error.message);
+    }
+    
+    const performance = await toolPerformance();
+    metrics.performance = {
+      tool_calls: performance.calls,
+      avg_response_time_ms: performance.avgResponseTimeMs,
+      error_rate_percent: performance.errorRatePercent
+    };
     
     return metrics;
   } catch (error) {
@@ -0,0 +1,232 @@
+const { query } = require('../database/connection');
+const { logger } = require('../utils/logger');
+const { stringifyCsv } = require('../utils/csv');
+const { ROLES } = require('../middleware/auth');
+const { ValidationError, codeOf } = require('../utils/errors');
+
+// Entries older than this move to audit_log_archive
+const AUDIT_RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS, 10) || 365;
+// Archived entries older than this are deleted; 0 keeps them forever
+const AUDIT_ARCHIVE_DAYS = parseInt(process.env.AUDIT_ARCHIVE_DAYS, 10) || 0;
+const AUDIT_ARCHIVE_BATCH_SIZE = 5000;
+
+const EXPORT_COLUMNS = ['id', 'createdAt', 'action', 'email', 'actor', 'ipAddress', 'userAgent', 'details'];
+
+/**
+ * Error for an audit query that cannot be carried out
+ */
+function auditRejected(message, reason = 'INVALID_QUERY') {
+  return new ValidationError(message, { reason });
+}
+
+/**
+ * Record a tool call with who made it and from where (`context` is the
+ * { caller, ip, userAgent } the tool ran with). Called for every call;
+ * failures are logged and never change the response.
+ */
+async function auditToolCall(context, tool, error = null) {
+  const caller = context.caller || null;
+
+  try {
+    await query(
+      `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        null,
+        'TOOL_CALL',
+        {
+          tool,
+          outcome: error ? 'error' : 'success',
+          code: error ? codeOf(error) : undefined,
+          reason: error ? error.reason || undefined : undefined,
+          role: caller ? caller.role : null
+        },
+        context.ip || null,
+        context.userAgent || null,
+        caller ? caller.email : null
+      ]
+    );
+  } catch (auditError) {
+    logger.error('Failed to write tool call to audit log:', auditError);
+  }
+}
+
+/**
+ * Opaque cursor for the entry a page ended at (entries are newest first). It
+ * keeps created_at as the database's text: a JS Date would cut the
+ * microseconds and skip entries between pages.
+ */
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify({ t: row.cursor_time, i: row.id })).toString('base64url');
+}
+
+/**
+ * Position of a cursor from encodeCursor
+ */
+function decodeCursor(cursor) {
+  try {
+    const { t, i } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof i !== 'string' || typeof t !== 'string' || !/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d{1,6})?$/.test(t)) {
+      throw new Error('malformed');
+    }
+    return { createdAt: t, id: i };
+  } catch (error) {
+    throw auditRejected('Invalid cursor', 'INVALID_CURSOR');
+  }
+}
+
+/**
+ * Map an audit row to the shape returned by queryAuditLog
+ */
+function formatEntry(row) {
+  return {
+    id: row.id,
+    createdAt: new Date(row.created_at).toISOString(),
+    action: row.action,
+    email: row.email || null,
+    actor: row.actor_email || null,
+    ipAddress: row.ip_address || null,
+    userAgent: row.user_agent || null,
+    details: row.details || {}
+  };
+}
+
+/**
+ * Read the audit log, newest first. Filters: the user an entry is about (`email`),
+ * `actions`, the `actor` who made the call, and a `since`/`until` time range.
+ * Pages are cut by position, so `nextCursor` is stable while entries are added.
+ * Domain admins only see entries about, or made by, addresses on their domain.
+ * With format 'csv' the page comes back as CSV text for export.
+ */
+async function queryAuditLog(input, context = {}) {
+  const {
+    email,
+    actions,
+    actor,
+    since,
+    until,
+    limit,
+    cursor,
+    format,
+    includeArchived
+  } = input;
+  const caller = context.caller;
+
+  try {
+    const conditions = [];
+    const params = [];
+    if (email) {
+      params.push(email);
+      conditions.push(`(LOWER(u.email) = LOWER($${params.length}) OR LOWER(u.original_email) = LOWER($${params.length}))`);
+    }
+    if (actions && actions.length > 0) {
+      params.push(actions.map(action => action.toUpperCase()));
+      conditions.push(`a.action = ANY($${params.length})`);
+    }
+    if (actor) {
+      params.push(actor);
+      conditions.push(`LOWER(a.actor_email) = LOWER($${params.length})`);
+    }
+    for (const [value, operator] of [[since, '>='], [until, '<']]) {
+      if (value) {
+        const time = new Date(value);
+        if (Number.isNaN(time.getTime())) {
+          throw auditRejected(`Invalid time: ${value}`);
+        }
+        params.push(time);
+        conditions.push(`a.created_at ${operator} $${params.length}`);
+      }
+    }
+    if (caller && caller.role === ROLES.DOMAIN_ADMIN) {
+      params.push(`%@${caller.domain}`);
+      conditions.push(`(LOWER(u.email) LIKE $${params.length} OR LOWER(a.actor_email) LIKE $${params.length})`);
+    }
+    if (cursor) {
+      const position = decodeCursor(cursor);
+      params.push(position.createdAt, position.id);
+      conditions.push(`(a.created_at, a.id) < ($${params.length - 1}::timestamp, $${params.length}::uuid)`);
+    }
+
+    const source = includeArchived
+      ? '(SELECT * FROM audit_log UNION ALL SELECT * FROM audit_log_archive)'
+      : 'audit_log';
+    const result = await query(
+      `SELECT a.*, a.created_at::text AS cursor_time, u.email
+       FROM ${source} a
+       LEFT JOIN users u ON u.id = a.user_id
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY a.created_at DESC, a.id DESC
+       LIMIT $${params.length + 1}`,
+      [...params, limit + 1]
+    );
+
+    const rows = result.rows.slice(0, limit);
+    const entries = rows.map(formatEntry);
+    const nextCursor = result.rows.length > limit ? encodeCursor(rows[rows.length - 1]) : null;
+
+    return {
+      format,
+      count: entries.length,
+      nextCursor,
+      data: format === 'csv'
+        ? stringifyCsv(entries.map(entry => ({ ...entry, details: JSON.stringify(entry.details) })), EXPORT_COLUMNS)
+        : entries
+    };
+  } catch (error) {
+    logger.error('Failed to query audit log:', error);
+    throw error;
+  }
+}
+
+/**
+ * Move entries older than AUDIT_RETENTION_DAYS to audit_log_archive, in batches,
+ * and delete archived entries older than AUDIT_ARCHIVE_DAYS when that is set
+ */
+async function archiveAuditLog() {
+  let archived = 0;
+  for (;;) {
+    const result = await query(
+      `WITH moved AS (
+         DELETE FROM audit_log
+         WHERE id IN (
+           SELECT id FROM audit_log
+           WHERE created_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+           LIMIT $2
+         )
+         RETURNING *
+       )
+       INSERT INTO audit_log_archive SELECT * FROM moved`,
+      [AUDIT_RETENTION_DAYS, AUDIT_ARCHIVE_BATCH_SIZE]
+    );
+    archived += result.rowCount;
+    if (result.rowCount < AUDIT_ARCHIVE_BATCH_SIZE) {
+      break;
+    }
+  }
+
+  let deleted = 0;
+  if (AUDIT_ARCHIVE_DAYS > 0) {
+    const result = await query(
+      'DELETE FROM audit_log_archive WHERE created_at < CURRENT_TIMESTAMP - make_interval(days => $1)',
+      [AUDIT_ARCHIVE_DAYS]
+    );
+    deleted = result.rowCount;
+  }
+
+  if (archived > 0 || deleted > 0) {
+    // Log audit event
+    await query(
+      'INSERT INTO audit_log (user_id, action, details) VALUES ($1, $2, $3)',
+      [null, 'AUDIT_LOG_ARCHIVED', { archived, deleted, retentionDays: AUDIT_RETENTION_DAYS, archiveDays: AUDIT_ARCHIVE_DAYS }]
+    );
+    logger.info('Audit log archived', { archived, deleted });
+  }
+
+  return { archived, deleted };
+}
+
+module.exports = {
+  auditToolCall,
+  queryAuditLog,
+  archiveAuditLog
+};
@@ -0,0 +1,114 @@
+const { withTransaction } = require('../database/transaction');
+const { logger } = require('../utils/logger');
+const { ValidationError } = require('../utils/errors');
+const { auditColumns } = require('../middleware/auth');
+const { findUser } = require('./filterManagement');
+const { loadAutoreply, autoreplyState, deploySieveScript } = require('./sieveScripts');
+
+const AUTOREPLY_INTERVAL_DAYS = parseInt(process.env.AUTOREPLY_INTERVAL_DAYS, 10) || 7;
+
+/**
+ * Map an autoreplies row to the shape returned by the tools
+ */
+function formatAutoreply(email, row) {
+  return {
+    email,
+    enabled: Boolean(row && row.enabled),
+    state: autoreplyState(row),
+    subject: row ? row.subject : null,
+    message: row ? row.message : null,
+    internalMessage: row ? row.internal_message : null,
+    externalMessage: row ? row.external_message : null,
+    startISO: row && row.start_date ? new Date(row.start_date).toISOString() : null,
+    endISO: row && row.end_date ? new Date(row.end_date).toISOString() : null,
+    replyIntervalDays: row ? row.reply_interval_days : AUTOREPLY_INTERVAL_DAYS
+  };
+}
+
+/**
+ * Set vacation auto-reply.
+ * Replies go out only between startISO and endISO, at most once per sender every
+ * replyIntervalDays. Senders on the mailbox's own domain get internalMessage,
+ * everyone else externalMessage; both default to message.
+ */
+async function setAutoreply(input, context = {}) {
+  const {
+    email,
+    enabled,
+    subject = null,
+    message = null,
+    internalMessage = null,
+    externalMessage = null,
+    replyIntervalDays = AUTOREPLY_INTERVAL_DAYS
+  } = input;
+  const startDate = input.startISO ? new Date(input.startISO) : null;
+  const endDate = input.endISO ? new Date(input.endISO) : null;
+
+  try {
+    if (enabled && !message && !(internalMessage && externalMessage)) {
+      throw new ValidationError('message is required unless both internalMessage and externalMessage are set');
+    }
+    if (startDate && endDate && endDate <= startDate) {
+      throw new ValidationError('endISO must be after startISO');
+    }
+    if (enabled && endDate && endDate <= new Date()) {
+      throw new ValidationError('endISO is in the past');
+    }
+
+    const user = await findUser(email);
+
+    await withTransaction(async (client) => {
+      await client.query('DELETE FROM autoreplies WHERE user_id = $1', [user.id]);
+
+      await client.query(
+        `INSERT INTO autoreplies
+           (user_id, enabled, subject, message, internal_message, external_message,
+            start_date, end_date, reply_interval_days)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [user.id, enabled, subject, message, internalMessage, externalMessage, startDate, endDate, replyIntervalDays]
+      );
+
+      // Log audit event
+      await client.query(
+        `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [user.id, 'AUTOREPLY_SET', {
+          email,
+          enabled,
+          startISO: input.startISO,
+          endISO: input.endISO,
+          replyIntervalDays
+        }, ...auditColumns(context)]
+      );
+    });
+
+    await deploySieveScript(user);
+
+    logger.info(`Auto-reply ${enabled ? 'enabled' : 'disabled'} for ${email}`);
+
+    return { status: 'ok', autoreply: formatAutoreply(email, await loadAutoreply(user.id)) };
+  } catch (error) {
+    logger.error('Failed to set auto-reply:', error);
+    throw error;
+  }
+}
+
+/**
+ * Current auto-reply settings and whether they are in effect
+ */
+async function getAutoreply(input) {
+  const { email } = input;
+
+  try {
+    const user = await findUser(email);
+    return formatAutoreply(email, await loadAutoreply(user.id));
+  } catch (error) {
+    logger.error('Failed to get auto-reply:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  setAutoreply,
+  getAutoreply
+};
@@ -0,0 +1,347 @@
+const crypto = require('crypto');
+const { query } = require('../database/connection');
+const { logger } = require('../utils/logger');
+const { parseCsv, stringifyCsv } = require('../utils/csv');
+const { ROLES } = require('../middleware/auth');
+const { compileSchema, validateToolInput } = require('../middleware/schemaValidation');
+const { passwordProblems } = require('../utils/passwords');
+const { ValidationError, errorResponse } = require('../utils/errors');
+const userTools = require('./userManagement');
+const forwardingTools = require('./forwardingManagement');
+
+const BULK_MAX_ROWS = parseInt(process.env.BULK_MAX_ROWS, 10) || 5000;
+const EXPORT_COLUMNS = ['email', 'displayName', 'quotaMB', 'status', 'aliases', 'forwarding', 'createdAt'];
+
+// An import row is provisionUser's input plus forwarding; the password may be
+// left out when generatePasswords is set
+const validateRow = compileSchema({
+  ...userTools.provisionUserInput,
+  properties: {
+    ...userTools.provisionUserInput.properties,
+    forwarding: { type: 'array', items: { type: 'string', format: 'email' }, default: [] }
+  },
+  required: ['email', 'displayName']
+});
+
+/**
+ * Split a list cell from CSV ("a@x.com;b@x.com") into addresses
+ */
+function splitList(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return [];
+  }
+  return String(value).split(/[;\s]+/).filter(Boolean);
+}
+
+/**
+ * Turn the raw import payload into row objects
+ */
+function readRows(format, data) {
+  if (format === 'csv') {
+    if (typeof data !== 'string') {
+      throw new ValidationError('CSV import expects data as a string');
+    }
+    return parseCsv(data).map(record => ({
+      ...record,
+      // CSV cells are text; a quota that is not a whole number is left for validation to refuse
+      quotaMB: record.quotaMB === '' ? undefined : (/^\d+$/.test(record.quotaMB) ? Number(record.quotaMB) : record.quotaMB),
+      password: record.password === '' ? undefined : record.password,
+      aliases: splitList(record.aliases),
+      forwarding: splitList(record.forwarding)
+    }));
+  }
+
+  let rows = data;
+  if (typeof data === 'string') {
+    try {
+      rows = JSON.parse(data);
+    } catch (error) {
+      throw new ValidationError(`JSON import data is not valid JSON: ${error.message}`);
+    }
+  }
+  if (!Array.isArray(rows)) {
+    throw new ValidationError('JSON import expects an array of users');
+  }
+  return rows.map(row => ({ ...row, aliases: splitList(row.aliases), forwarding: splitList(row.forwarding) }));
+}
+
+/**
+ * Generate an initial password that is returned once and never stored in clear.
+ * Random base64url text occasionally lacks a character class, so draw until it passes.
+ */
+function generatePassword(email) {
+  let password;
+  do {
+    password = crypto.randomBytes(12).toString('base64url');
+  } while (passwordProblems(password, email).length > 0);
+  return password;
+}
+
+/**
+ * Validate every row, including duplicates inside the file and against the database
+ */
+async function validateRows(rows, { generatePasswords, caller }) {
+  const results = rows.map((raw, index) => {
+    const errors = [];
+    let value = { ...raw };
+    try {
+      validateToolInput(validateRow, value);
+      value = {
+        ...value,
+        email: value.email.toLowerCase(),
+        aliases: value.aliases.map(alias => alias.toLowerCase()),
+        forwarding: value.forwarding.map(address => address.toLowerCase())
+      };
+    } catch (error) {
+      errors.push(...error.details.fields.map(({ field, message }) => `${field} ${message}`));
+      value = null;
+    }
+
+    if (!generatePasswords && value && !value.password) {
+      errors.push('password is required unless generatePasswords is set');
+    }
+    if (value && value.password) {
+      errors.push(...passwordProblems(value.password, value.email).map(problem => `password ${problem}`));
+    }
+
+    return { row: index + 1, email: value ? value.email : raw.email, value, errors };
+  });
+
+  // Domain admins may only import into their own domain
+  if (caller && caller.role === ROLES.DOMAIN_ADMIN) {
+    for (const result of results.filter(r => r.errors.length === 0)) {
+      const addresses = [result.value.email, ...result.value.aliases];
+      if (addresses.some(address => address.split('@').pop() !== caller.domain)) {
+        result.errors.push(`addresses must belong to ${caller.domain}`);
+      }
+    }
+  }
+
+  // Every address must be on an active managed domain
+  const domainNames = new Set();
+  for (const result of results.filter(r => r.errors.length === 0)) {
+    for (const address of [result.value.email, ...result.value.aliases]) {
+      domainNames.add(address.split('@').pop());
+    }
+  }
+  if (domainNames.size > 0) {
+    const domains = await query(
+      "SELECT name FROM domains WHERE name = ANY($1) AND status = 'active'",
+      [Array.from(domainNames)]
+    );
+    const managed = new Set(domains.rows.map(row => row.name));
+
+    for (const result of results.filter(r => r.errors.length === 0)) {
+      const rowDomains = new Set([result.value.email, ...result.value.aliases].map(address => address.split('@').pop()));
+      for (const domain of rowDomains) {
+        if (!managed.has(domain)) {
+          result.errors.push(`${domain} is not an active managed domain`);
+        }
+      }
+    }
+  }
+
+  // Addresses repeated inside the file
+  const seen = new Map();
+  for (const result of results.filter(r => r.errors.length === 0)) {
+    for (const address of [result.value.email, ...result.value.aliases]) {
+      if (seen.has(address)) {
+        result.errors.push(`${address} is already used on row ${seen.get(address)}`);
+      } else {
+        seen.set(address, result.row);
+      }
+    }
+  }
+
+  // Addresses already taken in the database
+  const addresses = Array.from(seen.keys());
+  if (addresses.length > 0) {
+    const [users, aliases] = await Promise.all([
+      query('SELECT email FROM users WHERE LOWER(email) = ANY($1)', [addresses]),
+      query('SELECT alias_email FROM aliases WHERE LOWER(alias_email) = ANY($1)', [addresses])
+    ]);
+    const taken = new Set([
+      ...users.rows.map(row => row.email.toLowerCase()),
+      ...aliases.rows.map(row => row.alias_email.toLowerCase())
+    ]);
+
+    for (const result of results.filter(r => r.errors.length === 0)) {
+      for (const address of [result.value.email, ...result.value.aliases]) {
+        if (taken.has(address)) {
+          result.errors.push(`${address} already exists`);
+        }
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Provision one validated row, then its forwarding. A mailbox whose forwarding
+ * is refused still counts as created (with `forwardingError`), so its generated
+ * password is not lost.
+ */
+async function provisionRow(result, { generatePasswords }, context) {
+  const { email, displayName, quotaMB, aliases, forwarding } = result.value;
+  const password = result.value.password || (generatePasswords ? generatePassword(email) : undefined);
+
+  let created;
+  try {
+    created = await userTools.provisionUser({ email, displayName, password, quotaMB, aliases }, context);
+  } catch (error) {
+    return { row: result.row, email, status: 'failed', error: errorResponse(error).body.error.message };
+  }
+
+  const outcome = { row: result.row, email, status: 'created', userId: created.userId };
+  if (!result.value.password) {
+    outcome.generatedPassword = password;
+  }
+
+  if (forwarding.length > 0) {
+    try {
+      await forwardingTools.setForwarding({ email, forwardTo: forwarding, keepCopy: true }, context);
+    } catch (error) {
+      outcome.forwardingError = errorResponse(error).body.error.message;
+    }
+  }
+  return outcome;
+}
+
+/**
+ * Provision many users from CSV or JSON.
+ * Every row is validated first; with dryRun only the validation report is returned.
+ */
+async function bulkProvisionUsers(input, context = {}) {
+  const {
+    format,
+    data,
+    dryRun,
+    skipInvalid,
+    batchSize,
+    generatePasswords
+  } = input;
+
+  try {
+    const rows = readRows(format, data);
+    if (rows.length === 0) {
+      throw new ValidationError('Import contains no rows');
+    }
+    if (rows.length > BULK_MAX_ROWS) {
+      throw new ValidationError(`Import has ${rows.length} rows; the limit is ${BULK_MAX_ROWS}`);
+    }
+
+    const validated = await validateRows(rows, { generatePasswords, caller: context.caller });
+    const invalid = validated.filter(result => result.errors.length > 0);
+    const report = {
+      total: validated.length,
+      valid: validated.length - invalid.length,
+      invalid: invalid.length
+    };
+
+    if (dryRun || (invalid.length > 0 && !skipInvalid)) {
+      return {
+        status: dryRun ? 'dry_run' : 'rejected',
+        ...report,
+        rows: validated.map(result => ({
+          row: result.row,
+          email: result.email,
+          status: result.errors.length > 0 ? 'invalid' : 'valid',
+          errors: result.errors
+        }))
+      };
+    }
+
+    const results = invalid.map(result => ({
+      row: result.row,
+      email: result.email,
+      status: 'invalid',
+      errors: result.errors
+    }));
+
+    const valid = validated.filter(result => result.errors.length === 0);
+    for (let i = 0; i < valid.length; i += batchSize) {
+      const batch = valid.slice(i, i + batchSize);
+      results.push(...await Promise.all(batch.map(result => provisionRow(result, { generatePasswords }, context))));
+      logger.info(`Bulk provisioning progress: ${Math.min(i + batchSize, valid.length)}/${valid.length}`);
+    }
+
+    results.sort((a, b) => a.row - b.row);
+    const created = results.filter(result => result.status === 'created').length;
+
+    logger.info('Bulk provisioning completed', { ...report, created });
+
+    return {
+      status: 'completed',
+      ...report,
+      created,
+      failed: results.filter(result => result.status === 'failed').length,
+      forwardingFailed: results.filter(result => result.forwardingError).length,
+      rows: results
+    };
+  } catch (error) {
+    logger.error('Bulk provisioning failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Export users with their aliases and forwarding as CSV or JSON
+ */
+async function exportUsers(input, context = {}) {
+  const { format, status } = input;
+  const caller = context.caller;
+  const domain = input.domain || (caller && caller.role === ROLES.DOMAIN_ADMIN ? caller.domain : null);
+
+  try {
+    const conditions = [];
+    const params = [];
+    if (domain) {
+      params.push(`%@${domain.toLowerCase()}`);
+      conditions.push(`LOWER(u.email) LIKE $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`u.status = $${params.length}`);
+    }
+
+    const result = await query(
+      `SELECT u.email, u.display_name, u.quota_mb, u.status, u.created_at,
+              COALESCE(ARRAY(SELECT a.alias_email FROM aliases a WHERE a.user_id = u.id ORDER BY a.alias_email), '{}') AS aliases,
+              COALESCE(ARRAY(SELECT DISTINCT unnest(f.forward_to) FROM forwarding f WHERE f.user_id = u.id), '{}') AS forwarding
+       FROM users u
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY u.email`,
+      params
+    );
+
+    const users = result.rows.map(row => ({
+      email: row.email,
+      displayName: row.display_name,
+      quotaMB: row.quota_mb,
+      status: row.status,
+      aliases: row.aliases,
+      forwarding: row.forwarding,
+      createdAt: new Date(row.created_at).toISOString()
+    }));
+
+    logger.info(`Exported ${users.length} users`, { format, domain, status });
+
+    return {
+      format,
+      count: users.length,
+      data: format === 'csv' ? stringifyCsv(users, EXPORT_COLUMNS) : users
+    };
+  } catch (error) {
+    logger.error('Failed to export users:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  bulkProvisionUsers,
+  exportUsers
+};
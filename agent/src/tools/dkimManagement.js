@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { query } = require('../database/connection');
+const { withTransaction } = require('../database/transaction');
+const { logger } = require('../utils/logger');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+const { auditColumns } = require('../middleware/auth');
+const { getManagedDomain } = require('./domainManagement');
+
+const DKIM_KEYS_PATH = process.env.DKIM_KEYS_PATH || '/secrets/dkim';
+const DKIM_PROPAGATION_HOURS = parseFloat(process.env.DKIM_PROPAGATION_HOURS || '24');
+
+// DNS TXT character-strings are limited to 255 bytes each
+const TXT_CHUNK_SIZE = 255;
+
+/**
+ * Generate a DKIM keypair; returns the private key PEM and the DNS `p=` value
+ */
+function generateKeyPair(algorithm, keyBits) {
+  if (algorithm === 'ed25519') {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    // RFC 8463: p= carries the raw 32-byte key, not the SPKI structure
+    const spki = publicKey.export({ type: 'spki', format: 'der' });
+    return {
+      privateKeyPem: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      publicKey: spki.subarray(spki.length - 32).toString('base64')
+    };
+  }
+
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: keyBits });
+  return {
+    privateKeyPem: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64')
+  };
+}
+
+/**
+ * The TXT record that publishes a key
+ */
+function dkimRecord(domain, key) {
+  const value = `v=DKIM1; k=${key.algorithm}; p=${key.public_key}`;
+  const chunks = [];
+  for (let i = 0; i < value.length; i += TXT_CHUNK_SIZE) {
+    chunks.push(value.slice(i, i + TXT_CHUNK_SIZE));
+  }
+
+  return {
+    name: `${key.selector}._domainkey.${domain}`,
+    type: 'TXT',
+    value,
+    chunks
+  };
+}
+
+/**
+ * Pull the p= value out of a DKIM TXT record
+ */
+function publicKeyFromRecord(txt) {
+  const match = /(?:^|;)\s*p=([^;]*)/.exec(txt);
+  return match ? match[1].replace(/\s+/g, '') : null;
+}
+
+/**
+ * Map a dkim_keys row to the shape returned by the tools
+ */
+function formatKey(domain, row) {
+  return {
+    selector: row.selector,
+    algorithm: row.algorithm,
+    keyBits: row.key_bits,
+    state: row.state,
+    createdAt: row.created_at,
+    publishedAt: row.published_at,
+    activatedAt: row.activated_at,
+    retiredAt: row.retired_at,
+    record: dkimRecord(domain, row)
+  };
+}
+
+/**
+ * Pick a selector that is not in use yet: s<YYYYMMDD>, then s<YYYYMMDD>b, c, ...
+ */
+async function nextSelector(domainId) {
+  const base = `s${new Date().toISOString().slice(0, 10).replace(/-/g, '')}`;
+  const existing = await query(
+    'SELECT selector FROM dkim_keys WHERE domain_id = $1 AND selector LIKE $2',
+    [domainId, `${base}%`]
+  );
+  const taken = new Set(existing.rows.map(row => row.selector));
+
+  let selector = base;
+  for (let suffix = 98; taken.has(selector); suffix++) {
+    selector = `${base}${String.fromCharCode(suffix)}`;
+  }
+  return selector;
+}
+
+/**
+ * Generate a new DKIM key under a new selector.
+ * The key starts as 'pending'; it becomes active once dnsStatus sees it published.
+ */
+async function rotateDkimKey(input, context = {}) {
+  const { domain, algorithm, keyBits } = input;
+
+  try {
+    const managedDomain = await getManagedDomain(domain);
+    if (!managedDomain) {
+      throw new NotFoundError(`Domain ${domain} is not managed by this server`);
+    }
+
+    const selector = input.selector || await nextSelector(managedDomain.id);
+    const existing = await query(
+      'SELECT id FROM dkim_keys WHERE domain_id = $1 AND selector = $2',
+      [managedDomain.id, selector]
+    );
+    if (existing.rows.length > 0 || selector === managedDomain.dkim_selector) {
+      throw new ConflictError(`Selector ${selector} is already in use for ${managedDomain.name}`);
+    }
+
+    const { privateKeyPem, publicKey } = generateKeyPair(algorithm, keyBits);
+
+    const keyDir = path.join(DKIM_KEYS_PATH, managedDomain.name);
+    const privateKeyPath = path.join(keyDir, `${selector}.private`);
+    await fs.mkdir(keyDir, { recursive: true, mode: 0o700 });
+    await fs.writeFile(privateKeyPath, privateKeyPem, { mode: 0o600, flag: 'wx' });
+
+    const key = await withTransaction(async (client) => {
+      // A newer rotation supersedes keys that were never published
+      const superseded = await client.query(
+        `UPDATE dkim_keys SET state = 'retired', retired_at = CURRENT_TIMESTAMP
+         WHERE domain_id = $1 AND state = 'pending' RETURNING selector`,
+        [managedDomain.id]
+      );
+
+      const result = await client.query(
+        `INSERT INTO dkim_keys (domain_id, selector, algorithm, key_bits, public_key, private_key_path)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        [managedDomain.id, selector, algorithm, algorithm === 'rsa' ? keyBits : 256, publicKey, privateKeyPath]
+      );
+
+      // Log audit event
+      await client.query(
+        `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [null, 'DKIM_KEY_CREATED', {
+          domain: managedDomain.name,
+          selector,
+          algorithm,
+          superseded: superseded.rows.map(row => row.selector)
+        }, ...auditColumns(context)]
+      );
+
+      return result.rows[0];
+    });
+
+    logger.info(`DKIM key generated for ${managedDomain.name}`, { selector, algorithm });
+
+    return {
+      status: 'pending',
+      key: formatKey(managedDomain.name, key),
+      instructions: 'Publish the TXT record, then run dnsStatus; the key becomes active once the record is '
+        + `seen in DNS and has been published for ${DKIM_PROPAGATION_HOURS} hours.`
+    };
+  } catch (error) {
+    logger.error('Failed to rotate DKIM key:', error);
+    throw error;
+  }
+}
+
+/**
+ * List the DKIM keys of a domain
+ */
+async function listDkimKeys(input) {
+  const { domain, state } = input;
+
+  try {
+    const managedDomain = await getManagedDomain(domain);
+    if (!managedDomain) {
+      throw new NotFoundError(`Domain ${domain} is not managed by this server`);
+    }
+
+    const params = [managedDomain.id];
+    let stateFilter = '';
+    if (state) {
+      params.push(state);
+      stateFilter = `AND state = $${params.length}`;
+    }
+
+    const result = await query(
+      `SELECT * FROM dkim_keys WHERE domain_id = $1 ${stateFilter} ORDER BY created_at DESC`,
+      params
+    );
+
+    return {
+      domain: managedDomain.name,
+      activeSelector: managedDomain.dkim_selector,
+      keys: result.rows.map(row => formatKey(managedDomain.name, row))
+    };
+  } catch (error) {
+    logger.error('Failed to list DKIM keys:', error);
+    throw error;
+  }
+}
+
+/**
+ * Selectors dnsStatus should look up for a managed domain: the active one plus keys in rotation
+ */
+async function rotationSelectors(managedDomain) {
+  const result = await query(
+    `SELECT selector FROM dkim_keys WHERE domain_id = $1 AND state IN ('pending', 'published')`,
+    [managedDomain.id]
+  );
+  return result.rows.map(row => row.selector);
+}
+
+/**
+ * Advance key states from what dnsStatus found in DNS.
+ * `dkimRecords` is a list of { selector, txt }. A pending key whose record matches
+ * its public key becomes 'published'; a published key still matching after the
+ * propagation delay becomes 'active' and the previous active key is retired.
+ */
+async function syncDkimKeys(managedDomain, dkimRecords) {
+  const keys = await query(
+    `SELECT * FROM dkim_keys WHERE domain_id = $1 AND state IN ('pending', 'published') ORDER BY created_at`,
+    [managedDomain.id]
+  );
+
+  const changes = [];
+  for (const key of keys.rows) {
+    const record = dkimRecords.find(r => r.selector === key.selector);
+    const matches = Boolean(record) && publicKeyFromRecord(record.txt) === key.public_key;
+
+    if (!matches) {
+      if (key.state === 'published') {
+        logger.warn(`DKIM record for ${key.selector}._domainkey.${managedDomain.name} no longer matches its key`);
+        changes.push({ selector: key.selector, state: key.state, warning: 'record missing or mismatched' });
+      }
+      continue;
+    }
+
+    if (key.state === 'pending') {
+      await withTransaction(async (client) => {
+        await client.query(
+          `UPDATE dkim_keys SET state = 'published', published_at = CURRENT_TIMESTAMP WHERE id = $1`,
+          [key.id]
+        );
+        // Log audit event
+        await client.query(
+          'INSERT INTO audit_log (user_id, action, details) VALUES ($1, $2, $3)',
+          [null, 'DKIM_KEY_PUBLISHED', { domain: managedDomain.name, selector: key.selector }]
+        );
+      });
+      key.state = 'published';
+      key.published_at = new Date();
+      changes.push({ selector: key.selector, state: 'published' });
+    }
+
+    const publishedHours = (Date.now() - new Date(key.published_at).getTime()) / (60 * 60 * 1000);
+    if (key.state === 'published' && publishedHours >= DKIM_PROPAGATION_HOURS) {
+      await withTransaction(async (client) => {
+        const retired = await client.query(
+          `UPDATE dkim_keys SET state = 'retired', retired_at = CURRENT_TIMESTAMP
+           WHERE domain_id = $1 AND state = 'active' RETURNING selector`,
+          [managedDomain.id]
+        );
+        await client.query(
+          `UPDATE dkim_keys SET state = 'active', activated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+          [key.id]
+        );
+        await client.query(
+          'UPDATE domains SET dkim_selector = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+          [key.selector, managedDomain.id]
+        );
+        // Log audit event
+        await client.query(
+          'INSERT INTO audit_log (user_id, action, details) VALUES ($1, $2, $3)',
+          [null, 'DKIM_KEY_ACTIVATED', {
+            domain: managedDomain.name,
+            selector: key.selector,
+            retired: retired.rows.map(row => row.selector)
+          }]
+        );
+      });
+      managedDomain.dkim_selector = key.selector;
+      changes.push({ selector: key.selector, state: 'active' });
+      logger.info(`DKIM key activated for ${managedDomain.name}`, { selector: key.selector });
+    }
+  }
+
+  return changes;
+}
+
+module.exports = {
+  rotateDkimKey,
+  listDkimKeys,
+  rotationSelectors,
+  syncDkimKeys,
+  publicKeyFromRecord
+};
@@ -0,0 +1,313 @@
+const { query } = require('../database/connection');
+const { withTransaction } = require('../database/transaction');
+const { logger } = require('../utils/logger');
+const { ROLES, auditColumns } = require('../middleware/auth');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)(?!-)[a-z0-9-]{1,63}(?<!-)(\.(?!-)[a-z0-9-]{1,63}(?<!-))+$/;
+
+/**
+ * Map a domains row to the shape returned by the tools
+ */
+function formatDomain(row) {
+  return {
+    name: row.name,
+    status: row.status,
+    defaultQuotaMB: row.default_quota_mb,
+    maxUsers: row.max_users,
+    dkimSelector: row.dkim_selector,
+    forwarding: {
+      maxExternal: row.max_external_forwards,
+      allow: row.forward_allow || [],
+      deny: row.forward_deny || [],
+      verification: row.forward_verification
+    },
+    users: row.user_count !== undefined ? parseInt(row.user_count, 10) : undefined,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Get the domain part of an email address
+ */
+function domainOf(email) {
+  return String(email).split('@').pop().toLowerCase();
+}
+
+/**
+ * Look up a managed domain by name (null when it is not managed).
+ * Pass a transaction client and `forUpdate` to lock the row.
+ */
+async function getManagedDomain(name, client = { query }, forUpdate = false) {
+  const result = await client.query(
+    `SELECT * FROM domains WHERE name = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+    [String(name).toLowerCase()]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Ensure an address belongs to an active managed domain and return that domain
+ */
+async function assertManagedAddress(email, client = { query }, forUpdate = false) {
+  const name = domainOf(email);
+  const domain = await getManagedDomain(name, client, forUpdate);
+
+  if (!domain) {
+    throw new ValidationError(`Domain ${name} is not managed by this server`, { reason: 'DOMAIN_NOT_MANAGED' });
+  }
+  if (domain.status !== 'active') {
+    throw new ValidationError(`Domain ${name} is not active`, { reason: 'DOMAIN_INACTIVE' });
+  }
+  return domain;
+}
+
+/**
+ * Count mailboxes on a domain that still hold an address
+ */
+async function countDomainUsers(name, client = { query }) {
+  const result = await client.query(
+    `SELECT COUNT(*) AS count FROM users WHERE email LIKE $1 AND status <> 'purged'`,
+    [`%@${name}`]
+  );
+  return parseInt(result.rows[0].count, 10);
+}
+
+/**
+ * Add a domain to be hosted
+ */
+async function addDomain(input, context = {}) {
+  const {
+    defaultQuotaMB,
+    maxUsers = null,
+    dkimSelector,
+    maxExternalForwards = null,
+    forwardAllow,
+    forwardDeny,
+    forwardVerification
+  } = input;
+  const name = String(input.name).toLowerCase();
+
+  try {
+    if (!DOMAIN_PATTERN.test(name)) {
+      throw new ValidationError(`Invalid domain name: ${input.name}`);
+    }
+
+    const existing = await getManagedDomain(name);
+    if (existing) {
+      throw new ConflictError(`Domain ${name} already exists`);
+    }
+
+    const domain = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO domains (name, default_quota_mb, max_users, dkim_selector,
+                              max_external_forwards, forward_allow, forward_deny, forward_verification)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+        [
+          name,
+          defaultQuotaMB,
+          maxUsers,
+          dkimSelector,
+          maxExternalForwards,
+          forwardAllow.map(pattern => pattern.toLowerCase()),
+          forwardDeny.map(pattern => pattern.toLowerCase()),
+          forwardVerification
+        ]
+      );
+
+      // Log audit event
+      await client.query(
+        `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [null, 'DOMAIN_ADDED', {
+          name,
+          defaultQuotaMB,
+          maxUsers,
+          dkimSelector,
+          maxExternalForwards,
+          forwardAllow,
+          forwardDeny,
+          forwardVerification
+        }, ...auditColumns(context)]
+      );
+
+      return result.rows[0];
+    });
+
+    logger.info(`Domain added: ${name}`);
+
+    return { status: 'created', domain: formatDomain(domain) };
+  } catch (error) {
+    logger.error('Failed to add domain:', error);
+    throw error;
+  }
+}
+
+/**
+ * Change a domain's defaults, user limit, DKIM selector, forwarding policy or status
+ */
+async function updateDomain(input, context = {}) {
+  const {
+    name,
+    defaultQuotaMB,
+    maxUsers,
+    dkimSelector,
+    status,
+    maxExternalForwards,
+    forwardAllow,
+    forwardDeny,
+    forwardVerification
+  } = input;
+
+  try {
+    const domain = await withTransaction(async (client) => {
+      const current = await getManagedDomain(name, client, true);
+      if (!current) {
+        throw new NotFoundError(`Domain ${name} not found`);
+      }
+
+      const result = await client.query(
+        `UPDATE domains SET
+           default_quota_mb = $1,
+           max_users = $2,
+           dkim_selector = $3,
+           status = $4,
+           max_external_forwards = $5,
+           forward_allow = $6,
+           forward_deny = $7,
+           forward_verification = $8,
+           updated_at = CURRENT_TIMESTAMP
+         WHERE id = $9 RETURNING *`,
+        [
+          defaultQuotaMB !== undefined ? defaultQuotaMB : current.default_quota_mb,
+          maxUsers !== undefined ? maxUsers : current.max_users,
+          dkimSelector !== undefined ? dkimSelector : current.dkim_selector,
+          status !== undefined ? status : current.status,
+          maxExternalForwards !== undefined ? maxExternalForwards : current.max_external_forwards,
+          forwardAllow !== undefined ? forwardAllow.map(pattern => pattern.toLowerCase()) : current.forward_allow,
+          forwardDeny !== undefined ? forwardDeny.map(pattern => pattern.toLowerCase()) : current.forward_deny,
+          forwardVerification !== undefined ? forwardVerification : current.forward_verification,
+          current.id
+        ]
+      );
+
+      // Log audit event
+      await client.query(
+        `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [null, 'DOMAIN_UPDATED', {
+          name: current.name,
+          defaultQuotaMB,
+          maxUsers,
+          dkimSelector,
+          status,
+          maxExternalForwards,
+          forwardAllow,
+          forwardDeny,
+          forwardVerification
+        }, ...auditColumns(context)]
+      );
+
+      return result.rows[0];
+    });
+
+    logger.info(`Domain updated: ${name}`);
+
+    return { status: 'ok', domain: formatDomain(domain) };
+  } catch (error) {
+    logger.error('Failed to update domain:', error);
+    throw error;
+  }
+}
+
+/**
+ * Stop hosting a domain. Only domains without remaining mailboxes can be removed.
+ */
+async function removeDomain(input, context = {}) {
+  const name = String(input.name).toLowerCase();
+
+  try {
+    await withTransaction(async (client) => {
+      const domain = await getManagedDomain(name, client, true);
+      if (!domain) {
+        throw new NotFoundError(`Domain ${name} not found`);
+      }
+
+      const users = await countDomainUsers(name, client);
+      if (users > 0) {
+        throw new ConflictError(`Domain still has ${users} mailboxes; delete them first`);
+      }
+
+      const aliases = await client.query('SELECT COUNT(*) AS count FROM aliases WHERE alias_email LIKE $1', [`%@${name}`]);
+      if (parseInt(aliases.rows[0].count, 10) > 0) {
+        throw new ConflictError('Domain still has aliases pointing at other mailboxes; remove them first');
+      }
+
+      await client.query('DELETE FROM domains WHERE id = $1', [domain.id]);
+
+      // Log audit event
+      await client.query(
+        `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [null, 'DOMAIN_REMOVED', { name }, ...auditColumns(context)]
+      );
+    });
+
+    logger.info(`Domain removed: ${name}`);
+
+    return { status: 'ok' };
+  } catch (error) {
+    logger.error('Failed to remove domain:', error);
+    throw error;
+  }
+}
+
+/**
+ * List hosted domains with their mailbox counts
+ */
+async function listDomains(input, context = {}) {
+  const { status } = input;
+  const caller = context.caller;
+
+  try {
+    const conditions = [];
+    const params = [];
+    if (status) {
+      params.push(status);
+      conditions.push(`d.status = $${params.length}`);
+    }
+    // Domain admins only see their own domain
+    if (caller && caller.role === ROLES.DOMAIN_ADMIN) {
+      params.push(caller.domain);
+      conditions.push(`d.name = $${params.length}`);
+    }
+
+    const result = await query(
+      `SELECT d.*,
+              (SELECT COUNT(*) FROM users u WHERE u.email LIKE '%@' || d.name AND u.status <> 'purged') AS user_count
+       FROM domains d
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY d.name`,
+      params
+    );
+
+    return {
+      domains: result.rows.map(formatDomain),
+      count: result.rows.length
+    };
+  } catch (error) {
+    logger.error('Failed to list domains:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  addDomain,
+  updateDomain,
+  removeDomain,
+  listDomains,
+  getManagedDomain,
+  assertManagedAddress,
+  domainOf,
+  countDomainUsers
+};
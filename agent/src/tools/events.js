@@ -0,0 +1,129 @@
+const { query } = require('../database/connection');
+const { logger } = require('../utils/logger');
+const { domainOf } = require('./domainManagement');
+
+// Events kept for GET /events to replay from; webhook deliveries carry their own copy
+const EVENT_RETENTION_DAYS = parseInt(process.env.EVENT_RETENTION_DAYS, 10) || 7;
+const EVENT_PAGE_SIZE = 100;
+
+// Events raised by userManagement alongside its audit rows
+const EVENT_TYPES = [
+  'mailbox.created',
+  'mailbox.suspended',
+  'mailbox.deleted',
+  'mailbox.reactivated',
+  'alias.created',
+  'alias.removed',
+  'quota.changed'
+];
+
+/**
+ * Map an events row to the payload streamed and delivered to webhooks
+ */
+function formatEvent(row) {
+  return {
+    id: String(row.id),
+    type: row.type,
+    createdAt: new Date(row.created_at).toISOString(),
+    data: row.data
+  };
+}
+
+/**
+ * Record a mailbox event and queue it for every webhook subscribed to its type.
+ * Pass the transaction client that writes the matching audit row, so the event
+ * exists exactly when the change it describes was committed.
+ */
+async function recordEvent(type, data, client = { query }) {
+  const result = await client.query(
+    'INSERT INTO events (type, domain, data) VALUES ($1, $2, $3) RETURNING *',
+    [type, domainOf(data.email), data]
+  );
+  const event = formatEvent(result.rows[0]);
+
+  await client.query(
+    `INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload)
+     SELECT id, $1, $2, $3 FROM webhooks
+     WHERE active AND (cardinality(events) = 0 OR $2 = ANY(events))`,
+    [event.id, type, event]
+  );
+
+  return event;
+}
+
+/**
+ * Stream position after an events row: "<txid>.<id>"
+ */
+function cursorOf(row) {
+  return `${row.txid}.${row.id}`;
+}
+
+/**
+ * Parse a cursor given back by a client (Last-Event-ID); null when it is not one
+ */
+function parseCursor(text) {
+  const match = /^(\d+)\.(\d+)$/.exec(text || '');
+  return match ? { txid: match[1], id: match[2] } : null;
+}
+
+/**
+ * Events after `after` (a cursor), as { cursor, event }, in the order their
+ * transactions began, optionally only of some types or of one domain.
+ * Event ids are taken before commit, so a later id can commit first; reading
+ * only transactions older than every one still running (the snapshot's xmin)
+ * means an event that commits late is never behind the cursor already.
+ */
+async function readEvents({ after, types = [], domain = null, limit = EVENT_PAGE_SIZE }) {
+  const { txid, id } = parseCursor(after);
+  const params = [txid, id, limit];
+  const conditions = [
+    '(txid, id) > ($1::xid8, $2::bigint)',
+    'txid < pg_snapshot_xmin(pg_current_snapshot())'
+  ];
+  if (types.length > 0) {
+    params.push(types);
+    conditions.push(`type = ANY($${params.length})`);
+  }
+  if (domain) {
+    params.push(domain);
+    conditions.push(`domain = $${params.length}`);
+  }
+
+  const result = await query(
+    `SELECT * FROM events WHERE ${conditions.join(' AND ')} ORDER BY txid, id LIMIT $3`,
+    params
+  );
+  return result.rows.map(row => ({ cursor: cursorOf(row), event: formatEvent(row) }));
+}
+
+/**
+ * Cursor before every transaction still running, so a stream can start with
+ * what happens next
+ */
+async function currentCursor() {
+  const result = await query('SELECT pg_snapshot_xmin(pg_current_snapshot()) AS txid');
+  return cursorOf({ txid: result.rows[0].txid, id: 0 });
+}
+
+/**
+ * Drop events older than EVENT_RETENTION_DAYS
+ */
+async function pruneEvents() {
+  const result = await query(
+    'DELETE FROM events WHERE created_at < CURRENT_TIMESTAMP - make_interval(days => $1)',
+    [EVENT_RETENTION_DAYS]
+  );
+  if (result.rowCount > 0) {
+    logger.info(`Pruned ${result.rowCount} events`);
+  }
+  return { pruned: result.rowCount };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  recordEvent,
+  parseCursor,
+  readEvents,
+  currentCursor,
+  pruneEvents
+};
@@ -0,0 +1,156 @@
+const { query } = require('../database/connection');
+const { withTransaction } = require('../database/transaction');
+const { logger } = require('../utils/logger');
+const { NotFoundError } = require('../utils/errors');
+const { auditColumns } = require('../middleware/auth');
+const { validateFilters, invalidFilters, evaluateFilters } = require('../utils/filterRules');
+const { loadFilters, loadForwarding, buildSieveScript, deploySieveScript } = require('./sieveScripts');
+const { forwardingRejected, checkForwardDestinations, verificationStates } = require('./forwardingPolicy');
+
+/**
+ * Look up a mailbox that can still receive mail
+ */
+async function findUser(email) {
+  const result = await query(
+    "SELECT id, email FROM users WHERE LOWER(email) = LOWER($1) AND status <> 'purged'",
+    [email]
+  );
+  if (result.rows.length === 0) {
+    throw new NotFoundError(`User ${email} not found`);
+  }
+  return result.rows[0];
+}
+
+/**
+ * Forward actions follow the same rules as forwarding: no loops, the domain policy
+ * and cap apply, and external addresses must already be confirmed through setForwarding.
+ */
+async function checkFilterForwards(user, filters) {
+  const destinations = Array.from(new Set(filters
+    .filter(filter => filter.enabled)
+    .flatMap(filter => filter.actions)
+    .filter(action => action.type === 'forward')
+    .map(action => action.to)));
+  if (destinations.length === 0) {
+    return;
+  }
+
+  const rules = await loadForwarding(user.id);
+  const { domain, external } = await checkForwardDestinations(user, destinations, rules.flatMap(rule => rule.forwardTo));
+
+  if (domain.forward_verification) {
+    const verification = await verificationStates(user.id);
+    const unconfirmed = external.filter(address => verification.get(address) !== 'active');
+    if (unconfirmed.length > 0) {
+      throw forwardingRejected(`Confirm ${unconfirmed.join(', ')} with setForwarding before forwarding to it from a filter`);
+    }
+  }
+}
+
+/**
+ * Replace a user's filters. Filters run in the order given.
+ */
+async function setFilter(input, context = {}) {
+  const { email } = input;
+
+  try {
+    const { value: filters, errors } = validateFilters(input.filters);
+    if (errors.length > 0) {
+      throw invalidFilters(errors);
+    }
+
+    const user = await findUser(email);
+    await checkFilterForwards(user, filters);
+
+    await withTransaction(async (client) => {
+      await client.query('DELETE FROM filters WHERE user_id = $1', [user.id]);
+
+      for (const [position, filter] of filters.entries()) {
+        await client.query(
+          `INSERT INTO filters (user_id, name, conditions, actions, enabled, position)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [
+            user.id,
+            filter.name,
+            JSON.stringify(filter.conditions || null),
+            JSON.stringify(filter.actions),
+            filter.enabled,
+            position
+          ]
+        );
+      }
+
+      // Log audit event
+      await client.query(
+        `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [user.id, 'FILTERS_SET', { email, filters: filters.map(filter => filter.name) }, ...auditColumns(context)]
+      );
+    });
+
+    const script = await deploySieveScript(user);
+
+    logger.info(`Filters set for ${email}`, { count: filters.length });
+
+    return { status: 'ok', filters, sieve: script };
+  } catch (error) {
+    logger.error('Failed to set filters:', error);
+    throw error;
+  }
+}
+
+/**
+ * List a user's filters with the Sieve script they compile to
+ */
+async function listFilters(input) {
+  const { email } = input;
+
+  try {
+    const user = await findUser(email);
+    const filters = await loadFilters(user.id);
+
+    return {
+      email,
+      filters,
+      count: filters.length,
+      sieve: await buildSieveScript(user)
+    };
+  } catch (error) {
+    logger.error('Failed to list filters:', error);
+    throw error;
+  }
+}
+
+/**
+ * Evaluate filters against a sample message without delivering anything.
+ * Uses the given `filters` when present, otherwise the user's saved ones.
+ */
+async function testFilter(input) {
+  const { email, message } = input;
+
+  try {
+    let filters;
+    if (input.filters) {
+      const validated = validateFilters(input.filters);
+      if (validated.errors.length > 0) {
+        throw invalidFilters(validated.errors);
+      }
+      filters = validated.value;
+    } else {
+      const user = await findUser(email);
+      filters = await loadFilters(user.id);
+    }
+
+    return evaluateFilters(filters, message);
+  } catch (error) {
+    logger.error('Failed to test filters:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  setFilter,
+  listFilters,
+  testFilter,
+  findUser
+};
@@ -0,0 +1,424 @@
+const { query } = require('../database/connection');
+const { logger } = require('../utils/logger');
+const { withMailbox } = require('../utils/imapClient');
+const { isKeyword } = require('../utils/mailQuery');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+const { auditColumns } = require('../middleware/auth');
+const { findUser } = require('./filterManagement');
+
+const MESSAGE_BATCH_MAX = parseInt(process.env.MESSAGE_BATCH_MAX, 10) || 1000;
+
+// Folders the webmail relies on; they cannot be renamed or deleted
+const PROTECTED_USES = ['\\Drafts', '\\Sent', '\\Trash', '\\Junk'];
+
+// Names used when the server does not advertise a special-use folder
+const DEFAULT_SPECIAL_NAMES = {
+  '\\Drafts': 'Drafts',
+  '\\Sent': 'Sent',
+  '\\Trash': 'Trash',
+  '\\Junk': 'Junk'
+};
+
+const SYSTEM_FLAGS = { seen: '\\Seen', flagged: '\\Flagged', answered: '\\Answered' };
+
+/**
+ * The LIST tree from the imap package as a flat list of folders with full paths
+ */
+function flattenBoxes(boxes, parentPath = null) {
+  return Object.entries(boxes || {}).flatMap(([name, box]) => {
+    const path = parentPath === null ? name : `${parentPath}${box.delimiter}${name}`;
+    return [
+      {
+        path,
+        name,
+        parent: parentPath,
+        delimiter: box.delimiter,
+        attribs: box.attribs || [],
+        specialUse: box.special_use_attrib || null,
+        hasChildren: Object.keys(box.children || {}).length > 0
+      },
+      ...flattenBoxes(box.children, path)
+    ];
+  });
+}
+
+/**
+ * Whether a listed folder can hold messages (\Noselect ones only hold subfolders)
+ */
+function isSelectable(folder) {
+  return !folder.attribs.some(attrib => ['\\NOSELECT', '\\NONEXISTENT'].includes(attrib.toUpperCase()));
+}
+
+/**
+ * Path of a special-use folder (\Trash, \Sent, \Drafts, \Junk), created under
+ * its default name when the mailbox has none yet
+ */
+async function specialFolder(mailbox, use) {
+  const folders = flattenBoxes(await mailbox.getBoxes());
+  const found = folders.find(folder => folder.specialUse === use)
+    || folders.find(folder => folder.path === DEFAULT_SPECIAL_NAMES[use]);
+  if (found) {
+    return found.path;
+  }
+
+  await mailbox.addBox(DEFAULT_SPECIAL_NAMES[use]);
+  return DEFAULT_SPECIAL_NAMES[use];
+}
+
+/**
+ * Check a folder name given by the caller
+ */
+function checkFolderName(name, delimiter) {
+  const value = String(name || '');
+  if (!value.trim() || value.length > 255) {
+    throw new ValidationError('Folder name must be 1-255 characters', { reason: 'INVALID_FOLDER' });
+  }
+  // Control characters, and the LIST wildcards
+  if (/[\x00-\x1f\x7f*%]/.test(value)) {
+    throw new ValidationError(`Folder name "${value}" contains characters that are not allowed`, { reason: 'INVALID_FOLDER' });
+  }
+  if (delimiter && value.split(delimiter).some(part => !part.trim())) {
+    throw new ValidationError(`Folder name "${value}" has an empty level`, { reason: 'INVALID_FOLDER' });
+  }
+  if (value.toUpperCase() === 'INBOX') {
+    throw new ConflictError('INBOX already exists');
+  }
+  return value;
+}
+
+/**
+ * Refuse to rename or delete INBOX and the special-use folders
+ */
+async function checkNotProtected(mailbox, name) {
+  const folder = flattenBoxes(await mailbox.getBoxes()).find(entry => entry.path === name);
+  if (!folder) {
+    throw new NotFoundError(`Folder ${name} does not exist`);
+  }
+  if (name.toUpperCase() === 'INBOX' || PROTECTED_USES.includes(folder.specialUse)) {
+    throw new ForbiddenError(`${name} is a system folder and cannot be renamed or deleted`, { reason: 'PROTECTED_FOLDER' });
+  }
+  return folder;
+}
+
+/**
+ * Check a batch of UIDs: positive integers, at most MESSAGE_BATCH_MAX, duplicates dropped
+ */
+function uidBatch(uids) {
+  const batch = Array.from(new Set(uids || []));
+  if (batch.length === 0 || batch.some(uid => !Number.isInteger(uid) || uid < 1)) {
+    throw new ValidationError('uids must list message UIDs (positive integers)', { reason: 'INVALID_UIDS' });
+  }
+  if (batch.length > MESSAGE_BATCH_MAX) {
+    throw new ValidationError(`At most ${MESSAGE_BATCH_MAX} messages can be changed at once`, { reason: 'INVALID_UIDS' });
+  }
+  return batch;
+}
+
+/**
+ * Split a batch into the UIDs present in the open folder and the missing ones
+ */
+async function presentUids(mailbox, batch) {
+  const found = new Set(await mailbox.search([['UID', batch.join(',')]]));
+  return {
+    present: batch.filter(uid => found.has(uid)),
+    missing: batch.filter(uid => !found.has(uid))
+  };
+}
+
+/**
+ * Log audit event for a change to a user's mailbox
+ */
+async function auditMailbox(email, action, details, context = {}) {
+  const user = await findUser(email);
+  await query(
+    `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [user.id, action, { email, ...details }, ...auditColumns(context)]
+  );
+}
+
+/**
+ * List the folders of a mailbox with their special use and, unless counts is
+ * false, message and unread counts
+ */
+async function listFolders(input) {
+  const { email, counts } = input;
+
+  try {
+    const folders = await withMailbox(email, async (mailbox) => {
+      const listed = flattenBoxes(await mailbox.getBoxes());
+
+      const result = [];
+      for (const folder of listed) {
+        const selectable = isSelectable(folder);
+        const entry = {
+          name: folder.path,
+          displayName: folder.name,
+          parent: folder.parent,
+          delimiter: folder.delimiter,
+          specialUse: folder.path.toUpperCase() === 'INBOX' ? '\\Inbox' : folder.specialUse,
+          selectable
+        };
+        if (counts && selectable) {
+          const status = await mailbox.status(folder.path);
+          entry.messages = status.messages.total;
+          entry.unread = status.messages.unseen;
+        }
+        result.push(entry);
+      }
+      return result;
+    });
+
+    return { email, folders };
+  } catch (error) {
+    logger.error('Failed to list folders:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a folder; nested folders use the mailbox's hierarchy delimiter
+ */
+async function createFolder(input, context = {}) {
+  const { email, name } = input;
+
+  try {
+    const created = await withMailbox(email, async (mailbox) => {
+      const folder = checkFolderName(name, mailbox.delimiter());
+      await mailbox.addBox(folder);
+      return folder;
+    });
+
+    await auditMailbox(email, 'FOLDER_CREATED', { folder: created }, context);
+
+    logger.info(`Folder created for ${email}: ${created}`);
+
+    return { status: 'created', folder: created };
+  } catch (error) {
+    logger.error('Failed to create folder:', error);
+    throw error;
+  }
+}
+
+/**
+ * Rename a folder (its subfolders move with it)
+ */
+async function renameFolder(input, context = {}) {
+  const { email, name, newName } = input;
+
+  try {
+    const renamed = await withMailbox(email, async (mailbox) => {
+      const target = checkFolderName(newName, mailbox.delimiter());
+      await checkNotProtected(mailbox, name);
+      await mailbox.renameBox(name, target);
+      return target;
+    });
+
+    await auditMailbox(email, 'FOLDER_RENAMED', { folder: name, newName: renamed }, context);
+
+    logger.info(`Folder renamed for ${email}: ${name} -> ${renamed}`);
+
+    return { status: 'renamed', folder: renamed, previousName: name };
+  } catch (error) {
+    logger.error('Failed to rename folder:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a folder. A folder that still holds messages is only deleted with
+ * `force` (the messages are deleted with it); subfolders must be removed first.
+ */
+async function deleteFolder(input, context = {}) {
+  const { email, name, force } = input;
+
+  try {
+    const messages = await withMailbox(email, async (mailbox) => {
+      const folder = await checkNotProtected(mailbox, name);
+      if (folder.hasChildren) {
+        throw new ConflictError(`${name} has subfolders; delete or move them first`);
+      }
+
+      const total = isSelectable(folder) ? (await mailbox.status(name)).messages.total : 0;
+      if (total > 0 && !force) {
+        throw new ConflictError(
+          `${name} holds ${total} messages; move them or pass force to delete them with the folder`
+        );
+      }
+
+      await mailbox.delBox(name);
+      return total;
+    });
+
+    await auditMailbox(email, 'FOLDER_DELETED', { folder: name, messages }, context);
+
+    logger.info(`Folder deleted for ${email}: ${name}`, { messages });
+
+    return { status: 'deleted', folder: name, messagesDeleted: messages };
+  } catch (error) {
+    logger.error('Failed to delete folder:', error);
+    throw error;
+  }
+}
+
+/**
+ * Move or copy a batch of messages to another folder
+ */
+async function transferMessages(input, operation) {
+  const { email, folder, destination } = input;
+  const batch = uidBatch(input.uids);
+  if (destination === folder) {
+    throw new ValidationError('destination must be a different folder');
+  }
+
+  return withMailbox(email, async (mailbox) => {
+    // Fails with NOT_FOUND before anything is changed
+    await mailbox.status(destination);
+    await mailbox.openBox(folder, false);
+
+    const { present, missing } = await presentUids(mailbox, batch);
+    if (present.length > 0) {
+      await mailbox[operation](present, destination);
+    }
+    return { present, missing };
+  });
+}
+
+/**
+ * Move messages to another folder
+ */
+async function moveMessages(input) {
+  try {
+    const { present, missing } = await transferMessages(input, 'move');
+    return { status: 'ok', destination: input.destination, moved: present, missing };
+  } catch (error) {
+    logger.error('Failed to move messages:', error);
+    throw error;
+  }
+}
+
+/**
+ * Copy messages to another folder
+ */
+async function copyMessages(input) {
+  try {
+    const { present, missing } = await transferMessages(input, 'copy');
+    return { status: 'ok', destination: input.destination, copied: present, missing };
+  } catch (error) {
+    logger.error('Failed to copy messages:', error);
+    throw error;
+  }
+}
+
+/**
+ * Set or clear flags on messages. seen, flagged and answered add the flag when
+ * true and remove it when false; addLabels/removeLabels change IMAP keywords.
+ */
+async function setFlags(input) {
+  const { email, folder, addLabels, removeLabels } = input;
+
+  try {
+    const batch = uidBatch(input.uids);
+
+    const add = [];
+    const remove = [];
+    for (const [field, flag] of Object.entries(SYSTEM_FLAGS)) {
+      if (input[field] === true) {
+        add.push(flag);
+      } else if (input[field] === false) {
+        remove.push(flag);
+      }
+    }
+
+    const invalid = [...addLabels, ...removeLabels].find(label => !isKeyword(label));
+    if (invalid !== undefined) {
+      throw new ValidationError(`"${invalid}" is not a valid label name`, { reason: 'INVALID_LABEL' });
+    }
+    if (add.length + remove.length + addLabels.length + removeLabels.length === 0) {
+      throw new ValidationError('Nothing to change: set seen, flagged, answered, addLabels or removeLabels');
+    }
+
+    const { present, missing } = await withMailbox(email, async (mailbox) => {
+      await mailbox.openBox(folder, false);
+      const split = await presentUids(mailbox, batch);
+
+      if (split.present.length > 0) {
+        if (add.length > 0) {
+          await mailbox.addFlags(split.present, add);
+        }
+        if (remove.length > 0) {
+          await mailbox.delFlags(split.present, remove);
+        }
+        if (addLabels.length > 0) {
+          await mailbox.addKeywords(split.present, addLabels);
+        }
+        if (removeLabels.length > 0) {
+          await mailbox.delKeywords(split.present, removeLabels);
+        }
+      }
+      return split;
+    });
+
+    return { status: 'ok', updated: present, missing };
+  } catch (error) {
+    logger.error('Failed to set flags:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete messages. They are moved to Trash, or expunged for good when they are
+ * already in Trash or `permanent` is set.
+ */
+async function deleteMessages(input, context = {}) {
+  const { email, folder, permanent } = input;
+
+  try {
+    const batch = uidBatch(input.uids);
+
+    const result = await withMailbox(email, async (mailbox) => {
+      const trash = await specialFolder(mailbox, '\\Trash');
+      await mailbox.openBox(folder, false);
+      const { present, missing } = await presentUids(mailbox, batch);
+      const expunge = permanent || folder === trash;
+
+      if (present.length > 0) {
+        if (expunge) {
+          await mailbox.addFlags(present, '\\Deleted');
+          // UID EXPUNGE (UIDPLUS) only removes these messages, not others marked \Deleted
+          await mailbox.expunge(present);
+        } else {
+          await mailbox.move(present, trash);
+        }
+      }
+      return { present, missing, movedTo: expunge ? null : trash };
+    });
+
+    if (!result.movedTo && result.present.length > 0) {
+      await auditMailbox(email, 'MESSAGES_DELETED', { folder, count: result.present.length }, context);
+    }
+
+    return {
+      status: 'ok',
+      deleted: result.present,
+      missing: result.missing,
+      permanent: !result.movedTo,
+      movedTo: result.movedTo
+    };
+  } catch (error) {
+    logger.error('Failed to delete messages:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  listFolders,
+  createFolder,
+  renameFolder,
+  deleteFolder,
+  moveMessages,
+  copyMessages,
+  setFlags,
+  deleteMessages,
+  specialFolder
+};
@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const { query } = require('../database/connection');
+const { withTransaction } = require('../database/transaction');
+const { logger } = require('../utils/logger');
+const { auditColumns } = require('../middleware/auth');
+const { hashToken } = require('../utils/tokens');
+const { sendSystemMail } = require('../utils/mailer');
+const { findUser } = require('./filterManagement');
+const { loadForwarding, deploySieveScript } = require('./sieveScripts');
+const { forwardingRejected, checkForwardDestinations, verificationStates } = require('./forwardingPolicy');
+
+const FORWARD_VERIFY_TTL_HOURS = parseInt(process.env.FORWARD_VERIFY_TTL_HOURS, 10) || 72;
+const FORWARD_VERIFY_URL = process.env.FORWARD_VERIFY_URL;
+
+// Matches sieve_max_redirects in the Dovecot configuration
+const MAX_FORWARD_DESTINATIONS = 20;
+
+/**
+ * Rules from the input: `rules`, or the single-rule forwardTo/keepCopy/fromSenders form
+ */
+function normalizeRules(input) {
+  const rules = input.rules || [{ forwardTo: input.forwardTo, keepCopy: input.keepCopy, fromSenders: input.fromSenders }];
+
+  const normalized = rules.map((rule, index) => {
+    const forwardTo = Array.from(new Set((rule.forwardTo || []).map(address => String(address).trim().toLowerCase())));
+    if (forwardTo.length === 0) {
+      throw forwardingRejected(`rules[${index}].forwardTo must list at least one address`);
+    }
+    return {
+      forwardTo,
+      keepCopy: rule.keepCopy !== false,
+      // "@example.com" and "example.com" both mean any sender at that domain
+      fromSenders: Array.from(new Set((rule.fromSenders || []).map(sender => String(sender).trim().toLowerCase().replace(/^@/, ''))))
+    };
+  });
+
+  const destinations = new Set(normalized.flatMap(rule => rule.forwardTo));
+  if (destinations.size > MAX_FORWARD_DESTINATIONS) {
+    throw forwardingRejected(`At most ${MAX_FORWARD_DESTINATIONS} forwarding addresses are allowed`);
+  }
+  return normalized;
+}
+
+/**
+ * Addresses the user forwards to from filter actions
+ */
+async function filterForwardDestinations(userId) {
+  const result = await query(
+    `SELECT DISTINCT LOWER(act->>'to') AS address
+     FROM filters fl CROSS JOIN LATERAL jsonb_array_elements(fl.actions) AS act
+     WHERE fl.user_id = $1 AND fl.enabled AND act->>'type' = 'forward'`,
+    [userId]
+  );
+  return result.rows.map(row => row.address);
+}
+
+/**
+ * Ask the owner of an external address to confirm they want the forwarded mail
+ */
+async function sendVerification(email, { address, token }) {
+  const confirm = FORWARD_VERIFY_URL
+    ? `To confirm, open:\n\n  ${FORWARD_VERIFY_URL}${FORWARD_VERIFY_URL.includes('?') ? '&' : '?'}token=${token}`
+    : `To confirm, enter this code where forwarding was set up:\n\n  ${token}`;
+
+  try {
+    await sendSystemMail({
+      to: address,
+      subject: `Confirm forwarding from ${email}`,
+      text: `${email} asked to forward their email to ${address}.\n\n${confirm}\n\n`
+        + `The request expires in ${FORWARD_VERIFY_TTL_HOURS} hours. If you did not expect this message, `
+        + 'ignore it and nothing will be forwarded.\n'
+    });
+    return { address, sent: true };
+  } catch (error) {
+    logger.warn(`Failed to send forwarding verification to ${address}: ${error.message}`);
+    return { address, sent: false, error: error.message };
+  }
+}
+
+/**
+ * A user's rules with the state of every destination
+ */
+async function forwardingState(user) {
+  const [rules, verification] = await Promise.all([loadForwarding(user.id), verificationStates(user.id)]);
+
+  return {
+    email: user.email,
+    rules: rules.map(rule => ({
+      ...rule,
+      forwardTo: rule.forwardTo.map(address => ({ address, status: verification.get(address) || 'active' }))
+    }))
+  };
+}
+
+/**
+ * Set email forwarding rules, replacing the current ones.
+ * Local destinations are checked for loops; external ones against the domain policy
+ * and, when the domain requires it, only start receiving mail once confirmed.
+ */
+async function setForwarding(input, context = {}) {
+  const { email } = input;
+
+  try {
+    const rules = normalizeRules(input);
+    const user = await findUser(email);
+
+    const destinations = Array.from(new Set(rules.flatMap(rule => rule.forwardTo)));
+    const { domain, external } = await checkForwardDestinations(
+      user,
+      destinations,
+      await filterForwardDestinations(user.id)
+    );
+
+    const pending = await withTransaction(async (client) => {
+      await client.query('DELETE FROM forwarding WHERE user_id = $1', [user.id]);
+
+      for (const [position, rule] of rules.entries()) {
+        await client.query(
+          `INSERT INTO forwarding (user_id, forward_to, keep_copy, from_senders, position)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [user.id, rule.forwardTo, rule.keepCopy, rule.fromSenders, position]
+        );
+      }
+
+      // External destinations that are not confirmed yet get a fresh token
+      const verified = await client.query(
+        'SELECT address FROM forwarding_verifications WHERE user_id = $1 AND verified_at IS NOT NULL',
+        [user.id]
+      );
+      const confirmed = new Set(verified.rows.map(row => row.address));
+      const awaiting = [];
+
+      for (const address of external.filter(a => !confirmed.has(a))) {
+        if (!domain.forward_verification) {
+          await client.query(
+            `INSERT INTO forwarding_verifications (user_id, address, verified_at)
+             VALUES ($1, $2, CURRENT_TIMESTAMP)
+             ON CONFLICT (user_id, address) DO UPDATE SET verified_at = CURRENT_TIMESTAMP, token_hash = NULL`,
+            [user.id, address]
+          );
+          continue;
+        }
+
+        const token = crypto.randomBytes(24).toString('base64url');
+        await client.query(
+          `INSERT INTO forwarding_verifications (user_id, address, token_hash, expires_at)
+           VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(hours => $4))
+           ON CONFLICT (user_id, address) DO UPDATE
+             SET token_hash = EXCLUDED.token_hash, expires_at = EXCLUDED.expires_at, created_at = CURRENT_TIMESTAMP`,
+          [user.id, address, hashToken(token), FORWARD_VERIFY_TTL_HOURS]
+        );
+        awaiting.push({ address, token });
+      }
+
+      // Unconfirmed requests for addresses that were dropped are withdrawn
+      await client.query(
+        'DELETE FROM forwarding_verifications WHERE user_id = $1 AND verified_at IS NULL AND NOT (address = ANY($2))',
+        [user.id, external]
+      );
+
+      // Log audit event
+      await client.query(
+        `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [user.id, 'FORWARDING_SET', { email, rules, pendingVerification: awaiting.map(entry => entry.address) }, ...auditColumns(context)]
+      );
+
+      return awaiting;
+    });
+
+    const verificationEmails = await Promise.all(pending.map(entry => sendVerification(user.email, entry)));
+    await deploySieveScript(user);
+
+    logger.info(`Forwarding set for ${email}:`, { rules: rules.length, pendingVerification: pending.length });
+
+    return { status: 'ok', ...await forwardingState(user), verificationEmails };
+  } catch (error) {
+    logger.error('Failed to set forwarding:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a user's forwarding rules and whether each destination is active
+ */
+async function getForwarding(input) {
+  const { email } = input;
+
+  try {
+    const user = await findUser(email);
+    return await forwardingState(user);
+  } catch (error) {
+    logger.error('Failed to get forwarding:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove all forwarding rules of a user. Confirmed external addresses stay confirmed.
+ */
+async function clearForwarding(input, context = {}) {
+  const { email } = input;
+
+  try {
+    const user = await findUser(email);
+
+    const removed = await withTransaction(async (client) => {
+      const result = await client.query('DELETE FROM forwarding WHERE user_id = $1', [user.id]);
+      await client.query('DELETE FROM forwarding_verifications WHERE user_id = $1 AND verified_at IS NULL', [user.id]);
+
+      // Log audit event
+      await client.query(
+        `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [user.id, 'FORWARDING_CLEARED', { email, rules: result.rowCount }, ...auditColumns(context)]
+      );
+
+      return result.rowCount;
+    });
+
+    await deploySieveScript(user);
+
+    logger.info(`Forwarding cleared for ${email}`);
+
+    return { status: 'ok', removed };
+  } catch (error) {
+    logger.error('Failed to clear forwarding:', error);
+    throw error;
+  }
+}
+
+/**
+ * Confirm an external forwarding address with the token from the verification email
+ */
+async function confirmForwarding(input, context = {}) {
+  const { token } = input;
+
+  try {
+    const confirmed = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE forwarding_verifications
+         SET verified_at = CURRENT_TIMESTAMP, token_hash = NULL
+         WHERE token_hash = $1 AND verified_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         RETURNING user_id, address`,
+        [hashToken(String(token))]
+      );
+      if (result.rows.length === 0) {
+        throw forwardingRejected('Invalid or expired confirmation token');
+      }
+
+      const { user_id: userId, address } = result.rows[0];
+
+      // Log audit event
+      await client.query(
+        `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [userId, 'FORWARDING_VERIFIED', { address }, ...auditColumns(context)]
+      );
+
+      return result.rows[0];
+    });
+
+    const user = await query('SELECT id, email FROM users WHERE id = $1', [confirmed.user_id]);
+    await deploySieveScript(user.rows[0]);
+
+    logger.info(`Forwarding address confirmed: ${confirmed.address}`);
+
+    return { status: 'verified', address: confirmed.address };
+  } catch (error) {
+    logger.error('Failed to confirm forwarding:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  setForwarding,
+  getForwarding,
+  clearForwarding,
+  confirmForwarding,
+  filterForwardDestinations
+};
@@ -0,0 +1,195 @@
+const { query } = require('../database/connection');
+const { getManagedDomain, domainOf } = require('./domainManagement');
+const { ValidationError } = require('../utils/errors');
+
+const FORWARD_MAX_EXTERNAL = parseInt(process.env.FORWARD_MAX_EXTERNAL, 10) || 5;
+
+/**
+ * Error for a forwarding destination that breaks a rule
+ */
+function forwardingRejected(message) {
+  return new ValidationError(message, { reason: 'FORWARDING_REJECTED' });
+}
+
+/**
+ * Whether a domain is the pattern itself or one of its subdomains
+ */
+function domainMatches(domain, pattern) {
+  return domain === pattern || domain.endsWith(`.${pattern}`);
+}
+
+/**
+ * Resolve addresses to local mailboxes (through users and aliases) or mark them external
+ */
+async function resolveDestinations(addresses, client = { query }) {
+  if (addresses.length === 0) {
+    return [];
+  }
+
+  const domains = Array.from(new Set(addresses.map(domainOf)));
+  const [users, aliases, managed] = await Promise.all([
+    client.query(
+      "SELECT id, LOWER(email) AS address FROM users WHERE LOWER(email) = ANY($1) AND status <> 'purged'",
+      [addresses]
+    ),
+    client.query(
+      'SELECT user_id AS id, LOWER(alias_email) AS address FROM aliases WHERE LOWER(alias_email) = ANY($1)',
+      [addresses]
+    ),
+    client.query('SELECT name FROM domains WHERE name = ANY($1)', [domains])
+  ]);
+
+  const local = new Map([...users.rows, ...aliases.rows].map(row => [row.address, row.id]));
+  const managedDomains = new Set(managed.rows.map(row => row.name));
+
+  return addresses.map(address => ({
+    address,
+    userId: local.get(address) || null,
+    external: !managedDomains.has(domainOf(address))
+  }));
+}
+
+/**
+ * Mailboxes each mailbox forwards to, through forwarding rules and filter forward actions
+ */
+async function forwardingGraph(client = { query }) {
+  const result = await client.query(
+    `SELECT edges.user_id, COALESCE(u.id, a.user_id) AS target_id
+     FROM (
+       SELECT f.user_id, LOWER(d.destination) AS destination
+       FROM forwarding f CROSS JOIN LATERAL unnest(f.forward_to) AS d(destination)
+       UNION
+       SELECT fl.user_id, LOWER(act->>'to')
+       FROM filters fl CROSS JOIN LATERAL jsonb_array_elements(fl.actions) AS act
+       WHERE fl.enabled AND act->>'type' = 'forward'
+     ) edges
+     LEFT JOIN users u ON LOWER(u.email) = edges.destination
+     LEFT JOIN aliases a ON LOWER(a.alias_email) = edges.destination
+     WHERE COALESCE(u.id, a.user_id) IS NOT NULL`
+  );
+
+  const graph = new Map();
+  for (const row of result.rows) {
+    if (!graph.has(row.user_id)) {
+      graph.set(row.user_id, new Set());
+    }
+    graph.get(row.user_id).add(row.target_id);
+  }
+  return graph;
+}
+
+/**
+ * Path of mailbox ids from `start` back to `userId` (null when there is none).
+ * The user's own current edges are ignored since they are being replaced.
+ */
+function pathBack(graph, start, userId) {
+  const previous = new Map([[start, null]]);
+  const queue = [start];
+
+  while (queue.length > 0) {
+    const node = queue.shift();
+    if (node === userId) {
+      const path = [];
+      for (let step = node; step !== null; step = previous.get(step)) {
+        path.unshift(step);
+      }
+      return path;
+    }
+    for (const next of graph.get(node) || []) {
+      if (!previous.has(next)) {
+        previous.set(next, node);
+        queue.push(next);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Check new forwarding destinations of a user:
+ * - local addresses must exist and must not lead back to the user (directly or in a loop)
+ * - external addresses must pass the domain's allow/deny lists
+ * - external destinations, together with `otherDestinations` the user already forwards
+ *   to elsewhere, must stay within the domain's cap
+ * Returns the user's managed domain and the external destinations.
+ */
+async function checkForwardDestinations(user, destinations, otherDestinations = [], client = { query }) {
+  const domain = await getManagedDomain(domainOf(user.email), client);
+  if (!domain) {
+    throw new ValidationError(`Domain ${domainOf(user.email)} is not managed by this server`, { reason: 'DOMAIN_NOT_MANAGED' });
+  }
+
+  const resolved = await resolveDestinations(destinations, client);
+  const graph = await forwardingGraph(client);
+  graph.delete(user.id);
+
+  for (const destination of resolved) {
+    if (destination.external) {
+      const target = domainOf(destination.address);
+      if ((domain.forward_deny || []).some(pattern => domainMatches(target, pattern))) {
+        throw forwardingRejected(`Forwarding to ${target} is blocked by the ${domain.name} policy`);
+      }
+      const allow = domain.forward_allow || [];
+      if (allow.length > 0 && !allow.some(pattern => domainMatches(target, pattern))) {
+        throw forwardingRejected(`Forwarding to ${target} is not on the ${domain.name} allow list`);
+      }
+      continue;
+    }
+
+    if (!destination.userId) {
+      throw forwardingRejected(`Forwarding destination ${destination.address} does not exist`);
+    }
+    if (destination.userId === user.id) {
+      throw forwardingRejected(`${destination.address} delivers to ${user.email} itself`);
+    }
+
+    const loop = pathBack(graph, destination.userId, user.id);
+    if (loop) {
+      const names = await client.query('SELECT id, email FROM users WHERE id = ANY($1)', [loop]);
+      const emailOf = new Map(names.rows.map(row => [row.id, row.email]));
+      throw forwardingRejected(
+        `Forwarding to ${destination.address} would create a loop: ${[user.email, ...loop.map(id => emailOf.get(id))].join(' -> ')}`
+      );
+    }
+  }
+
+  const external = resolved.filter(destination => destination.external).map(destination => destination.address);
+  const otherExternal = (await resolveDestinations(otherDestinations, client))
+    .filter(destination => destination.external)
+    .map(destination => destination.address);
+  const limit = domain.max_external_forwards !== null && domain.max_external_forwards !== undefined
+    ? domain.max_external_forwards
+    : FORWARD_MAX_EXTERNAL;
+  const total = new Set([...external, ...otherExternal]).size;
+  if (total > limit) {
+    throw forwardingRejected(`${domain.name} allows at most ${limit} external forwarding addresses per mailbox (requested ${total})`);
+  }
+
+  return { domain, external };
+}
+
+/**
+ * Verification state of a user's external destinations:
+ * address -> 'active' (confirmed or not required), 'pending_verification' or 'expired'.
+ * Addresses without an entry (local ones) need no verification.
+ */
+async function verificationStates(userId, client = { query }) {
+  const result = await client.query(
+    'SELECT address, verified_at, expires_at FROM forwarding_verifications WHERE user_id = $1',
+    [userId]
+  );
+
+  const now = new Date();
+  return new Map(result.rows.map((row) => {
+    if (row.verified_at) {
+      return [row.address, 'active'];
+    }
+    return [row.address, new Date(row.expires_at) > now ? 'pending_verification' : 'expired'];
+  }));
+}
+
+module.exports = {
+  forwardingRejected,
+  checkForwardDestinations,
+  verificationStates
+};
@@ -0,0 +1,393 @@
+const { query } = require('../database/connection');
+const { withTransaction } = require('../database/transaction');
+const { logger } = require('../utils/logger');
+const { ROLES, auditColumns } = require('../middleware/auth');
+const { AppError, NotFoundError, ConflictError, normalizeError, errorResponse } = require('../utils/errors');
+const { nextRun } = require('../utils/cron');
+const { redact, hasSecrets } = require('../utils/redact');
+
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3;
+// Delay before the first retry; it doubles with every attempt up to JOB_RETRY_MAX_SECONDS
+const JOB_RETRY_BASE_SECONDS = parseInt(process.env.JOB_RETRY_BASE_SECONDS, 10) || 30;
+const JOB_RETRY_MAX_SECONDS = parseInt(process.env.JOB_RETRY_MAX_SECONDS, 10) || 60 * 60;
+// Finished jobs (and their results) are kept this long for getJob
+const JOB_RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS, 10) || 7;
+
+// A running job whose worker has not checked in for this long is taken to be abandoned
+const JOB_HEARTBEAT_TIMEOUT_SECONDS = 120;
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+/**
+ * Map a jobs row to the shape returned by the tools. Credentials in the result
+ * (generated passwords, webhook secrets) are masked unless `secrets` is set.
+ */
+function formatJob(row, { secrets = false } = {}) {
+  const caller = row.context && row.context.caller;
+  return {
+    id: row.id,
+    kind: row.kind,
+    name: row.name,
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    createdBy: caller ? caller.email : null,
+    runAt: new Date(row.run_at).toISOString(),
+    createdAt: new Date(row.created_at).toISOString(),
+    startedAt: row.started_at ? new Date(row.started_at).toISOString() : null,
+    finishedAt: row.finished_at ? new Date(row.finished_at).toISOString() : null,
+    result: secrets ? row.result : redact(row.result),
+    error: row.error || null
+  };
+}
+
+/**
+ * Condition limiting jobs to those the caller may see: superadmins see every
+ * job, anyone else the jobs they queued. Appends its parameter to `params`.
+ */
+function ownerCondition(caller, params) {
+  if (caller && caller.role === ROLES.SUPERADMIN) {
+    return 'TRUE';
+  }
+  params.push(caller ? caller.id : null);
+  return `created_by = $${params.length}`;
+}
+
+/**
+ * Queue a job: a tool call (`kind: 'tool'`, run with the stored caller context)
+ * or a recurring task (`kind: 'task'`). Pass a transaction client to queue it
+ * together with other changes.
+ */
+async function enqueueJob({ kind, name, input = null, context = {}, maxAttempts = JOB_MAX_ATTEMPTS }, client = { query }) {
+  const caller = context.caller || null;
+  const result = await client.query(
+    `INSERT INTO jobs (kind, name, input, context, created_by, max_attempts)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+    [
+      kind,
+      name,
+      input === null ? null : JSON.stringify(input),
+      JSON.stringify({ caller, ip: context.ip || null, userAgent: context.userAgent || null }),
+      caller ? caller.id : null,
+      maxAttempts
+    ]
+  );
+
+  const job = formatJob(result.rows[0]);
+  logger.info(`Job queued: ${name}`, { jobId: job.id, kind, actor: caller && caller.email });
+  return job;
+}
+
+/**
+ * Status and result of a job. Credentials in the result are shown once, to
+ * the caller who queued the job, and masked in the stored result as they are.
+ */
+async function getJob(input, context = {}) {
+  const { id } = input;
+  const caller = context.caller || null;
+
+  try {
+    const job = await withTransaction(async (client) => {
+      const params = [id];
+      const result = await client.query(
+        `SELECT * FROM jobs WHERE id = $1 AND ${ownerCondition(caller, params)} FOR UPDATE`,
+        params
+      );
+      if (result.rows.length === 0) {
+        throw new NotFoundError(`Job ${id} not found`);
+      }
+
+      const row = result.rows[0];
+      if (!caller || caller.id !== row.created_by || !hasSecrets(row.result)) {
+        return formatJob(row);
+      }
+      await client.query('UPDATE jobs SET result = $2 WHERE id = $1', [id, JSON.stringify(redact(row.result))]);
+      return formatJob(row, { secrets: true });
+    });
+
+    return { job };
+  } catch (error) {
+    logger.error('Failed to get job:', error);
+    throw error;
+  }
+}
+
+/**
+ * List jobs, newest first, optionally by status or name
+ */
+async function listJobs(input, context = {}) {
+  const { status, name, limit } = input;
+
+  try {
+    const params = [];
+    const conditions = [ownerCondition(context.caller, params)];
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (name) {
+      params.push(name);
+      conditions.push(`name = $${params.length}`);
+    }
+    params.push(limit);
+
+    const result = await query(
+      `SELECT * FROM jobs WHERE ${conditions.join(' AND ')} ORDER BY created_at DESC LIMIT $${params.length}`,
+      params
+    );
+
+    return { jobs: result.rows.map(formatJob), count: result.rows.length };
+  } catch (error) {
+    logger.error('Failed to list jobs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cancel a job that has not started yet (or is waiting to be retried).
+ * Running jobs cannot be interrupted.
+ */
+async function cancelJob(input, context = {}) {
+  const { id } = input;
+
+  try {
+    const job = await withTransaction(async (client) => {
+      const params = [id];
+      const current = await client.query(
+        `SELECT * FROM jobs WHERE id = $1 AND ${ownerCondition(context.caller, params)} FOR UPDATE`,
+        params
+      );
+      if (current.rows.length === 0) {
+        throw new NotFoundError(`Job ${id} not found`);
+      }
+      if (current.rows[0].status !== 'queued') {
+        throw new ConflictError(`Job ${id} is ${current.rows[0].status} and can no longer be cancelled`, {
+          reason: 'JOB_NOT_CANCELLABLE'
+        });
+      }
+
+      const result = await client.query(
+        `UPDATE jobs SET status = 'cancelled', input = NULL, finished_at = CURRENT_TIMESTAMP
+         WHERE id = $1 RETURNING *`,
+        [id]
+      );
+
+      // Log audit event
+      await client.query(
+        `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [
+          null,
+          'JOB_CANCELLED',
+          { jobId: id, kind: result.rows[0].kind, name: result.rows[0].name },
+          ...auditColumns(context)
+        ]
+      );
+
+      return formatJob(result.rows[0]);
+    });
+
+    logger.info(`Job cancelled: ${id}`, { name: job.name });
+
+    return { status: 'cancelled', job };
+  } catch (error) {
+    logger.error('Failed to cancel job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Claim up to `limit` due jobs for `worker`. Rows are claimed with SKIP LOCKED
+ * so any number of workers can share the queue.
+ */
+async function claimJobs(limit, worker) {
+  const result = await query(
+    `UPDATE jobs
+     SET status = 'running', attempts = attempts + 1, worker = $2,
+         started_at = CURRENT_TIMESTAMP, heartbeat_at = CURRENT_TIMESTAMP
+     WHERE id IN (
+       SELECT id FROM jobs
+       WHERE status = 'queued' AND run_at <= CURRENT_TIMESTAMP
+       ORDER BY run_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit, worker]
+  );
+  return result.rows;
+}
+
+/**
+ * Mark jobs as still being worked on
+ */
+async function touchJobs(ids) {
+  await query(
+    "UPDATE jobs SET heartbeat_at = CURRENT_TIMESTAMP WHERE id = ANY($1) AND status = 'running'",
+    [ids]
+  );
+}
+
+/**
+ * Store the result of a job that succeeded. The input is dropped once a job
+ * has finished, as it may hold passwords; credentials in the result are kept
+ * only until getJob has shown them to the job's owner.
+ */
+async function completeJob(job, result) {
+  await query(
+    `UPDATE jobs SET status = 'succeeded', result = $2, error = NULL, input = NULL, finished_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [job.id, JSON.stringify(result === undefined ? null : result)]
+  );
+  logger.info(`Job succeeded: ${job.name}`, { jobId: job.id, attempts: job.attempts });
+}
+
+/**
+ * Seconds to wait before the next attempt after `attempts` failed ones
+ */
+function retryDelaySeconds(attempts) {
+  return Math.min(JOB_RETRY_BASE_SECONDS * 2 ** (attempts - 1), JOB_RETRY_MAX_SECONDS);
+}
+
+/**
+ * Whether an error may go away on another attempt: errors raised on purpose
+ * (invalid input, not found, conflicts, limits) will not, except an unreachable
+ * mail server; unexpected errors might
+ */
+function isRetryable(error) {
+  return !(error instanceof AppError) || error.code === 'UPSTREAM_UNAVAILABLE';
+}
+
+/**
+ * Record a failed attempt: retry with exponential backoff while attempts are
+ * left and the error may be transient, otherwise fail the job. The error is
+ * stored as it would be answered ({ code, message, reason? }).
+ */
+async function failJob(job, caught) {
+  const error = normalizeError(caught);
+  const stored = JSON.stringify(errorResponse(error).body.error);
+
+  if (isRetryable(error) && job.attempts < job.max_attempts) {
+    const delay = retryDelaySeconds(job.attempts);
+    await query(
+      `UPDATE jobs SET status = 'queued', error = $2, run_at = CURRENT_TIMESTAMP + make_interval(secs => $3)
+       WHERE id = $1`,
+      [job.id, stored, delay]
+    );
+    logger.warn(`Job ${job.id} (${job.name}) failed (attempt ${job.attempts}), retrying in ${delay}s: ${caught.message}`);
+    return;
+  }
+
+  await query(
+    `UPDATE jobs SET status = 'failed', error = $2, input = NULL, finished_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [job.id, stored]
+  );
+  logger.error(`Job ${job.id} (${job.name}) failed after ${job.attempts} attempts:`, caught);
+}
+
+/**
+ * Requeue jobs whose worker stopped while running them, or fail them when they
+ * are out of attempts. Tool jobs that are not safe to repeat are queued with a
+ * single attempt, so they fail here rather than run twice.
+ */
+async function recoverAbandonedJobs() {
+  const result = await query(
+    `UPDATE jobs SET
+       status = CASE WHEN attempts < max_attempts THEN 'queued' ELSE 'failed' END,
+       error = $2,
+       run_at = CURRENT_TIMESTAMP,
+       input = CASE WHEN attempts < max_attempts THEN input END,
+       finished_at = CASE WHEN attempts < max_attempts THEN NULL ELSE CURRENT_TIMESTAMP END
+     WHERE status = 'running' AND heartbeat_at < CURRENT_TIMESTAMP - make_interval(secs => $1)
+     RETURNING id, name, status`,
+    [JOB_HEARTBEAT_TIMEOUT_SECONDS, JSON.stringify({ code: 'INTERNAL', message: 'The worker running the job stopped' })]
+  );
+
+  for (const job of result.rows) {
+    logger.warn(`Job ${job.id} (${job.name}) was abandoned by its worker and is now ${job.status}`);
+  }
+  return result.rowCount;
+}
+
+/**
+ * Store the recurring jobs' schedules. A changed schedule takes effect from
+ * now; schedules no longer defined are dropped.
+ */
+async function syncSchedules(recurringJobs) {
+  await withTransaction(async (client) => {
+    for (const { name, schedule } of recurringJobs) {
+      await client.query(
+        `INSERT INTO job_schedules (name, schedule, next_run_at) VALUES ($1, $2, $3::timestamptz)
+         ON CONFLICT (name) DO UPDATE SET
+           schedule = EXCLUDED.schedule,
+           next_run_at = CASE WHEN job_schedules.schedule = EXCLUDED.schedule
+                              THEN job_schedules.next_run_at ELSE EXCLUDED.next_run_at END`,
+        [name, schedule, nextRun(schedule).toISOString()]
+      );
+    }
+    await client.query('DELETE FROM job_schedules WHERE NOT (name = ANY($1))', [recurringJobs.map(job => job.name)]);
+  });
+}
+
+/**
+ * Queue the recurring jobs that are due. A run is skipped while the previous
+ * one is still queued or running. Schedules are locked with SKIP LOCKED so
+ * only one worker queues each run.
+ */
+async function enqueueDueJobs() {
+  return withTransaction(async (client) => {
+    const due = await client.query(
+      'SELECT * FROM job_schedules WHERE next_run_at <= CURRENT_TIMESTAMP FOR UPDATE SKIP LOCKED'
+    );
+
+    let queued = 0;
+    for (const schedule of due.rows) {
+      const pending = await client.query(
+        "SELECT id FROM jobs WHERE kind = 'task' AND name = $1 AND status IN ('queued', 'running') LIMIT 1",
+        [schedule.name]
+      );
+      if (pending.rows.length === 0) {
+        await enqueueJob({ kind: 'task', name: schedule.name }, client);
+        queued += 1;
+      } else {
+        logger.warn(`Skipping ${schedule.name}: the previous run has not finished`);
+      }
+
+      await client.query(
+        'UPDATE job_schedules SET next_run_at = $2::timestamptz, last_run_at = CURRENT_TIMESTAMP WHERE name = $1',
+        [schedule.name, nextRun(schedule.schedule).toISOString()]
+      );
+    }
+    return queued;
+  });
+}
+
+/**
+ * Drop finished jobs older than JOB_RETENTION_DAYS
+ */
+async function pruneJobs() {
+  const result = await query(
+    `DELETE FROM jobs
+     WHERE status IN ('succeeded', 'failed', 'cancelled')
+       AND finished_at < CURRENT_TIMESTAMP - make_interval(days => $1)`,
+    [JOB_RETENTION_DAYS]
+  );
+  return { pruned: result.rowCount };
+}
+
+module.exports = {
+  JOB_STATUSES,
+  enqueueJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  claimJobs,
+  touchJobs,
+  completeJob,
+  failJob,
+  recoverAbandonedJobs,
+  syncSchedules,
+  enqueueDueJobs,
+  pruneJobs
+};
@@ -0,0 +1,160 @@
+jest.mock('../database/connection', () => ({ query: jest.fn() }), { virtual: true });
+jest.mock('../utils/logger', () => ({ logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn() } }), { virtual: true });
+// Transactions run their statements on the same mocked query
+jest.mock('../database/transaction', () => ({
+  withTransaction: fn => fn({ query: require('../database/connection').query })
+}));
+
+const { query } = require('../database/connection');
+const { enqueueJob, getJob, claimJobs, completeJob, failJob, recoverAbandonedJobs } = require('./jobs');
+const { ValidationError, UpstreamUnavailableError } = require('../utils/errors');
+
+const OWNER = { id: 'admin-1', email: 'root@example.com', role: 'domain_admin' };
+
+const row = (fields = {}) => ({
+  id: 'job-1',
+  kind: 'tool',
+  name: 'bulkProvisionUsers',
+  status: 'running',
+  attempts: 1,
+  max_attempts: 3,
+  context: { caller: OWNER },
+  created_by: OWNER.id,
+  run_at: '2024-03-01T10:00:00Z',
+  created_at: '2024-03-01T10:00:00Z',
+  started_at: '2024-03-01T10:00:01Z',
+  finished_at: null,
+  result: null,
+  error: null,
+  ...fields
+});
+
+const statements = pattern => query.mock.calls.filter(([sql]) => pattern.test(sql));
+
+beforeEach(() => {
+  query.mockReset();
+  query.mockResolvedValue({ rows: [], rowCount: 1 });
+});
+
+describe('enqueueJob', () => {
+  test('stores the input with the caller context and the attempts allowed', async () => {
+    query.mockResolvedValueOnce({ rows: [row({ status: 'queued', attempts: 0, max_attempts: 1 })] });
+
+    const job = await enqueueJob({
+      kind: 'tool',
+      name: 'sendMail',
+      input: { from: 'root@example.com' },
+      context: { caller: OWNER, ip: '192.0.2.1' },
+      maxAttempts: 1
+    });
+
+    expect(query.mock.calls[0][1]).toEqual([
+      'tool',
+      'sendMail',
+      '{"from":"root@example.com"}',
+      JSON.stringify({ caller: OWNER, ip: '192.0.2.1', userAgent: null }),
+      'admin-1',
+      1
+    ]);
+    expect(job).toEqual(expect.objectContaining({ id: 'job-1', status: 'queued', maxAttempts: 1, createdBy: 'root@example.com' }));
+  });
+
+  test('allows JOB_MAX_ATTEMPTS attempts by default', async () => {
+    query.mockResolvedValueOnce({ rows: [row()] });
+    await enqueueJob({ kind: 'task', name: 'pruneJobs' });
+
+    expect(query.mock.calls[0][1].slice(4)).toEqual([null, 3]);
+  });
+});
+
+describe('claimJobs', () => {
+  test('claims due queued jobs for the worker without waiting on other workers', async () => {
+    query.mockResolvedValueOnce({ rows: [row()] });
+
+    expect(await claimJobs(2, 'host:1')).toEqual([row()]);
+    const [[sql, params]] = query.mock.calls;
+    expect(sql).toMatch(/WHERE status = 'queued' AND run_at <= CURRENT_TIMESTAMP[\s\S]*FOR UPDATE SKIP LOCKED/);
+    expect(params).toEqual([2, 'host:1']);
+  });
+});
+
+describe('failJob', () => {
+  test('retries an unexpected error with a doubling delay while attempts are left', async () => {
+    await failJob(row({ attempts: 2 }), new Error('connection reset'));
+
+    const [[sql, params]] = query.mock.calls;
+    expect(sql).toMatch(/SET status = 'queued'/);
+    expect(params).toEqual(['job-1', JSON.stringify({ code: 'INTERNAL', message: 'Internal server error' }), 60]);
+  });
+
+  test('retries an unreachable mail server', async () => {
+    await failJob(row(), new UpstreamUnavailableError('IMAP is down'));
+
+    expect(query.mock.calls[0][0]).toMatch(/SET status = 'queued'/);
+  });
+
+  test('fails at once on an error another attempt would not fix', async () => {
+    await failJob(row(), new ValidationError('Import contains no rows'));
+
+    const [[sql, params]] = query.mock.calls;
+    expect(sql).toMatch(/SET status = 'failed', error = \$2, input = NULL/);
+    expect(JSON.parse(params[1])).toEqual({ code: 'VALIDATION', message: 'Import contains no rows' });
+  });
+
+  test('fails a job out of attempts, such as a tool that runs at most once', async () => {
+    await failJob(row({ attempts: 1, max_attempts: 1 }), new Error('connection reset'));
+
+    expect(query.mock.calls[0][0]).toMatch(/SET status = 'failed'/);
+  });
+});
+
+describe('recoverAbandonedJobs', () => {
+  test('requeues jobs of a stopped worker that have attempts left and fails the rest', async () => {
+    query.mockResolvedValueOnce({ rows: [{ id: 'job-1', name: 'sendMail', status: 'failed' }], rowCount: 1 });
+
+    expect(await recoverAbandonedJobs()).toBe(1);
+    const [[sql, params]] = query.mock.calls;
+    expect(sql).toMatch(/status = CASE WHEN attempts < max_attempts THEN 'queued' ELSE 'failed' END/);
+    expect(sql).toMatch(/WHERE status = 'running' AND heartbeat_at < CURRENT_TIMESTAMP - make_interval\(secs => \$1\)/);
+    expect(params[0]).toBe(120);
+  });
+});
+
+describe('completeJob and getJob', () => {
+  const result = { status: 'completed', rows: [{ email: 'ann@example.com', generatedPassword: 'x7-Secret-pw' }] };
+
+  test('drop the input and keep the result of a finished job', async () => {
+    await completeJob(row(), result);
+
+    const [[sql, params]] = query.mock.calls;
+    expect(sql).toMatch(/SET status = 'succeeded', result = \$2, error = NULL, input = NULL/);
+    expect(params).toEqual(['job-1', JSON.stringify(result)]);
+  });
+
+  test('show credentials in the result once, to the caller who queued the job', async () => {
+    query.mockResolvedValueOnce({ rows: [row({ status: 'succeeded', result })] });
+
+    const { job } = await getJob({ id: 'job-1' }, { caller: OWNER });
+
+    expect(job.result).toEqual(result);
+    const [[, [id, stored]]] = statements(/UPDATE jobs SET result/);
+    expect(id).toBe('job-1');
+    expect(JSON.parse(stored).rows[0]).toEqual({ email: 'ann@example.com', generatedPassword: '[redacted]' });
+  });
+
+  test('mask credentials for anyone else', async () => {
+    query.mockResolvedValueOnce({ rows: [row({ status: 'succeeded', result })] });
+
+    const { job } = await getJob({ id: 'job-1' }, { caller: { id: 'root', email: 'super@example.com', role: 'superadmin' } });
+
+    expect(job.result.rows[0].generatedPassword).toBe('[redacted]');
+    expect(statements(/UPDATE jobs SET result/)).toEqual([]);
+  });
+
+  test('refuse jobs the caller may not see', async () => {
+    query.mockResolvedValueOnce({ rows: [] });
+
+    await expect(getJob({ id: 'job-1' }, { caller: { ...OWNER, id: 'other' } })).rejects.toThrow('Job job-1 not found');
+    expect(query.mock.calls[0][1]).toEqual(['job-1', 'other']);
+  });
+});
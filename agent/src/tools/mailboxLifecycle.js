@@ -0,0 +1,246 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { query } = require('../database/connection');
+const { withTransaction } = require('../database/transaction');
+const { logger } = require('../utils/logger');
+const { auditColumns } = require('../middleware/auth');
+const { writeSieveScript } = require('../utils/sieve');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+const execFileAsync = promisify(execFile);
+
+const MAIL_STORAGE_PATH = process.env.MAIL_STORAGE_PATH || '/var/mail';
+const MAILBOX_EXPORT_PATH = process.env.MAILBOX_EXPORT_PATH || '/exports';
+// A purge that stopped half way (status still 'purging') is taken up again after this long
+const PURGE_RETRY_MINUTES = 60;
+
+// Mailboxes the purge may claim: deleted ones past their grace period, and
+// purges that stopped half way
+const PURGE_DUE = `(status = 'deleted' AND purge_after IS NOT NULL AND purge_after <= CURRENT_TIMESTAMP)
+  OR (status = 'purging' AND updated_at < CURRENT_TIMESTAMP - make_interval(mins => ${PURGE_RETRY_MINUTES}))`;
+
+/**
+ * Maildir of a mailbox, following Dovecot's `mail_location = maildir:/var/mail/%d/%n`
+ */
+function maildirPath(email) {
+  const [local, domain] = email.toLowerCase().split('@');
+  const base = path.resolve(MAIL_STORAGE_PATH);
+  const dir = path.resolve(base, domain, local);
+
+  if (!local || !domain || !dir.startsWith(base + path.sep)) {
+    throw new Error(`Refusing to resolve maildir for ${email}`);
+  }
+  return dir;
+}
+
+/**
+ * Placeholder address that frees the original one for reuse
+ */
+function tombstoneAddress(userId) {
+  return `${userId}@purged.invalid`;
+}
+
+/**
+ * Write a user's settings and maildir to the export directory
+ */
+async function exportMailbox(user) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const base = path.join(MAILBOX_EXPORT_PATH, `${user.email}-${stamp}`);
+
+  await fs.mkdir(MAILBOX_EXPORT_PATH, { recursive: true });
+
+  const [aliases, forwarding, filters, autoreplies] = await Promise.all([
+    query('SELECT alias_email, created_at FROM aliases WHERE user_id = $1', [user.id]),
+    query('SELECT forward_to, keep_copy, created_at FROM forwarding WHERE user_id = $1', [user.id]),
+    query('SELECT name, conditions, actions, enabled, created_at FROM filters WHERE user_id = $1', [user.id]),
+    query('SELECT enabled, subject, message, start_date, end_date FROM autoreplies WHERE user_id = $1', [user.id])
+  ]);
+
+  const settingsFile = `${base}.json`;
+  await fs.writeFile(settingsFile, JSON.stringify({
+    email: user.email,
+    displayName: user.display_name,
+    quotaMB: user.quota_mb,
+    deletedAt: user.deleted_at,
+    aliases: aliases.rows,
+    forwarding: forwarding.rows,
+    filters: filters.rows,
+    autoreplies: autoreplies.rows
+  }, null, 2));
+
+  const files = [settingsFile];
+  const maildir = maildirPath(user.email);
+  try {
+    await fs.access(maildir);
+    const archive = `${base}.tar.gz`;
+    await execFileAsync('tar', ['-czf', archive, '-C', path.dirname(maildir), path.basename(maildir)]);
+    files.push(archive);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+    logger.warn(`No maildir to export for ${user.email}`);
+  }
+
+  return files;
+}
+
+/**
+ * Permanently remove a deleted user's mailbox data.
+ * The user row is kept (status 'purged') so audit_log entries stay attached to it.
+ * The row is first claimed as 'purging', re-checking that it is still due, so a
+ * mailbox reactivated since it was listed keeps its mail. Returns null when the
+ * mailbox is no longer due.
+ */
+async function purgeMailbox(user, context = {}) {
+  const claimed = await query(
+    `UPDATE users SET status = 'purging', updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND (${PURGE_DUE})
+     RETURNING id`,
+    [user.id]
+  );
+  if (claimed.rowCount === 0) {
+    logger.info(`Skipping purge of ${user.email}: it is no longer due`);
+    return null;
+  }
+
+  let exportFiles = [];
+  if (user.export_before_purge) {
+    exportFiles = await exportMailbox(user);
+  }
+
+  await fs.rm(maildirPath(user.email), { recursive: true, force: true });
+  await writeSieveScript(user.email, null);
+
+  await withTransaction(async (client) => {
+    await client.query('DELETE FROM aliases WHERE user_id = $1', [user.id]);
+    await client.query('DELETE FROM forwarding WHERE user_id = $1', [user.id]);
+    await client.query('DELETE FROM forwarding_verifications WHERE user_id = $1', [user.id]);
+    await client.query('DELETE FROM filters WHERE user_id = $1', [user.id]);
+    await client.query('DELETE FROM autoreplies WHERE user_id = $1', [user.id]);
+    await client.query('DELETE FROM sessions WHERE user_id = $1', [user.id]);
+
+    await client.query(
+      `UPDATE users SET status = 'purged', purged_at = CURRENT_TIMESTAMP, password_hash = '!',
+              updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'purging'`,
+      [user.id]
+    );
+
+    // Log audit event
+    await client.query(
+      `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [user.id, 'USER_PURGED', { email: user.email, exportFiles }, ...auditColumns(context)]
+    );
+
+    if (user.release_address) {
+      await releaseAddressOf(client, user, context);
+    }
+  });
+
+  logger.info(`Mailbox purged: ${user.email}`, { exportFiles, addressReleased: user.release_address });
+
+  return { email: user.email, exportFiles, addressReleased: user.release_address };
+}
+
+/**
+ * Move a purged user off their address so it can be provisioned again
+ */
+async function releaseAddressOf(client, user, context = {}) {
+  await client.query(
+    `UPDATE users SET original_email = email, email = $1, address_released_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2`,
+    [tombstoneAddress(user.id), user.id]
+  );
+
+  // Log audit event
+  await client.query(
+    `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [user.id, 'ADDRESS_RELEASED', { email: user.email }, ...auditColumns(context)]
+  );
+}
+
+/**
+ * Purge every deleted mailbox whose grace period has ended. `context` is the
+ * caller when the purge was asked for with purgeDeletedMailboxes.
+ */
+async function purgeDueMailboxes(context = {}) {
+  const due = await query(
+    `SELECT id, email, display_name, quota_mb, deleted_at, export_before_purge, release_address
+     FROM users
+     WHERE ${PURGE_DUE}
+     ORDER BY purge_after`
+  );
+
+  const purged = [];
+  const failed = [];
+  for (const user of due.rows) {
+    try {
+      const outcome = await purgeMailbox(user, context);
+      if (outcome) {
+        purged.push(outcome);
+      }
+    } catch (error) {
+      logger.error(`Failed to purge mailbox ${user.email}:`, error);
+      failed.push({ email: user.email, error: error.message });
+    }
+  }
+
+  if (due.rows.length > 0) {
+    logger.info('Mailbox purge run completed', { purged: purged.length, failed: failed.length });
+  }
+
+  return { purged, failed };
+}
+
+/**
+ * Release the address of a purged user for reuse
+ */
+async function releaseAddress(input, context = {}) {
+  const { email } = input;
+
+  try {
+    const userResult = await query('SELECT id, email, status FROM users WHERE LOWER(email) = LOWER($1)', [email]);
+    if (userResult.rows.length === 0) {
+      throw new NotFoundError(`User ${email} not found`);
+    }
+
+    const user = userResult.rows[0];
+    if (user.status !== 'purged') {
+      throw new ConflictError('Only purged mailboxes can release their address');
+    }
+
+    await withTransaction(client => releaseAddressOf(client, user, context));
+
+    logger.info(`Address released: ${email}`);
+
+    return { status: 'ok' };
+  } catch (error) {
+    logger.error('Failed to release address:', error);
+    throw error;
+  }
+}
+
+/**
+ * Run the purge on demand (it also runs as a recurring job)
+ */
+async function purgeDeletedMailboxes(input, context = {}) {
+  try {
+    const result = await purgeDueMailboxes(context);
+    return { status: 'ok', ...result };
+  } catch (error) {
+    logger.error('Failed to purge deleted mailboxes:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  releaseAddress,
+  purgeDeletedMailboxes,
+  purgeDueMailboxes
+};
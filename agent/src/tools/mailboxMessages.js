@@ -0,0 +1,281 @@
+const { simpleParser } = require('mailparser');
+const sanitizeHtml = require('sanitize-html');
+const { logger } = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { withMailbox } = require('../utils/imapClient');
+const { parseQuery, encodeCursor, decodeCursor, invalidQuery } = require('../utils/mailQuery');
+const { buildThreads, messageIds } = require('../utils/threading');
+const { NotFoundError } = require('../utils/errors');
+
+// References is not part of the envelope
+const SUMMARY_FETCH = { bodies: 'HEADER.FIELDS (REFERENCES)', envelope: true, struct: true, size: true };
+
+// CSS values without url(...) or other functions, apart from colours
+const SAFE_STYLE = [/^[^()]*$/, /^rgba?\([\d\s.,%]+\)$/];
+
+/**
+ * Error for a message that does not exist
+ */
+function messageNotFound(folder, uid) {
+  return new NotFoundError(`Message ${uid} not found in ${folder}`);
+}
+
+/**
+ * Envelope addresses as { name, address }, with groups flattened
+ */
+function envelopeAddresses(list) {
+  return (list || [])
+    .flatMap(entry => (entry.group ? entry.addresses : [entry]))
+    .map(entry => ({
+      name: entry.name || null,
+      address: entry.host ? `${entry.mailbox}@${entry.host}` : entry.mailbox
+    }));
+}
+
+/**
+ * mailparser address objects as { name, address }, with groups flattened
+ */
+function parsedAddresses(field) {
+  return (field ? [].concat(field) : [])
+    .flatMap(entry => entry.value)
+    .flatMap(entry => (entry.group ? entry.group : [entry]))
+    .map(entry => ({ name: entry.name || null, address: entry.address }));
+}
+
+/**
+ * Whether a BODYSTRUCTURE has a part sent as an attachment
+ */
+function hasAttachment(struct) {
+  return (struct || []).some((part) => {
+    if (Array.isArray(part)) {
+      return hasAttachment(part);
+    }
+    return Boolean(part.disposition && part.disposition.type.toLowerCase() === 'attachment');
+  });
+}
+
+/**
+ * Listing entry for a message fetched with SUMMARY_FETCH
+ */
+function summarize(message) {
+  const { uid, flags, date, size, struct, envelope } = message.attributes;
+  const header = Object.values(message.bodies)[0];
+
+  return {
+    uid,
+    messageId: envelope.messageId || null,
+    subject: envelope.subject || '',
+    from: envelopeAddresses(envelope.from),
+    to: envelopeAddresses(envelope.to),
+    cc: envelopeAddresses(envelope.cc),
+    date: (envelope.date && !Number.isNaN(envelope.date.getTime()) ? envelope.date : date).toISOString(),
+    receivedAt: date.toISOString(),
+    size,
+    flags,
+    hasAttachments: hasAttachment(struct),
+    inReplyTo: envelope.inReplyTo || null,
+    references: messageIds(header ? header.toString('utf8').replace(/^references:/i, '') : '')
+  };
+}
+
+/**
+ * Fetch messages from a folder, newest first.
+ * `query` uses a Gmail-like syntax (see utils/mailQuery). Pages are cut by UID:
+ * `nextCursor` continues below the last UID returned, so mail arriving meanwhile
+ * does not shift later pages. A cursor is tied to its folder, query and UIDVALIDITY.
+ * With `threads`, messages get a threadId and the page is grouped into conversations.
+ */
+async function fetchMail(input) {
+  const { email, query: text, limit, cursor, threads } = input;
+
+  try {
+    const { criteria, folder: queryFolder } = parseQuery(text);
+    const folder = queryFolder || input.folder;
+    const position = cursor ? decodeCursor(cursor, folder, text) : null;
+
+    const result = await withMailbox(email, async (mailbox) => {
+      const box = await mailbox.openBox(folder, true);
+      if (position && position.uidValidity !== box.uidvalidity) {
+        throw invalidQuery(`${folder} was rebuilt since the cursor was issued; start again without a cursor`, 'INVALID_CURSOR');
+      }
+      if (position && position.beforeUid <= 1) {
+        return { uidValidity: box.uidvalidity, matched: [], messages: [] };
+      }
+
+      const search = criteria.length > 0 ? [...criteria] : ['ALL'];
+      if (position) {
+        search.push(['UID', `1:${position.beforeUid - 1}`]);
+      }
+
+      const matched = (await mailbox.search(search)).sort((a, b) => b - a);
+      const fetched = await mailbox.fetch(matched.slice(0, limit), SUMMARY_FETCH);
+
+      return {
+        uidValidity: box.uidvalidity,
+        matched,
+        messages: fetched.map(summarize).sort((a, b) => b.uid - a.uid)
+      };
+    });
+
+    const { matched, messages } = result;
+    const last = messages[messages.length - 1];
+    const page = {
+      email,
+      folder,
+      messages,
+      remaining: Math.max(matched.length - messages.length, 0),
+      nextCursor: matched.length > limit && last
+        ? encodeCursor({ folder, uidValidity: result.uidValidity, beforeUid: last.uid, query: text })
+        : null
+    };
+    if (threads) {
+      page.threads = buildThreads(messages);
+    }
+
+    metrics.recordMailFetched(messages.length);
+
+    return page;
+  } catch (error) {
+    logger.error('Failed to fetch mail:', error);
+    throw error;
+  }
+}
+
+/**
+ * Fetch and parse one full message
+ */
+async function loadMessage(email, folder, uid, markSeen = false) {
+  return withMailbox(email, async (mailbox) => {
+    await mailbox.openBox(folder, !markSeen);
+    const [message] = await mailbox.fetch([uid], { bodies: '', markSeen });
+    if (!message) {
+      throw messageNotFound(folder, uid);
+    }
+
+    return {
+      flags: message.attributes.flags,
+      parsed: await simpleParser(message.bodies[''])
+    };
+  });
+}
+
+/**
+ * HTML body safe to render in the webmail: no scripts, event handlers, forms or
+ * CSS functions. Remote images are dropped unless allowed (they reveal when and
+ * where a message is read); cid: and data: images are kept.
+ */
+function sanitizeBody(html, allowRemoteImages) {
+  let blockedImages = 0;
+
+  const clean = sanitizeHtml(html, {
+    allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'font', 'center']),
+    allowedAttributes: {
+      '*': ['style', 'align', 'valign', 'width', 'height', 'bgcolor', 'color', 'dir', 'title'],
+      a: ['href', 'name', 'target', 'rel'],
+      img: ['src', 'alt'],
+      font: ['face', 'size'],
+      td: ['colspan', 'rowspan'],
+      th: ['colspan', 'rowspan']
+    },
+    allowedStyles: {
+      '*': Object.fromEntries([
+        'color', 'background-color', 'font-family', 'font-size', 'font-weight', 'font-style',
+        'text-align', 'text-decoration', 'line-height', 'margin', 'padding', 'border',
+        'width', 'height', 'vertical-align', 'white-space'
+      ].map(property => [property, SAFE_STYLE]))
+    },
+    allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+    allowedSchemesByTag: { img: allowRemoteImages ? ['cid', 'data', 'http', 'https'] : ['cid', 'data'] },
+    transformTags: {
+      a: sanitizeHtml.simpleTransform('a', { target: '_blank', rel: 'noopener noreferrer' }),
+      img: (tagName, attribs) => {
+        if (!allowRemoteImages && /^\s*https?:/i.test(attribs.src || '')) {
+          blockedImages += 1;
+        }
+        return { tagName, attribs };
+      }
+    }
+  });
+
+  return { html: clean, blockedImages };
+}
+
+/**
+ * Get one message: headers, sanitized HTML, text and attachment metadata.
+ * Attachment contents are downloaded separately with getAttachment.
+ */
+async function getMessage(input) {
+  const { email, folder, uid, markSeen, allowRemoteImages } = input;
+
+  try {
+    const { flags, parsed } = await loadMessage(email, folder, uid, markSeen);
+    const body = parsed.html ? sanitizeBody(parsed.html, allowRemoteImages) : { html: null, blockedImages: 0 };
+
+    return {
+      email,
+      folder,
+      uid,
+      flags,
+      messageId: parsed.messageId || null,
+      inReplyTo: parsed.inReplyTo || null,
+      references: messageIds([].concat(parsed.references || []).join(' ')),
+      subject: parsed.subject || '',
+      date: parsed.date ? parsed.date.toISOString() : null,
+      from: parsedAddresses(parsed.from),
+      replyTo: parsedAddresses(parsed.replyTo),
+      to: parsedAddresses(parsed.to),
+      cc: parsedAddresses(parsed.cc),
+      bcc: parsedAddresses(parsed.bcc),
+      headers: parsed.headerLines.map(header => ({
+        name: header.key,
+        value: header.line.slice(header.line.indexOf(':') + 1).replace(/\r?\n\s+/g, ' ').trim()
+      })),
+      text: parsed.text || null,
+      html: body.html,
+      blockedImages: body.blockedImages,
+      attachments: parsed.attachments.map((attachment, index) => ({
+        id: index,
+        filename: attachment.filename || null,
+        contentType: attachment.contentType,
+        size: attachment.size,
+        contentId: attachment.contentId || null,
+        inline: attachment.contentDisposition === 'inline'
+      }))
+    };
+  } catch (error) {
+    logger.error('Failed to get message:', error);
+    throw error;
+  }
+}
+
+/**
+ * Download one attachment of a message, base64 encoded.
+ * `attachmentId` is the id listed by getMessage.
+ */
+async function getAttachment(input) {
+  const { email, folder, uid, attachmentId } = input;
+
+  try {
+    const { parsed } = await loadMessage(email, folder, uid);
+    const attachment = parsed.attachments[attachmentId];
+    if (!attachment) {
+      throw new NotFoundError(`Message ${uid} in ${folder} has no attachment ${attachmentId}`);
+    }
+
+    return {
+      filename: attachment.filename || null,
+      contentType: attachment.contentType,
+      size: attachment.size,
+      base64: attachment.content.toString('base64')
+    };
+  } catch (error) {
+    logger.error('Failed to get attachment:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  fetchMail,
+  getMessage,
+  getAttachment
+};
@@ -0,0 +1,559 @@
+const crypto = require('crypto');
+const { simpleParser } = require('mailparser');
+const { query } = require('../database/connection');
+const { logger } = require('../utils/logger');
+const { auditColumns } = require('../middleware/auth');
+const metrics = require('../utils/metrics');
+const { withMailbox } = require('../utils/imapClient');
+const { sendMessage, composeMessage, sendSystemMail } = require('../utils/mailer');
+const { specialFolder } = require('./folderManagement');
+const { domainOf } = require('./domainManagement');
+const { checkSendingLimits } = require('./sendingLimits');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const SEND_UNDO_SECONDS = process.env.SEND_UNDO_SECONDS !== undefined
+  ? parseInt(process.env.SEND_UNDO_SECONDS, 10)
+  : 10;
+const SEND_WORKER_INTERVAL_SECONDS = parseInt(process.env.SEND_WORKER_INTERVAL_SECONDS, 10) || 5;
+const SEND_BATCH_SIZE = parseInt(process.env.SEND_BATCH_SIZE, 10) || 20;
+const SEND_MAX_ATTEMPTS = parseInt(process.env.SEND_MAX_ATTEMPTS, 10) || 5;
+const SEND_MAX_MESSAGE_MB = parseInt(process.env.SEND_MAX_MESSAGE_MB, 10) || 25;
+
+// A message left in 'sending' this long was interrupted mid-delivery (the agent stopped)
+const SEND_CLAIM_TIMEOUT_MINUTES = 10;
+
+// Fields of a message as given to sendMail, saveDraft and updateDraft
+const MESSAGE_FIELDS = ['from', 'to', 'cc', 'bcc', 'subject', 'text', 'html', 'attachments'];
+
+/**
+ * The mailbox an address delivers to (the user itself or through an alias); null when not local
+ */
+async function mailboxOwner(address) {
+  const result = await query(
+    `SELECT id, email FROM users WHERE LOWER(email) = LOWER($1) AND status = 'active'
+     UNION
+     SELECT u.id, u.email FROM aliases a JOIN users u ON u.id = a.user_id
+     WHERE LOWER(a.alias_email) = LOWER($1) AND u.status = 'active'`,
+    [address]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * The stored message fields of an input (what is queued and what drafts hold)
+ */
+function messageFields(input) {
+  const message = {};
+  for (const field of MESSAGE_FIELDS) {
+    if (input[field] !== undefined) {
+      message[field] = input[field];
+    }
+  }
+  return message;
+}
+
+/**
+ * nodemailer fields for stored message fields. Attachments are { name, base64, contentType? }.
+ */
+function nodemailerFields(message, { messageId, date } = {}) {
+  return {
+    from: message.from,
+    to: message.to,
+    cc: message.cc,
+    bcc: message.bcc,
+    subject: message.subject,
+    text: message.text,
+    html: message.html,
+    attachments: (message.attachments || []).map(attachment => ({
+      filename: attachment.name,
+      content: attachment.base64,
+      encoding: 'base64',
+      contentType: attachment.contentType
+    })),
+    messageId,
+    date
+  };
+}
+
+/**
+ * A new Message-ID on the sender's domain
+ */
+function newMessageId(from) {
+  return `<${crypto.randomUUID()}@${domainOf(from)}>`;
+}
+
+/**
+ * Number of To, Cc and Bcc recipients
+ */
+function recipientCount(message) {
+  return ['to', 'cc', 'bcc'].reduce((total, field) => total + (message[field] ? message[field].length : 0), 0);
+}
+
+/**
+ * Refuse a message whose bodies and attachments together are over SEND_MAX_MESSAGE_MB
+ */
+function assertMessageSize(message) {
+  const bytes = Buffer.byteLength(message.text || '') + Buffer.byteLength(message.html || '')
+    + (message.attachments || []).reduce((total, attachment) => total + Buffer.byteLength(attachment.base64 || '', 'base64'), 0);
+
+  if (bytes > SEND_MAX_MESSAGE_MB * 1024 * 1024) {
+    throw new ValidationError(`Message is larger than ${SEND_MAX_MESSAGE_MB} MB`, {
+      reason: 'MESSAGE_TOO_LARGE',
+      status: 413
+    });
+  }
+}
+
+/**
+ * The caller's own mailbox behind a From address (their address or one of their aliases)
+ */
+async function assertSender(from, caller) {
+  const owner = await mailboxOwner(from);
+  if (!owner || !caller || owner.id !== caller.id) {
+    throw new ForbiddenError(`Mail can only be sent from your own address or aliases, not ${from}`, {
+      reason: 'SENDER_FORBIDDEN'
+    });
+  }
+  return owner;
+}
+
+/**
+ * UID of the message with a Message-ID in the open folder (APPEND does not report it)
+ */
+async function uidOf(mailbox, messageId) {
+  const uids = await mailbox.search([['HEADER', 'MESSAGE-ID', messageId]]);
+  return uids.length > 0 ? Math.max(...uids) : null;
+}
+
+/**
+ * Store message fields as a draft in the user's Drafts folder; returns its folder and UID
+ */
+async function appendDraft(email, message) {
+  const messageId = newMessageId(message.from || email);
+  const raw = await composeMessage(
+    nodemailerFields({ from: email, ...message }, { messageId, date: new Date() }),
+    { keepBcc: true }
+  );
+
+  return withMailbox(email, async (mailbox) => {
+    const drafts = await specialFolder(mailbox, '\\Drafts');
+    await mailbox.append(raw, { mailbox: drafts, flags: ['\\Draft', '\\Seen'] });
+    await mailbox.openBox(drafts, true);
+    return { folder: drafts, uid: await uidOf(mailbox, messageId), messageId };
+  });
+}
+
+/**
+ * Message fields of a parsed draft
+ */
+function draftFields(parsed, email) {
+  const addresses = field => (parsed[field]
+    ? [].concat(parsed[field]).flatMap(entry => entry.value.map(value => value.address))
+    : undefined);
+
+  return {
+    from: parsed.from ? parsed.from.value[0].address : email,
+    to: addresses('to'),
+    cc: addresses('cc'),
+    bcc: addresses('bcc'),
+    subject: parsed.subject,
+    text: parsed.text,
+    html: parsed.html || undefined,
+    attachments: parsed.attachments.map(attachment => ({
+      name: attachment.filename,
+      base64: attachment.content.toString('base64'),
+      contentType: attachment.contentType
+    }))
+  };
+}
+
+/**
+ * Remove a draft from the open Drafts folder
+ */
+async function removeDraft(mailbox, uid) {
+  await mailbox.addFlags([uid], '\\Deleted');
+  await mailbox.expunge([uid]);
+}
+
+/**
+ * Send a message now: SMTP, then a copy in the sender's Sent folder and removal of
+ * the draft it was written in. The copy and draft cleanup are best effort; the
+ * message is sent either way.
+ */
+async function deliver({ message, messageId, draftUid }) {
+  const date = new Date();
+  const recipients = recipientCount(message);
+
+  try {
+    await sendMessage(nodemailerFields(message, { messageId, date }));
+    metrics.recordMailSent(recipients);
+  } catch (error) {
+    metrics.recordMailSent(recipients, true);
+    throw error;
+  }
+
+  const owner = await mailboxOwner(message.from);
+  if (!owner) {
+    return { sentCopy: null };
+  }
+
+  try {
+    const raw = await composeMessage(nodemailerFields(message, { messageId, date }), { keepBcc: true });
+    const sentCopy = await withMailbox(owner.email, async (mailbox) => {
+      const sent = await specialFolder(mailbox, '\\Sent');
+      await mailbox.append(raw, { mailbox: sent, flags: ['\\Seen'] });
+
+      if (draftUid) {
+        await mailbox.openBox(await specialFolder(mailbox, '\\Drafts'), false);
+        await removeDraft(mailbox, draftUid);
+      }
+      return sent;
+    });
+    return { sentCopy };
+  } catch (error) {
+    logger.warn(`Sent ${messageId} but could not file it for ${owner.email}: ${error.message}`);
+    return { sentCopy: null };
+  }
+}
+
+/**
+ * Map a scheduled_messages row to the shape returned by the tools
+ */
+function formatScheduled(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    messageId: row.message_id,
+    sendAt: new Date(row.send_at).toISOString(),
+    attempts: row.attempts,
+    lastError: row.last_error || null
+  };
+}
+
+/**
+ * Send email from the caller's address or one of their aliases. Unless undoSeconds
+ * is 0, the message is queued and goes out when the undo window ends, or at
+ * `sendAt` when it is scheduled; until then cancelSend can take it back. A copy is
+ * filed in the sender's Sent folder, and the draft given by draftUid is removed
+ * once the message is sent. Every message counts against the sending limits
+ * (see sendingLimits) when it is accepted.
+ */
+async function sendMail(input, context = {}) {
+  const { sendAt, undoSeconds = SEND_UNDO_SECONDS, draftUid = null } = input;
+
+  try {
+    const message = messageFields(input);
+    if (recipientCount(message) === 0) {
+      throw new ValidationError('At least one recipient is required');
+    }
+    assertMessageSize(message);
+    const owner = await assertSender(message.from, context.caller);
+    const messageId = newMessageId(message.from);
+
+    let sendTime = null;
+    if (sendAt) {
+      sendTime = new Date(sendAt);
+      if (Number.isNaN(sendTime.getTime()) || sendTime <= new Date()) {
+        throw new ValidationError('sendAt must be a time in the future');
+      }
+    } else if (undoSeconds > 0) {
+      sendTime = new Date(Date.now() + undoSeconds * 1000);
+    }
+
+    await checkSendingLimits(owner, recipientCount(message), context);
+
+    if (!sendTime) {
+      const { sentCopy } = await deliver({ message, messageId, draftUid });
+      logger.info(`Mail sent from ${message.from}`, { messageId, recipients: recipientCount(message) });
+      return { status: 'sent', messageId, sentCopy };
+    }
+
+    const result = await query(
+      `INSERT INTO scheduled_messages (user_id, from_address, message, message_id, draft_uid, send_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [owner.id, message.from.toLowerCase(), JSON.stringify(message), messageId, draftUid, sendTime]
+    );
+
+    logger.info(`Mail from ${message.from} queued for ${sendTime.toISOString()}`, { id: result.rows[0].id });
+
+    return { ...formatScheduled(result.rows[0]), scheduled: Boolean(sendAt) };
+  } catch (error) {
+    logger.error('Failed to send mail:', error);
+    throw error;
+  }
+}
+
+/**
+ * Take back a queued message (in its undo window or before its scheduled time).
+ * By default it is put back in Drafts so it can be edited and sent again.
+ */
+async function cancelSend(input) {
+  const { email, id, restoreAsDraft } = input;
+
+  try {
+    const owner = await mailboxOwner(email);
+    const result = await query(
+      `UPDATE scheduled_messages SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'queued' AND (user_id = $2 OR from_address = LOWER($3))
+       RETURNING *`,
+      [id, owner ? owner.id : null, email]
+    );
+
+    if (result.rows.length === 0) {
+      const existing = await query(
+        'SELECT status FROM scheduled_messages WHERE id = $1 AND (user_id = $2 OR from_address = LOWER($3))',
+        [id, owner ? owner.id : null, email]
+      );
+      if (existing.rows.length === 0) {
+        throw new NotFoundError(`No queued message ${id} for ${email}`);
+      }
+      throw new ConflictError(`Message ${id} can no longer be cancelled (${existing.rows[0].status})`);
+    }
+
+    const row = result.rows[0];
+    let draft = null;
+    if (restoreAsDraft && row.user_id) {
+      const ownerRow = await query('SELECT email FROM users WHERE id = $1', [row.user_id]);
+      // A message sent from a draft leaves the draft in place until it goes out
+      draft = row.draft_uid
+        ? { uid: row.draft_uid }
+        : await appendDraft(ownerRow.rows[0].email, row.message);
+    }
+
+    logger.info(`Queued mail ${id} cancelled by ${email}`);
+
+    return { ...formatScheduled(row), draft };
+  } catch (error) {
+    logger.error('Failed to cancel send:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save a new draft in the Drafts folder
+ */
+async function saveDraft(input) {
+  const { email } = input;
+
+  try {
+    const message = messageFields(input);
+    assertMessageSize(message);
+    const draft = await appendDraft(email, message);
+    return { status: 'saved', ...draft };
+  } catch (error) {
+    logger.error('Failed to save draft:', error);
+    throw error;
+  }
+}
+
+/**
+ * Replace a draft. Fields left out keep their current value (attachments included).
+ * The draft gets a new UID.
+ */
+async function updateDraft(input) {
+  const { email, uid } = input;
+
+  try {
+    const current = await withMailbox(email, async (mailbox) => {
+      await mailbox.openBox(await specialFolder(mailbox, '\\Drafts'), true);
+      const [message] = await mailbox.fetch([uid], { bodies: '' });
+      if (!message) {
+        throw new NotFoundError(`Draft ${uid} not found`);
+      }
+      return simpleParser(message.bodies['']);
+    });
+
+    const changes = messageFields(input);
+    // text and html are the same body; giving either replaces both
+    if (changes.text !== undefined || changes.html !== undefined) {
+      changes.text = changes.text || undefined;
+      changes.html = changes.html || undefined;
+    }
+    const message = { ...draftFields(current, email), ...changes };
+    assertMessageSize(message);
+
+    const draft = await appendDraft(email, message);
+    await withMailbox(email, async (mailbox) => {
+      await mailbox.openBox(draft.folder, false);
+      await removeDraft(mailbox, uid);
+    });
+
+    return { status: 'saved', ...draft, previousUid: uid };
+  } catch (error) {
+    logger.error('Failed to update draft:', error);
+    throw error;
+  }
+}
+
+/**
+ * Tell the sender a queued message could not be delivered
+ */
+async function notifyFailure(row, error) {
+  const message = row.message;
+  try {
+    await sendSystemMail({
+      to: message.from,
+      subject: `Undelivered: ${message.subject || '(no subject)'}`,
+      text: `Your message "${message.subject || '(no subject)'}" to ${[...(message.to || []), ...(message.cc || [])].join(', ')} `
+        + `could not be sent after ${row.attempts} attempts.\n\nLast error: ${error.message}\n`
+    });
+  } catch (notifyError) {
+    logger.warn(`Failed to notify ${message.from} about undelivered ${row.id}: ${notifyError.message}`);
+  }
+}
+
+/**
+ * Cancel a mailbox's queued mail, when it is suspended or deleted. Returns the
+ * number of messages cancelled.
+ */
+async function cancelQueuedMail(userId, client = { query }) {
+  const result = await client.query(
+    `UPDATE scheduled_messages SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND status = 'queued'`,
+    [userId]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Mark messages left in 'sending' past SEND_CLAIM_TIMEOUT_MINUTES failed. The
+ * agent stopped while delivering them, so they may already have gone out and
+ * are not sent again; each is audited as SEND_INTERRUPTED for an administrator
+ * to check. Returns the number of messages failed.
+ */
+async function failInterruptedMessages() {
+  const interrupted = await query(
+    `UPDATE scheduled_messages
+     SET status = 'failed', last_error = 'Delivery was interrupted; the message may have been sent'
+     WHERE status = 'sending' AND claimed_at < CURRENT_TIMESTAMP - make_interval(mins => $1)
+     RETURNING id, user_id, message_id, attempts, message`,
+    [SEND_CLAIM_TIMEOUT_MINUTES]
+  );
+
+  for (const row of interrupted.rows) {
+    logger.warn(`Delivery of queued mail ${row.id} was interrupted (attempt ${row.attempts}); marked failed for review`);
+    await query(
+      `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        row.user_id,
+        'SEND_INTERRUPTED',
+        {
+          id: row.id,
+          messageId: row.message_id,
+          from: row.message.from,
+          to: row.message.to,
+          subject: row.message.subject,
+          attempts: row.attempts
+        },
+        ...auditColumns()
+      ]
+    );
+  }
+  return interrupted.rowCount;
+}
+
+/**
+ * Deliver queued messages whose send time has come. Rows are claimed with
+ * SKIP LOCKED so several agents can share the queue. Temporary failures are
+ * retried with growing delays; permanent SMTP rejections (5xx) and the last
+ * attempt mark the message failed and the sender is told. Mail of senders that
+ * are no longer active (scheduled before they were suspended or deleted) is
+ * cancelled instead of sent, and interrupted deliveries are never retried.
+ */
+async function deliverDueMessages() {
+  await failInterruptedMessages();
+
+  const dropped = await query(
+    `UPDATE scheduled_messages m
+     SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, last_error = 'Sender is not active'
+     FROM users u
+     WHERE u.id = m.user_id AND u.status <> 'active'
+       AND m.status = 'queued' AND m.send_at <= CURRENT_TIMESTAMP`
+  );
+  if (dropped.rowCount > 0) {
+    logger.warn(`Cancelled ${dropped.rowCount} queued messages of senders that are not active`);
+  }
+
+  const claimed = await query(
+    `UPDATE scheduled_messages
+     SET status = 'sending', attempts = attempts + 1, claimed_at = CURRENT_TIMESTAMP
+     WHERE id IN (
+       SELECT id FROM scheduled_messages
+       WHERE status = 'queued' AND send_at <= CURRENT_TIMESTAMP
+         AND EXISTS (SELECT 1 FROM users u WHERE u.id = scheduled_messages.user_id AND u.status = 'active')
+       ORDER BY send_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [SEND_BATCH_SIZE]
+  );
+
+  let sent = 0;
+  let failed = 0;
+  for (const [index, row] of claimed.rows.entries()) {
+    // Keep the rest of the batch claimed while slow deliveries are waited on, so
+    // another agent does not fail it as interrupted after SEND_CLAIM_TIMEOUT_MINUTES
+    await query(
+      'UPDATE scheduled_messages SET claimed_at = CURRENT_TIMESTAMP WHERE id = ANY($1)',
+      [claimed.rows.slice(index).map(message => message.id)]
+    );
+
+    try {
+      await deliver({ message: row.message, messageId: row.message_id, draftUid: row.draft_uid });
+      await query(
+        "UPDATE scheduled_messages SET status = 'sent', sent_at = CURRENT_TIMESTAMP, last_error = NULL WHERE id = $1",
+        [row.id]
+      );
+      sent += 1;
+    } catch (error) {
+      const permanent = error.responseCode >= 500 || row.attempts >= SEND_MAX_ATTEMPTS;
+      await query(
+        `UPDATE scheduled_messages
+         SET status = $2, last_error = $3, send_at = CURRENT_TIMESTAMP + make_interval(mins => $4)
+         WHERE id = $1`,
+        [row.id, permanent ? 'failed' : 'queued', error.message, row.attempts * row.attempts]
+      );
+      logger.warn(`Delivery of queued mail ${row.id} failed (attempt ${row.attempts}): ${error.message}`);
+      if (permanent) {
+        failed += 1;
+        await notifyFailure(row, error);
+      }
+    }
+  }
+
+  return { sent, failed };
+}
+
+/**
+ * Periodically deliver queued messages that are due
+ */
+function startSendWorker() {
+  let delivering = false;
+  const timer = setInterval(() => {
+    // A run that outlasts the interval is not started again until it has finished
+    if (delivering) {
+      return;
+    }
+    delivering = true;
+    deliverDueMessages()
+      .catch(error => logger.error('Scheduled mail delivery failed:', error))
+      .finally(() => { delivering = false; });
+  }, SEND_WORKER_INTERVAL_SECONDS * 1000);
+  timer.unref();
+
+  logger.info(`Queued mail checked every ${SEND_WORKER_INTERVAL_SECONDS} seconds`);
+  return timer;
+}
+
+module.exports = {
+  sendMail,
+  cancelSend,
+  saveDraft,
+  updateDraft,
+  deliverDueMessages,
+  cancelQueuedMail,
+  startSendWorker
+};
@@ -0,0 +1,106 @@
+jest.mock('../database/connection', () => ({ query: jest.fn() }), { virtual: true });
+jest.mock('../utils/logger', () => ({ logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn() } }), { virtual: true });
+jest.mock('../utils/metrics', () => ({ recordMailSent: jest.fn() }));
+jest.mock('../utils/mailer', () => ({ sendMessage: jest.fn(), composeMessage: jest.fn(), sendSystemMail: jest.fn() }));
+jest.mock('../utils/imapClient', () => ({ withMailbox: jest.fn() }));
+jest.mock('./folderManagement', () => ({ specialFolder: jest.fn() }));
+jest.mock('./domainManagement', () => ({ domainOf: jest.fn() }));
+jest.mock('./sendingLimits', () => ({ checkSendingLimits: jest.fn() }));
+
+const { query } = require('../database/connection');
+const { sendMessage, sendSystemMail } = require('../utils/mailer');
+const { deliverDueMessages } = require('./outgoingMail');
+
+const queued = (fields = {}) => ({
+  id: 'msg-1',
+  user_id: 'user-1',
+  message_id: '<1@example.com>',
+  draft_uid: null,
+  attempts: 1,
+  message: { from: 'ann@example.com', to: ['bob@example.net'], subject: 'Hello', text: 'Hi' },
+  ...fields
+});
+
+/**
+ * Answer the worker's queries: `interrupted` rows are the ones left in 'sending',
+ * `claimed` the ones the claim returns. Every other statement changes nothing.
+ */
+function queue({ interrupted = [], claimed = [] } = {}) {
+  query.mockImplementation(async (sql) => {
+    if (sql.includes('Delivery was interrupted')) {
+      return { rows: interrupted, rowCount: interrupted.length };
+    }
+    if (sql.includes("SET status = 'sending'")) {
+      return { rows: claimed, rowCount: claimed.length };
+    }
+    return { rows: [], rowCount: 0 };
+  });
+}
+
+const statements = pattern => query.mock.calls.filter(([sql]) => pattern.test(sql));
+
+describe('deliverDueMessages', () => {
+  beforeEach(() => {
+    query.mockReset();
+    sendMessage.mockReset();
+    sendSystemMail.mockReset();
+  });
+
+  test('sends claimed messages and marks them sent', async () => {
+    queue({ claimed: [queued()] });
+
+    expect(await deliverDueMessages()).toEqual({ sent: 1, failed: 0 });
+    expect(sendMessage).toHaveBeenCalledWith(expect.objectContaining({ from: 'ann@example.com', messageId: '<1@example.com>' }));
+    expect(statements(/SET status = 'sent'/)).toEqual([[expect.any(String), ['msg-1']]]);
+  });
+
+  test('claims only queued messages, never ones another delivery left in sending', async () => {
+    queue();
+    await deliverDueMessages();
+
+    const [[claim]] = statements(/SET status = 'sending'/);
+    expect(claim).toMatch(/WHERE status = 'queued' AND send_at <= CURRENT_TIMESTAMP/);
+    expect(claim).not.toMatch(/status = 'sending' AND/);
+  });
+
+  test('fails and audits interrupted deliveries instead of sending them again', async () => {
+    queue({ interrupted: [queued({ attempts: 2 })] });
+
+    expect(await deliverDueMessages()).toEqual({ sent: 0, failed: 0 });
+    expect(sendMessage).not.toHaveBeenCalled();
+    expect(statements(/INSERT INTO audit_log/)).toEqual([[expect.any(String), [
+      'user-1',
+      'SEND_INTERRUPTED',
+      {
+        id: 'msg-1',
+        messageId: '<1@example.com>',
+        from: 'ann@example.com',
+        to: ['bob@example.net'],
+        subject: 'Hello',
+        attempts: 2
+      },
+      null,
+      null,
+      null
+    ]]]);
+  });
+
+  test('retries a temporary failure later with a growing delay', async () => {
+    queue({ claimed: [queued({ attempts: 2 })] });
+    sendMessage.mockRejectedValue(Object.assign(new Error('Try again later'), { responseCode: 421 }));
+
+    expect(await deliverDueMessages()).toEqual({ sent: 0, failed: 0 });
+    const [[, params]] = statements(/SET status = \$2/);
+    expect(params).toEqual(['msg-1', 'queued', 'Try again later', 4]);
+    expect(sendSystemMail).not.toHaveBeenCalled();
+  });
+
+  test('fails a rejected message for good and tells the sender', async () => {
+    queue({ claimed: [queued()] });
+    sendMessage.mockRejectedValue(Object.assign(new Error('Mailbox unavailable'), { responseCode: 550 }));
+
+    expect(await deliverDueMessages()).toEqual({ sent: 0, failed: 1 });
+    expect(statements(/SET status = \$2/)[0][1][1]).toBe('failed');
+    expect(sendSystemMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'ann@example.com', subject: 'Undelivered: Hello' }));
+  });
+});
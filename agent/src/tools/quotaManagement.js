@@ -0,0 +1,281 @@
+const { query } = require('../database/connection');
+const { logger } = require('../utils/logger');
+const { withMailbox } = require('../utils/imapClient');
+const { sendSystemMail } = require('../utils/mailer');
+const { NotFoundError, UpstreamUnavailableError } = require('../utils/errors');
+const { getManagedDomain } = require('./domainManagement');
+
+const QUOTA_HISTORY_DAYS = parseInt(process.env.QUOTA_HISTORY_DAYS, 10) || 90;
+
+// Usage levels (percent of quota) at which the owner is emailed, lowest first
+const QUOTA_WARNING_PERCENTS = [80, 95];
+
+/**
+ * Usage as a percentage of a quota, to one decimal
+ */
+function percentOf(usedKB, quotaMB) {
+  return quotaMB > 0 ? Math.round((usedKB / (quotaMB * 1024)) * 1000) / 10 : null;
+}
+
+/**
+ * Storage and message counts of a mailbox as Dovecot reports them (GETQUOTAROOT on INBOX).
+ * Storage is in KB. Returns null when the server does not enforce a quota.
+ */
+async function readUsage(email) {
+  return withMailbox(email, async (mailbox) => {
+    if (!mailbox.serverSupports('QUOTA')) {
+      return null;
+    }
+
+    const roots = await mailbox.getQuotaRoot('INBOX');
+    const resources = Object.values(roots)[0];
+    if (!resources || !resources.storage) {
+      return null;
+    }
+
+    return {
+      usedKB: resources.storage.usage,
+      serverLimitKB: resources.storage.limit,
+      messages: resources.message ? resources.message.usage : null
+    };
+  });
+}
+
+/**
+ * Store a usage reading in the history
+ */
+async function recordUsage(userId, usage) {
+  await query(
+    'INSERT INTO quota_usage (user_id, used_kb, limit_kb, messages) VALUES ($1, $2, $3, $4)',
+    [userId, usage.usedKB, usage.serverLimitKB, usage.messages]
+  );
+}
+
+/**
+ * The highest warning level a usage percentage has reached (0 below the first)
+ */
+function warningLevel(percent) {
+  return QUOTA_WARNING_PERCENTS.filter(level => percent !== null && percent >= level).pop() || 0;
+}
+
+/**
+ * Email the owner when usage reaches a higher warning level than last warned about.
+ * The stored level follows usage down, so a mailbox that was cleaned up is warned
+ * again if it fills up later.
+ */
+async function checkQuotaWarning(user, percent) {
+  const level = warningLevel(percent);
+  const warned = user.quota_warning_percent || 0;
+  if (level === warned) {
+    return false;
+  }
+
+  await query('UPDATE users SET quota_warning_percent = $1 WHERE id = $2', [level, user.id]);
+  if (level < warned) {
+    return false;
+  }
+
+  try {
+    await sendSystemMail({
+      to: user.email,
+      subject: `Your mailbox is ${Math.floor(percent)}% full`,
+      text: `Your mailbox ${user.email} uses ${Math.floor(percent)}% of its ${user.quota_mb} MB quota.\n\n`
+        + 'When it is full, new mail will be refused. Delete or archive old messages (and empty Trash) to free up space.\n'
+    });
+  } catch (error) {
+    logger.warn(`Failed to send quota warning to ${user.email}: ${error.message}`);
+  }
+
+  // Log audit event
+  await query(
+    'INSERT INTO audit_log (user_id, action, details) VALUES ($1, $2, $3)',
+    [user.id, 'QUOTA_WARNING', { email: user.email, percent, level, quotaMB: user.quota_mb }]
+  );
+  return true;
+}
+
+/**
+ * Current usage of a mailbox in MB for quota checks: read live, falling back to
+ * the last collected reading when the mail server cannot be reached.
+ * null when no usage is known.
+ */
+async function currentUsageMB(user) {
+  try {
+    const usage = await readUsage(user.email);
+    if (usage) {
+      return usage.usedKB / 1024;
+    }
+  } catch (error) {
+    logger.warn(`Live quota reading for ${user.email} failed: ${error.message}`);
+  }
+
+  const result = await query(
+    'SELECT used_kb FROM quota_usage WHERE user_id = $1 ORDER BY collected_at DESC LIMIT 1',
+    [user.id]
+  );
+  return result.rows.length > 0 ? parseInt(result.rows[0].used_kb, 10) / 1024 : null;
+}
+
+/**
+ * Storage used by a mailbox against its quota, read from the mail server.
+ * With historyDays, the collected readings of that many days are included.
+ */
+async function getQuotaUsage(input) {
+  const { email, historyDays } = input;
+
+  try {
+    const userResult = await query(
+      "SELECT id, email, quota_mb FROM users WHERE LOWER(email) = LOWER($1) AND status IN ('active', 'suspended')",
+      [email]
+    );
+    if (userResult.rows.length === 0) {
+      throw new NotFoundError(`User ${email} not found`);
+    }
+    const user = userResult.rows[0];
+
+    const usage = await readUsage(user.email);
+    if (!usage) {
+      throw new UpstreamUnavailableError('The mail server does not report quota usage');
+    }
+    await recordUsage(user.id, usage);
+
+    const report = {
+      email: user.email,
+      usedMB: Math.round(usage.usedKB / 1024),
+      quotaMB: user.quota_mb,
+      percent: percentOf(usage.usedKB, user.quota_mb),
+      messages: usage.messages,
+      checkedAt: new Date().toISOString()
+    };
+
+    if (historyDays > 0) {
+      const history = await query(
+        `SELECT used_kb, messages, collected_at FROM quota_usage
+         WHERE user_id = $1 AND collected_at > CURRENT_TIMESTAMP - make_interval(days => $2)
+         ORDER BY collected_at`,
+        [user.id, historyDays]
+      );
+      report.history = history.rows.map(row => ({
+        usedMB: Math.round(parseInt(row.used_kb, 10) / 1024),
+        messages: row.messages,
+        collectedAt: row.collected_at
+      }));
+    }
+
+    return report;
+  } catch (error) {
+    logger.error('Failed to get quota usage:', error);
+    throw error;
+  }
+}
+
+/**
+ * Quota usage of every mailbox on a domain from the last collected readings,
+ * fullest first, with domain totals
+ */
+async function getDomainQuotaReport(input) {
+  const { domain, minPercent } = input;
+
+  try {
+    const managed = await getManagedDomain(domain);
+    if (!managed) {
+      throw new NotFoundError(`Domain ${domain} is not managed by this server`);
+    }
+
+    const result = await query(
+      `SELECT u.email, u.status, u.quota_mb, latest.used_kb, latest.messages, latest.collected_at
+       FROM users u
+       LEFT JOIN LATERAL (
+         SELECT used_kb, messages, collected_at FROM quota_usage
+         WHERE user_id = u.id ORDER BY collected_at DESC LIMIT 1
+       ) latest ON true
+       WHERE u.email LIKE $1 AND u.status IN ('active', 'suspended')`,
+      [`%@${managed.name}`]
+    );
+
+    const mailboxes = result.rows.map((row) => {
+      const usedKB = row.used_kb !== null ? parseInt(row.used_kb, 10) : null;
+      return {
+        email: row.email,
+        status: row.status,
+        quotaMB: row.quota_mb,
+        usedMB: usedKB !== null ? Math.round(usedKB / 1024) : null,
+        percent: usedKB !== null ? percentOf(usedKB, row.quota_mb) : null,
+        messages: row.messages,
+        collectedAt: row.collected_at || null
+      };
+    });
+
+    const measured = mailboxes.filter(mailbox => mailbox.usedMB !== null);
+    const usedMB = measured.reduce((total, mailbox) => total + mailbox.usedMB, 0);
+    const quotaMB = mailboxes.reduce((total, mailbox) => total + mailbox.quotaMB, 0);
+    const measuredQuotaMB = measured.reduce((total, mailbox) => total + mailbox.quotaMB, 0);
+
+    return {
+      domain: managed.name,
+      mailboxes: mailboxes
+        .filter(mailbox => (mailbox.percent || 0) >= minPercent)
+        .sort((a, b) => (b.percent || 0) - (a.percent || 0)),
+      totals: {
+        mailboxes: mailboxes.length,
+        measured: measured.length,
+        usedMB,
+        quotaMB,
+        percent: measuredQuotaMB > 0 ? Math.round((usedMB / measuredQuotaMB) * 1000) / 10 : null,
+        overWarning: Object.fromEntries(QUOTA_WARNING_PERCENTS.map(level => [
+          level,
+          measured.filter(mailbox => mailbox.percent >= level).length
+        ]))
+      }
+    };
+  } catch (error) {
+    logger.error('Failed to build domain quota report:', error);
+    throw error;
+  }
+}
+
+/**
+ * Read the usage of every active mailbox, store it in the history, send warnings
+ * and drop history older than QUOTA_HISTORY_DAYS. Mailboxes are read one at a
+ * time; one that cannot be read does not stop the others.
+ */
+async function collectQuotaUsage() {
+  const users = await query(
+    "SELECT id, email, quota_mb, quota_warning_percent FROM users WHERE status = 'active' ORDER BY email"
+  );
+
+  let collected = 0;
+  let failed = 0;
+  let warned = 0;
+  for (const user of users.rows) {
+    try {
+      const usage = await readUsage(user.email);
+      if (!usage) {
+        continue;
+      }
+      await recordUsage(user.id, usage);
+      collected += 1;
+      if (await checkQuotaWarning(user, percentOf(usage.usedKB, user.quota_mb))) {
+        warned += 1;
+      }
+    } catch (error) {
+      failed += 1;
+      logger.warn(`Quota collection for ${user.email} failed: ${error.message}`);
+    }
+  }
+
+  await query(
+    'DELETE FROM quota_usage WHERE collected_at < CURRENT_TIMESTAMP - make_interval(days => $1)',
+    [QUOTA_HISTORY_DAYS]
+  );
+
+  logger.info('Quota usage collected', { collected, failed, warned });
+  return { collected, failed, warned };
+}
+
+module.exports = {
+  currentUsageMB,
+  getQuotaUsage,
+  getDomainQuotaReport,
+  collectQuotaUsage
+};
@@ -0,0 +1,2171 @@
+const { ROLES, authorizeTool, auditDenial, denialError } = require('../middleware/auth');
+const { compileInputSchemas, validateToolInput } = require('../middleware/schemaValidation');
+const { logger } = require('../utils/logger');
+const { NotFoundError, normalizeError } = require('../utils/errors');
+const { redact } = require('../utils/redact');
+const metrics = require('../utils/metrics');
+
+// Import tool handlers
+const userTools = require('./userManagement');
+const adminTools = require('./adminOperations');
+const sessionTools = require('./sessionManagement');
+const lifecycleTools = require('./mailboxLifecycle');
+const bulkTools = require('./bulkOperations');
+const domainTools = require('./domainManagement');
+const dkimTools = require('./dkimManagement');
+const filterTools = require('./filterManagement');
+const autoreplyTools = require('./autoreplyManagement');
+const forwardingTools = require('./forwardingManagement');
+const mailboxTools = require('./mailboxMessages');
+const folderTools = require('./folderManagement');
+const outgoingTools = require('./outgoingMail');
+const limitTools = require('./sendingLimits');
+const quotaTools = require('./quotaManagement');
+const auditTools = require('./auditLog');
+const webhookTools = require('./webhooks');
+const jobTools = require('./jobs');
+const { EVENT_TYPES } = require('./events');
+
+// Filter rule model shared by setFilter and testFilter
+const filterSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    enabled: { type: 'boolean', default: true },
+    conditions: {
+      type: 'object',
+      description: 'A matcher { field: from|to|subject|header|body|size, header?, operator: contains|is|matches|over|under, '
+        + 'value, negate? } or a group { all: [...] } / { any: [...] } of matchers and groups. Omit to match every message.'
+    },
+    actions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: ['fileinto', 'flag', 'forward', 'discard', 'reject', 'stop'] },
+          folder: { type: 'string', description: 'fileinto' },
+          flags: { type: 'array', items: { type: 'string' }, description: 'flag, e.g. \\Seen or \\Flagged' },
+          to: { type: 'string', format: 'email', description: 'forward' },
+          keepCopy: { type: 'boolean', description: 'forward' },
+          message: { type: 'string', description: 'reject' }
+        },
+        required: ['type']
+      }
+    }
+  },
+  required: ['name', 'actions']
+};
+
+// Result shapes shared by several tools (outputSchema is documentation; results are not validated)
+const addressesOutput = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      name: { type: ['string', 'null'] },
+      address: { type: 'string' }
+    }
+  }
+};
+
+const domainOutput = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    status: { type: 'string', enum: ['active', 'disabled'] },
+    defaultQuotaMB: { type: 'integer' },
+    maxUsers: { type: ['integer', 'null'] },
+    dkimSelector: { type: 'string' },
+    forwarding: {
+      type: 'object',
+      properties: {
+        maxExternal: { type: ['integer', 'null'] },
+        allow: { type: 'array', items: { type: 'string' } },
+        deny: { type: 'array', items: { type: 'string' } },
+        verification: { type: 'boolean' }
+      }
+    },
+    users: { type: 'integer', description: 'listDomains only' },
+    createdAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+const dkimKeyOutput = {
+  type: 'object',
+  properties: {
+    selector: { type: 'string' },
+    algorithm: { type: 'string', enum: ['rsa', 'ed25519'] },
+    keyBits: { type: ['integer', 'null'] },
+    state: { type: 'string', enum: ['pending', 'published', 'active', 'retired'] },
+    createdAt: { type: 'string', format: 'date-time' },
+    publishedAt: { type: ['string', 'null'], format: 'date-time' },
+    activatedAt: { type: ['string', 'null'], format: 'date-time' },
+    retiredAt: { type: ['string', 'null'], format: 'date-time' },
+    record: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        type: { type: 'string' },
+        value: { type: 'string' },
+        chunks: { type: 'array', items: { type: 'string' }, description: 'value split into 255-character TXT strings' }
+      }
+    }
+  }
+};
+
+const forwardingOutput = {
+  type: 'object',
+  properties: {
+    email: { type: 'string', format: 'email' },
+    rules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          forwardTo: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                address: { type: 'string', format: 'email' },
+                status: { type: 'string', enum: ['active', 'pending_verification', 'expired'] }
+              }
+            }
+          },
+          keepCopy: { type: 'boolean' },
+          fromSenders: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    }
+  }
+};
+
+const autoreplyOutput = {
+  type: 'object',
+  properties: {
+    email: { type: 'string', format: 'email' },
+    enabled: { type: 'boolean' },
+    state: { type: 'string', enum: ['disabled', 'scheduled', 'active', 'expired'] },
+    subject: { type: ['string', 'null'] },
+    message: { type: ['string', 'null'] },
+    internalMessage: { type: ['string', 'null'] },
+    externalMessage: { type: ['string', 'null'] },
+    startISO: { type: ['string', 'null'], format: 'date-time' },
+    endISO: { type: ['string', 'null'], format: 'date-time' },
+    replyIntervalDays: { type: 'number' }
+  }
+};
+
+const scheduledMessageOutput = {
+  id: { type: 'string', format: 'uuid' },
+  status: { type: 'string', enum: ['queued', 'sending', 'sent', 'failed', 'cancelled'] },
+  messageId: { type: 'string' },
+  sendAt: { type: 'string', format: 'date-time' },
+  attempts: { type: 'integer' },
+  lastError: { type: ['string', 'null'] }
+};
+
+const draftOutput = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ['saved'] },
+    folder: { type: 'string' },
+    uid: { type: ['integer', 'null'] },
+    messageId: { type: 'string' }
+  }
+};
+
+const sessionOutput = {
+  status: { type: 'string' },
+  accessToken: { type: 'string' },
+  refreshToken: { type: 'string' },
+  tokenType: { type: 'string', enum: ['Bearer'] },
+  refreshExpiresAt: { type: 'string', format: 'date-time' }
+};
+
+const sendingLimitsOutput = {
+  type: 'object',
+  properties: {
+    scope: { type: 'string', enum: ['user', 'domain'] },
+    email: { type: 'string', format: 'email', description: 'Mailbox scope' },
+    domain: { type: 'string', description: 'Domain scope' },
+    limits: {
+      type: 'object',
+      properties: {
+        messagesPerHour: { type: 'integer' },
+        recipientsPerMessage: { type: 'integer' },
+        recipientsPerDay: { type: 'integer' }
+      }
+    },
+    overrides: { type: 'object', description: 'Limits set on this mailbox or domain; null uses the server default' },
+    usage: {
+      type: 'object',
+      properties: {
+        messagesLastHour: { type: 'integer' },
+        recipientsLastDay: { type: 'integer' }
+      }
+    },
+    status: { type: 'string', description: 'Mailbox scope' },
+    sendingSuspendedAt: { type: ['string', 'null'], format: 'date-time', description: 'Mailbox scope' },
+    topSenders: {
+      type: 'array',
+      description: 'Domain scope',
+      items: {
+        type: 'object',
+        properties: {
+          email: { type: 'string', format: 'email' },
+          messages: { type: 'integer' },
+          recipients: { type: 'integer' }
+        }
+      }
+    }
+  }
+};
+
+const webhookOutput = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', format: 'uuid' },
+    url: { type: 'string' },
+    events: { type: 'array', items: { type: 'string', enum: EVENT_TYPES } },
+    description: { type: ['string', 'null'] },
+    active: { type: 'boolean' },
+    pending: { type: 'integer', description: 'Deliveries waiting to be sent or retried' },
+    deadLetters: { type: 'integer' },
+    createdAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+const jobOutput = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', format: 'uuid' },
+    kind: { type: 'string', enum: ['tool', 'task'], description: 'A queued tool call, or a recurring maintenance task' },
+    name: { type: 'string' },
+    status: { type: 'string', enum: jobTools.JOB_STATUSES },
+    attempts: { type: 'integer' },
+    maxAttempts: { type: 'integer' },
+    createdBy: { type: ['string', 'null'], description: 'The caller who queued it; null for recurring tasks' },
+    runAt: { type: 'string', format: 'date-time', description: 'When it runs (again, when waiting to be retried)' },
+    createdAt: { type: 'string', format: 'date-time' },
+    startedAt: { type: ['string', 'null'], format: 'date-time' },
+    finishedAt: { type: ['string', 'null'], format: 'date-time' },
+    result: { description: 'What the tool returned, once succeeded' },
+    error: {
+      type: ['object', 'null'],
+      description: 'The last failure as { code, message, reason? }',
+      properties: { code: { type: 'string' }, message: { type: 'string' }, reason: { type: 'string' } }
+    }
+  }
+};
+
+const transferOutput = {
+  type: 'object',
+  properties: {
+    status: { type: 'string' },
+    destination: { type: 'string' },
+    missing: { type: 'array', items: { type: 'integer' }, description: 'uids not found in the folder' }
+  }
+};
+
+// Tool definitions with schemas. `idempotent` marks tools that are safe to run
+// again, so a background job running one is retried after a failure.
+const tools = {
+  provisionUser: {
+    name: 'provisionUser',
+    description: 'Create a new mailbox for a user on a managed domain',
+    inputSchema: userTools.provisionUserInput,
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['created'] },
+        userId: { type: 'string', format: 'uuid' },
+        aliases: { type: 'array', items: { type: 'string', format: 'email' } }
+      }
+    },
+    handler: userTools.provisionUser
+  },
+  
+  suspendUser: {
+    name: 'suspendUser',
+    description: 'Suspend or delete a user mailbox',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        mode: { type: 'string', enum: ['suspend', 'delete'] },
+        graceDays: { type: 'integer', minimum: 0, description: 'Days before a deleted mailbox is purged (default DELETE_GRACE_DAYS)' },
+        exportBeforePurge: { type: 'boolean', default: false },
+        releaseAddress: { type: 'boolean', default: false, description: 'Free the address for reuse once purged' }
+      },
+      required: ['email', 'mode']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string' },
+        sessionsRevoked: { type: 'integer' },
+        purgeAfter: { type: 'string', format: 'date-time', description: 'delete mode' }
+      }
+    },
+    handler: userTools.suspendUser
+  },
+  
+  bulkProvisionUsers: {
+    name: 'bulkProvisionUsers',
+    description: 'Provision many users from CSV or JSON, with an up-front validation report',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        format: { type: 'string', enum: ['csv', 'json'] },
+        data: {
+          description: 'CSV text (header: email,displayName,password,quotaMB,aliases,forwarding; lists separated by ";") or a JSON array of users',
+          oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'object' } }]
+        },
+        dryRun: { type: 'boolean', default: false },
+        skipInvalid: { type: 'boolean', default: false, description: 'Provision valid rows even when some rows are invalid' },
+        batchSize: { type: 'integer', minimum: 1, maximum: 100, default: 10 },
+        generatePasswords: { type: 'boolean', default: false, description: 'Generate initial passwords for rows without one; returned once' }
+      },
+      required: ['format', 'data']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['dry_run', 'rejected', 'completed'] },
+        total: { type: 'integer' },
+        valid: { type: 'integer' },
+        invalid: { type: 'integer' },
+        created: { type: 'integer' },
+        failed: { type: 'integer' },
+        forwardingFailed: { type: 'integer', description: 'Created rows whose forwarding was refused' },
+        rows: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              row: { type: 'integer' },
+              email: { type: 'string' },
+              status: { type: 'string', enum: ['valid', 'invalid', 'created', 'failed'] },
+              errors: { type: 'array', items: { type: 'string' } },
+              error: { type: 'string' },
+              userId: { type: 'string', format: 'uuid' },
+              generatedPassword: { type: 'string' },
+              forwardingError: {
+                type: 'string',
+                description: 'The mailbox was created but its forwarding was refused; set it with setForwarding'
+              }
+            }
+          }
+        }
+      }
+    },
+    handler: bulkTools.bulkProvisionUsers
+  },
+  
+  exportUsers: {
+    name: 'exportUsers',
+    description: 'Export users with their aliases and forwarding as CSV or JSON',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        format: { type: 'string', enum: ['csv', 'json'], default: 'json' },
+        domain: { type: 'string' },
+        status: { type: 'string', enum: ['active', 'suspended', 'deleted', 'purged'] }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        format: { type: 'string', enum: ['csv', 'json'] },
+        count: { type: 'integer' },
+        data: { description: 'CSV text or an array of users', oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'object' } }] }
+      }
+    },
+    idempotent: true,
+    handler: bulkTools.exportUsers
+  },
+  
+  reactivateUser: {
+    name: 'reactivateUser',
+    description: 'Reactivate a suspended user, or a deleted user before their mailbox is purged',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' }
+      },
+      required: ['email']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string' },
+        previousStatus: { type: 'string', enum: ['suspended', 'deleted'] }
+      }
+    },
+    handler: userTools.reactivateUser
+  },
+  
+  releaseAddress: {
+    name: 'releaseAddress',
+    description: 'Free the address of a purged mailbox so it can be provisioned again',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' }
+      },
+      required: ['email']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string' }
+      }
+    },
+    handler: lifecycleTools.releaseAddress
+  },
+  
+  purgeDeletedMailboxes: {
+    name: 'purgeDeletedMailboxes',
+    description: 'Purge every deleted mailbox whose grace period has ended',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string' },
+        purged: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              email: { type: 'string', format: 'email' },
+              exportFiles: { type: 'array', items: { type: 'string' } },
+              addressReleased: { type: 'boolean' }
+            }
+          }
+        },
+        failed: {
+          type: 'array',
+          items: { type: 'object', properties: { email: { type: 'string' }, error: { type: 'string' } } }
+        }
+      }
+    },
+    handler: lifecycleTools.purgeDeletedMailboxes
+  },
+  
+  setPassword: {
+    name: 'setPassword',
+    description: 'Change or reset user password; it must meet the password policy and not repeat a recent one',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        newPassword: { type: 'string', maxLength: 72 },
+        forceLogout: { type: 'boolean', default: true }
+      },
+      required: ['email', 'newPassword']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string' },
+        sessionsRevoked: { type: 'integer' }
+      }
+    },
+    handler: userTools.setPassword
+  },
+  
+  unlockAccount: {
+    name: 'unlockAccount',
+    description: 'Lift a lockout caused by repeated failed logins',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' }
+      },
+      required: ['email']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string' },
+        wasLocked: { type: 'boolean' },
+        failedLogins: { type: 'integer' }
+      }
+    },
+    idempotent: true,
+    handler: userTools.unlockAccount
+  },
+  
+  createAlias: {
+    name: 'createAlias',
+    description: 'Create email alias',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        alias: { type: 'string', format: 'email' }
+      },
+      required: ['email', 'alias']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string' }
+      }
+    },
+    handler: userTools.createAlias
+  },
+  
+  removeAlias: {
+    name: 'removeAlias',
+    description: 'Remove email alias',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        alias: { type: 'string', format: 'email' }
+      },
+      required: ['email', 'alias']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string' }
+      }
+    },
+    handler: userTools.removeAlias
+  },
+  
+  setForwarding: {
+    name: 'setForwarding',
+    description: 'Replace the forwarding rules of a mailbox. External addresses may need to confirm by email before mail is forwarded.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        forwardTo: { type: 'array', items: { type: 'string', format: 'email' }, description: 'Single-rule form' },
+        keepCopy: { type: 'boolean', default: true },
+        fromSenders: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Only forward mail from these addresses or domains'
+        },
+        rules: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              forwardTo: { type: 'array', items: { type: 'string', format: 'email' } },
+              keepCopy: { type: 'boolean', default: true },
+              fromSenders: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['forwardTo']
+          }
+        }
+      },
+      required: ['email']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string' },
+        ...forwardingOutput.properties,
+        verificationEmails: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              address: { type: 'string', format: 'email' },
+              sent: { type: 'boolean' },
+              error: { type: 'string' }
+            }
+          }
+        }
+      }
+    },
+    handler: forwardingTools.setForwarding
+  },
+  
+  getForwarding: {
+    name: 'getForwarding',
+    description: 'Get the forwarding rules of a mailbox and the status of each destination',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' }
+      },
+      required: ['email']
+    },
+    outputSchema: forwardingOutput,
+    idempotent: true,
+    handler: forwardingTools.getForwarding
+  },
+  
+  clearForwarding: {
+    name: 'clearForwarding',
+    description: 'Remove all forwarding rules of a mailbox',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' }
+      },
+      required: ['email']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string' },
+        removed: { type: 'integer', description: 'Rules removed' }
+      }
+    },
+    handler: forwardingTools.clearForwarding
+  },
+  
+  confirmForwarding: {
+    name: 'confirmForwarding',
+    description: 'Confirm an external forwarding address with the token from its verification email',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        token: { type: 'string' }
+      },
+      required: ['token']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['verified'] },
+        address: { type: 'string', format: 'email' }
+      }
+    },
+    handler: forwardingTools.confirmForwarding
+  },
+  
+  setQuota: {
+    name: 'setQuota',
+    description: 'Set user mailbox quota; a quota below current usage needs force',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        quotaMB: { type: 'number', minimum: 100 },
+        force: { type: 'boolean', default: false, description: 'Allow a quota below what the mailbox already uses' }
+      },
+      required: ['email', 'quotaMB']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string' },
+        usedMB: { type: ['integer', 'null'] },
+        overQuota: { type: 'boolean' }
+      }
+    },
+    idempotent: true,
+    handler: userTools.setQuota
+  },
+  
+  getQuotaUsage: {
+    name: 'getQuotaUsage',
+    description: 'Storage a mailbox uses against its quota, read from the mail server',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        historyDays: { type: 'integer', minimum: 0, maximum: 365, default: 0, description: 'Include collected readings of this many days' }
+      },
+      required: ['email']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        usedMB: { type: 'integer' },
+        quotaMB: { type: 'integer' },
+        percent: { type: ['number', 'null'] },
+        messages: { type: ['integer', 'null'] },
+        checkedAt: { type: 'string', format: 'date-time' },
+        history: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              usedMB: { type: 'integer' },
+              messages: { type: ['integer', 'null'] },
+              collectedAt: { type: 'string', format: 'date-time' }
+            }
+          }
+        }
+      }
+    },
+    idempotent: true,
+    handler: quotaTools.getQuotaUsage
+  },
+  
+  getDomainQuotaReport: {
+    name: 'getDomainQuotaReport',
+    description: 'Quota usage of every mailbox on a domain from the last collected readings, fullest first',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        domain: { type: 'string' },
+        minPercent: { type: 'number', minimum: 0, default: 0, description: 'Only list mailboxes at least this full' }
+      },
+      required: ['domain']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        domain: { type: 'string' },
+        mailboxes: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              email: { type: 'string', format: 'email' },
+              status: { type: 'string' },
+              quotaMB: { type: 'integer' },
+              usedMB: { type: ['integer', 'null'] },
+              percent: { type: ['number', 'null'] },
+              messages: { type: ['integer', 'null'] },
+              collectedAt: { type: ['string', 'null'], format: 'date-time' }
+            }
+          }
+        },
+        totals: {
+          type: 'object',
+          properties: {
+            mailboxes: { type: 'integer' },
+            measured: { type: 'integer' },
+            usedMB: { type: 'integer' },
+            quotaMB: { type: 'integer' },
+            percent: { type: ['number', 'null'] },
+            overWarning: { type: 'object', description: 'Mailboxes at or above each warning level, keyed by percent' }
+          }
+        }
+      }
+    },
+    idempotent: true,
+    handler: quotaTools.getDomainQuotaReport
+  },
+  
+  sendMail: {
+    name: 'sendMail',
+    description: 'Send email from your address or one of your aliases, now or at sendAt; queued messages can be taken '
+      + 'back with cancelSend until they go out. Subject to the sending limits.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        from: { type: 'string', format: 'email' },
+        to: { type: 'array', items: { type: 'string', format: 'email' } },
+        cc: { type: 'array', items: { type: 'string', format: 'email' } },
+        bcc: { type: 'array', items: { type: 'string', format: 'email' } },
+        subject: { type: 'string' },
+        html: { type: 'string' },
+        text: { type: 'string' },
+        attachments: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              base64: { type: 'string' },
+              contentType: { type: 'string' }
+            }
+          }
+        },
+        sendAt: { type: 'string', format: 'date-time', description: 'Schedule the message instead of sending it now' },
+        undoSeconds: {
+          type: 'integer',
+          minimum: 0,
+          maximum: 300,
+          description: 'How long cancelSend can take the message back (default SEND_UNDO_SECONDS); 0 sends at once'
+        },
+        draftUid: { type: 'integer', minimum: 1, description: 'Draft to remove from Drafts once the message is sent' }
+      },
+      required: ['from', 'to', 'subject']
+    },
+    outputSchema: {
+      type: 'object',
+      description: 'status sent when delivered at once; otherwise the queued message',
+      properties: {
+        ...scheduledMessageOutput,
+        status: { type: 'string', enum: ['sent', 'queued'] },
+        scheduled: { type: 'boolean' },
+        sentCopy: { type: ['object', 'null'], description: 'Where the Sent copy was filed' }
+      }
+    },
+    handler: outgoingTools.sendMail
+  },
+  
+  cancelSend: {
+    name: 'cancelSend',
+    description: 'Take back a queued or scheduled message before it is sent',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email', description: 'The sending mailbox' },
+        id: { type: 'string', format: 'uuid', description: 'id returned by sendMail' },
+        restoreAsDraft: { type: 'boolean', default: true }
+      },
+      required: ['email', 'id']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        ...scheduledMessageOutput,
+        draft: {
+          type: ['object', 'null'],
+          properties: {
+            folder: { type: 'string' },
+            uid: { type: ['integer', 'null'] },
+            messageId: { type: 'string' }
+          }
+        }
+      }
+    },
+    handler: outgoingTools.cancelSend
+  },
+  
+  getSendingLimits: {
+    name: 'getSendingLimits',
+    description: 'Show the sending limits and current counters of a mailbox or a domain',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        domain: { type: 'string', description: 'Instead of email: the domain totals and its top senders today' }
+      }
+    },
+    outputSchema: sendingLimitsOutput,
+    idempotent: true,
+    handler: limitTools.getSendingLimits
+  },
+  
+  setSendingLimits: {
+    name: 'setSendingLimits',
+    description: 'Override the sending limits of a mailbox or a domain; null restores the server default',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        domain: { type: 'string' },
+        messagesPerHour: { type: ['integer', 'null'], minimum: 1 },
+        recipientsPerMessage: { type: ['integer', 'null'], minimum: 1 },
+        recipientsPerDay: { type: ['integer', 'null'], minimum: 1 }
+      }
+    },
+    outputSchema: sendingLimitsOutput,
+    idempotent: true,
+    handler: limitTools.setSendingLimits
+  },
+  
+  resetSendingCounters: {
+    name: 'resetSendingCounters',
+    description: 'Clear the sending counters of a mailbox or a domain, optionally reactivating a mailbox the limits suspended',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        domain: { type: 'string' },
+        reactivate: { type: 'boolean', default: false }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string' },
+        scope: { type: 'string', enum: ['user', 'domain'] },
+        entriesCleared: { type: 'integer' },
+        reactivated: { type: 'boolean' }
+      }
+    },
+    handler: limitTools.resetSendingCounters
+  },
+  
+  saveDraft: {
+    name: 'saveDraft',
+    description: 'Save a new draft in the Drafts folder',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        from: { type: 'string', format: 'email', description: 'Defaults to email' },
+        to: { type: 'array', items: { type: 'string', format: 'email' } },
+        cc: { type: 'array', items: { type: 'string', format: 'email' } },
+        bcc: { type: 'array', items: { type: 'string', format: 'email' } },
+        subject: { type: 'string' },
+        html: { type: 'string' },
+        text: { type: 'string' },
+        attachments: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              base64: { type: 'string' },
+              contentType: { type: 'string' }
+            }
+          }
+        }
+      },
+      required: ['email']
+    },
+    outputSchema: draftOutput,
+    handler: outgoingTools.saveDraft
+  },
+  
+  updateDraft: {
+    name: 'updateDraft',
+    description: 'Change a draft; fields left out keep their value. The draft gets a new uid.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        uid: { type: 'integer', minimum: 1 },
+        from: { type: 'string', format: 'email' },
+        to: { type: 'array', items: { type: 'string', format: 'email' } },
+        cc: { type: 'array', items: { type: 'string', format: 'email' } },
+        bcc: { type: 'array', items: { type: 'string', format: 'email' } },
+        subject: { type: 'string' },
+        html: { type: 'string' },
+        text: { type: 'string' },
+        attachments: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              base64: { type: 'string' },
+              contentType: { type: 'string' }
+            }
+          },
+          description: 'Replaces all attachments of the draft'
+        }
+      },
+      required: ['email', 'uid']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        ...draftOutput.properties,
+        previousUid: { type: 'integer' }
+      }
+    },
+    handler: outgoingTools.updateDraft
+  },
+  
+  fetchMail: {
+    name: 'fetchMail',
+    description: 'List messages in a folder, newest first, with search and conversation threading',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        folder: { type: 'string', default: 'INBOX' },
+        query: {
+          type: 'string',
+          default: '',
+          description: 'Gmail-like search: from: to: cc: subject: has:attachment is:unread|read|starred|answered '
+            + 'label: before:/after:YYYY-MM-DD newer_than:/older_than:7d larger:/smaller:10M in:folder, '
+            + 'free text and "phrases"; "a OR b", -term to exclude'
+        },
+        limit: { type: 'integer', default: 50, minimum: 1, maximum: 100 },
+        cursor: { type: 'string', description: 'nextCursor of the previous page' },
+        threads: { type: 'boolean', default: false, description: 'Group the page into conversations' }
+      },
+      required: ['email']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        folder: { type: 'string' },
+        messages: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              uid: { type: 'integer' },
+              messageId: { type: ['string', 'null'] },
+              subject: { type: 'string' },
+              from: addressesOutput,
+              to: addressesOutput,
+              cc: addressesOutput,
+              date: { type: 'string', format: 'date-time' },
+              receivedAt: { type: 'string', format: 'date-time' },
+              size: { type: 'integer' },
+              flags: { type: 'array', items: { type: 'string' } },
+              hasAttachments: { type: 'boolean' },
+              inReplyTo: { type: ['string', 'null'] },
+              references: { type: 'array', items: { type: 'string' } },
+              threadId: { type: 'string', description: 'With threads' }
+            }
+          }
+        },
+        remaining: { type: 'integer', description: 'Matching messages after this page' },
+        nextCursor: { type: ['string', 'null'] },
+        threads: { type: 'array', items: { type: 'object' }, description: 'With threads' }
+      }
+    },
+    idempotent: true,
+    handler: mailboxTools.fetchMail
+  },
+  
+  getMessage: {
+    name: 'getMessage',
+    description: 'Get one message with its headers, text, sanitized HTML and attachment list',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        folder: { type: 'string', default: 'INBOX' },
+        uid: { type: 'integer', minimum: 1 },
+        markSeen: { type: 'boolean', default: false },
+        allowRemoteImages: { type: 'boolean', default: false, description: 'Keep http(s) images in the HTML' }
+      },
+      required: ['email', 'uid']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        folder: { type: 'string' },
+        uid: { type: 'integer' },
+        flags: { type: 'array', items: { type: 'string' } },
+        messageId: { type: ['string', 'null'] },
+        inReplyTo: { type: ['string', 'null'] },
+        references: { type: 'array', items: { type: 'string' } },
+        subject: { type: 'string' },
+        date: { type: ['string', 'null'], format: 'date-time' },
+        from: addressesOutput,
+        replyTo: addressesOutput,
+        to: addressesOutput,
+        cc: addressesOutput,
+        bcc: addressesOutput,
+        headers: {
+          type: 'array',
+          items: { type: 'object', properties: { name: { type: 'string' }, value: { type: 'string' } } }
+        },
+        text: { type: ['string', 'null'] },
+        html: { type: ['string', 'null'], description: 'Sanitized' },
+        blockedImages: { type: 'integer' },
+        attachments: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'integer' },
+              filename: { type: ['string', 'null'] },
+              contentType: { type: 'string' },
+              size: { type: 'integer' },
+              contentId: { type: ['string', 'null'] },
+              inline: { type: 'boolean' }
+            }
+          }
+        }
+      }
+    },
+    idempotent: true,
+    handler: mailboxTools.getMessage
+  },
+  
+  getAttachment: {
+    name: 'getAttachment',
+    description: 'Download an attachment of a message as base64',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        folder: { type: 'string', default: 'INBOX' },
+        uid: { type: 'integer', minimum: 1 },
+        attachmentId: { type: 'integer', minimum: 0, description: 'id from the attachments of getMessage' }
+      },
+      required: ['email', 'uid', 'attachmentId']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        filename: { type: ['string', 'null'] },
+        contentType: { type: 'string' },
+        size: { type: 'integer' },
+        base64: { type: 'string' }
+      }
+    },
+    idempotent: true,
+    handler: mailboxTools.getAttachment
+  },
+  
+  listFolders: {
+    name: 'listFolders',
+    description: 'List the folders of a mailbox with their special use and message counts',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        counts: { type: 'boolean', default: true, description: 'Include message and unread counts' }
+      },
+      required: ['email']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        folders: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', description: 'Full path' },
+              displayName: { type: 'string' },
+              parent: { type: ['string', 'null'] },
+              delimiter: { type: 'string' },
+              specialUse: { type: ['string', 'null'] },
+              selectable: { type: 'boolean' },
+              messages: { type: 'integer' },
+              unread: { type: 'integer' }
+            }
+          }
+        }
+      }
+    },
+    idempotent: true,
+    handler: folderTools.listFolders
+  },
+  
+  createFolder: {
+    name: 'createFolder',
+    description: 'Create a folder; use the hierarchy delimiter from listFolders for subfolders',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        name: { type: 'string', minLength: 1, maxLength: 255 }
+      },
+      required: ['email', 'name']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['created'] },
+        folder: { type: 'string' }
+      }
+    },
+    handler: folderTools.createFolder
+  },
+  
+  renameFolder: {
+    name: 'renameFolder',
+    description: 'Rename a folder; INBOX, Drafts, Sent, Trash and Junk cannot be renamed',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        name: { type: 'string' },
+        newName: { type: 'string', minLength: 1, maxLength: 255 }
+      },
+      required: ['email', 'name', 'newName']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['renamed'] },
+        folder: { type: 'string' },
+        previousName: { type: 'string' }
+      }
+    },
+    handler: folderTools.renameFolder
+  },
+  
+  deleteFolder: {
+    name: 'deleteFolder',
+    description: 'Delete a folder; INBOX, Drafts, Sent, Trash and Junk cannot be deleted',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        name: { type: 'string' },
+        force: { type: 'boolean', default: false, description: 'Delete the folder even if it still holds messages' }
+      },
+      required: ['email', 'name']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['deleted'] },
+        folder: { type: 'string' },
+        messagesDeleted: { type: 'integer' }
+      }
+    },
+    handler: folderTools.deleteFolder
+  },
+  
+  moveMessages: {
+    name: 'moveMessages',
+    description: 'Move messages to another folder',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        folder: { type: 'string', default: 'INBOX' },
+        uids: { type: 'array', items: { type: 'integer', minimum: 1 }, minItems: 1, maxItems: 1000 },
+        destination: { type: 'string' }
+      },
+      required: ['email', 'uids', 'destination']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        ...transferOutput.properties,
+        moved: { type: 'array', items: { type: 'integer' } }
+      }
+    },
+    handler: folderTools.moveMessages
+  },
+  
+  copyMessages: {
+    name: 'copyMessages',
+    description: 'Copy messages to another folder',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        folder: { type: 'string', default: 'INBOX' },
+        uids: { type: 'array', items: { type: 'integer', minimum: 1 }, minItems: 1, maxItems: 1000 },
+        destination: { type: 'string' }
+      },
+      required: ['email', 'uids', 'destination']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        ...transferOutput.properties,
+        copied: { type: 'array', items: { type: 'integer' } }
+      }
+    },
+    handler: folderTools.copyMessages
+  },
+  
+  setFlags: {
+    name: 'setFlags',
+    description: 'Mark messages read/unread, flagged, answered, or add and remove labels',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        folder: { type: 'string', default: 'INBOX' },
+        uids: { type: 'array', items: { type: 'integer', minimum: 1 }, minItems: 1, maxItems: 1000 },
+        seen: { type: 'boolean', description: 'true marks read, false unread; omit to leave as is' },
+        flagged: { type: 'boolean' },
+        answered: { type: 'boolean' },
+        addLabels: { type: 'array', items: { type: 'string' }, default: [] },
+        removeLabels: { type: 'array', items: { type: 'string' }, default: [] }
+      },
+      required: ['email', 'uids']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string' },
+        updated: { type: 'array', items: { type: 'integer' } },
+        missing: { type: 'array', items: { type: 'integer' } }
+      }
+    },
+    idempotent: true,
+    handler: folderTools.setFlags
+  },
+  
+  deleteMessages: {
+    name: 'deleteMessages',
+    description: 'Move messages to Trash, or delete them for good when they are in Trash or permanent is set',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        folder: { type: 'string', default: 'INBOX' },
+        uids: { type: 'array', items: { type: 'integer', minimum: 1 }, minItems: 1, maxItems: 1000 },
+        permanent: { type: 'boolean', default: false }
+      },
+      required: ['email', 'uids']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string' },
+        deleted: { type: 'array', items: { type: 'integer' } },
+        missing: { type: 'array', items: { type: 'integer' } },
+        permanent: { type: 'boolean' },
+        movedTo: { type: ['string', 'null'], description: 'Trash, unless deleted for good' }
+      }
+    },
+    handler: folderTools.deleteMessages
+  },
+  
+  setFilter: {
+    name: 'setFilter',
+    description: 'Replace the server-side filters of a mailbox; they are compiled to a Sieve script run at delivery',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        filters: { type: 'array', items: filterSchema }
+      },
+      required: ['email', 'filters']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string' },
+        filters: { type: 'array', items: filterSchema },
+        sieve: { type: 'string' }
+      }
+    },
+    idempotent: true,
+    handler: filterTools.setFilter
+  },
+  
+  listFilters: {
+    name: 'listFilters',
+    description: 'List the filters of a mailbox and the Sieve script they compile to',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' }
+      },
+      required: ['email']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        filters: { type: 'array', items: filterSchema },
+        count: { type: 'integer' },
+        sieve: { type: 'string' }
+      }
+    },
+    idempotent: true,
+    handler: filterTools.listFilters
+  },
+  
+  testFilter: {
+    name: 'testFilter',
+    description: 'Show what filters would do with a sample message; uses the saved filters unless filters are given',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        filters: { type: 'array', items: filterSchema },
+        message: {
+          type: 'object',
+          properties: {
+            from: { type: 'string' },
+            to: { type: 'array', items: { type: 'string' } },
+            cc: { type: 'array', items: { type: 'string' } },
+            subject: { type: 'string' },
+            headers: { type: 'object' },
+            body: { type: 'string' },
+            size: { type: 'number', description: 'Bytes; computed from headers and body when omitted' }
+          },
+          required: ['from']
+        }
+      },
+      required: ['email', 'message']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        matched: { type: 'array', items: { type: 'string' }, description: 'Names of the filters that matched' },
+        keep: {
+          type: ['object', 'null'],
+          properties: { folder: { type: 'string' }, flags: { type: 'array', items: { type: 'string' } } }
+        },
+        fileinto: {
+          type: 'array',
+          items: { type: 'object', properties: { folder: { type: 'string' }, flags: { type: 'array', items: { type: 'string' } } } }
+        },
+        forward: { type: 'array', items: { type: 'string', format: 'email' } },
+        discard: { type: 'boolean' },
+        reject: { type: ['string', 'null'] }
+      }
+    },
+    idempotent: true,
+    handler: filterTools.testFilter
+  },
+  
+  setAutoreply: {
+    name: 'setAutoreply',
+    description: 'Set vacation auto-reply; never answers mailing lists, bulk mail, auto-responders or the user\'s own addresses',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        enabled: { type: 'boolean' },
+        subject: { type: 'string', maxLength: 255, description: 'Defaults to "Auto: <original subject>"' },
+        message: { type: 'string' },
+        internalMessage: { type: 'string', description: 'Reply to senders on the same domain; defaults to message' },
+        externalMessage: { type: 'string', description: 'Reply to other senders; defaults to message' },
+        startISO: { type: 'string', format: 'date-time' },
+        endISO: { type: 'string', format: 'date-time' },
+        replyIntervalDays: { type: 'number', minimum: 1, maximum: 30, description: 'Reply at most once per sender in this many days' }
+      },
+      required: ['email', 'enabled']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string' },
+        autoreply: autoreplyOutput
+      }
+    },
+    idempotent: true,
+    handler: autoreplyTools.setAutoreply
+  },
+  
+  getAutoreply: {
+    name: 'getAutoreply',
+    description: 'Get vacation auto-reply settings and whether they are in effect',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' }
+      },
+      required: ['email']
+    },
+    outputSchema: autoreplyOutput,
+    idempotent: true,
+    handler: autoreplyTools.getAutoreply
+  },
+  
+  dnsStatus: {
+    name: 'dnsStatus',
+    description: 'Check DNS configuration status',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        domain: { type: 'string' }
+      },
+      required: ['domain']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        domain: { type: 'string' },
+        mx: { type: 'array', items: { type: 'object' } },
+        spf: { type: ['object', 'null'] },
+        dkim: { type: 'array', items: { type: 'object' } },
+        dmarc: { type: ['object', 'null'] },
+        mtaSts: { type: ['object', 'null'] },
+        tlsRpt: { type: ['object', 'null'] },
+        ptr: { type: 'array', items: { type: 'object' } },
+        findings: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              check: { type: 'string' },
+              severity: { type: 'string', enum: ['error', 'warning', 'info'] },
+              message: { type: 'string' },
+              fix: { type: 'string' }
+            }
+          }
+        },
+        dkimRotation: { type: 'object', description: 'Managed domains: key state changes made from what is published' },
+        verdict: { type: 'string', enum: ['pass', 'warn', 'fail'] }
+      }
+    },
+    idempotent: true,
+    handler: adminTools.dnsStatus
+  },
+  
+  rotateDkimKey: {
+    name: 'rotateDkimKey',
+    description: 'Generate a new DKIM key under a new selector and return the TXT record to publish',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        domain: { type: 'string' },
+        algorithm: { type: 'string', enum: ['rsa', 'ed25519'], default: 'rsa' },
+        keyBits: { type: 'integer', enum: [1024, 2048, 4096], default: 2048, description: 'RSA only' },
+        selector: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]{0,62}$', description: 'Defaults to s<YYYYMMDD>' }
+      },
+      required: ['domain']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['pending'] },
+        key: dkimKeyOutput,
+        instructions: { type: 'string' }
+      }
+    },
+    handler: dkimTools.rotateDkimKey
+  },
+  
+  listDkimKeys: {
+    name: 'listDkimKeys',
+    description: 'List DKIM keys of a domain with their state (pending, published, active, retired)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        domain: { type: 'string' },
+        state: { type: 'string', enum: ['pending', 'published', 'active', 'retired'] }
+      },
+      required: ['domain']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        domain: { type: 'string' },
+        activeSelector: { type: 'string' },
+        keys: { type: 'array', items: dkimKeyOutput }
+      }
+    },
+    idempotent: true,
+    handler: dkimTools.listDkimKeys
+  },
+  
+  addDomain: {
+    name: 'addDomain',
+    description: 'Start hosting mailboxes for a domain',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        defaultQuotaMB: { type: 'integer', minimum: 100, default: 5120 },
+        maxUsers: { type: 'integer', minimum: 1, description: 'Omit for no limit' },
+        dkimSelector: { type: 'string', default: 's1' },
+        maxExternalForwards: { type: 'integer', minimum: 0, description: 'External forwarding addresses per mailbox' },
+        forwardAllow: { type: 'array', items: { type: 'string' }, default: [], description: 'Only allow forwarding to these domains' },
+        forwardDeny: { type: 'array', items: { type: 'string' }, default: [], description: 'Never forward to these domains' },
+        forwardVerification: { type: 'boolean', default: true, description: 'External addresses must confirm by email' }
+      },
+      required: ['name']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['created'] },
+        domain: domainOutput
+      }
+    },
+    handler: domainTools.addDomain
+  },
+  
+  updateDomain: {
+    name: 'updateDomain',
+    description: "Change a domain's default quota, user limit, DKIM selector, forwarding policy or status",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        defaultQuotaMB: { type: 'integer', minimum: 100 },
+        maxUsers: { type: ['integer', 'null'], minimum: 1 },
+        dkimSelector: { type: 'string' },
+        status: { type: 'string', enum: ['active', 'disabled'] },
+        maxExternalForwards: { type: ['integer', 'null'], minimum: 0 },
+        forwardAllow: { type: 'array', items: { type: 'string' } },
+        forwardDeny: { type: 'array', items: { type: 'string' } },
+        forwardVerification: { type: 'boolean' }
+      },
+      required: ['name']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string' },
+        domain: domainOutput
+      }
+    },
+    idempotent: true,
+    handler: domainTools.updateDomain
+  },
+  
+  removeDomain: {
+    name: 'removeDomain',
+    description: 'Stop hosting a domain that has no mailboxes or aliases left',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' }
+      },
+      required: ['name']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string' }
+      }
+    },
+    handler: domainTools.removeDomain
+  },
+  
+  listDomains: {
+    name: 'listDomains',
+    description: 'List hosted domains with their settings and mailbox counts',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['active', 'disabled'] }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        domains: { type: 'array', items: domainOutput },
+        count: { type: 'integer' }
+      }
+    },
+    idempotent: true,
+    handler: domainTools.listDomains
+  },
+  
+  queryAuditLog: {
+    name: 'queryAuditLog',
+    description: 'Read the audit log, newest first, with filters and cursor pagination; export a page as CSV or JSON',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email', description: 'The user entries are about' },
+        actions: { type: 'array', items: { type: 'string' }, description: 'e.g. USER_SUSPENDED, ACCESS_DENIED, TOOL_CALL' },
+        actor: { type: 'string', format: 'email', description: 'Who made the call' },
+        since: { type: 'string', format: 'date-time' },
+        until: { type: 'string', format: 'date-time' },
+        limit: { type: 'integer', minimum: 1, maximum: 1000, default: 100 },
+        cursor: { type: 'string', description: 'nextCursor of the previous page' },
+        format: { type: 'string', enum: ['json', 'csv'], default: 'json' },
+        includeArchived: { type: 'boolean', default: false, description: 'Also search entries moved to the archive' }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        format: { type: 'string', enum: ['json', 'csv'] },
+        count: { type: 'integer' },
+        nextCursor: { type: ['string', 'null'] },
+        data: {
+          description: 'CSV text or the entries',
+          oneOf: [
+            { type: 'string' },
+            {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  createdAt: { type: 'string', format: 'date-time' },
+                  action: { type: 'string' },
+                  email: { type: ['string', 'null'] },
+                  actor: { type: ['string', 'null'] },
+                  ipAddress: { type: ['string', 'null'] },
+                  userAgent: { type: ['string', 'null'] },
+                  details: { type: 'object' }
+                }
+              }
+            }
+          ]
+        }
+      }
+    },
+    idempotent: true,
+    handler: auditTools.queryAuditLog
+  },
+  
+  createWebhook: {
+    name: 'createWebhook',
+    description: 'Subscribe a URL to mailbox lifecycle events; each delivery is signed with the returned secret',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', format: 'uri', pattern: '^[Hh][Tt][Tt][Pp][Ss]?://' },
+        events: {
+          type: 'array',
+          items: { type: 'string', enum: EVENT_TYPES },
+          uniqueItems: true,
+          default: [],
+          description: 'Event types to receive; empty receives every event'
+        },
+        description: { type: 'string', maxLength: 255 }
+      },
+      required: ['url']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['created'] },
+        webhook: webhookOutput,
+        secret: { type: 'string', description: 'HMAC-SHA256 key for X-MailHero-Signature; shown only once' }
+      }
+    },
+    handler: webhookTools.createWebhook
+  },
+  
+  listWebhooks: {
+    name: 'listWebhooks',
+    description: 'List webhooks with their queued deliveries and dead letters',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        webhooks: { type: 'array', items: webhookOutput }
+      }
+    },
+    idempotent: true,
+    handler: webhookTools.listWebhooks
+  },
+  
+  deleteWebhook: {
+    name: 'deleteWebhook',
+    description: 'Remove a webhook with its queued deliveries and dead letters',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', format: 'uuid' }
+      },
+      required: ['id']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['deleted'] },
+        id: { type: 'string', format: 'uuid' }
+      }
+    },
+    handler: webhookTools.deleteWebhook
+  },
+  
+  listWebhookDeadLetters: {
+    name: 'listWebhookDeadLetters',
+    description: 'List webhook deliveries that failed every attempt, newest first',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        webhookId: { type: 'string', format: 'uuid' },
+        limit: { type: 'integer', minimum: 1, maximum: 1000, default: 100 }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        deadLetters: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string', format: 'uuid' },
+              webhookId: { type: 'string', format: 'uuid' },
+              eventId: { type: 'string' },
+              eventType: { type: 'string' },
+              payload: { type: 'object' },
+              attempts: { type: 'integer' },
+              lastError: { type: ['string', 'null'] },
+              failedAt: { type: 'string', format: 'date-time' }
+            }
+          }
+        }
+      }
+    },
+    idempotent: true,
+    handler: webhookTools.listWebhookDeadLetters
+  },
+  
+  redeliverWebhookDeadLetters: {
+    name: 'redeliverWebhookDeadLetters',
+    description: 'Queue dead letters for delivery again: one by id, or all of a webhook',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', format: 'uuid', description: 'A dead letter' },
+        webhookId: { type: 'string', format: 'uuid', description: 'Every dead letter of this webhook' }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['ok'] },
+        requeued: { type: 'integer' }
+      }
+    },
+    handler: webhookTools.redeliverWebhookDeadLetters
+  },
+  
+  getJob: {
+    name: 'getJob',
+    description: 'Get the status and result of a background job (queued with "Prefer: respond-async")',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', format: 'uuid' }
+      },
+      required: ['id']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        job: jobOutput
+      }
+    },
+    handler: jobTools.getJob
+  },
+  
+  listJobs: {
+    name: 'listJobs',
+    description: 'List background jobs, newest first; superadmins see every job, others the jobs they queued',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: jobTools.JOB_STATUSES },
+        name: { type: 'string', description: 'Tool or task name' },
+        limit: { type: 'integer', minimum: 1, maximum: 1000, default: 100 }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        jobs: { type: 'array', items: jobOutput },
+        count: { type: 'integer' }
+      }
+    },
+    handler: jobTools.listJobs
+  },
+  
+  cancelJob: {
+    name: 'cancelJob',
+    description: 'Cancel a background job that has not started, or is waiting to be retried',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', format: 'uuid' }
+      },
+      required: ['id']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['cancelled'] },
+        job: jobOutput
+      }
+    },
+    handler: jobTools.cancelJob
+  },
+  
+  health: {
+    name: 'health',
+    description: 'Get system health status',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        timestamp: { type: 'string', format: 'date-time' },
+        status: { type: 'string', enum: ['ok', 'degraded', 'down'] },
+        smtp: { type: 'string' },
+        imap: { type: 'string' },
+        webmail: { type: 'string' },
+        database: { type: 'string' },
+        rspamd: { type: 'string' },
+        queueDepth: { type: ['integer', 'null'] },
+        storageFreeGB: { type: 'number' },
+        activeUsers: { type: 'integer' },
+        version: { type: 'string' },
+        components: { type: 'object', description: 'Probe result of each component: status, latencyMs, reasons' }
+      }
+    },
+    idempotent: true,
+    handler: adminTools.health
+  },
+  
+  getMetrics: {
+    name: 'getMetrics',
+    description: 'Get user, mail, storage and tool performance figures',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        timestamp: { type: 'string', format: 'date-time' },
+        users: {
+          type: 'object',
+          properties: { total: { type: 'integer' }, active: { type: 'integer' }, suspended: { type: 'integer' } }
+        },
+        mail: {
+          type: 'object',
+          properties: {
+            sent_today: { type: 'integer' },
+            send_failures_today: { type: 'integer' },
+            fetched_today: { type: 'integer' },
+            queue_depth: { type: ['integer', 'null'] }
+          }
+        },
+        storage: {
+          type: 'object',
+          properties: {
+            used_gb: { type: ['number', 'null'] },
+            free_gb: { type: ['number', 'null'] },
+            allocated_gb: { type: 'number' },
+            quota_usage_percent: { type: ['number', 'null'] }
+          }
+        },
+        performance: {
+          type: 'object',
+          properties: {
+            tool_calls: { type: 'integer' },
+            avg_response_time_ms: { type: 'number' },
+            error_rate_percent: { type: 'number' }
+          }
+        }
+      }
+    },
+    idempotent: true,
+    handler: adminTools.getMetrics
+  },
+  
+  login: {
+    name: 'login',
+    description: 'Log in with email and password; returns an access token and a refresh token',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        password: { type: 'string' }
+      },
+      required: ['email', 'password']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        ...sessionOutput,
+        user: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            email: { type: 'string', format: 'email' },
+            role: { type: 'string', enum: ['superadmin', 'domain_admin', 'user'] }
+          }
+        }
+      }
+    },
+    handler: sessionTools.login
+  },
+  
+  refreshSession: {
+    name: 'refreshSession',
+    description: 'Exchange a refresh token for a new access token (the refresh token is rotated)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        refreshToken: { type: 'string' }
+      },
+      required: ['refreshToken']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: sessionOutput
+    },
+    handler: sessionTools.refreshSession
+  },
+  
+  logout: {
+    name: 'logout',
+    description: 'Revoke the session of a refresh token, or every session of its user',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        refreshToken: { type: 'string' },
+        allSessions: { type: 'boolean', default: false }
+      },
+      required: ['refreshToken']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string' },
+        sessionsRevoked: { type: 'integer' }
+      }
+    },
+    handler: sessionTools.logout
+  }
+};
+
+// Compiled once; validation fills in defaults and drops undeclared fields
+const inputValidators = compileInputSchemas(tools);
+
+const ADMINS = [ROLES.SUPERADMIN, ROLES.DOMAIN_ADMIN];
+const EVERYONE = [ROLES.SUPERADMIN, ROLES.DOMAIN_ADMIN, ROLES.USER];
+
+// Tool permissions: allowed roles, the input fields naming the mailboxes a call
+// acts on (domain admins are limited to their own domain), and whether end users
+// may call the tool against their own mailbox (or, with `ownRecords`, only on
+// records the tool limits to the caller)
+const toolPermissions = {
+  provisionUser: { roles: ADMINS, target: ['email', 'aliases'] },
+  suspendUser: { roles: ADMINS, target: 'email' },
+  bulkProvisionUsers: { roles: ADMINS },
+  exportUsers: { roles: ADMINS, targetDomain: 'domain' },
+  reactivateUser: { roles: ADMINS, target: 'email' },
+  releaseAddress: { roles: ADMINS, target: 'email' },
+  purgeDeletedMailboxes: { roles: [ROLES.SUPERADMIN] },
+  setPassword: { roles: ADMINS, target: 'email' },
+  unlockAccount: { roles: ADMINS, target: 'email' },
+  createAlias: { roles: ADMINS, target: ['email', 'alias'] },
+  removeAlias: { roles: ADMINS, target: ['email', 'alias'] },
+  setForwarding: { roles: EVERYONE, target: 'email', selfService: true },
+  getForwarding: { roles: EVERYONE, target: 'email', selfService: true },
+  clearForwarding: { roles: EVERYONE, target: 'email', selfService: true },
+  confirmForwarding: { public: true },
+  setQuota: { roles: ADMINS, target: 'email' },
+  getQuotaUsage: { roles: EVERYONE, target: 'email', selfService: true },
+  getDomainQuotaReport: { roles: ADMINS, targetDomain: 'domain' },
+  sendMail: { roles: EVERYONE, target: 'from', selfService: true, aliases: true },
+  cancelSend: { roles: EVERYONE, target: 'email', selfService: true },
+  getSendingLimits: { roles: ADMINS, target: 'email', targetDomain: 'domain' },
+  setSendingLimits: { roles: [ROLES.SUPERADMIN] },
+  resetSendingCounters: { roles: ADMINS, target: 'email', targetDomain: 'domain' },
+  saveDraft: { roles: EVERYONE, target: ['email', 'from'], selfService: true },
+  updateDraft: { roles: EVERYONE, target: ['email', 'from'], selfService: true },
+  fetchMail: { roles: EVERYONE, target: 'email', selfService: true },
+  getMessage: { roles: EVERYONE, target: 'email', selfService: true },
+  getAttachment: { roles: EVERYONE, target: 'email', selfService: true },
+  listFolders: { roles: EVERYONE, target: 'email', selfService: true },
+  createFolder: { roles: EVERYONE, target: 'email', selfService: true },
+  renameFolder: { roles: EVERYONE, target: 'email', selfService: true },
+  deleteFolder: { roles: EVERYONE, target: 'email', selfService: true },
+  moveMessages: { roles: EVERYONE, target: 'email', selfService: true },
+  copyMessages: { roles: EVERYONE, target: 'email', selfService: true },
+  setFlags: { roles: EVERYONE, target: 'email', selfService: true },
+  deleteMessages: { roles: EVERYONE, target: 'email', selfService: true },
+  setFilter: { roles: ADMINS, target: 'email' },
+  listFilters: { roles: EVERYONE, target: 'email', selfService: true },
+  testFilter: { roles: EVERYONE, target: 'email', selfService: true },
+  setAutoreply: { roles: EVERYONE, target: 'email', selfService: true },
+  getAutoreply: { roles: EVERYONE, target: 'email', selfService: true },
+  dnsStatus: { roles: ADMINS, targetDomain: 'domain' },
+  rotateDkimKey: { roles: ADMINS, targetDomain: 'domain' },
+  listDkimKeys: { roles: ADMINS, targetDomain: 'domain' },
+  addDomain: { roles: [ROLES.SUPERADMIN] },
+  updateDomain: { roles: [ROLES.SUPERADMIN] },
+  removeDomain: { roles: [ROLES.SUPERADMIN] },
+  listDomains: { roles: ADMINS },
+  queryAuditLog: { roles: ADMINS, target: ['email', 'actor'] },
+  createWebhook: { roles: [ROLES.SUPERADMIN] },
+  listWebhooks: { roles: [ROLES.SUPERADMIN] },
+  deleteWebhook: { roles: [ROLES.SUPERADMIN] },
+  listWebhookDeadLetters: { roles: [ROLES.SUPERADMIN] },
+  redeliverWebhookDeadLetters: { roles: [ROLES.SUPERADMIN] },
+  getJob: { roles: EVERYONE, ownRecords: true },
+  listJobs: { roles: EVERYONE, ownRecords: true },
+  cancelJob: { roles: EVERYONE, ownRecords: true },
+  health: { roles: [ROLES.SUPERADMIN] },
+  getMetrics: { roles: [ROLES.SUPERADMIN] },
+  login: { public: true },
+  refreshSession: { public: true },
+  logout: { public: true }
+};
+
+// Tools about the job queue itself always run inline
+const INLINE_TOOLS = ['getJob', 'listJobs', 'cancelJob'];
+
+/**
+ * The tool registered under a name, or null
+ */
+function findTool(name) {
+  return Object.prototype.hasOwnProperty.call(tools, name) ? tools[name] : null;
+}
+
+/**
+ * Every tool with its schemas, as listed by GET /tools and tools/list
+ */
+function listTools() {
+  return Object.values(tools).map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    inputSchema: tool.inputSchema,
+    outputSchema: tool.outputSchema
+  }));
+}
+
+/**
+ * Whether a call may be queued as a background job. Public tools have no
+ * caller to own the job, so they always run inline.
+ */
+function allowsAsync(name) {
+  return !toolPermissions[name].public && !INLINE_TOOLS.includes(name);
+}
+
+/**
+ * Error for a call to a tool that does not exist
+ */
+function toolNotFound(name) {
+  return new NotFoundError(`Tool '${name}' not found`, { reason: 'TOOL_NOT_FOUND' });
+}
+
+/**
+ * Run a tool on input that has been validated and authorized. The call is
+ * logged, timed and recorded in the audit log; errors are rethrown for the
+ * transport to report, with database conflicts turned into CONFLICT.
+ */
+async function runTool(tool, input, context = {}) {
+  const started = process.hrtime.bigint();
+  const elapsedSeconds = () => Number(process.hrtime.bigint() - started) / 1e9;
+  const caller = context.caller || null;
+
+  try {
+    logger.info(`Executing tool: ${tool.name}`, { input: redact(input), actor: caller && caller.email });
+    const result = await tool.handler(input, context);
+    metrics.recordToolCall(tool.name, elapsedSeconds());
+    auditTools.auditToolCall(context, tool.name);
+    logger.info(`Tool executed successfully: ${tool.name}`, { result: redact(result) });
+    return result;
+  } catch (caught) {
+    const error = normalizeError(caught);
+    metrics.recordToolCall(tool.name, elapsedSeconds(), error);
+    auditTools.auditToolCall(context, tool.name, error);
+    logger.error(`Tool execution failed: ${tool.name}`, { error: caught.message });
+    throw error;
+  }
+}
+
+/**
+ * Look up, authorize and validate a call, for transports without the REST
+ * middleware chain (JSON-RPC over HTTP and stdio). Returns the tool to pass to
+ * runTool; a refused call throws, and denials are audited like REST ones.
+ * `context` is { caller, ip, userAgent }.
+ */
+async function prepareCall(name, input, context = {}) {
+  const tool = findTool(name);
+  if (!tool) {
+    throw toolNotFound(name);
+  }
+
+  const denial = authorizeTool(toolPermissions[name], context.caller || null, input);
+  if (denial) {
+    logger.warn(`Access denied: ${name}`, { code: denial.code, message: denial.message });
+    await auditDenial(context, { tool: name, code: denial.code, reason: denial.message });
+    throw denialError(denial);
+  }
+
+  validateToolInput(inputValidators.get(name), input);
+
+  return tool;
+}
+
+module.exports = {
+  toolPermissions,
+  inputValidators,
+  findTool,
+  toolNotFound,
+  listTools,
+  allowsAsync,
+  prepareCall,
+  runTool
+};
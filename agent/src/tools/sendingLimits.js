@@ -0,0 +1,370 @@
+const { query } = require('../database/connection');
+const { withTransaction } = require('../database/transaction');
+const { logger } = require('../utils/logger');
+const { auditColumns } = require('../middleware/auth');
+const { getManagedDomain, domainOf } = require('./domainManagement');
+const { revokeUserSessions } = require('./sessionManagement');
+const { ValidationError, NotFoundError, QuotaExceededError } = require('../utils/errors');
+
+// Server-wide defaults; a domain or mailbox can override each limit
+const DEFAULT_USER_LIMITS = {
+  messagesPerHour: parseInt(process.env.SEND_USER_MESSAGES_PER_HOUR, 10) || 100,
+  recipientsPerMessage: parseInt(process.env.SEND_USER_RECIPIENTS_PER_MESSAGE, 10) || 50,
+  recipientsPerDay: parseInt(process.env.SEND_USER_RECIPIENTS_PER_DAY, 10) || 500
+};
+const DEFAULT_DOMAIN_LIMITS = {
+  messagesPerHour: parseInt(process.env.SEND_DOMAIN_MESSAGES_PER_HOUR, 10) || 2000,
+  recipientsPerMessage: parseInt(process.env.SEND_DOMAIN_RECIPIENTS_PER_MESSAGE, 10) || 100,
+  recipientsPerDay: parseInt(process.env.SEND_DOMAIN_RECIPIENTS_PER_DAY, 10) || 10000
+};
+
+// Columns holding the overrides, on both users and domains
+const LIMIT_COLUMNS = {
+  messagesPerHour: 'send_messages_per_hour',
+  recipientsPerMessage: 'send_recipients_per_message',
+  recipientsPerDay: 'send_recipients_per_day'
+};
+
+// send_log rows older than the longest window are no longer needed
+const SEND_LOG_RETENTION_HOURS = 24;
+
+/**
+ * Error for a send refused by a limit; answered with 429
+ */
+function limitExceeded(message) {
+  return new QuotaExceededError(message, { reason: 'RATE_LIMITED' });
+}
+
+/**
+ * Limits of a users or domains row: its overrides over the defaults
+ */
+function effectiveLimits(row, defaults) {
+  const limits = {};
+  for (const [limit, column] of Object.entries(LIMIT_COLUMNS)) {
+    limits[limit] = row[column] !== null && row[column] !== undefined ? row[column] : defaults[limit];
+  }
+  return limits;
+}
+
+/**
+ * Messages sent in the last hour and recipients in the last day, by user id or domain
+ */
+async function usage(column, value, client = { query }) {
+  const result = await client.query(
+    `SELECT COUNT(*) FILTER (WHERE created_at > CURRENT_TIMESTAMP - INTERVAL '1 hour') AS messages_last_hour,
+            COALESCE(SUM(recipients), 0) AS recipients_last_day
+     FROM send_log
+     WHERE ${column} = $1 AND created_at > CURRENT_TIMESTAMP - INTERVAL '1 day'`,
+    [value]
+  );
+  return {
+    messagesLastHour: parseInt(result.rows[0].messages_last_hour, 10),
+    recipientsLastDay: parseInt(result.rows[0].recipients_last_day, 10)
+  };
+}
+
+/**
+ * The first limit a message with `recipients` recipients would exceed, or null
+ */
+function breachOf(limits, counts, recipients) {
+  if (recipients > limits.recipientsPerMessage) {
+    return { limit: 'recipientsPerMessage', max: limits.recipientsPerMessage, value: recipients };
+  }
+  if (counts.messagesLastHour + 1 > limits.messagesPerHour) {
+    return { limit: 'messagesPerHour', max: limits.messagesPerHour, value: counts.messagesLastHour + 1 };
+  }
+  if (counts.recipientsLastDay + recipients > limits.recipientsPerDay) {
+    return { limit: 'recipientsPerDay', max: limits.recipientsPerDay, value: counts.recipientsLastDay + recipients };
+  }
+  return null;
+}
+
+/**
+ * Suspend a mailbox that went over a sending rate: sessions are revoked and its
+ * queued mail is cancelled so nothing more goes out
+ */
+async function suspendSender(client, user, breach, context = {}) {
+  await client.query(
+    `UPDATE users SET status = 'suspended', sending_suspended_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [user.id]
+  );
+  const sessionsRevoked = await revokeUserSessions(user.id, 'sending_limit', client);
+  const cancelled = await client.query(
+    `UPDATE scheduled_messages SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND status = 'queued'`,
+    [user.id]
+  );
+
+  // Log audit event
+  await client.query(
+    `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [
+      user.id,
+      'SENDING_SUSPENDED',
+      { email: user.email, ...breach, sessionsRevoked, queuedCancelled: cancelled.rowCount },
+      ...auditColumns(context)
+    ]
+  );
+}
+
+/**
+ * Check a message against the sender's and its domain's limits and count it.
+ * Too many recipients on one message is refused. Going over the mailbox's hourly
+ * or daily rate suspends the mailbox; going over the domain's totals is refused
+ * without suspending anyone. Either way the breach is audited, with the caller
+ * of the send (`context`) when there is one.
+ */
+async function checkSendingLimits(user, recipients, context = {}) {
+  const domainName = domainOf(user.email);
+
+  const outcome = await withTransaction(async (client) => {
+    // Row locks serialise concurrent sends from the same mailbox and domain
+    const userResult = await client.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [user.id]);
+    const domain = await getManagedDomain(domainName, client, true);
+
+    const userBreach = breachOf(
+      effectiveLimits(userResult.rows[0], DEFAULT_USER_LIMITS),
+      await usage('user_id', user.id, client),
+      recipients
+    );
+    if (userBreach) {
+      if (userBreach.limit === 'recipientsPerMessage') {
+        await client.query(
+          `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [user.id, 'SEND_LIMIT_EXCEEDED', { email: user.email, scope: 'user', ...userBreach }, ...auditColumns(context)]
+        );
+        return { breach: userBreach, scope: 'user', suspended: false };
+      }
+      await suspendSender(client, user, { scope: 'user', ...userBreach }, context);
+      return { breach: userBreach, scope: 'user', suspended: true };
+    }
+
+    const domainBreach = breachOf(
+      effectiveLimits(domain || {}, DEFAULT_DOMAIN_LIMITS),
+      await usage('domain', domainName, client),
+      recipients
+    );
+    if (domainBreach) {
+      await client.query(
+        `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [
+          user.id,
+          'SEND_LIMIT_EXCEEDED',
+          { email: user.email, scope: 'domain', domain: domainName, ...domainBreach },
+          ...auditColumns(context)
+        ]
+      );
+      return { breach: domainBreach, scope: 'domain', suspended: false };
+    }
+
+    await client.query(
+      'INSERT INTO send_log (user_id, domain, recipients) VALUES ($1, $2, $3)',
+      [user.id, domainName, recipients]
+    );
+    return null;
+  });
+
+  if (outcome) {
+    const { breach, scope, suspended } = outcome;
+    logger.warn(`Sending limit ${breach.limit} exceeded by ${user.email}`, { scope, ...breach, suspended });
+    throw limitExceeded(suspended
+      ? `${user.email} exceeded ${breach.limit} (${breach.max}) and has been suspended`
+      : `Sending limit ${breach.limit} (${breach.max}) exceeded for ${scope === 'domain' ? domainName : user.email}`);
+  }
+}
+
+/**
+ * Drop send_log rows that no window looks at any more
+ */
+async function pruneSendLog() {
+  const result = await query(
+    'DELETE FROM send_log WHERE created_at < CURRENT_TIMESTAMP - make_interval(hours => $1)',
+    [SEND_LOG_RETENTION_HOURS]
+  );
+  return { pruned: result.rowCount };
+}
+
+/**
+ * The users or domains row a limits tool acts on; exactly one of email and domain is given
+ */
+async function limitScope({ email, domain }) {
+  if (Boolean(email) === Boolean(domain)) {
+    throw new ValidationError('Give either email or domain');
+  }
+
+  if (email) {
+    const result = await query("SELECT * FROM users WHERE LOWER(email) = LOWER($1) AND status <> 'purged'", [email]);
+    if (result.rows.length === 0) {
+      throw new NotFoundError(`User ${email} not found`);
+    }
+    return { scope: 'user', table: 'users', row: result.rows[0], defaults: DEFAULT_USER_LIMITS };
+  }
+
+  const row = await getManagedDomain(domain);
+  if (!row) {
+    throw new NotFoundError(`Domain ${domain} is not managed by this server`);
+  }
+  return { scope: 'domain', table: 'domains', row, defaults: DEFAULT_DOMAIN_LIMITS };
+}
+
+/**
+ * Sending limits and current counters of a mailbox or a domain.
+ * For a domain, the mailboxes that sent to the most recipients today are listed.
+ */
+async function getSendingLimits(input) {
+  try {
+    const { scope, row, defaults } = await limitScope(input);
+    const counts = scope === 'user' ? await usage('user_id', row.id) : await usage('domain', row.name);
+
+    const overrides = {};
+    for (const [limit, column] of Object.entries(LIMIT_COLUMNS)) {
+      overrides[limit] = row[column] !== undefined ? row[column] : null;
+    }
+
+    const status = {
+      scope,
+      limits: effectiveLimits(row, defaults),
+      overrides,
+      usage: counts
+    };
+
+    if (scope === 'user') {
+      return {
+        email: row.email,
+        ...status,
+        status: row.status,
+        sendingSuspendedAt: row.sending_suspended_at || null
+      };
+    }
+
+    const senders = await query(
+      `SELECT u.email, COUNT(*) AS messages, SUM(l.recipients) AS recipients
+       FROM send_log l JOIN users u ON u.id = l.user_id
+       WHERE l.domain = $1 AND l.created_at > CURRENT_TIMESTAMP - INTERVAL '1 day'
+       GROUP BY u.email
+       ORDER BY recipients DESC
+       LIMIT 10`,
+      [row.name]
+    );
+
+    return {
+      domain: row.name,
+      ...status,
+      topSenders: senders.rows.map(sender => ({
+        email: sender.email,
+        messages: parseInt(sender.messages, 10),
+        recipients: parseInt(sender.recipients, 10)
+      }))
+    };
+  } catch (error) {
+    logger.error('Failed to get sending limits:', error);
+    throw error;
+  }
+}
+
+/**
+ * Override the sending limits of a mailbox or a domain. null goes back to the default.
+ */
+async function setSendingLimits(input, context = {}) {
+  try {
+    const { scope, table, row } = await limitScope(input);
+
+    const changes = Object.keys(LIMIT_COLUMNS).filter(limit => input[limit] !== undefined);
+    if (changes.length === 0) {
+      throw new ValidationError('No limit given to change');
+    }
+
+    await withTransaction(async (client) => {
+      await client.query(
+        `UPDATE ${table} SET ${changes.map((limit, index) => `${LIMIT_COLUMNS[limit]} = $${index + 2}`).join(', ')},
+                updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [row.id, ...changes.map(limit => input[limit])]
+      );
+
+      // Log audit event
+      await client.query(
+        `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [
+          scope === 'user' ? row.id : null,
+          'SENDING_LIMITS_UPDATED',
+          { scope, target: scope === 'user' ? row.email : row.name, ...Object.fromEntries(changes.map(limit => [limit, input[limit]])) },
+          ...auditColumns(context)
+        ]
+      );
+    });
+
+    logger.info(`Sending limits updated for ${scope === 'user' ? row.email : row.name}`);
+
+    return getSendingLimits({ email: input.email, domain: input.domain });
+  } catch (error) {
+    logger.error('Failed to set sending limits:', error);
+    throw error;
+  }
+}
+
+/**
+ * Clear the sending counters of a mailbox or a domain. With `reactivate`, a
+ * mailbox suspended by the limits is made active again.
+ */
+async function resetSendingCounters(input, context = {}) {
+  const { reactivate } = input;
+
+  try {
+    const { scope, row } = await limitScope(input);
+    if (reactivate && scope !== 'user') {
+      throw new ValidationError('reactivate applies to a mailbox, not a domain');
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const cleared = await client.query(
+        `DELETE FROM send_log WHERE ${scope === 'user' ? 'user_id' : 'domain'} = $1`,
+        [scope === 'user' ? row.id : row.name]
+      );
+
+      let reactivated = false;
+      if (reactivate) {
+        const result = await client.query(
+          `UPDATE users SET status = 'active', sending_suspended_at = NULL, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1 AND status = 'suspended' AND sending_suspended_at IS NOT NULL`,
+          [row.id]
+        );
+        reactivated = result.rowCount > 0;
+      }
+
+      // Log audit event
+      await client.query(
+        `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [
+          scope === 'user' ? row.id : null,
+          'SENDING_COUNTERS_RESET',
+          { scope, target: scope === 'user' ? row.email : row.name, entriesCleared: cleared.rowCount, reactivated },
+          ...auditColumns(context)
+        ]
+      );
+
+      return { entriesCleared: cleared.rowCount, reactivated };
+    });
+
+    logger.info(`Sending counters reset for ${scope === 'user' ? row.email : row.name}`, outcome);
+
+    return { status: 'ok', scope, ...outcome };
+  } catch (error) {
+    logger.error('Failed to reset sending counters:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  checkSendingLimits,
+  pruneSendLog,
+  getSendingLimits,
+  setSendingLimits,
+  resetSendingCounters
+};
@@ -0,0 +1,290 @@
+const bcrypt = require('bcrypt');
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../database/connection');
+const { logger } = require('../utils/logger');
+const {
+  signAccessToken,
+  generateRefreshToken,
+  parseRefreshToken,
+  hashToken,
+  tokenHashesMatch,
+  refreshTokenExpiry
+} = require('../utils/tokens');
+const { BCRYPT_COST, needsRehash, hashPassword } = require('../utils/passwords');
+const { UnauthenticatedError, ForbiddenError } = require('../utils/errors');
+
+// Failed logins in a row that lock an account, and for how long
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+
+// Compared against when the email is unknown so timing doesn't reveal which accounts exist
+const DUMMY_HASH = bcrypt.hashSync('mailhero-unknown-account', BCRYPT_COST);
+
+/**
+ * Create a session row and the token pair that goes with it
+ */
+async function issueSession(user, context = {}) {
+  const sessionId = uuidv4();
+  const refresh = generateRefreshToken(sessionId);
+  const expiresAt = refreshTokenExpiry();
+
+  await query(
+    `INSERT INTO sessions (id, user_id, refresh_token_hash, expires_at, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [sessionId, user.id, refresh.hash, expiresAt, context.ip || null, context.userAgent || null]
+  );
+
+  return {
+    accessToken: signAccessToken(user, sessionId),
+    refreshToken: refresh.token,
+    tokenType: 'Bearer',
+    refreshExpiresAt: expiresAt.toISOString()
+  };
+}
+
+/**
+ * Revoke every active session of a user, optionally on a transaction client.
+ * Returns the number of sessions revoked.
+ */
+async function revokeUserSessions(userId, reason, client = { query }) {
+  const result = await client.query(
+    `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId, reason]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Count a failed login. The LOGIN_MAX_FAILURES-th failure in a row locks the account
+ * for LOGIN_LOCKOUT_MINUTES and starts the count again.
+ * Returns the time the account is locked until, or null.
+ */
+async function recordFailedLogin(user, context) {
+  const result = await query(
+    `UPDATE users SET
+       failed_logins = CASE WHEN failed_logins + 1 >= $2 THEN 0 ELSE failed_logins + 1 END,
+       locked_until = CASE WHEN failed_logins + 1 >= $2
+                           THEN CURRENT_TIMESTAMP + make_interval(mins => $3) ELSE locked_until END
+     WHERE id = $1
+     RETURNING locked_until`,
+    [user.id, LOGIN_MAX_FAILURES, LOGIN_LOCKOUT_MINUTES]
+  );
+  const lockedUntil = result.rows[0].locked_until;
+  if (!lockedUntil || new Date(lockedUntil) <= new Date()) {
+    return null;
+  }
+
+  await query(
+    'INSERT INTO audit_log (user_id, action, details, ip_address, user_agent) VALUES ($1, $2, $3, $4, $5)',
+    [user.id, 'ACCOUNT_LOCKED', { email: user.email, failures: LOGIN_MAX_FAILURES, lockedUntil },
+     context.ip || null, context.userAgent || null]
+  );
+  logger.warn(`Account locked after ${LOGIN_MAX_FAILURES} failed logins: ${user.email}`);
+  return lockedUntil;
+}
+
+/**
+ * Log in with email and password.
+ * Repeated failures lock the account for a while (see recordFailedLogin); a hash made
+ * at an older bcrypt cost is replaced once the password is known to be right.
+ */
+async function login(input, context = {}) {
+  const { email, password } = input;
+
+  try {
+    const userResult = await query(
+      'SELECT id, email, password_hash, role, status, failed_logins, locked_until FROM users WHERE LOWER(email) = LOWER($1)',
+      [email]
+    );
+    const user = userResult.rows[0];
+
+    // Locked accounts are refused before the password is checked so guessing cannot go on
+    if (user && user.locked_until && new Date(user.locked_until) > new Date()) {
+      await query(
+        'INSERT INTO audit_log (user_id, action, details, ip_address, user_agent) VALUES ($1, $2, $3, $4, $5)',
+        [user.id, 'LOGIN_FAILED', { email, reason: 'locked' }, context.ip || null, context.userAgent || null]
+      );
+      throw new ForbiddenError(`Account is locked until ${new Date(user.locked_until).toISOString()}`, {
+        reason: 'ACCOUNT_LOCKED',
+        status: 423
+      });
+    }
+
+    const passwordMatches = await bcrypt.compare(password, user ? user.password_hash : DUMMY_HASH);
+    if (!user || !passwordMatches) {
+      await query(
+        'INSERT INTO audit_log (user_id, action, details, ip_address, user_agent) VALUES ($1, $2, $3, $4, $5)',
+        [user ? user.id : null, 'LOGIN_FAILED', { email }, context.ip || null, context.userAgent || null]
+      );
+      const lockedUntil = user ? await recordFailedLogin(user, context) : null;
+      if (lockedUntil) {
+        throw new ForbiddenError(`Too many failed logins; account is locked until ${new Date(lockedUntil).toISOString()}`, {
+          reason: 'ACCOUNT_LOCKED',
+          status: 423
+        });
+      }
+      throw new UnauthenticatedError('Invalid email or password', { reason: 'INVALID_CREDENTIALS' });
+    }
+
+    if (user.failed_logins > 0 || user.locked_until) {
+      await query('UPDATE users SET failed_logins = 0, locked_until = NULL WHERE id = $1', [user.id]);
+    }
+
+    if (needsRehash(user.password_hash)) {
+      await query('UPDATE users SET password_hash = $1 WHERE id = $2', [await hashPassword(password), user.id]);
+      logger.info(`Password hash of ${email} upgraded to cost ${BCRYPT_COST}`);
+    }
+
+    if (user.status !== 'active') {
+      throw new ForbiddenError(`Account is ${user.status}`, { reason: 'ACCOUNT_INACTIVE' });
+    }
+
+    const tokens = await issueSession(user, context);
+
+    await query(
+      'INSERT INTO audit_log (user_id, action, details, ip_address, user_agent) VALUES ($1, $2, $3, $4, $5)',
+      [user.id, 'LOGIN_SUCCEEDED', { email }, context.ip || null, context.userAgent || null]
+    );
+
+    logger.info(`User logged in: ${email}`);
+
+    return {
+      status: 'ok',
+      user: { id: user.id, email: user.email, role: user.role },
+      ...tokens
+    };
+  } catch (error) {
+    logger.error('Failed to log in:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Revoke a session whose refresh token was used after it had been rotated:
+ * assume the token leaked
+ */
+async function revokeReusedSession(session, context) {
+  await query(
+    `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'refresh_token_reuse' WHERE id = $1`,
+    [session.id]
+  );
+  await query(
+    'INSERT INTO audit_log (user_id, action, details, ip_address, user_agent) VALUES ($1, $2, $3, $4, $5)',
+    [session.user_id, 'REFRESH_TOKEN_REUSED', { sessionId: session.id }, context.ip || null, context.userAgent || null]
+  );
+  return new UnauthenticatedError('Invalid refresh token', { reason: 'INVALID_TOKEN' });
+}
+
+/**
+ * Exchange a refresh token for a new access token.
+ * The refresh token is rotated; presenting an already-rotated token revokes the
+ * session, and so does a second refresh racing the first with the same token.
+ */
+async function refreshSession(input, context = {}) {
+  const { refreshToken } = input;
+
+  try {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+      throw new UnauthenticatedError('Invalid refresh token', { reason: 'INVALID_TOKEN' });
+    }
+
+    const sessionResult = await query(
+      `SELECT s.id, s.refresh_token_hash, s.expires_at, s.revoked_at,
+              u.id AS user_id, u.email, u.role, u.status
+       FROM sessions s JOIN users u ON u.id = s.user_id
+       WHERE s.id = $1`,
+      [parsed.sessionId]
+    );
+    const session = sessionResult.rows[0];
+
+    if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+      throw new UnauthenticatedError('Refresh token is expired or revoked', { reason: 'INVALID_TOKEN' });
+    }
+
+    if (!tokenHashesMatch(session.refresh_token_hash, hashToken(parsed.secret))) {
+      // An old token from this session was replayed
+      throw await revokeReusedSession(session, context);
+    }
+
+    if (session.status !== 'active') {
+      await revokeUserSessions(session.user_id, `account_${session.status}`);
+      throw new ForbiddenError(`Account is ${session.status}`, { reason: 'ACCOUNT_INACTIVE' });
+    }
+
+    const refresh = generateRefreshToken(session.id);
+    const expiresAt = refreshTokenExpiry();
+    // Only rotate from the token just checked: if another refresh with it got
+    // there first, the token was used twice
+    const rotated = await query(
+      `UPDATE sessions SET refresh_token_hash = $1, expires_at = $2, last_used_at = CURRENT_TIMESTAMP
+       WHERE id = $3 AND refresh_token_hash = $4 AND revoked_at IS NULL`,
+      [refresh.hash, expiresAt, session.id, session.refresh_token_hash]
+    );
+    if (rotated.rowCount === 0) {
+      throw await revokeReusedSession(session, context);
+    }
+
+    const user = { id: session.user_id, email: session.email, role: session.role };
+
+    return {
+      status: 'ok',
+      accessToken: signAccessToken(user, session.id),
+      refreshToken: refresh.token,
+      tokenType: 'Bearer',
+      refreshExpiresAt: expiresAt.toISOString()
+    };
+  } catch (error) {
+    logger.error('Failed to refresh session:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Log out the session a refresh token belongs to, or every session of its user
+ */
+async function logout(input, context = {}) {
+  const { refreshToken, allSessions } = input;
+
+  try {
+    const parsed = parseRefreshToken(refreshToken);
+    const sessionResult = parsed
+      ? await query('SELECT id, user_id, refresh_token_hash FROM sessions WHERE id = $1', [parsed.sessionId])
+      : { rows: [] };
+    const session = sessionResult.rows[0];
+
+    if (!session || !tokenHashesMatch(session.refresh_token_hash, hashToken(parsed.secret))) {
+      throw new UnauthenticatedError('Invalid refresh token', { reason: 'INVALID_TOKEN' });
+    }
+
+    let revoked;
+    if (allSessions) {
+      revoked = await revokeUserSessions(session.user_id, 'logout_all');
+    } else {
+      const result = await query(
+        `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'logout'
+         WHERE id = $1 AND revoked_at IS NULL`,
+        [session.id]
+      );
+      revoked = result.rowCount;
+    }
+
+    await query(
+      'INSERT INTO audit_log (user_id, action, details, ip_address, user_agent) VALUES ($1, $2, $3, $4, $5)',
+      [session.user_id, 'LOGOUT', { sessionId: session.id, allSessions, revoked }, context.ip || null, context.userAgent || null]
+    );
+
+    return { status: 'ok', sessionsRevoked: revoked };
+  } catch (error) {
+    logger.error('Failed to log out:', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  login,
+  refreshSession,
+  logout,
+  revokeUserSessions
+};
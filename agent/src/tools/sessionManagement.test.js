@@ -0,0 +1,187 @@
+jest.mock('../database/connection', () => ({ query: jest.fn() }), { virtual: true });
+jest.mock('../utils/logger', () => ({ logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn() } }), { virtual: true });
+// The native binding is not needed: hashes are compared by the fake below
+jest.mock('bcrypt', () => ({
+  hashSync: () => 'dummy-hash',
+  compare: jest.fn(async (password, hash) => hash === `hash:${password}`),
+  getRounds: () => 12
+}));
+
+const jwt = require('jsonwebtoken');
+const { query } = require('../database/connection');
+const { login, refreshSession } = require('./sessionManagement');
+const { generateRefreshToken } = require('../utils/tokens');
+
+const SESSION_ID = '7d0b7a52-4a57-4a43-9a0e-2f6f2f1e7c11';
+
+const user = (fields = {}) => ({
+  id: 'user-1',
+  email: 'ann@example.com',
+  password_hash: 'hash:Harbour-lights-42',
+  role: 'user',
+  status: 'active',
+  failed_logins: 0,
+  locked_until: null,
+  ...fields
+});
+
+/**
+ * Answer the session lookup of refreshSession with a session whose current
+ * refresh token is `current`, and the rotation with `rotated` rows changed
+ */
+function session(current, { fields = {}, rotated = 1 } = {}) {
+  query.mockImplementation(async (sql) => {
+    if (sql.includes('FROM sessions s JOIN users u')) {
+      return {
+        rows: [{
+          id: SESSION_ID,
+          refresh_token_hash: current.hash,
+          expires_at: new Date(Date.now() + 60000),
+          revoked_at: null,
+          user_id: 'user-1',
+          email: 'ann@example.com',
+          role: 'user',
+          status: 'active',
+          ...fields
+        }]
+      };
+    }
+    if (sql.includes('SET refresh_token_hash')) {
+      return { rows: [], rowCount: rotated };
+    }
+    return { rows: [], rowCount: 1 };
+  });
+}
+
+const statements = pattern => query.mock.calls.filter(([sql]) => pattern.test(sql));
+
+/**
+ * The error a promise rejects with
+ */
+async function failure(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the call to fail');
+}
+
+beforeEach(() => {
+  process.env.JWT_SECRET = 'test-secret';
+  query.mockReset();
+});
+
+describe('login', () => {
+  test('opens a session and returns a token pair bound to it', async () => {
+    query.mockResolvedValueOnce({ rows: [user()] }).mockResolvedValue({ rows: [], rowCount: 1 });
+
+    const result = await login({ email: 'Ann@Example.com', password: 'Harbour-lights-42' }, { ip: '192.0.2.1' });
+
+    const [[, [sessionId]]] = statements(/INSERT INTO sessions/);
+    expect(jwt.verify(result.accessToken, 'test-secret')).toEqual(expect.objectContaining({
+      sub: 'user-1',
+      role: 'user',
+      domain: 'example.com',
+      sid: sessionId
+    }));
+    expect(result.refreshToken.startsWith(`${sessionId}.`)).toBe(true);
+    expect(statements(/INSERT INTO audit_log/).pop()[1][1]).toBe('LOGIN_SUCCEEDED');
+  });
+
+  test('refuses a wrong password without telling whether the account exists', async () => {
+    query.mockResolvedValueOnce({ rows: [user()] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ locked_until: null }] });
+    const wrong = await failure(login({ email: 'ann@example.com', password: 'nope' }));
+
+    query.mockReset();
+    query.mockResolvedValue({ rows: [] });
+    const unknown = await failure(login({ email: 'nobody@example.com', password: 'nope' }));
+
+    expect(wrong.reason).toBe('INVALID_CREDENTIALS');
+    expect(unknown.reason).toBe('INVALID_CREDENTIALS');
+    expect(unknown.message).toBe(wrong.message);
+  });
+
+  test('refuses a locked account before checking the password', async () => {
+    const lockedUntil = new Date(Date.now() + 60000);
+    query.mockResolvedValueOnce({ rows: [user({ locked_until: lockedUntil })] }).mockResolvedValue({ rows: [] });
+
+    const error = await failure(login({ email: 'ann@example.com', password: 'Harbour-lights-42' }));
+    expect(error.reason).toBe('ACCOUNT_LOCKED');
+    expect(error.statusCode).toBe(423);
+    expect(statements(/INSERT INTO sessions/)).toEqual([]);
+  });
+
+  test('refuses an account that is not active', async () => {
+    query.mockResolvedValueOnce({ rows: [user({ status: 'suspended' })] }).mockResolvedValue({ rows: [] });
+
+    const error = await failure(login({ email: 'ann@example.com', password: 'Harbour-lights-42' }));
+    expect(error.reason).toBe('ACCOUNT_INACTIVE');
+    expect(statements(/INSERT INTO sessions/)).toEqual([]);
+  });
+});
+
+describe('refreshSession', () => {
+  test('rotates the refresh token only from the one presented', async () => {
+    const current = generateRefreshToken(SESSION_ID);
+    session(current);
+
+    const result = await refreshSession({ refreshToken: current.token });
+
+    expect(result.refreshToken).not.toBe(current.token);
+    expect(result.refreshToken.startsWith(`${SESSION_ID}.`)).toBe(true);
+    const [[sql, params]] = statements(/SET refresh_token_hash/);
+    expect(sql).toMatch(/WHERE id = \$3 AND refresh_token_hash = \$4 AND revoked_at IS NULL/);
+    expect(params.slice(2)).toEqual([SESSION_ID, current.hash]);
+    expect(jwt.verify(result.accessToken, 'test-secret').sid).toBe(SESSION_ID);
+  });
+
+  test('revokes the session when an already rotated token is replayed', async () => {
+    const old = generateRefreshToken(SESSION_ID);
+    session(generateRefreshToken(SESSION_ID));
+
+    const error = await failure(refreshSession({ refreshToken: old.token }, { ip: '192.0.2.1' }));
+
+    expect(error.reason).toBe('INVALID_TOKEN');
+    expect(statements(/revoked_reason = 'refresh_token_reuse'/)).toEqual([[expect.any(String), [SESSION_ID]]]);
+    expect(statements(/INSERT INTO audit_log/)[0][1]).toEqual([
+      'user-1', 'REFRESH_TOKEN_REUSED', { sessionId: SESSION_ID }, '192.0.2.1', null
+    ]);
+    expect(statements(/SET refresh_token_hash/)).toEqual([]);
+  });
+
+  test('revokes the session when another refresh rotated the same token first', async () => {
+    const current = generateRefreshToken(SESSION_ID);
+    session(current, { rotated: 0 });
+
+    const error = await failure(refreshSession({ refreshToken: current.token }));
+
+    expect(error.reason).toBe('INVALID_TOKEN');
+    expect(statements(/revoked_reason = 'refresh_token_reuse'/)).toHaveLength(1);
+  });
+
+  test('refuses malformed, revoked and expired tokens', async () => {
+    expect((await failure(refreshSession({ refreshToken: 'not-a-token' }))).reason).toBe('INVALID_TOKEN');
+    expect(query).not.toHaveBeenCalled();
+
+    const current = generateRefreshToken(SESSION_ID);
+    session(current, { fields: { revoked_at: new Date() } });
+    expect((await failure(refreshSession({ refreshToken: current.token }))).message).toBe('Refresh token is expired or revoked');
+
+    session(current, { fields: { expires_at: new Date(Date.now() - 1000) } });
+    expect((await failure(refreshSession({ refreshToken: current.token }))).message).toBe('Refresh token is expired or revoked');
+  });
+
+  test('ends every session of an account that is no longer active', async () => {
+    const current = generateRefreshToken(SESSION_ID);
+    session(current, { fields: { status: 'suspended' } });
+
+    const error = await failure(refreshSession({ refreshToken: current.token }));
+
+    expect(error.reason).toBe('ACCOUNT_INACTIVE');
+    expect(statements(/WHERE user_id = \$1 AND revoked_at IS NULL/)[0][1]).toEqual(['user-1', 'account_suspended']);
+    expect(statements(/SET refresh_token_hash/)).toEqual([]);
+  });
+});
@@ -0,0 +1,133 @@
+const { query } = require('../database/connection');
+const { compileSieve, compileVacation, compileForwarding, writeSieveScript } = require('../utils/sieve');
+const { verificationStates } = require('./forwardingPolicy');
+
+/**
+ * Map a filters row to the shape returned by the tools
+ */
+function formatFilter(row) {
+  const filter = { name: row.name, enabled: row.enabled, actions: row.actions };
+  if (row.conditions) {
+    filter.conditions = row.conditions;
+  }
+  return filter;
+}
+
+/**
+ * A user's filters in evaluation order
+ */
+async function loadFilters(userId, client = { query }) {
+  const result = await client.query(
+    'SELECT name, conditions, actions, enabled FROM filters WHERE user_id = $1 ORDER BY position, created_at',
+    [userId]
+  );
+  return result.rows.map(formatFilter);
+}
+
+/**
+ * A user's forwarding rules in order
+ */
+async function loadForwarding(userId, client = { query }) {
+  const result = await client.query(
+    'SELECT forward_to, keep_copy, from_senders FROM forwarding WHERE user_id = $1 ORDER BY position, created_at',
+    [userId]
+  );
+  return result.rows.map(row => ({
+    forwardTo: row.forward_to,
+    keepCopy: row.keep_copy,
+    fromSenders: row.from_senders || []
+  }));
+}
+
+/**
+ * A user's auto-reply settings row (null when never set)
+ */
+async function loadAutoreply(userId, client = { query }) {
+  const result = await client.query(
+    'SELECT * FROM autoreplies WHERE user_id = $1 ORDER BY created_at DESC LIMIT 1',
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Where an auto-reply stands right now: disabled, scheduled, active or expired
+ */
+function autoreplyState(row, now = new Date()) {
+  if (!row || !row.enabled) {
+    return 'disabled';
+  }
+  if (row.start_date && now < new Date(row.start_date)) {
+    return 'scheduled';
+  }
+  if (row.end_date && now > new Date(row.end_date)) {
+    return 'expired';
+  }
+  return 'active';
+}
+
+/**
+ * The Sieve script for a user's current forwarding, auto-reply and filters
+ * (null when there is nothing to run). External forwarding destinations are left
+ * out until they are verified.
+ */
+async function buildSieveScript(user) {
+  const [filters, autoreply, forwarding, verification] = await Promise.all([
+    loadFilters(user.id),
+    loadAutoreply(user.id),
+    loadForwarding(user.id),
+    verificationStates(user.id)
+  ]);
+  const sections = [];
+
+  const activeRules = forwarding
+    .map(rule => ({
+      ...rule,
+      forwardTo: rule.forwardTo.filter(address => (verification.get(address) || 'active') === 'active')
+    }))
+    .filter(rule => rule.forwardTo.length > 0);
+  if (activeRules.length > 0) {
+    sections.push(compileForwarding(activeRules));
+  }
+
+  if (['scheduled', 'active'].includes(autoreplyState(autoreply))) {
+    const aliases = await query('SELECT alias_email FROM aliases WHERE user_id = $1 ORDER BY alias_email', [user.id]);
+    sections.push(compileVacation({
+      subject: autoreply.subject,
+      message: autoreply.message,
+      internalMessage: autoreply.internal_message,
+      externalMessage: autoreply.external_message,
+      startDate: autoreply.start_date,
+      endDate: autoreply.end_date,
+      days: autoreply.reply_interval_days
+    }, {
+      addresses: [user.email, ...aliases.rows.map(row => row.alias_email)],
+      domain: user.email.split('@').pop()
+    }));
+  }
+
+  const enabledFilters = filters.filter(filter => filter.enabled);
+  if (sections.length === 0 && enabledFilters.length === 0) {
+    return null;
+  }
+  return compileSieve(enabledFilters, sections);
+}
+
+/**
+ * Compile a user's settings and install the script Dovecot runs at delivery.
+ * `user` needs id and email.
+ */
+async function deploySieveScript(user) {
+  const script = await buildSieveScript(user);
+  await writeSieveScript(user.email, script);
+  return script;
+}
+
+module.exports = {
+  loadFilters,
+  loadAutoreply,
+  loadForwarding,
+  autoreplyState,
+  buildSieveScript,
+  deploySieveScript
+};
@@ -1,52 +1,109 @@
-const bcrypt = require('bcrypt');
 const { v4: uuidv4 } = require('uuid');
 const { query } = require('../database/connection');
+const { withTransaction } = require('../database/transaction');
 const { logger } = require('../utils/logger');
+const { auditColumns } = require('../middleware/auth');
+const { revokeUserSessions } = require('./sessionManagement');
+const { assertManagedAddress, countDomainUsers } = require('./domainManagement');
+const { deploySieveScript } = require('./sieveScripts');
+const { currentUsageMB } = require('./quotaManagement');
+const { assertPasswordPolicy, hashPassword, assertNotReused, rememberPassword } = require('../utils/passwords');
+const { NotFoundError, ConflictError, QuotaExceededError } = require('../utils/errors');
+const { recordEvent } = require('./events');
+const { cancelQueuedMail } = require('./outgoingMail');
+
+const DELETE_GRACE_DAYS = parseInt(process.env.DELETE_GRACE_DAYS, 10) || 30;
+
+// Input of provisionUser, kept here because bulkProvisionUsers checks each imported row against it too
+const provisionUserInput = {
+  type: 'object',
+  properties: {
+    email: { type: 'string', format: 'email' },
+    displayName: { type: 'string', minLength: 1 },
+    password: { type: 'string', maxLength: 72, description: 'Must meet the password policy' },
+    quotaMB: { type: 'number', minimum: 100, description: "Defaults to the domain's default quota" },
+    aliases: { type: 'array', items: { type: 'string', format: 'email' }, default: [] }
+  },
+  required: ['email', 'displayName', 'password']
+};
 
 /**
  * Provision a new user mailbox
  */
-async function provisionUser(input) {
-  const { email, displayName, password, quotaMB = 5120, aliases = [] } = input;
+async function provisionUser(input, context = {}) {
+  const { displayName, password } = input;
+  let { quotaMB } = input;
+  // Addresses are stored in lower case so lookups and the unique indexes agree
+  const email = input.email.toLowerCase();
+  const aliases = input.aliases.map(alias => alias.toLowerCase());
   
   try {
     // Check if user already exists
-    const existingUser = await query('SELECT id FROM users WHERE email = $1', [email]);
+    const existingUser = await query('SELECT id FROM users WHERE LOWER(email) = LOWER($1)', [email]);
     if (existingUser.rows.length > 0) {
-      throw new Error('User already exists');
+      throw new ConflictError(`User ${email} already exists`);
     }
     
-    // Hash password
-    const passwordHash = await bcrypt.hash(password, 10);
-    
-    // Create user
-    const userResult = await query(
-      'INSERT INTO users (email, display_name, password_hash, quota_mb) VALUES ($1, $2, $3, $4) RETURNING id',
-      [email, displayName, passwordHash, quotaMB]
-    );
-    
-    const userId = userResult.rows[0].id;
-    
-    // Create aliases if provided
-    const createdAliases = [];
+    // Aliases must be on managed domains too
     for (const alias of aliases) {
-      await query(
-        'INSERT INTO aliases (user_id, alias_email) VALUES ($1, $2)',
-        [userId, alias]
-      );
-      createdAliases.push(alias);
+      await assertManagedAddress(alias);
     }
     
+    // Hash password
+    assertPasswordPolicy(password, email);
+    const passwordHash = await hashPassword(password);
+    
+    // User, aliases and audit row are created together or not at all
+    const { userId, createdAliases } = await withTransaction(async (client) => {
+      // Lock the domain row so concurrent provisioning can't overshoot max_users
+      const domain = await assertManagedAddress(email, client, true);
+      
+      if (domain.max_users !== null) {
+        const users = await countDomainUsers(domain.name, client);
+        if (users >= domain.max_users) {
+          throw new QuotaExceededError(`Domain ${domain.name} has reached its limit of ${domain.max_users} users`, {
+            reason: 'DOMAIN_USER_LIMIT',
+            status: 409
+          });
+        }
+      }
+      
+      if (quotaMB === undefined) {
+        quotaMB = domain.default_quota_mb;
+      }
+      
+      const userResult = await client.query(
+        'INSERT INTO users (email, display_name, password_hash, quota_mb) VALUES ($1, $2, $3, $4) RETURNING id',
+        [email, displayName, passwordHash, quotaMB]
+      );
+      
+      const userId = userResult.rows[0].id;
+      
+      // Create aliases if provided
+      const createdAliases = [];
+      for (const alias of aliases) {
+        await client.query(
+          'INSERT INTO aliases (user_id, alias_email) VALUES ($1, $2)',
+          [userId, alias]
+        );
+        createdAliases.push(alias);
+      }
+      
+      // Log audit event
+      await client.query(
+        `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [userId, 'USER_CREATED', { email, displayName, quotaMB, aliases: createdAliases }, ...auditColumns(context)]
+      );
+      await recordEvent('mailbox.created', { userId, email, displayName, quotaMB, aliases: createdAliases }, client);
+      
+      return { userId, createdAliases };
+    });
+    
     // Create maildir structure (this would typically be done via Postfix/Dovecot)
     // For now, we'll log the action
     logger.info(`Mailbox provisioned for ${email}`, { userId, aliases: createdAliases });
     
-    // Log audit event
-    await query(
-      'INSERT INTO audit_log (user_id, action, details) VALUES ($1, $2, $3)',
-      [userId, 'USER_CREATED', { email, displayName, quotaMB, aliases: createdAliases }]
-    );
-    
     return {
       status: 'created',
       userId,
@@ -59,35 +116,72 @@ async function provisionUser(input) {
 }
 
 /**
- * Suspend or delete a user
+ * Suspend or delete a user.
+ * Deleting schedules a purge of the mailbox after a grace period; until then the
+ * user can be brought back with reactivateUser.
  */
-async function suspendUser(input) {
-  const { email, mode } = input;
+async function suspendUser(input, context = {}) {
+  const {
+    email,
+    mode,
+    graceDays = DELETE_GRACE_DAYS,
+    exportBeforePurge,
+    releaseAddress
+  } = input;
   
   try {
-    const userResult = await query('SELECT id FROM users WHERE email = $1', [email]);
+    const userResult = await query('SELECT id, status FROM users WHERE LOWER(email) = LOWER($1)', [email]);
     if (userResult.rows.length === 0) {
-      throw new Error('User not found');
+      throw new NotFoundError(`User ${email} not found`);
     }
     
-    const userId = userResult.rows[0].id;
-    
-    if (mode === 'suspend') {
-      await query('UPDATE users SET status = $1 WHERE id = $2', ['suspended', userId]);
-      logger.info(`User suspended: ${email}`);
-    } else if (mode === 'delete') {
-      // Soft delete - mark as deleted but keep data for audit
-      await query('UPDATE users SET status = $1 WHERE id = $2', ['deleted', userId]);
-      logger.info(`User deleted: ${email}`);
+    const { id: userId, status } = userResult.rows[0];
+    if (status === 'purged' || status === 'purging') {
+      throw new ConflictError(`User ${email} has already been purged`);
     }
     
-    // Log audit event
-    await query(
-      'INSERT INTO audit_log (user_id, action, details) VALUES ($1, $2, $3)',
-      [userId, mode === 'suspend' ? 'USER_SUSPENDED' : 'USER_DELETED', { email, mode }]
-    );
-    
-    return { status: 'ok' };
+    const purgeAfter = mode === 'delete' ? new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000) : null;
+    
+    const sessionsRevoked = await withTransaction(async (client) => {
+      if (mode === 'suspend') {
+        await client.query('UPDATE users SET status = $1 WHERE id = $2', ['suspended', userId]);
+      } else if (mode === 'delete') {
+        // Soft delete - data is kept until the purge runs after the grace period
+        await client.query(
+          `UPDATE users SET status = $1, deleted_at = CURRENT_TIMESTAMP, purge_after = $2,
+                  export_before_purge = $3, release_address = $4, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $5`,
+          ['deleted', purgeAfter, exportBeforePurge, releaseAddress, userId]
+        );
+      }
+      
+      const sessionsRevoked = await revokeUserSessions(userId, mode === 'suspend' ? 'user_suspended' : 'user_deleted', client);
+      // Scheduled mail must not go out from an account that has been shut down
+      const queuedCancelled = await cancelQueuedMail(userId, client);
+      
+      // Log audit event
+      const details = mode === 'delete'
+        ? { email, mode, sessionsRevoked, queuedCancelled, purgeAfter, exportBeforePurge, releaseAddress }
+        : { email, mode, sessionsRevoked, queuedCancelled };
+      await client.query(
+        `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [userId, mode === 'suspend' ? 'USER_SUSPENDED' : 'USER_DELETED', details, ...auditColumns(context)]
+      );
+      await recordEvent(mode === 'suspend' ? 'mailbox.suspended' : 'mailbox.deleted', {
+        userId,
+        email,
+        purgeAfter: purgeAfter ? purgeAfter.toISOString() : null
+      }, client);
+      
+      return sessionsRevoked;
+    });
+    
+    logger.info(`User ${mode === 'suspend' ? 'suspended' : 'deleted'}: ${email}`, { purgeAfter });
+    
+    return mode === 'delete'
+      ? { status: 'ok', sessionsRevoked, purgeAfter: purgeAfter.toISOString() }
+      : { status: 'ok', sessionsRevoked };
   } catch (error) {
     logger.error(`Failed to ${mode} user:`, error);
     throw error;
@@ -95,32 +189,92 @@ async function suspendUser(input) {
 }
 
 /**
- * Set user password
+ * Reactivate a suspended user, or a deleted user whose mailbox has not been purged yet
  */
-async function setPassword(input) {
-  const { email, newPassword, forceLogout = true } = input;
+async function reactivateUser(input, context = {}) {
+  const { email } = input;
   
   try {
-    const userResult = await query('SELECT id FROM users WHERE email = $1', [email]);
+    const userResult = await query('SELECT id, status FROM users WHERE LOWER(email) = LOWER($1)', [email]);
     if (userResult.rows.length === 0) {
-      throw new Error('User not found');
+      throw new NotFoundError(`User ${email} not found`);
     }
     
-    const userId = userResult.rows[0].id;
-    const passwordHash = await bcrypt.hash(newPassword, 10);
+    const { id: userId, status } = userResult.rows[0];
+    if (status === 'active') {
+      throw new ConflictError(`User ${email} is already active`);
+    }
+    if (status === 'purged' || status === 'purging') {
+      throw new ConflictError(`User ${email} has been purged and cannot be reactivated`);
+    }
+    
+    await withTransaction(async (client) => {
+      // Only if the purge has not claimed the mailbox in the meantime
+      const reactivated = await client.query(
+        `UPDATE users SET status = 'active', deleted_at = NULL, purge_after = NULL, sending_suspended_at = NULL,
+                export_before_purge = false, release_address = false, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = $2`,
+        [userId, status]
+      );
+      if (reactivated.rowCount === 0) {
+        throw new ConflictError(`User ${email} changed while being reactivated; try again`);
+      }
+      
+      // Log audit event
+      await client.query(
+        `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [userId, 'USER_REACTIVATED', { email, previousStatus: status }, ...auditColumns(context)]
+      );
+      await recordEvent('mailbox.reactivated', { userId, email, previousStatus: status }, client);
+    });
     
-    await query('UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', 
-                [passwordHash, userId]);
+    logger.info(`User reactivated: ${email}`, { previousStatus: status });
+    
+    return { status: 'ok', previousStatus: status };
+  } catch (error) {
+    logger.error('Failed to reactivate user:', error);
+    throw error;
+  }
+}
+
+/**
+ * Set user password. The password must meet the policy and not be one the user had recently.
+ */
+async function setPassword(input, context = {}) {
+  const { email, newPassword, forceLogout } = input;
+  
+  try {
+    const userResult = await query('SELECT id, password_hash FROM users WHERE LOWER(email) = LOWER($1)', [email]);
+    if (userResult.rows.length === 0) {
+      throw new NotFoundError(`User ${email} not found`);
+    }
     
-    // Log audit event
-    await query(
-      'INSERT INTO audit_log (user_id, action, details) VALUES ($1, $2, $3)',
-      [userId, 'PASSWORD_CHANGED', { email, forceLogout }]
-    );
+    const { id: userId, password_hash: previousHash } = userResult.rows[0];
+    assertPasswordPolicy(newPassword, email);
+    await assertNotReused(userId, newPassword);
+    const passwordHash = await hashPassword(newPassword);
+    
+    const sessionsRevoked = await withTransaction(async (client) => {
+      await rememberPassword(userId, previousHash, client);
+      await client.query('UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', 
+                         [passwordHash, userId]);
+      
+      const sessionsRevoked = forceLogout ? await revokeUserSessions(userId, 'password_changed', client) : 0;
+      
+      // Log audit event
+      await client.query(
+        `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [userId, 'PASSWORD_CHANGED', { email, forceLogout, sessionsRevoked }, ...auditColumns(context)]
+      );
+      
+      return sessionsRevoked;
+    });
     
-    logger.info(`Password updated for user: ${email}`);
+    logger.info(`Password updated for user: ${email}`, { sessionsRevoked });
     
-    return { status: 'ok' };
+    return { status: 'ok', sessionsRevoked };
   } catch (error) {
     logger.error('Failed to set password:', error);
     throw error;
@@ -130,30 +284,40 @@ async function setPassword(input) {
 /**
  * Create email alias
  */
-async function createAlias(input) {
-  const { email, alias } = input;
+async function createAlias(input, context = {}) {
+  const { email } = input;
+  const alias = input.alias.toLowerCase();
   
   try {
-    const userResult = await query('SELECT id FROM users WHERE email = $1', [email]);
+    const userResult = await query('SELECT id FROM users WHERE LOWER(email) = LOWER($1)', [email]);
     if (userResult.rows.length === 0) {
-      throw new Error('User not found');
+      throw new NotFoundError(`User ${email} not found`);
     }
     
     const userId = userResult.rows[0].id;
     
+    await assertManagedAddress(alias);
+    
     // Check if alias already exists
-    const existingAlias = await query('SELECT id FROM aliases WHERE alias_email = $1', [alias]);
+    const existingAlias = await query('SELECT id FROM aliases WHERE LOWER(alias_email) = LOWER($1)', [alias]);
     if (existingAlias.rows.length > 0) {
-      throw new Error('Alias already exists');
+      throw new ConflictError(`Alias ${alias} already exists`);
     }
     
-    await query('INSERT INTO aliases (user_id, alias_email) VALUES ($1, $2)', [userId, alias]);
+    await withTransaction(async (client) => {
+      await client.query('INSERT INTO aliases (user_id, alias_email) VALUES ($1, $2)', [userId, alias]);
+      
+      // Log audit event
+      await client.query(
+        `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [userId, 'ALIAS_CREATED', { email, alias }, ...auditColumns(context)]
+      );
+      await recordEvent('alias.created', { userId, email, alias }, client);
+    });
     
-    // Log audit event
-    await query(
-      'INSERT INTO audit_log (user_id, action, details) VALUES ($1, $2, $3)',
-      [userId, 'ALIAS_CREATED', { email, alias }]
-    );
+    // The auto-reply must recognise the new address as the user's own
+    await deploySieveScript({ id: userId, email });
     
     logger.info(`Alias created: ${alias} -> ${email}`);
     
@@ -167,29 +331,35 @@ async function createAlias(input) {
 /**
  * Remove email alias
  */
-async function removeAlias(input) {
+async function removeAlias(input, context = {}) {
   const { email, alias } = input;
   
   try {
-    const userResult = await query('SELECT id FROM users WHERE email = $1', [email]);
+    const userResult = await query('SELECT id FROM users WHERE LOWER(email) = LOWER($1)', [email]);
     if (userResult.rows.length === 0) {
-      throw new Error('User not found');
+      throw new NotFoundError(`User ${email} not found`);
     }
     
     const userId = userResult.rows[0].id;
     
-    const result = await query('DELETE FROM aliases WHERE user_id = $1 AND alias_email = $2', 
-                              [userId, alias]);
-    
-    if (result.rowCount === 0) {
-      throw new Error('Alias not found');
-    }
+    await withTransaction(async (client) => {
+      const result = await client.query('DELETE FROM aliases WHERE user_id = $1 AND LOWER(alias_email) = LOWER($2)', 
+                                        [userId, alias]);
+      
+      if (result.rowCount === 0) {
+        throw new NotFoundError(`Alias ${alias} not found`);
+      }
+      
+      // Log audit event
+      await client.query(
+        `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [userId, 'ALIAS_REMOVED', { email, alias }, ...auditColumns(context)]
+      );
+      await recordEvent('alias.removed', { userId, email, alias }, client);
+    });
     
-    // Log audit event
-    await query(
-      'INSERT INTO audit_log (user_id, action, details) VALUES ($1, $2, $3)',
-      [userId, 'ALIAS_REMOVED', { email, alias }]
-    );
+    await deploySieveScript({ id: userId, email });
     
     logger.info(`Alias removed: ${alias}`);
     
@@ -201,67 +371,84 @@ async function removeAlias(input) {
 }
 
 /**
- * Set email forwarding
+ * Lift a lockout from failed logins before it runs out
  */
-async function setForwarding(input) {
-  const { email, forwardTo, keepCopy = true } = input;
+async function unlockAccount(input, context = {}) {
+  const { email } = input;
   
   try {
-    const userResult = await query('SELECT id FROM users WHERE email = $1', [email]);
+    const userResult = await query('SELECT id, failed_logins, locked_until FROM users WHERE LOWER(email) = LOWER($1)', [email]);
     if (userResult.rows.length === 0) {
-      throw new Error('User not found');
+      throw new NotFoundError(`User ${email} not found`);
     }
     
-    const userId = userResult.rows[0].id;
-    
-    // Remove existing forwarding rules
-    await query('DELETE FROM forwarding WHERE user_id = $1', [userId]);
-    
-    // Add new forwarding rule
-    await query('INSERT INTO forwarding (user_id, forward_to, keep_copy) VALUES ($1, $2, $3)',
-                [userId, forwardTo, keepCopy]);
-    
-    // Log audit event
-    await query(
-      'INSERT INTO audit_log (user_id, action, details) VALUES ($1, $2, $3)',
-      [userId, 'FORWARDING_SET', { email, forwardTo, keepCopy }]
-    );
+    const { id: userId, failed_logins: failedLogins, locked_until: lockedUntil } = userResult.rows[0];
+    const wasLocked = Boolean(lockedUntil && new Date(lockedUntil) > new Date());
+    
+    await withTransaction(async (client) => {
+      await client.query('UPDATE users SET failed_logins = 0, locked_until = NULL WHERE id = $1', [userId]);
+      
+      // Log audit event
+      await client.query(
+        `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [userId, 'ACCOUNT_UNLOCKED', { email, failedLogins, wasLocked }, ...auditColumns(context)]
+      );
+    });
     
-    logger.info(`Forwarding set for ${email}:`, { forwardTo, keepCopy });
+    logger.info(`Account unlocked: ${email}`, { wasLocked });
     
-    return { status: 'ok' };
+    return { status: 'ok', wasLocked, failedLogins };
   } catch (error) {
-    logger.error('Failed to set forwarding:', error);
+    logger.error('Failed to unlock account:', error);
     throw error;
   }
 }
 
 /**
- * Set user quota
+ * Set user mailbox quota. A quota below what the mailbox already uses is refused
+ * unless `force` is set (the mailbox then refuses new mail until it is cleaned up).
  */
-async function setQuota(input) {
-  const { email, quotaMB } = input;
+async function setQuota(input, context = {}) {
+  const { email, quotaMB, force } = input;
   
   try {
-    const userResult = await query('SELECT id FROM users WHERE email = $1', [email]);
+    const userResult = await query('SELECT id, email, quota_mb FROM users WHERE LOWER(email) = LOWER($1)', [email]);
     if (userResult.rows.length === 0) {
-      throw new Error('User not found');
+      throw new NotFoundError(`User ${email} not found`);
     }
     
-    const userId = userResult.rows[0].id;
-    
-    await query('UPDATE users SET quota_mb = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-                [quotaMB, userId]);
+    const user = userResult.rows[0];
+    const usedMB = await currentUsageMB(user);
+    if (usedMB !== null && quotaMB < usedMB && !force) {
+      throw new ConflictError(`${email} already uses ${Math.ceil(usedMB)} MB; pass force to set a quota of ${quotaMB} MB`, {
+        reason: 'QUOTA_BELOW_USAGE'
+      });
+    }
     
-    // Log audit event
-    await query(
-      'INSERT INTO audit_log (user_id, action, details) VALUES ($1, $2, $3)',
-      [userId, 'QUOTA_CHANGED', { email, quotaMB }]
-    );
+    await withTransaction(async (client) => {
+      // Warnings start over against the new quota
+      await client.query(
+        'UPDATE users SET quota_mb = $1, quota_warning_percent = 0, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [quotaMB, user.id]
+      );
+      
+      // Log audit event
+      await client.query(
+        `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [user.id, 'QUOTA_CHANGED', { email, quotaMB, usedMB: usedMB !== null ? Math.ceil(usedMB) : null, force }, ...auditColumns(context)]
+      );
+      await recordEvent('quota.changed', { userId: user.id, email, quotaMB, previousQuotaMB: user.quota_mb }, client);
+    });
     
     logger.info(`Quota set for ${email}: ${quotaMB}MB`);
     
-    return { status: 'ok' };
+    return {
+      status: 'ok',
+      usedMB: usedMB !== null ? Math.ceil(usedMB) : null,
+      overQuota: usedMB !== null && quotaMB < usedMB
+    };
   } catch (error) {
     logger.error('Failed to set quota:', error);
     throw error;
@@ -269,11 +456,13 @@ async function setQuota(input) {
 }
 
 module.exports = {
+  provisionUserInput,
   provisionUser,
   suspendUser,
+  reactivateUser,
   setPassword,
+  unlockAccount,
   createAlias,
   removeAlias,
-  setForwarding,
   setQuota
 };
\ No newline at end of file
@@ -0,0 +1,339 @@
+const crypto = require('crypto');
+const { query } = require('../database/connection');
+const { withTransaction } = require('../database/transaction');
+const { logger } = require('../utils/logger');
+const { auditColumns } = require('../middleware/auth');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const WEBHOOK_DISPATCH_INTERVAL_SECONDS = parseInt(process.env.WEBHOOK_DISPATCH_INTERVAL_SECONDS, 10) || 5;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+// Delay before the first retry; it doubles with every attempt up to WEBHOOK_RETRY_MAX_SECONDS
+const WEBHOOK_RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30;
+const WEBHOOK_RETRY_MAX_SECONDS = parseInt(process.env.WEBHOOK_RETRY_MAX_SECONDS, 10) || 6 * 60 * 60;
+const WEBHOOK_BATCH_SIZE = 50;
+
+// A delivery left claimed this long (the agent stopped mid-request) is picked up again
+const WEBHOOK_CLAIM_TIMEOUT_MINUTES = 5;
+
+/**
+ * Map a webhooks row to the shape returned by the tools; the secret is only
+ * shown by createWebhook
+ */
+function formatWebhook(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    events: row.events || [],
+    description: row.description,
+    active: row.active,
+    pending: row.pending !== undefined ? parseInt(row.pending, 10) : undefined,
+    deadLetters: row.dead_letters !== undefined ? parseInt(row.dead_letters, 10) : undefined,
+    createdAt: new Date(row.created_at).toISOString()
+  };
+}
+
+/**
+ * Map a webhook_dead_letters row to the shape returned by the tools
+ */
+function formatDeadLetter(row) {
+  return {
+    id: row.id,
+    webhookId: row.webhook_id,
+    eventId: String(row.event_id),
+    eventType: row.event_type,
+    payload: row.payload,
+    attempts: row.attempts,
+    lastError: row.last_error,
+    failedAt: new Date(row.failed_at).toISOString()
+  };
+}
+
+/**
+ * HMAC-SHA256 of "<timestamp>.<body>" with the webhook secret, as sent in
+ * X-MailHero-Signature ("t=<timestamp>,v1=<hex>")
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Subscribe a URL to mailbox events. The signing secret is returned once.
+ */
+async function createWebhook(input, context = {}) {
+  const { url, events, description = null } = input;
+
+  try {
+    const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+    const webhook = await withTransaction(async (client) => {
+      const result = await client.query(
+        'INSERT INTO webhooks (url, secret, events, description) VALUES ($1, $2, $3, $4) RETURNING *',
+        [url, secret, events, description]
+      );
+
+      // Log audit event
+      await client.query(
+        `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [null, 'WEBHOOK_CREATED', { webhookId: result.rows[0].id, url, events }, ...auditColumns(context)]
+      );
+
+      return formatWebhook(result.rows[0]);
+    });
+
+    logger.info(`Webhook created: ${url}`, { webhookId: webhook.id, events });
+
+    return { status: 'created', webhook, secret };
+  } catch (error) {
+    logger.error('Failed to create webhook:', error);
+    throw error;
+  }
+}
+
+/**
+ * List webhooks with their queued deliveries and dead letters
+ */
+async function listWebhooks() {
+  try {
+    const result = await query(
+      `SELECT w.*,
+              (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id) AS pending,
+              (SELECT COUNT(*) FROM webhook_dead_letters l WHERE l.webhook_id = w.id) AS dead_letters
+       FROM webhooks w
+       ORDER BY w.created_at`
+    );
+
+    return { webhooks: result.rows.map(formatWebhook) };
+  } catch (error) {
+    logger.error('Failed to list webhooks:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a webhook together with its queued deliveries and dead letters
+ */
+async function deleteWebhook(input, context = {}) {
+  const { id } = input;
+
+  try {
+    await withTransaction(async (client) => {
+      const result = await client.query('DELETE FROM webhooks WHERE id = $1 RETURNING url', [id]);
+      if (result.rowCount === 0) {
+        throw new NotFoundError(`Webhook ${id} not found`);
+      }
+
+      // Log audit event
+      await client.query(
+        `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [null, 'WEBHOOK_DELETED', { webhookId: id, url: result.rows[0].url }, ...auditColumns(context)]
+      );
+    });
+
+    logger.info(`Webhook deleted: ${id}`);
+
+    return { status: 'deleted', id };
+  } catch (error) {
+    logger.error('Failed to delete webhook:', error);
+    throw error;
+  }
+}
+
+/**
+ * List deliveries that ran out of attempts, newest first
+ */
+async function listWebhookDeadLetters(input) {
+  const { webhookId = null, limit } = input;
+
+  try {
+    const result = await query(
+      `SELECT * FROM webhook_dead_letters
+       WHERE $1::uuid IS NULL OR webhook_id = $1
+       ORDER BY failed_at DESC
+       LIMIT $2`,
+      [webhookId, limit]
+    );
+
+    return { deadLetters: result.rows.map(formatDeadLetter) };
+  } catch (error) {
+    logger.error('Failed to list webhook dead letters:', error);
+    throw error;
+  }
+}
+
+/**
+ * Queue dead letters for delivery again, with a fresh set of attempts: one
+ * dead letter by id, or every dead letter of a webhook
+ */
+async function redeliverWebhookDeadLetters(input, context = {}) {
+  const { id = null, webhookId = null } = input;
+
+  try {
+    if (Boolean(id) === Boolean(webhookId)) {
+      throw new ValidationError('Give either id or webhookId');
+    }
+
+    const requeued = await withTransaction(async (client) => {
+      const moved = await client.query(
+        `WITH requeued AS (
+           DELETE FROM webhook_dead_letters WHERE id = $1 OR webhook_id = $2 RETURNING *
+         )
+         INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload)
+         SELECT webhook_id, event_id, event_type, payload FROM requeued`,
+        [id, webhookId]
+      );
+      if (id && moved.rowCount === 0) {
+        throw new NotFoundError(`Dead letter ${id} not found`);
+      }
+
+      // Log audit event
+      await client.query(
+        `INSERT INTO audit_log (user_id, action, details, ip_address, user_agent, actor_email)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [null, 'WEBHOOK_REDELIVERED', { deadLetterId: id, webhookId, deliveries: moved.rowCount }, ...auditColumns(context)]
+      );
+
+      return moved.rowCount;
+    });
+
+    logger.info(`Requeued ${requeued} webhook dead letters`, { id, webhookId });
+
+    return { status: 'ok', requeued };
+  } catch (error) {
+    logger.error('Failed to redeliver webhook dead letters:', error);
+    throw error;
+  }
+}
+
+/**
+ * POST one event to a webhook, signed with its secret. Anything but a 2xx
+ * answer is a failure.
+ */
+async function postEvent(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  const response = await fetch(delivery.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'MailHero-Webhooks/1.0',
+      'X-MailHero-Event': delivery.event_type,
+      'X-MailHero-Delivery': delivery.id,
+      'X-MailHero-Signature': `t=${timestamp},v1=${signPayload(delivery.secret, timestamp, body)}`
+    },
+    body,
+    redirect: 'manual',
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Webhook answered ${response.status}`);
+  }
+}
+
+/**
+ * Seconds to wait before the next attempt after `attempts` failed ones
+ */
+function retryDelaySeconds(attempts) {
+  return Math.min(WEBHOOK_RETRY_BASE_SECONDS * 2 ** (attempts - 1), WEBHOOK_RETRY_MAX_SECONDS);
+}
+
+/**
+ * Deliver queued webhook events that are due. Rows are claimed with SKIP LOCKED
+ * so several agents can share the queue. Failures are retried with exponential
+ * backoff; after WEBHOOK_MAX_ATTEMPTS the delivery moves to webhook_dead_letters.
+ * Deliveries are not ordered: receivers should order by the event id.
+ */
+async function deliverWebhooks() {
+  const claimed = await query(
+    `WITH claimed AS (
+       UPDATE webhook_deliveries
+       SET attempts = attempts + 1, claimed_at = CURRENT_TIMESTAMP
+       WHERE id IN (
+         SELECT id FROM webhook_deliveries
+         WHERE next_attempt_at <= CURRENT_TIMESTAMP
+           AND (claimed_at IS NULL OR claimed_at < CURRENT_TIMESTAMP - make_interval(mins => $2))
+         ORDER BY event_id
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *
+     )
+     SELECT c.*, w.url, w.secret FROM claimed c JOIN webhooks w ON w.id = c.webhook_id`,
+    [WEBHOOK_BATCH_SIZE, WEBHOOK_CLAIM_TIMEOUT_MINUTES]
+  );
+
+  let delivered = 0;
+  let deadLettered = 0;
+  for (const [index, delivery] of claimed.rows.entries()) {
+    // Keep the rest of the batch claimed while slow receivers are waited on, so
+    // another agent does not take it over after WEBHOOK_CLAIM_TIMEOUT_MINUTES
+    await query(
+      'UPDATE webhook_deliveries SET claimed_at = CURRENT_TIMESTAMP WHERE id = ANY($1)',
+      [claimed.rows.slice(index).map(row => row.id)]
+    );
+
+    try {
+      await postEvent(delivery);
+      await query('DELETE FROM webhook_deliveries WHERE id = $1', [delivery.id]);
+      delivered += 1;
+    } catch (error) {
+      logger.warn(`Webhook delivery ${delivery.id} to ${delivery.url} failed (attempt ${delivery.attempts}): ${error.message}`);
+
+      if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+        await withTransaction(async (client) => {
+          await client.query(
+            `INSERT INTO webhook_dead_letters (id, webhook_id, event_id, event_type, payload, attempts, last_error)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [delivery.id, delivery.webhook_id, delivery.event_id, delivery.event_type, delivery.payload,
+              delivery.attempts, error.message]
+          );
+          await client.query('DELETE FROM webhook_deliveries WHERE id = $1', [delivery.id]);
+        });
+        deadLettered += 1;
+      } else {
+        await query(
+          `UPDATE webhook_deliveries
+           SET claimed_at = NULL, last_error = $2, next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $3)
+           WHERE id = $1`,
+          [delivery.id, error.message, retryDelaySeconds(delivery.attempts)]
+        );
+      }
+    }
+  }
+
+  return { delivered, deadLettered };
+}
+
+/**
+ * Periodically deliver due webhook events
+ */
+function startWebhookDispatcher() {
+  let delivering = false;
+  const timer = setInterval(() => {
+    // A run that outlasts the interval is not started again until it has finished
+    if (delivering) {
+      return;
+    }
+    delivering = true;
+    deliverWebhooks()
+      .catch(error => logger.error('Webhook delivery failed:', error))
+      .finally(() => { delivering = false; });
+  }, WEBHOOK_DISPATCH_INTERVAL_SECONDS * 1000);
+  timer.unref();
+
+  logger.info(`Webhook deliveries checked every ${WEBHOOK_DISPATCH_INTERVAL_SECONDS} seconds`);
+  return timer;
+}
+
+module.exports = {
+  createWebhook,
+  listWebhooks,
+  deleteWebhook,
+  listWebhookDeadLetters,
+  redeliverWebhookDeadLetters,
+  deliverWebhooks,
+  startWebhookDispatcher
+};
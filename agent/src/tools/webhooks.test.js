@@ -0,0 +1,96 @@
+jest.mock('../database/connection', () => ({ query: jest.fn() }), { virtual: true });
+jest.mock('../utils/logger', () => ({ logger: { error: jest.fn(), warn: jest.fn(), info: jest.fn() } }), { virtual: true });
+// Transactions run their statements on the same mocked query
+jest.mock('../database/transaction', () => ({
+  withTransaction: fn => fn({ query: require('../database/connection').query })
+}));
+
+const crypto = require('crypto');
+const { query } = require('../database/connection');
+const { deliverWebhooks } = require('./webhooks');
+
+const SECRET = 'whsec_test';
+
+const delivery = (fields = {}) => ({
+  id: 'delivery-1',
+  webhook_id: 'hook-1',
+  event_id: '42',
+  event_type: 'mailbox.created',
+  payload: { id: '42', type: 'mailbox.created', data: { email: 'ann@example.com' } },
+  attempts: 1,
+  url: 'https://hooks.example.net/mailhero',
+  secret: SECRET,
+  ...fields
+});
+
+/**
+ * Answer the claim with `claimed` deliveries; every other statement changes one row
+ */
+function queue(claimed) {
+  query.mockImplementation(async sql => (sql.includes('WITH claimed AS')
+    ? { rows: claimed, rowCount: claimed.length }
+    : { rows: [], rowCount: 1 }));
+}
+
+const statements = pattern => query.mock.calls.filter(([sql]) => pattern.test(sql));
+
+describe('deliverWebhooks', () => {
+  beforeEach(() => {
+    query.mockReset();
+    global.fetch = jest.fn(async () => ({ ok: true, status: 200 }));
+  });
+
+  afterAll(() => {
+    delete global.fetch;
+  });
+
+  test('claims due deliveries without waiting on other agents', async () => {
+    queue([]);
+
+    expect(await deliverWebhooks()).toEqual({ delivered: 0, deadLettered: 0 });
+    const [[sql, params]] = query.mock.calls;
+    expect(sql).toMatch(/FOR UPDATE SKIP LOCKED/);
+    expect(params).toEqual([50, 5]);
+  });
+
+  test('posts the event signed with the webhook secret and drops the delivery', async () => {
+    queue([delivery()]);
+
+    expect(await deliverWebhooks()).toEqual({ delivered: 1, deadLettered: 0 });
+
+    const [[url, request]] = global.fetch.mock.calls;
+    expect(url).toBe('https://hooks.example.net/mailhero');
+    expect(request.redirect).toBe('manual');
+    expect(request.headers).toEqual(expect.objectContaining({
+      'X-MailHero-Event': 'mailbox.created',
+      'X-MailHero-Delivery': 'delivery-1'
+    }));
+    const [, timestamp, signature] = /^t=(\d+),v1=([0-9a-f]+)$/.exec(request.headers['X-MailHero-Signature']);
+    expect(signature).toBe(crypto.createHmac('sha256', SECRET).update(`${timestamp}.${request.body}`).digest('hex'));
+    expect(JSON.parse(request.body)).toEqual(delivery().payload);
+    expect(statements(/^DELETE FROM webhook_deliveries/)).toEqual([[expect.any(String), ['delivery-1']]]);
+  });
+
+  test('retries a failed delivery later with a doubling delay', async () => {
+    queue([delivery({ attempts: 3 })]);
+    global.fetch.mockResolvedValue({ ok: false, status: 503 });
+
+    expect(await deliverWebhooks()).toEqual({ delivered: 0, deadLettered: 0 });
+    const [[sql, params]] = statements(/SET claimed_at = NULL/);
+    expect(sql).toMatch(/next_attempt_at = CURRENT_TIMESTAMP \+ make_interval\(secs => \$3\)/);
+    expect(params).toEqual(['delivery-1', 'Webhook answered 503', 120]);
+  });
+
+  test('moves a delivery out of attempts to the dead letters', async () => {
+    queue([delivery({ attempts: 8 })]);
+    global.fetch.mockRejectedValue(new Error('getaddrinfo ENOTFOUND hooks.example.net'));
+
+    expect(await deliverWebhooks()).toEqual({ delivered: 0, deadLettered: 1 });
+    const [[, params]] = statements(/INSERT INTO webhook_dead_letters/);
+    expect(params).toEqual([
+      'delivery-1', 'hook-1', '42', 'mailbox.created', delivery().payload, 8, 'getaddrinfo ENOTFOUND hooks.example.net'
+    ]);
+    expect(statements(/^DELETE FROM webhook_deliveries/)).toHaveLength(1);
+    expect(statements(/SET claimed_at = NULL/)).toEqual([]);
+  });
+});
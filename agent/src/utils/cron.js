@@ -0,0 +1,138 @@
+const { ValidationError } = require('./errors');
+
+// Five-field cron schedules ("minute hour day-of-month month day-of-week"),
+// evaluated in UTC. Fields take *, values, ranges, lists and steps
+// ("*/15", "1-5", "0,30", "8-18/2"); day-of-week 0 and 7 are Sunday.
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *'
+};
+
+// A schedule that matches nothing within this many years (e.g. "0 0 30 2 *") is refused
+const SEARCH_YEARS = 5;
+
+/**
+ * Error for a schedule that cannot be parsed
+ */
+function invalidSchedule(schedule, message) {
+  return new ValidationError(`Invalid cron schedule '${schedule}': ${message}`, { reason: 'INVALID_SCHEDULE' });
+}
+
+/**
+ * The set of values one field allows
+ */
+function parseField(schedule, text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw invalidSchedule(schedule, `bad ${name} '${part}'`);
+    }
+
+    let from = min;
+    let to = max;
+    if (match[2] !== undefined) {
+      from = parseInt(match[2], 10);
+      // "5/10" means every 10 from 5
+      to = match[3] !== undefined ? parseInt(match[3], 10) : (match[4] !== undefined ? max : from);
+    }
+    const step = match[4] !== undefined ? parseInt(match[4], 10) : 1;
+
+    if (from < min || to > max || from > to || step < 1) {
+      throw invalidSchedule(schedule, `${name} '${part}' is outside ${min}-${max}`);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a schedule, or one of @hourly, @daily, @weekly, @monthly and @yearly
+ */
+function parseCron(schedule) {
+  const expression = MACROS[String(schedule).trim()] || String(schedule).trim();
+  const fields = expression.split(/\s+/);
+  if (fields.length !== FIELDS.length) {
+    throw invalidSchedule(schedule, 'expected minute, hour, day of month, month and day of week');
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((text, i) => parseField(schedule, text, FIELDS[i]));
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // As in cron, when both day fields are restricted either one matching is enough
+    anyDay: fields[2] === '*',
+    anyWeekday: fields[4] === '*'
+  };
+}
+
+/**
+ * Whether a parsed schedule runs on the UTC day of `date`
+ */
+function dayMatches(cron, date) {
+  const day = cron.days.has(date.getUTCDate());
+  const weekday = cron.weekdays.has(date.getUTCDay());
+
+  if (cron.anyDay || cron.anyWeekday) {
+    return day && weekday;
+  }
+  return day || weekday;
+}
+
+/**
+ * The first time after `after` (a Date) that a schedule runs
+ */
+function nextRun(schedule, after = new Date()) {
+  const cron = parseCron(schedule);
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = new Date(date.getTime());
+  limit.setUTCFullYear(limit.getUTCFullYear() + SEARCH_YEARS);
+
+  while (date < limit) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  throw invalidSchedule(schedule, 'it never runs');
+}
+
+module.exports = {
+  parseCron,
+  nextRun
+};
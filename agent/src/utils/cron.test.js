@@ -0,0 +1,71 @@
+const { parseCron, nextRun } = require('./cron');
+const { ValidationError } = require('./errors');
+
+const at = text => new Date(`${text}Z`);
+
+describe('nextRun', () => {
+  test('runs at the next matching minute, never at `after` itself', () => {
+    expect(nextRun('*/15 * * * *', at('2024-03-10T10:14:30'))).toEqual(at('2024-03-10T10:15:00'));
+    expect(nextRun('*/15 * * * *', at('2024-03-10T10:15:00'))).toEqual(at('2024-03-10T10:30:00'));
+  });
+
+  test('rolls over hours, days, months and years', () => {
+    expect(nextRun('30 * * * *', at('2024-03-10T23:45:00'))).toEqual(at('2024-03-11T00:30:00'));
+    expect(nextRun('0 3 * * *', at('2024-03-31T04:00:00'))).toEqual(at('2024-04-01T03:00:00'));
+    expect(nextRun('@yearly', at('2024-06-01T00:00:00'))).toEqual(at('2025-01-01T00:00:00'));
+  });
+
+  test('expands ranges, lists and steps', () => {
+    expect(nextRun('0 8-18/2 * * *', at('2024-03-10T09:00:00'))).toEqual(at('2024-03-10T10:00:00'));
+    expect(nextRun('0,30 12 * * *', at('2024-03-10T12:00:00'))).toEqual(at('2024-03-10T12:30:00'));
+    expect(nextRun('5/20 * * * *', at('2024-03-10T12:26:00'))).toEqual(at('2024-03-10T12:45:00'));
+  });
+
+  test('treats day-of-week 7 as Sunday', () => {
+    // 2024-03-10 is a Sunday
+    expect(nextRun('0 0 * * 7', at('2024-03-05T00:00:00'))).toEqual(at('2024-03-10T00:00:00'));
+  });
+
+  test('matches either day field when both are restricted', () => {
+    // The 15th, or the next Monday (2024-03-11), whichever comes first
+    expect(nextRun('0 0 15 * 1', at('2024-03-10T00:00:00'))).toEqual(at('2024-03-11T00:00:00'));
+    expect(nextRun('0 0 15 * *', at('2024-03-10T00:00:00'))).toEqual(at('2024-03-15T00:00:00'));
+  });
+
+  test('skips months without the day', () => {
+    expect(nextRun('0 0 31 * *', at('2024-04-01T00:00:00'))).toEqual(at('2024-05-31T00:00:00'));
+    expect(nextRun('0 0 29 2 *', at('2024-03-01T00:00:00'))).toEqual(at('2028-02-29T00:00:00'));
+  });
+
+  test('refuses a schedule that never runs', () => {
+    expect(() => nextRun('0 0 30 2 *')).toThrow(/never runs/);
+  });
+});
+
+describe('parseCron', () => {
+  test('expands macros', () => {
+    const cron = parseCron('@weekly');
+    expect([...cron.minutes]).toEqual([0]);
+    expect([...cron.weekdays]).toEqual([0]);
+    expect(cron.anyDay).toBe(true);
+  });
+
+  test.each([
+    ['* * * *', /expected minute/],
+    ['60 * * * *', /minute '60' is outside 0-59/],
+    ['* * 0 * *', /day of month '0' is outside 1-31/],
+    ['* 5-2 * * *', /hour '5-2'/],
+    ['*/0 * * * *', /minute '\*\/0'/],
+    ['a * * * *', /bad minute 'a'/]
+  ])('refuses %p as a validation error', (schedule, message) => {
+    let error;
+    try {
+      parseCron(schedule);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.reason).toBe('INVALID_SCHEDULE');
+    expect(error.message).toMatch(message);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Minimal RFC 4180 CSV reader/writer for bulk user import and export
+ */
+
+const { ValidationError } = require('./errors');
+
+/**
+ * Parse CSV text into an array of records keyed by the header row
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new ValidationError('CSV has an unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return [];
+  }
+
+  const header = nonEmpty[0].map(name => name.trim());
+  return nonEmpty.slice(1).map(cells => {
+    const record = {};
+    header.forEach((name, index) => {
+      record[name] = cells[index] !== undefined ? cells[index].trim() : '';
+    });
+    return record;
+  });
+}
+
+/**
+ * Quote a value for CSV output when it needs it
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = Array.isArray(value) ? value.join(';') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize records to CSV with the given column order
+ */
+function stringifyCsv(records, columns) {
+  const lines = [columns.map(escapeCsvValue).join(',')];
+  for (const record of records) {
+    lines.push(columns.map(column => escapeCsvValue(record[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  stringifyCsv
+};
@@ -0,0 +1,56 @@
+const { parseCsv, stringifyCsv } = require('./csv');
+const { ValidationError } = require('./errors');
+
+describe('parseCsv', () => {
+  test('keys records by the trimmed header row', () => {
+    expect(parseCsv(' email , displayName\nann@example.com, Ann \nbob@example.com,Bob\n')).toEqual([
+      { email: 'ann@example.com', displayName: 'Ann' },
+      { email: 'bob@example.com', displayName: 'Bob' }
+    ]);
+  });
+
+  test('reads quoted fields with commas, quotes and line breaks', () => {
+    expect(parseCsv('name,note\r\n"Doe, Jane","said ""hi""\r\ntwice"\r\n')).toEqual([
+      { name: 'Doe, Jane', note: 'said "hi"\r\ntwice' }
+    ]);
+  });
+
+  test('skips blank lines and fills missing cells', () => {
+    expect(parseCsv('\nemail,quotaMB\n\nann@example.com\n  \n')).toEqual([
+      { email: 'ann@example.com', quotaMB: '' }
+    ]);
+  });
+
+  test('reads a last line without a line break', () => {
+    expect(parseCsv('email\nann@example.com')).toEqual([{ email: 'ann@example.com' }]);
+  });
+
+  test('returns nothing for empty input', () => {
+    expect(parseCsv('')).toEqual([]);
+    expect(parseCsv('\r\n\r\n')).toEqual([]);
+  });
+
+  test('refuses an unterminated quoted field', () => {
+    expect(() => parseCsv('email\n"ann@example.com\n')).toThrow(ValidationError);
+  });
+});
+
+describe('stringifyCsv', () => {
+  test('writes the columns in order, quoting only when needed', () => {
+    const csv = stringifyCsv([
+      { email: 'ann@example.com', displayName: 'Doe, "Ann"', aliases: ['a@example.com', 'b@example.com'] },
+      { email: 'bob@example.com', displayName: null }
+    ], ['email', 'displayName', 'aliases']);
+
+    expect(csv).toBe(
+      'email,displayName,aliases\r\n' +
+      'ann@example.com,"Doe, ""Ann""",a@example.com;b@example.com\r\n' +
+      'bob@example.com,,\r\n'
+    );
+  });
+
+  test('reads back what it writes', () => {
+    const records = [{ email: 'ann@example.com', note: 'line one\nline two, "quoted"' }];
+    expect(parseCsv(stringifyCsv(records, ['email', 'note']))).toEqual(records);
+  });
+});
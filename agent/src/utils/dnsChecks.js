@@ -0,0 +1,433 @@
+const crypto = require('crypto');
+const net = require('net');
+
+// RFC 7208 section 4.6.4
+const SPF_LOOKUP_LIMIT = 10;
+const SPF_MECHANISMS = ['all', 'include', 'a', 'mx', 'ptr', 'ip4', 'ip6', 'exists'];
+const SPF_LOOKUP_TERMS = ['include', 'a', 'mx', 'ptr', 'exists', 'redirect'];
+
+// Errors that simply mean "no such record"
+const NO_RECORD_CODES = ['ENODATA', 'ENOTFOUND', 'NXDOMAIN', 'ENONAME'];
+
+/**
+ * Run a resolver call; missing records come back as an empty list, other
+ * failures (timeouts, SERVFAIL) are returned as `error`
+ */
+async function lookup(fn) {
+  try {
+    return { records: await fn() };
+  } catch (error) {
+    if (NO_RECORD_CODES.includes(error.code)) {
+      return { records: [] };
+    }
+    return { records: [], error };
+  }
+}
+
+/**
+ * TXT records at a name that start with a given version tag
+ */
+async function txtRecordsWithTag(resolver, name, tag) {
+  const { records, error } = await lookup(() => resolver.resolveTxt(name));
+  const matching = records
+    .map(chunks => chunks.join(''))
+    .filter(txt => txt.toLowerCase().startsWith(tag.toLowerCase()));
+  return { records: matching, error };
+}
+
+/**
+ * Parse `tag=value; tag=value` records (DMARC, DKIM, MTA-STS, TLS-RPT)
+ */
+function parseTagList(txt) {
+  const tags = {};
+  for (const part of txt.split(';')) {
+    const separator = part.indexOf('=');
+    if (separator > 0) {
+      tags[part.slice(0, separator).trim().toLowerCase()] = part.slice(separator + 1).trim();
+    }
+  }
+  return tags;
+}
+
+/**
+ * Split an SPF record into terms: { qualifier, name, value, modifier }
+ */
+function parseSpf(txt) {
+  const terms = [];
+  const errors = [];
+
+  for (const raw of txt.trim().split(/\s+/).slice(1)) {
+    const modifier = /^([a-z][a-z0-9_.-]*)=(.*)$/i.exec(raw);
+    if (modifier) {
+      terms.push({ modifier: true, name: modifier[1].toLowerCase(), value: modifier[2] });
+      continue;
+    }
+
+    const mechanism = /^([+\-~?]?)([a-z0-9]+)(?::(.*?))?(\/\/?\d+)*$/i.exec(raw);
+    if (!mechanism || !SPF_MECHANISMS.includes(mechanism[2].toLowerCase())) {
+      errors.push(`unknown SPF term "${raw}"`);
+      continue;
+    }
+
+    const name = mechanism[2].toLowerCase();
+    const value = mechanism[3];
+    if (name === 'ip4' && !net.isIPv4(String(value).split('/')[0])) {
+      errors.push(`invalid ip4 address in "${raw}"`);
+    }
+    if (name === 'ip6' && !net.isIPv6(String(value).split('/')[0])) {
+      errors.push(`invalid ip6 address in "${raw}"`);
+    }
+    if ((name === 'include' || name === 'exists') && !value) {
+      errors.push(`"${raw}" needs a domain`);
+    }
+
+    terms.push({ modifier: false, qualifier: mechanism[1] || '+', name, value, raw });
+  }
+
+  return { terms, errors };
+}
+
+/**
+ * Count DNS-querying SPF terms, following include: and redirect= recursively
+ */
+async function countSpfLookups(resolver, txt, visited = new Set()) {
+  const { terms } = parseSpf(txt);
+  let count = 0;
+  const problems = [];
+
+  for (const term of terms) {
+    if (!SPF_LOOKUP_TERMS.includes(term.name) || (term.modifier && term.name !== 'redirect')) {
+      continue;
+    }
+    count++;
+
+    if (term.name !== 'include' && term.name !== 'redirect') {
+      continue;
+    }
+
+    const target = term.value.toLowerCase();
+    if (visited.has(target)) {
+      problems.push(`SPF include loop through ${target}`);
+      continue;
+    }
+    visited.add(target);
+
+    const { records, error } = await txtRecordsWithTag(resolver, target, 'v=spf1');
+    if (error) {
+      problems.push(`could not resolve SPF for ${target}: ${error.code || error.message}`);
+    } else if (records.length === 0) {
+      problems.push(`${term.name} target ${target} has no SPF record`);
+    } else {
+      const nested = await countSpfLookups(resolver, records[0], visited);
+      count += nested.count;
+      problems.push(...nested.problems);
+    }
+  }
+
+  return { count, problems };
+}
+
+/**
+ * RSA modulus length or Ed25519 size of a DKIM p= value (null when undecodable)
+ */
+function dkimKeyBits(algorithm, publicKey) {
+  const der = Buffer.from(publicKey, 'base64');
+  if (algorithm === 'ed25519') {
+    return der.length === 32 ? 256 : null;
+  }
+  try {
+    const key = crypto.createPublicKey({ key: der, format: 'der', type: 'spki' });
+    return key.asymmetricKeyDetails.modulusLength;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Inspect a domain's mail DNS and return the records found plus findings.
+ * Every finding is { check, severity: 'error'|'warning'|'info', message, fix? } where
+ * fix is the record to publish ({ name, type, value }) or a short instruction.
+ *
+ * options.resolver  - object with the dns.promises resolve* / reverse API (injectable for tests)
+ * options.selectors - DKIM selectors to look up
+ * options.mailHostname - host name the MX records should point at
+ * options.serverIps - addresses of this mail server, for MX and PTR checks
+ */
+async function analyzeDomainDns(domain, options) {
+  const { resolver, selectors = [], mailHostname, serverIps = [] } = options;
+  const findings = [];
+  const add = (check, severity, message, fix) => findings.push(fix ? { check, severity, message, fix } : { check, severity, message });
+  const lookupFailed = (check, name, error) => add(check, 'warning', `Lookup of ${name} failed: ${error.code || error.message}`);
+
+  const results = {
+    domain,
+    mx: [],
+    spf: null,
+    dkim: [],
+    dmarc: null,
+    mtaSts: null,
+    tlsRpt: null,
+    ptr: []
+  };
+
+  // MX: present, resolvable and pointing at this server
+  const mx = await lookup(() => resolver.resolveMx(domain));
+  if (mx.error) {
+    lookupFailed('mx', domain, mx.error);
+  }
+  results.mx = mx.records
+    .map(record => ({ exchange: record.exchange, priority: record.priority, addresses: [] }))
+    .sort((a, b) => a.priority - b.priority);
+
+  const mxFix = mailHostname ? { name: domain, type: 'MX', value: `10 ${mailHostname}` } : undefined;
+  if (results.mx.length === 0 && !mx.error) {
+    add('mx', 'error', 'No MX record; mail for this domain cannot be delivered', mxFix);
+  }
+
+  for (const record of results.mx) {
+    if (record.exchange === '' || record.exchange === '.') {
+      add('mx', 'error', 'Null MX record: the domain declares it accepts no mail', mxFix);
+      continue;
+    }
+
+    const [v4, v6] = await Promise.all([
+      lookup(() => resolver.resolve4(record.exchange)),
+      lookup(() => resolver.resolve6(record.exchange))
+    ]);
+    record.addresses = [...v4.records, ...v6.records];
+
+    if (record.addresses.length === 0) {
+      add('mx', 'error', `MX host ${record.exchange} has no A/AAAA record`,
+        serverIps.length > 0 ? { name: record.exchange, type: net.isIPv6(serverIps[0]) ? 'AAAA' : 'A', value: serverIps[0] } : undefined);
+    } else if (serverIps.length > 0 && !record.addresses.some(address => serverIps.includes(address))) {
+      add('mx', 'warning', `MX host ${record.exchange} resolves to ${record.addresses.join(', ')}, not this server (${serverIps.join(', ')})`);
+    }
+  }
+
+  // PTR: every server address should reverse-resolve to a name that resolves back to it
+  const ptrAddresses = serverIps.length > 0
+    ? serverIps
+    : Array.from(new Set(results.mx.flatMap(record => record.addresses)));
+  for (const address of ptrAddresses) {
+    const reverse = await lookup(() => resolver.reverse(address));
+    if (reverse.error) {
+      lookupFailed('ptr', address, reverse.error);
+      continue;
+    }
+    results.ptr.push({ address, names: reverse.records });
+
+    const fix = mailHostname ? `Ask your hosting provider to set the PTR of ${address} to ${mailHostname}` : undefined;
+    if (reverse.records.length === 0) {
+      add('ptr', 'warning', `${address} has no PTR record; many receivers reject mail from such hosts`, fix);
+      continue;
+    }
+
+    const forward = await Promise.all(reverse.records.map(name =>
+      lookup(() => (net.isIPv6(address) ? resolver.resolve6(name) : resolver.resolve4(name)))
+    ));
+    if (!forward.some(result => result.records.includes(address))) {
+      add('ptr', 'warning', `PTR of ${address} (${reverse.records.join(', ')}) does not resolve back to it`, fix);
+    } else if (mailHostname && !reverse.records.some(name => name.toLowerCase() === mailHostname.toLowerCase())) {
+      add('ptr', 'info', `PTR of ${address} is ${reverse.records.join(', ')}, not ${mailHostname}`, fix);
+    }
+  }
+
+  // SPF: exactly one record, valid syntax, strict all, at most 10 lookups
+  const spfFix = { name: domain, type: 'TXT', value: mailHostname ? `v=spf1 mx a:${mailHostname} -all` : 'v=spf1 mx -all' };
+  const spf = await txtRecordsWithTag(resolver, domain, 'v=spf1');
+  if (spf.error) {
+    lookupFailed('spf', domain, spf.error);
+  } else if (spf.records.length === 0) {
+    add('spf', 'error', 'No SPF record', spfFix);
+  } else if (spf.records.length > 1) {
+    add('spf', 'error', `${spf.records.length} SPF records found; receivers treat this as a permanent error`, spfFix);
+  }
+
+  if (spf.records.length > 0) {
+    results.spf = spf.records[0];
+    const { terms, errors } = parseSpf(results.spf);
+    errors.forEach(message => add('spf', 'error', `SPF syntax: ${message}`, spfFix));
+
+    const all = terms.find(term => !term.modifier && term.name === 'all');
+    const redirect = terms.find(term => term.modifier && term.name === 'redirect');
+    if (!all && !redirect) {
+      add('spf', 'warning', 'SPF has no "all" mechanism, so unlisted senders get a neutral result', spfFix);
+    } else if (all && (all.qualifier === '+' || all.qualifier === '?')) {
+      add('spf', all.qualifier === '+' ? 'error' : 'warning',
+        `SPF ends in "${all.qualifier === '+' ? '+all' : '?all'}", which authorizes any sender`, spfFix);
+    } else if (all && all.qualifier === '~') {
+      add('spf', 'info', 'SPF uses "~all" (softfail); "-all" is stricter once all senders are listed');
+    }
+    if (all && terms.indexOf(all) !== terms.length - 1 && terms.slice(terms.indexOf(all) + 1).some(term => !term.modifier)) {
+      add('spf', 'warning', 'Mechanisms after "all" are never evaluated');
+    }
+    if (terms.some(term => term.name === 'ptr')) {
+      add('spf', 'warning', 'The "ptr" mechanism is deprecated (RFC 7208) and slow');
+    }
+
+    const lookups = await countSpfLookups(resolver, results.spf, new Set([domain.toLowerCase()]));
+    results.spfLookups = lookups.count;
+    lookups.problems.forEach(message => add('spf', 'warning', message));
+    if (lookups.count > SPF_LOOKUP_LIMIT) {
+      add('spf', 'error', `SPF needs ${lookups.count} DNS lookups; the limit is ${SPF_LOOKUP_LIMIT}`,
+        'Replace include: mechanisms with ip4:/ip6: ranges or remove unused senders');
+    }
+  }
+
+  // DKIM: at least one selector with a usable key of adequate length
+  for (const selector of selectors) {
+    const name = `${selector}._domainkey.${domain}`;
+    const { records, error } = await txtRecordsWithTag(resolver, name, 'v=DKIM1');
+    if (error) {
+      lookupFailed('dkim', name, error);
+      continue;
+    }
+    if (records.length === 0) {
+      continue;
+    }
+
+    const tags = parseTagList(records[0]);
+    const algorithm = (tags.k || 'rsa').toLowerCase();
+    const publicKey = (tags.p || '').replace(/\s+/g, '');
+    const keyBits = publicKey ? dkimKeyBits(algorithm, publicKey) : null;
+    results.dkim.push({ selector, txt: records[0], algorithm, keyBits });
+
+    if (!publicKey) {
+      add('dkim', 'info', `DKIM selector ${selector} is revoked (empty p=)`);
+    } else if (keyBits === null) {
+      add('dkim', 'error', `DKIM key at ${name} cannot be decoded`, 'Republish the record from listDkimKeys');
+    } else if (algorithm === 'rsa' && keyBits < 1024) {
+      add('dkim', 'error', `DKIM key at ${name} is ${keyBits} bits; receivers ignore keys under 1024 bits`,
+        'Run rotateDkimKey with keyBits 2048');
+    } else if (algorithm === 'rsa' && keyBits < 2048) {
+      add('dkim', 'warning', `DKIM key at ${name} is ${keyBits} bits; 2048 is recommended`,
+        'Run rotateDkimKey with keyBits 2048');
+    }
+  }
+  if (!results.dkim.some(record => record.keyBits)) {
+    add('dkim', 'error', `No usable DKIM key found (selectors checked: ${selectors.join(', ') || 'none'})`,
+      'Run rotateDkimKey and publish the returned TXT record');
+  }
+
+  // DMARC: one record with an enforcing policy and valid report addresses
+  const dmarcName = `_dmarc.${domain}`;
+  const dmarcFix = { name: dmarcName, type: 'TXT', value: `v=DMARC1; p=quarantine; rua=mailto:dmarc-reports@${domain}` };
+  const dmarc = await txtRecordsWithTag(resolver, dmarcName, 'v=DMARC1');
+  if (dmarc.error) {
+    lookupFailed('dmarc', dmarcName, dmarc.error);
+  } else if (dmarc.records.length === 0) {
+    add('dmarc', 'error', 'No DMARC record', dmarcFix);
+  } else if (dmarc.records.length > 1) {
+    add('dmarc', 'error', 'More than one DMARC record; receivers ignore them all', dmarcFix);
+  }
+
+  if (dmarc.records.length > 0) {
+    results.dmarc = dmarc.records[0];
+    const tags = parseTagList(results.dmarc);
+    const policy = (tags.p || '').toLowerCase();
+
+    if (!['none', 'quarantine', 'reject'].includes(policy)) {
+      add('dmarc', 'error', `DMARC policy "p=${tags.p || ''}" is missing or invalid`, dmarcFix);
+    } else if (policy === 'none') {
+      add('dmarc', 'warning', 'DMARC policy is p=none: failures are only reported, never acted on', dmarcFix);
+    }
+    if (tags.sp && tags.sp.toLowerCase() === 'none' && policy !== 'none') {
+      add('dmarc', 'warning', 'Subdomain policy sp=none leaves subdomains unprotected');
+    }
+    if (tags.pct !== undefined && parseInt(tags.pct, 10) < 100) {
+      add('dmarc', 'warning', `DMARC policy only applies to ${tags.pct}% of failing mail`);
+    }
+
+    if (!tags.rua) {
+      add('dmarc', 'warning', 'No rua= address; you will not receive aggregate reports', dmarcFix);
+    }
+    for (const tag of ['rua', 'ruf']) {
+      if (!tags[tag]) {
+        continue;
+      }
+      for (const uri of tags[tag].split(',').map(value => value.trim())) {
+        const match = /^mailto:([^@\s!]+)@([^\s!]+?)(!\d+[kmgt]?)?$/i.exec(uri);
+        if (!match) {
+          add('dmarc', 'error', `Invalid ${tag} address "${uri}" (expected mailto:user@domain)`, dmarcFix);
+          continue;
+        }
+
+        // Reports sent to another domain need that domain's consent (RFC 7489 section 7.1)
+        const reportDomain = match[2].toLowerCase();
+        if (reportDomain !== domain.toLowerCase() && !reportDomain.endsWith(`.${domain.toLowerCase()}`)) {
+          const consentName = `${domain}._report._dmarc.${reportDomain}`;
+          const consent = await txtRecordsWithTag(resolver, consentName, 'v=DMARC1');
+          if (!consent.error && consent.records.length === 0) {
+            add('dmarc', 'warning', `${reportDomain} has not authorized receiving ${tag} reports for ${domain}`,
+              { name: consentName, type: 'TXT', value: 'v=DMARC1' });
+          }
+        }
+      }
+    }
+  }
+
+  // MTA-STS: policy id record and the mta-sts host serving the policy
+  const stsName = `_mta-sts.${domain}`;
+  const sts = await txtRecordsWithTag(resolver, stsName, 'v=STSv1');
+  const stsFix = { name: stsName, type: 'TXT', value: `v=STSv1; id=${new Date().toISOString().slice(0, 10).replace(/-/g, '')}01` };
+  if (sts.error) {
+    lookupFailed('mta-sts', stsName, sts.error);
+  } else if (sts.records.length === 0) {
+    add('mta-sts', 'info', 'No MTA-STS record; senders cannot require TLS when delivering to you', stsFix);
+  } else {
+    results.mtaSts = sts.records[0];
+    const tags = parseTagList(results.mtaSts);
+    if (!tags.id || !/^[a-z0-9]{1,32}$/i.test(tags.id)) {
+      add('mta-sts', 'error', 'MTA-STS record needs an id= of 1-32 letters or digits', stsFix);
+    }
+    const policyHost = `mta-sts.${domain}`;
+    const [v4, v6] = await Promise.all([
+      lookup(() => resolver.resolve4(policyHost)),
+      lookup(() => resolver.resolve6(policyHost))
+    ]);
+    if (v4.records.length === 0 && v6.records.length === 0) {
+      add('mta-sts', 'error', `${policyHost} does not resolve, so the MTA-STS policy cannot be fetched`,
+        serverIps.length > 0 ? { name: policyHost, type: 'A', value: serverIps[0] } : undefined);
+    }
+  }
+
+  // TLS-RPT: where senders report TLS failures
+  const tlsRptName = `_smtp._tls.${domain}`;
+  const tlsRptFix = { name: tlsRptName, type: 'TXT', value: `v=TLSRPTv1; rua=mailto:tls-reports@${domain}` };
+  const tlsRpt = await txtRecordsWithTag(resolver, tlsRptName, 'v=TLSRPTv1');
+  if (tlsRpt.error) {
+    lookupFailed('tls-rpt', tlsRptName, tlsRpt.error);
+  } else if (tlsRpt.records.length === 0) {
+    add('tls-rpt', 'info', 'No TLS-RPT record; you will not hear about TLS delivery failures', tlsRptFix);
+  } else {
+    results.tlsRpt = tlsRpt.records[0];
+    const rua = parseTagList(results.tlsRpt).rua;
+    if (!rua || !rua.split(',').every(uri => /^(mailto:[^@\s]+@\S+|https:\/\/\S+)$/i.test(uri.trim()))) {
+      add('tls-rpt', 'error', 'TLS-RPT record needs rua= with mailto: or https: URIs', tlsRptFix);
+    }
+  }
+
+  return { ...results, findings };
+}
+
+/**
+ * Overall verdict from findings: any error fails, any warning warns
+ */
+function verdictFor(findings) {
+  if (findings.some(finding => finding.severity === 'error')) {
+    return 'fail';
+  }
+  if (findings.some(finding => finding.severity === 'warning')) {
+    return 'warn';
+  }
+  return 'pass';
+}
+
+module.exports = {
+  analyzeDomainDns,
+  verdictFor,
+  parseSpf,
+  parseTagList,
+  countSpfLookups,
+  dkimKeyBits
+};
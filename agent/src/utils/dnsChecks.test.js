@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const { analyzeDomainDns, verdictFor, parseSpf } = require('./dnsChecks');
+
+const DOMAIN = 'example.com';
+const MAIL_HOST = 'mail.example.com';
+const SERVER_IP = '192.0.2.10';
+
+/**
+ * Base64 SPKI public key, as published in a DKIM p= tag
+ */
+function dkimKey(modulusLength) {
+  const { publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength });
+  return publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+}
+
+/**
+ * A resolver answering from `zone` ({ 'TXT name': records }): a missing entry
+ * has no records and an Error entry fails with that error
+ */
+function fakeResolver(zone) {
+  const answer = type => async (name) => {
+    const records = zone[`${type} ${name}`];
+    if (records instanceof Error) {
+      throw records;
+    }
+    if (records === undefined) {
+      throw Object.assign(new Error(`queryData ENODATA ${name}`), { code: 'ENODATA' });
+    }
+    return records;
+  };
+  return {
+    resolveMx: answer('MX'),
+    resolve4: answer('A'),
+    resolve6: answer('AAAA'),
+    resolveTxt: answer('TXT'),
+    reverse: answer('PTR')
+  };
+}
+
+/**
+ * Every record a correctly set up domain publishes
+ */
+function goodZone(key) {
+  return {
+    [`MX ${DOMAIN}`]: [{ exchange: MAIL_HOST, priority: 10 }],
+    [`A ${MAIL_HOST}`]: [SERVER_IP],
+    [`PTR ${SERVER_IP}`]: [MAIL_HOST],
+    [`TXT ${DOMAIN}`]: [['v=spf1 mx a:', MAIL_HOST, ' -all'], ['google-site-verification=abc']],
+    [`TXT s1._domainkey.${DOMAIN}`]: [['v=DKIM1; k=rsa; p=', key]],
+    [`TXT _dmarc.${DOMAIN}`]: [[`v=DMARC1; p=reject; rua=mailto:dmarc@${DOMAIN}`]],
+    [`TXT _mta-sts.${DOMAIN}`]: [['v=STSv1; id=2024030101']],
+    [`A mta-sts.${DOMAIN}`]: [SERVER_IP],
+    [`TXT _smtp._tls.${DOMAIN}`]: [[`v=TLSRPTv1; rua=mailto:tls@${DOMAIN}`]]
+  };
+}
+
+const analyze = (zone, options = {}) => analyzeDomainDns(DOMAIN, {
+  resolver: fakeResolver(zone),
+  selectors: ['s1'],
+  mailHostname: MAIL_HOST,
+  serverIps: [SERVER_IP],
+  ...options
+});
+
+const checks = (findings, severity) => findings
+  .filter(finding => finding.severity === severity)
+  .map(finding => finding.check);
+
+describe('analyzeDomainDns', () => {
+  let key2048;
+  let key1024;
+
+  beforeAll(() => {
+    key2048 = dkimKey(2048);
+    key1024 = dkimKey(1024);
+  });
+
+  test('passes a correctly set up domain', async () => {
+    const result = await analyze(goodZone(key2048));
+
+    expect(result.findings).toEqual([]);
+    expect(verdictFor(result.findings)).toBe('pass');
+    expect(result.mx).toEqual([{ exchange: MAIL_HOST, priority: 10, addresses: [SERVER_IP] }]);
+    expect(result.ptr).toEqual([{ address: SERVER_IP, names: [MAIL_HOST] }]);
+    expect(result.spf).toBe(`v=spf1 mx a:${MAIL_HOST} -all`);
+    expect(result.spfLookups).toBe(2);
+    expect(result.dkim).toEqual([{ selector: 's1', txt: `v=DKIM1; k=rsa; p=${key2048}`, algorithm: 'rsa', keyBits: 2048 }]);
+  });
+
+  test('fails a domain without records and suggests the ones to publish', async () => {
+    const result = await analyze({});
+
+    expect(verdictFor(result.findings)).toBe('fail');
+    expect(checks(result.findings, 'error')).toEqual(['mx', 'spf', 'dkim', 'dmarc']);
+    expect(result.findings.find(finding => finding.check === 'mx').fix).toEqual({ name: DOMAIN, type: 'MX', value: `10 ${MAIL_HOST}` });
+    expect(result.findings.find(finding => finding.check === 'spf').fix).toEqual({
+      name: DOMAIN,
+      type: 'TXT',
+      value: `v=spf1 mx a:${MAIL_HOST} -all`
+    });
+  });
+
+  test('reports a failed lookup as a warning rather than a missing record', async () => {
+    const zone = { ...goodZone(key2048), [`MX ${DOMAIN}`]: Object.assign(new Error('queryMx ESERVFAIL'), { code: 'ESERVFAIL' }) };
+    const result = await analyze(zone);
+
+    expect(result.findings).toContainEqual({ check: 'mx', severity: 'warning', message: `Lookup of ${DOMAIN} failed: ESERVFAIL` });
+    expect(checks(result.findings, 'error')).toEqual([]);
+  });
+
+  test('warns when the MX host and PTR do not point at this server', async () => {
+    const zone = {
+      ...goodZone(key2048),
+      [`A ${MAIL_HOST}`]: ['198.51.100.7'],
+      [`PTR ${SERVER_IP}`]: ['host.provider.net'],
+      'A host.provider.net': [SERVER_IP]
+    };
+    const result = await analyze(zone);
+
+    expect(result.findings).toContainEqual(expect.objectContaining({ check: 'mx', severity: 'warning' }));
+    expect(result.findings).toContainEqual(expect.objectContaining({
+      check: 'ptr',
+      severity: 'info',
+      message: `PTR of ${SERVER_IP} is host.provider.net, not ${MAIL_HOST}`
+    }));
+  });
+
+  test('counts SPF lookups through includes and flags more than ten', async () => {
+    const includes = Array.from({ length: 6 }, (_, i) => `include:spf${i}.example.net`).join(' ');
+    const zone = { ...goodZone(key2048), [`TXT ${DOMAIN}`]: [[`v=spf1 mx ${includes} -all`]] };
+    for (let i = 0; i < 6; i++) {
+      zone[`TXT spf${i}.example.net`] = [['v=spf1 a ip4:198.51.100.0/24 ~all']];
+    }
+    const result = await analyze(zone);
+
+    expect(result.spfLookups).toBe(13);
+    expect(result.findings).toContainEqual(expect.objectContaining({
+      check: 'spf',
+      severity: 'error',
+      message: 'SPF needs 13 DNS lookups; the limit is 10'
+    }));
+  });
+
+  test('flags permissive, duplicate and malformed SPF', async () => {
+    const permissive = await analyze({ ...goodZone(key2048), [`TXT ${DOMAIN}`]: [['v=spf1 ip4:300.1.1.1 +all']] });
+    expect(permissive.findings.filter(finding => finding.check === 'spf').map(finding => finding.message)).toEqual([
+      'SPF syntax: invalid ip4 address in "ip4:300.1.1.1"',
+      'SPF ends in "+all", which authorizes any sender'
+    ]);
+
+    const duplicate = await analyze({ ...goodZone(key2048), [`TXT ${DOMAIN}`]: [['v=spf1 mx -all'], ['v=spf1 a -all']] });
+    expect(duplicate.findings).toContainEqual(expect.objectContaining({
+      check: 'spf',
+      message: '2 SPF records found; receivers treat this as a permanent error'
+    }));
+  });
+
+  test('grades DKIM key lengths', async () => {
+    const short = await analyze({ ...goodZone(key2048), [`TXT s1._domainkey.${DOMAIN}`]: [[`v=DKIM1; p=${key1024}`]] });
+    expect(short.findings).toEqual([expect.objectContaining({ check: 'dkim', severity: 'warning' })]);
+
+    const broken = await analyze({ ...goodZone(key2048), [`TXT s1._domainkey.${DOMAIN}`]: [['v=DKIM1; p=bm90IGEga2V5']] });
+    expect(checks(broken.findings, 'error')).toEqual(['dkim', 'dkim']);
+  });
+
+  test('asks for consent when DMARC reports go to another domain', async () => {
+    const zone = { ...goodZone(key2048), [`TXT _dmarc.${DOMAIN}`]: [['v=DMARC1; p=none; rua=mailto:reports@dmarc.example.net']] };
+    const result = await analyze(zone);
+
+    expect(result.findings).toEqual([
+      expect.objectContaining({ check: 'dmarc', severity: 'warning', message: expect.stringMatching(/p=none/) }),
+      {
+        check: 'dmarc',
+        severity: 'warning',
+        message: `dmarc.example.net has not authorized receiving rua reports for ${DOMAIN}`,
+        fix: { name: `${DOMAIN}._report._dmarc.dmarc.example.net`, type: 'TXT', value: 'v=DMARC1' }
+      }
+    ]);
+  });
+
+  test('checks that the MTA-STS policy host resolves', async () => {
+    const zone = goodZone(key2048);
+    delete zone[`A mta-sts.${DOMAIN}`];
+    const result = await analyze(zone);
+
+    expect(result.findings).toEqual([expect.objectContaining({
+      check: 'mta-sts',
+      severity: 'error',
+      fix: { name: `mta-sts.${DOMAIN}`, type: 'A', value: SERVER_IP }
+    })]);
+  });
+});
+
+describe('parseSpf', () => {
+  test('splits mechanisms and modifiers', () => {
+    expect(parseSpf('v=spf1 ~a:mail.example.com/24 redirect=_spf.example.com')).toEqual({
+      terms: [
+        { modifier: false, qualifier: '~', name: 'a', value: 'mail.example.com', raw: '~a:mail.example.com/24' },
+        { modifier: true, name: 'redirect', value: '_spf.example.com' }
+      ],
+      errors: []
+    });
+  });
+
+  test('reports unknown terms and includes without a domain', () => {
+    expect(parseSpf('v=spf1 include: bogus -all').errors).toEqual([
+      '"include:" needs a domain',
+      'unknown SPF term "bogus"'
+    ]);
+  });
+});
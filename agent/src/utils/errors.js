@@ -0,0 +1,125 @@
+/**
+ * Errors raised on purpose, each with a stable `code` and the HTTP status it is
+ * answered with. `reason` optionally names the specific problem (for example
+ * ACCOUNT_LOCKED or INVALID_CURSOR) and `details` adds fields for the caller,
+ * such as the list of invalid fields.
+ */
+class AppError extends Error {
+  constructor(message, code, statusCode, { reason, details, status } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.statusCode = status || statusCode;
+    this.reason = reason || null;
+    this.details = details || null;
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message, options) {
+    super(message, 'VALIDATION', 400, options);
+  }
+}
+
+class UnauthenticatedError extends AppError {
+  constructor(message, options) {
+    super(message, 'UNAUTHENTICATED', 401, options);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message, options) {
+    super(message, 'FORBIDDEN', 403, options);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, options) {
+    super(message, 'NOT_FOUND', 404, options);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, options) {
+    super(message, 'CONFLICT', 409, options);
+  }
+}
+
+class QuotaExceededError extends AppError {
+  constructor(message, options) {
+    super(message, 'QUOTA_EXCEEDED', 429, options);
+  }
+}
+
+class UpstreamUnavailableError extends AppError {
+  constructor(message, options) {
+    super(message, 'UPSTREAM_UNAVAILABLE', 502, options);
+  }
+}
+
+// Postgres SQLSTATE for a unique constraint violation
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * The error a caller is told about: AppErrors as they are, unique violations
+ * from Postgres as CONFLICT (naming the column, not the constraint or value),
+ * and anything else unchanged
+ */
+function normalizeError(error) {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  if (error && error.code === UNIQUE_VIOLATION) {
+    const key = /^Key \((.+?)\)=\(/.exec(error.detail || '');
+    // Expression indexes name the column inside calls and casts: lower((email)::text)
+    const column = key && key[1].replace(/\w+\(|[()]|::\w+/g, '');
+    return new ConflictError(column ? `${column} is already in use` : 'The record already exists', {
+      reason: 'ALREADY_EXISTS'
+    });
+  }
+
+  return error;
+}
+
+/**
+ * Stable code of an error for metrics and the audit log; INTERNAL for
+ * errors that were not raised on purpose
+ */
+function codeOf(error) {
+  const normalized = normalizeError(error);
+  return normalized instanceof AppError ? normalized.code : 'INTERNAL';
+}
+
+/**
+ * Status and JSON body to answer an error with:
+ * { error: { code, message, reason?, ...details } }.
+ * Unexpected errors are answered 500 without their message, which may
+ * describe the database, the mail server or the file system.
+ */
+function errorResponse(error) {
+  const normalized = normalizeError(error);
+  if (!(normalized instanceof AppError)) {
+    return { status: 500, body: { error: { code: 'INTERNAL', message: 'Internal server error' } } };
+  }
+
+  const body = { code: normalized.code, message: normalized.message };
+  if (normalized.reason) {
+    body.reason = normalized.reason;
+  }
+  return { status: normalized.statusCode, body: { error: { ...body, ...normalized.details } } };
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthenticatedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  QuotaExceededError,
+  UpstreamUnavailableError,
+  normalizeError,
+  codeOf,
+  errorResponse
+};
@@ -0,0 +1,92 @@
+const {
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  QuotaExceededError,
+  UpstreamUnavailableError,
+  normalizeError,
+  codeOf,
+  errorResponse
+} = require('./errors');
+
+/**
+ * A unique violation as the pg driver reports it
+ */
+const uniqueViolation = detail => Object.assign(new Error('duplicate key value violates unique constraint "users_email_key"'), {
+  code: '23505',
+  detail
+});
+
+describe('errorResponse', () => {
+  test('answers with the status of the error and its code and message', () => {
+    expect(errorResponse(new NotFoundError('User ann@example.com not found'))).toEqual({
+      status: 404,
+      body: { error: { code: 'NOT_FOUND', message: 'User ann@example.com not found' } }
+    });
+  });
+
+  test('adds the reason and spreads the details into the error', () => {
+    const error = new ValidationError('Invalid input: email is required', {
+      reason: 'INVALID_INPUT',
+      details: { fields: [{ field: 'email', message: 'is required' }] }
+    });
+
+    expect(errorResponse(error)).toEqual({
+      status: 400,
+      body: {
+        error: {
+          code: 'VALIDATION',
+          message: 'Invalid input: email is required',
+          reason: 'INVALID_INPUT',
+          fields: [{ field: 'email', message: 'is required' }]
+        }
+      }
+    });
+  });
+
+  test('lets an error override its usual status', () => {
+    expect(errorResponse(new ForbiddenError('Account is locked', { reason: 'ACCOUNT_LOCKED', status: 423 })).status).toBe(423);
+    expect(errorResponse(new QuotaExceededError('Domain is full', { status: 409 })).status).toBe(409);
+    expect(errorResponse(new UpstreamUnavailableError('IMAP is down')).status).toBe(502);
+  });
+
+  test('hides the message of unexpected errors', () => {
+    expect(errorResponse(new Error('connect ECONNREFUSED 10.0.0.5:5432'))).toEqual({
+      status: 500,
+      body: { error: { code: 'INTERNAL', message: 'Internal server error' } }
+    });
+  });
+
+  test('answers unique violations as conflicts naming the column, not the value', () => {
+    expect(errorResponse(uniqueViolation('Key (email)=(ann@example.com) already exists.'))).toEqual({
+      status: 409,
+      body: { error: { code: 'CONFLICT', message: 'email is already in use', reason: 'ALREADY_EXISTS' } }
+    });
+  });
+});
+
+describe('normalizeError', () => {
+  test('names the column of an expression index', () => {
+    expect(normalizeError(uniqueViolation('Key (lower((alias_email)::text))=(a@example.com) already exists.')).message)
+      .toBe('alias_email is already in use');
+    expect(normalizeError(uniqueViolation('Key (user_id, address)=(1, bob@example.net) already exists.')).message)
+      .toBe('user_id, address is already in use');
+  });
+
+  test('falls back to a generic message without the detail', () => {
+    expect(normalizeError(uniqueViolation(undefined)).message).toBe('The record already exists');
+  });
+
+  test('leaves other errors as they are', () => {
+    const error = new Error('boom');
+    expect(normalizeError(error)).toBe(error);
+  });
+});
+
+describe('codeOf', () => {
+  test('gives the code of errors raised on purpose and INTERNAL otherwise', () => {
+    expect(codeOf(new NotFoundError('gone'))).toBe('NOT_FOUND');
+    expect(codeOf(uniqueViolation('Key (email)=(a@example.com) already exists.'))).toBe('CONFLICT');
+    expect(codeOf(new TypeError('x is undefined'))).toBe('INTERNAL');
+  });
+});
@@ -0,0 +1,372 @@
+const Joi = require('joi');
+const { ValidationError } = require('./errors');
+
+const STRING_OPERATORS = ['contains', 'is', 'matches'];
+const SIZE_OPERATORS = ['over', 'under'];
+const ACTION_TYPES = ['fileinto', 'flag', 'forward', 'discard', 'reject', 'stop'];
+
+// Nested all/any groups deeper than this are refused
+const MAX_CONDITION_DEPTH = 5;
+
+// RFC 5322 field name: printable ASCII except colon
+const HEADER_NAME = /^[!-9;-~]+$/;
+// Sieve size: bytes with an optional K/M/G multiplier
+const SIZE_VALUE = /^\d+[KMG]?$/i;
+// IMAP system flag (\Seen) or keyword
+const FLAG_NAME = /^(\\(Seen|Answered|Flagged|Deleted|Draft)|[A-Za-z$][\w$.-]*)$/;
+
+const matcherSchema = Joi.object({
+  field: Joi.string().valid('from', 'to', 'subject', 'header', 'body', 'size').required(),
+  header: Joi.when('field', {
+    is: 'header',
+    then: Joi.string().pattern(HEADER_NAME).max(76).required(),
+    otherwise: Joi.forbidden()
+  }),
+  operator: Joi.when('field', {
+    is: 'size',
+    then: Joi.string().valid(...SIZE_OPERATORS).required(),
+    otherwise: Joi.string().valid(...STRING_OPERATORS).default('contains')
+  }),
+  value: Joi.when('field', {
+    is: 'size',
+    then: Joi.alternatives(Joi.number().integer().min(0), Joi.string().pattern(SIZE_VALUE)).required(),
+    otherwise: Joi.string().min(1).max(1024).required()
+  }),
+  negate: Joi.boolean().default(false)
+});
+
+const conditionSchema = Joi.alternatives()
+  .conditional(Joi.object({ field: Joi.exist() }).unknown(), {
+    then: matcherSchema,
+    otherwise: Joi.object({
+      all: Joi.array().items(Joi.link('#condition')).min(1),
+      any: Joi.array().items(Joi.link('#condition')).min(1)
+    }).xor('all', 'any')
+  })
+  .id('condition');
+
+const actionSchema = Joi.object({
+  type: Joi.string().valid(...ACTION_TYPES).required(),
+  folder: Joi.when('type', {
+    is: 'fileinto',
+    then: Joi.string().trim().min(1).max(255).pattern(/^[^\x00-\x1f\x7f]+$/).required(),
+    otherwise: Joi.forbidden()
+  }),
+  flags: Joi.when('type', {
+    is: 'flag',
+    then: Joi.array().items(Joi.string().pattern(FLAG_NAME)).min(1).unique().required(),
+    otherwise: Joi.forbidden()
+  }),
+  to: Joi.when('type', {
+    is: 'forward',
+    then: Joi.string().email().lowercase().required(),
+    otherwise: Joi.forbidden()
+  }),
+  keepCopy: Joi.when('type', {
+    is: 'forward',
+    then: Joi.boolean().default(false),
+    otherwise: Joi.forbidden()
+  }),
+  message: Joi.when('type', {
+    is: 'reject',
+    then: Joi.string().trim().min(1).max(1024).required(),
+    otherwise: Joi.forbidden()
+  })
+});
+
+const filterSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(255).required(),
+  enabled: Joi.boolean().default(true),
+  // Omitted conditions match every message
+  conditions: conditionSchema,
+  actions: Joi.array().items(actionSchema).min(1).required()
+});
+
+const filtersSchema = Joi.array().items(filterSchema).max(200);
+
+const messageSchema = Joi.object({
+  from: Joi.string().required(),
+  to: Joi.alternatives(Joi.string(), Joi.array().items(Joi.string())).default([]),
+  cc: Joi.alternatives(Joi.string(), Joi.array().items(Joi.string())).default([]),
+  subject: Joi.string().allow('').default(''),
+  headers: Joi.object().pattern(Joi.string(), Joi.alternatives(Joi.string(), Joi.array().items(Joi.string()))).default({}),
+  body: Joi.string().allow('').default(''),
+  size: Joi.number().integer().min(0)
+});
+
+/**
+ * Size value in bytes ("10M" -> 10485760)
+ */
+function sizeInBytes(value) {
+  const match = /^(\d+)([KMG]?)$/i.exec(String(value));
+  const multiplier = { '': 1, K: 1024, M: 1024 * 1024, G: 1024 * 1024 * 1024 }[match[2].toUpperCase()];
+  return parseInt(match[1], 10) * multiplier;
+}
+
+/**
+ * Depth of nested all/any groups
+ */
+function conditionDepth(condition) {
+  if (!condition || condition.field) {
+    return 0;
+  }
+  return 1 + Math.max(...(condition.all || condition.any).map(conditionDepth));
+}
+
+/**
+ * Checks Joi cannot express: action combinations and nesting depth
+ */
+function semanticErrors(filter, index) {
+  const errors = [];
+  const prefix = `filters[${index}]`;
+  const types = filter.actions.map(action => action.type);
+
+  types.forEach((type, position) => {
+    if (type === 'stop' && position !== types.length - 1) {
+      errors.push(`${prefix}.actions[${position}]: "stop" must be the last action`);
+    }
+  });
+
+  for (const final of ['discard', 'reject']) {
+    if (!types.includes(final)) {
+      continue;
+    }
+    const conflicting = types.filter(type => !['stop', final].includes(type));
+    if (conflicting.length > 0) {
+      errors.push(`${prefix}.actions: "${final}" cannot be combined with ${conflicting.map(type => `"${type}"`).join(', ')}`);
+    }
+    if (types.filter(type => type === final).length > 1) {
+      errors.push(`${prefix}.actions: "${final}" may appear only once`);
+    }
+  }
+
+  if (conditionDepth(filter.conditions) > MAX_CONDITION_DEPTH) {
+    errors.push(`${prefix}.conditions: groups may be nested at most ${MAX_CONDITION_DEPTH} levels deep`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate and normalize a filter set.
+ * Returns { value, errors } where every error names the offending path.
+ */
+function validateFilters(filters) {
+  const { value, error } = filtersSchema.validate(filters, {
+    abortEarly: false,
+    errors: { wrap: { label: false } }
+  });
+  if (error) {
+    return {
+      value: null,
+      errors: error.details.map(detail => `filters${pathOf(detail.path)}: ${detail.message.replace(/^[^ ]+ /, '')}`)
+    };
+  }
+
+  const errors = value.flatMap(semanticErrors);
+
+  const seen = new Map();
+  value.forEach((filter, index) => {
+    const key = filter.name.toLowerCase();
+    if (seen.has(key)) {
+      errors.push(`filters[${index}].name: "${filter.name}" is already used by filters[${seen.get(key)}]`);
+    } else {
+      seen.set(key, index);
+    }
+  });
+
+  return { value: errors.length > 0 ? null : value, errors };
+}
+
+/**
+ * Joi path ([0, 'actions', 1, 'folder']) as "[0].actions[1].folder"
+ */
+function pathOf(segments) {
+  return segments.map(segment => (typeof segment === 'number' ? `[${segment}]` : `.${segment}`)).join('');
+}
+
+/**
+ * Error carrying every validation problem
+ */
+function invalidFilters(errors) {
+  return new ValidationError(`Invalid filters: ${errors.join('; ')}`, {
+    reason: 'INVALID_FILTER',
+    details: { problems: errors }
+  });
+}
+
+/**
+ * Bare address from "Name <user@example.com>"
+ */
+function addressOf(value) {
+  const match = /<([^>]*)>/.exec(value);
+  return (match ? match[1] : value).trim().toLowerCase();
+}
+
+/**
+ * Sieve "matches": * and ? wildcards, backslash escapes, case-insensitive
+ */
+function wildcardRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'is');
+}
+
+/**
+ * Compare one value the way Sieve's i;ascii-casemap comparator does
+ */
+function compare(operator, actual, expected) {
+  const value = String(actual);
+  if (operator === 'is') {
+    return value.toLowerCase() === expected.toLowerCase();
+  }
+  if (operator === 'matches') {
+    return wildcardRegExp(expected).test(value);
+  }
+  return value.toLowerCase().includes(expected.toLowerCase());
+}
+
+/**
+ * All values of a header in the sample message (case-insensitive name)
+ */
+function headerValues(message, name) {
+  const lower = name.toLowerCase();
+  if (lower === 'subject') {
+    return [message.subject];
+  }
+  if (lower === 'from') {
+    return [message.from];
+  }
+  if (lower === 'to' || lower === 'cc') {
+    return [].concat(message[lower]);
+  }
+  const entry = Object.entries(message.headers).find(([key]) => key.toLowerCase() === lower);
+  return entry ? [].concat(entry[1]) : [];
+}
+
+/**
+ * Evaluate a condition tree against a sample message
+ */
+function matchesCondition(condition, message) {
+  if (!condition) {
+    return true;
+  }
+  if (condition.all) {
+    return condition.all.every(child => matchesCondition(child, message));
+  }
+  if (condition.any) {
+    return condition.any.some(child => matchesCondition(child, message));
+  }
+
+  let result;
+  switch (condition.field) {
+    case 'size':
+      result = condition.operator === 'over'
+        ? message.size > sizeInBytes(condition.value)
+        : message.size < sizeInBytes(condition.value);
+      break;
+    case 'from':
+      result = compare(condition.operator, addressOf(message.from), condition.value);
+      break;
+    case 'to':
+      result = [].concat(message.to, message.cc).some(address => compare(condition.operator, addressOf(address), condition.value));
+      break;
+    case 'body':
+      result = compare(condition.operator, message.body, condition.value);
+      break;
+    default:
+      result = headerValues(message, condition.field === 'subject' ? 'subject' : condition.header)
+        .some(value => compare(condition.operator, value, condition.value));
+  }
+  return condition.negate ? !result : result;
+}
+
+/**
+ * Run a filter set over a sample message with Sieve semantics: filters apply in
+ * order, `stop` ends processing, flags apply to later deliveries, and the implicit
+ * keep (delivery to INBOX) is cancelled by fileinto, discard, reject or a forward
+ * without keepCopy.
+ */
+function evaluateFilters(filters, sample) {
+  const { value: message, error } = messageSchema.validate(sample, { errors: { wrap: { label: false } } });
+  if (error) {
+    throw invalidFilters([`message${pathOf(error.details[0].path)}: ${error.details[0].message.replace(/^[^ ]+ /, '')}`]);
+  }
+  if (message.size === undefined) {
+    const headerText = Object.entries(message.headers).map(([key, value]) => `${key}: ${value}`).join('\r\n');
+    message.size = Buffer.byteLength(`${headerText}\r\n\r\n${message.body}`);
+  }
+
+  const outcome = { keep: true, fileinto: [], forward: [], discard: false, reject: null };
+  const matched = [];
+  let flags = [];
+
+  for (const filter of filters.filter(f => f.enabled !== false)) {
+    if (!matchesCondition(filter.conditions, message)) {
+      continue;
+    }
+    matched.push(filter.name);
+
+    let stopped = false;
+    for (const action of filter.actions) {
+      switch (action.type) {
+        case 'fileinto':
+          outcome.fileinto.push({ folder: action.folder, flags: [...flags] });
+          outcome.keep = false;
+          break;
+        case 'flag':
+          flags = Array.from(new Set([...flags, ...action.flags]));
+          break;
+        case 'forward':
+          outcome.forward.push(action.to);
+          if (!action.keepCopy) {
+            outcome.keep = false;
+          }
+          break;
+        case 'discard':
+          outcome.discard = true;
+          outcome.keep = false;
+          break;
+        case 'reject':
+          outcome.reject = action.message;
+          outcome.keep = false;
+          break;
+        case 'stop':
+          stopped = true;
+          break;
+        default:
+          break;
+      }
+    }
+    if (stopped) {
+      break;
+    }
+  }
+
+  return {
+    matched,
+    keep: outcome.keep ? { folder: 'INBOX', flags } : null,
+    fileinto: outcome.fileinto,
+    forward: outcome.forward,
+    discard: outcome.discard,
+    reject: outcome.reject
+  };
+}
+
+module.exports = {
+  validateFilters,
+  invalidFilters,
+  evaluateFilters,
+  sizeInBytes
+};
@@ -0,0 +1,153 @@
+const { validateFilters, invalidFilters, evaluateFilters, sizeInBytes } = require('./filterRules');
+const { ValidationError } = require('./errors');
+
+const filter = (name, conditions, actions) => ({ name, conditions, actions });
+
+describe('validateFilters', () => {
+  test('fills in defaults', () => {
+    const { value, errors } = validateFilters([
+      filter('Lists', { field: 'header', header: 'List-Id', value: 'dev' }, [{ type: 'forward', to: 'Ann@Example.com' }])
+    ]);
+
+    expect(errors).toEqual([]);
+    expect(value).toEqual([{
+      name: 'Lists',
+      enabled: true,
+      conditions: { field: 'header', header: 'List-Id', operator: 'contains', value: 'dev', negate: false },
+      actions: [{ type: 'forward', to: 'ann@example.com', keepCopy: false }]
+    }]);
+  });
+
+  test('names the path of every schema problem', () => {
+    const { value, errors } = validateFilters([
+      filter('Big', { field: 'size', operator: 'contains', value: '10M' }, [{ type: 'fileinto' }])
+    ]);
+
+    expect(value).toBeNull();
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^filters\[0\]\.conditions\.operator: /),
+      expect.stringMatching(/^filters\[0\]\.actions\[0\]\.folder: /)
+    ]));
+  });
+
+  test('refuses action combinations Sieve cannot carry out', () => {
+    const { errors } = validateFilters([
+      filter('A', undefined, [{ type: 'stop' }, { type: 'discard' }]),
+      filter('B', undefined, [{ type: 'reject', message: 'No' }, { type: 'fileinto', folder: 'Junk' }])
+    ]);
+
+    expect(errors).toEqual([
+      'filters[0].actions[0]: "stop" must be the last action',
+      'filters[1].actions: "reject" cannot be combined with "fileinto"'
+    ]);
+  });
+
+  test('refuses groups nested too deeply', () => {
+    let conditions = { field: 'subject', value: 'x' };
+    for (let depth = 0; depth < 6; depth++) {
+      conditions = { all: [conditions] };
+    }
+
+    expect(validateFilters([filter('Deep', conditions, [{ type: 'discard' }])]).errors).toEqual([
+      'filters[0].conditions: groups may be nested at most 5 levels deep'
+    ]);
+  });
+
+  test('refuses duplicate names, ignoring case', () => {
+    const actions = [{ type: 'stop' }];
+    expect(validateFilters([filter('Work', undefined, actions), filter('work', undefined, actions)]).errors).toEqual([
+      'filters[1].name: "work" is already used by filters[0]'
+    ]);
+  });
+});
+
+describe('invalidFilters', () => {
+  test('carries every problem', () => {
+    const error = invalidFilters(['first', 'second']);
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.reason).toBe('INVALID_FILTER');
+    expect(error.details).toEqual({ problems: ['first', 'second'] });
+  });
+});
+
+describe('sizeInBytes', () => {
+  test('applies K, M and G multipliers', () => {
+    expect(sizeInBytes(500)).toBe(500);
+    expect(sizeInBytes('2k')).toBe(2048);
+    expect(sizeInBytes('10M')).toBe(10 * 1024 * 1024);
+    expect(sizeInBytes('1G')).toBe(1024 * 1024 * 1024);
+  });
+});
+
+describe('evaluateFilters', () => {
+  const message = {
+    from: 'Ann Doe <ann@example.com>',
+    to: 'team@example.org',
+    subject: 'Invoice 42',
+    body: 'Please pay'
+  };
+
+  const run = (filters, sample = message) => evaluateFilters(validateFilters(filters).value, sample);
+
+  test('keeps a message no filter matches in INBOX', () => {
+    expect(run([filter('Other', { field: 'from', operator: 'is', value: 'bob@example.com' }, [{ type: 'discard' }])])).toEqual({
+      matched: [],
+      keep: { folder: 'INBOX', flags: [] },
+      fileinto: [],
+      forward: [],
+      discard: false,
+      reject: null
+    });
+  });
+
+  test('applies flags to later deliveries and fileinto cancels the implicit keep', () => {
+    const result = run([
+      filter('Flag', { field: 'subject', value: 'invoice' }, [{ type: 'flag', flags: ['\\Flagged'] }]),
+      filter('File', { field: 'from', operator: 'matches', value: '*@example.com' }, [{ type: 'fileinto', folder: 'Bills' }])
+    ]);
+
+    expect(result.matched).toEqual(['Flag', 'File']);
+    expect(result.fileinto).toEqual([{ folder: 'Bills', flags: ['\\Flagged'] }]);
+    expect(result.keep).toBeNull();
+  });
+
+  test('stops at stop', () => {
+    const result = run([
+      filter('First', undefined, [{ type: 'stop' }]),
+      filter('Second', undefined, [{ type: 'discard' }])
+    ]);
+
+    expect(result.matched).toEqual(['First']);
+    expect(result.discard).toBe(false);
+  });
+
+  test('keeps a copy of forwarded mail only with keepCopy', () => {
+    const forward = keepCopy => run([filter('Fwd', undefined, [{ type: 'forward', to: 'bob@example.net', keepCopy }])]);
+
+    expect(forward(true).keep).toEqual({ folder: 'INBOX', flags: [] });
+    expect(forward(false).keep).toBeNull();
+    expect(forward(false).forward).toEqual(['bob@example.net']);
+  });
+
+  test('evaluates any/all groups, negation and size', () => {
+    const conditions = {
+      any: [
+        { field: 'size', operator: 'over', value: '1M' },
+        { all: [{ field: 'to', value: 'team@' }, { field: 'body', value: 'unsubscribe', negate: true }] }
+      ]
+    };
+    const result = run([filter('Team', conditions, [{ type: 'reject', message: 'Not here' }])]);
+
+    expect(result.matched).toEqual(['Team']);
+    expect(result.reject).toBe('Not here');
+  });
+
+  test('skips disabled filters', () => {
+    const filters = [{ ...filter('Off', undefined, [{ type: 'discard' }]), enabled: false }];
+    expect(run(filters).matched).toEqual([]);
+  });
+
+  test('refuses a sample message without a sender', () => {
+    expect(() => run([], { subject: 'Hi' })).toThrow(/message\.from/);
+  });
+});
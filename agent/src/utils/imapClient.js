@@ -0,0 +1,167 @@
+const Imap = require('imap');
+const { logger } = require('./logger');
+const { NotFoundError, ConflictError, UpstreamUnavailableError } = require('./errors');
+
+const IMAP_TIMEOUT_MS = parseInt(process.env.IMAP_TIMEOUT_MS, 10) || 15000;
+
+// Dovecot's auth_master_user_separator
+const MASTER_SEPARATOR = '*';
+
+/**
+ * Error for a mail server that cannot be reached or refuses the agent. The
+ * server's own message is logged, not passed on.
+ */
+function imapUnavailable(email, error) {
+  logger.warn(`IMAP login for ${email} failed: ${error.message}`);
+  return new UpstreamUnavailableError('Mail server unavailable');
+}
+
+/**
+ * Errors for a folder that does not exist or already exists
+ */
+function folderError(name, error) {
+  if (error.textCode === 'NONEXISTENT') {
+    return new NotFoundError(`Folder ${name} does not exist`);
+  }
+  if (error.textCode === 'ALREADYEXISTS') {
+    return new ConflictError(`Folder ${name} already exists`);
+  }
+  return error;
+}
+
+/**
+ * Log in to a mailbox as the Dovecot master user ("user@domain*agent"),
+ * so the agent never needs the user's own password
+ */
+function connectAs(email) {
+  const port = parseInt(process.env.IMAP_PORT, 10) || 993;
+
+  return new Promise((resolve, reject) => {
+    const imap = new Imap({
+      user: `${email}${MASTER_SEPARATOR}${process.env.IMAP_MASTER_USER || 'agent'}`,
+      password: process.env.IMAP_MASTER_PASSWORD,
+      host: process.env.IMAP_HOST || 'localhost',
+      port,
+      tls: port === 993,
+      autotls: 'required',
+      tlsOptions: {
+        servername: process.env.IMAP_TLS_SERVERNAME || process.env.MAIL_HOSTNAME,
+        rejectUnauthorized: process.env.IMAP_TLS_REJECT_UNAUTHORIZED !== 'false'
+      },
+      connTimeout: IMAP_TIMEOUT_MS,
+      authTimeout: IMAP_TIMEOUT_MS
+    });
+
+    imap.once('ready', () => {
+      imap.removeListener('error', reject);
+      imap.on('error', error => logger.warn(`IMAP connection for ${email} failed: ${error.message}`));
+      resolve(imap);
+    });
+    imap.once('error', reject);
+    imap.connect();
+  });
+}
+
+/**
+ * Node-style callback to promise
+ */
+function call(imap, method, ...args) {
+  return new Promise((resolve, reject) => {
+    imap[method](...args, (error, result) => (error ? reject(error) : resolve(result)));
+  });
+}
+
+/**
+ * Map the folder errors of a folder command
+ */
+function onFolder(name, promise) {
+  return promise.catch((error) => {
+    throw folderError(name, error);
+  });
+}
+
+/**
+ * UID FETCH into memory. Each message has its attributes (uid, flags, date,
+ * size, struct) and `bodies` keyed by the requested section.
+ */
+function fetchMessages(imap, uids, options) {
+  if (uids.length === 0) {
+    return Promise.resolve([]);
+  }
+
+  return new Promise((resolve, reject) => {
+    const messages = [];
+    const fetch = imap.fetch(uids, options);
+
+    fetch.on('message', (msg) => {
+      const message = { attributes: {}, bodies: {} };
+      msg.on('body', (stream, info) => {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.once('end', () => {
+          message.bodies[info.which] = Buffer.concat(chunks);
+        });
+      });
+      msg.once('attributes', (attributes) => {
+        message.attributes = attributes;
+      });
+      msg.once('end', () => messages.push(message));
+    });
+    fetch.once('error', reject);
+    fetch.once('end', () => resolve(messages));
+  });
+}
+
+/**
+ * Promise wrapper over a logged-in connection. UIDs are used throughout.
+ */
+function mailboxSession(imap) {
+  return {
+    serverSupports: capability => imap.serverSupports(capability),
+    openBox: (name, readOnly = true) => onFolder(name, call(imap, 'openBox', name, readOnly)),
+    closeBox: (expunge = false) => call(imap, 'closeBox', expunge),
+    status: name => onFolder(name, call(imap, 'status', name)),
+    getBoxes: () => call(imap, 'getBoxes'),
+    addBox: name => onFolder(name, call(imap, 'addBox', name)),
+    delBox: name => onFolder(name, call(imap, 'delBox', name)),
+    renameBox: (name, newName) => call(imap, 'renameBox', name, newName).catch((error) => {
+      throw folderError(error.textCode === 'ALREADYEXISTS' ? newName : name, error);
+    }),
+    search: criteria => call(imap, 'search', criteria),
+    fetch: (uids, options) => fetchMessages(imap, uids, options),
+    addFlags: (uids, flags) => call(imap, 'addFlags', uids, flags),
+    delFlags: (uids, flags) => call(imap, 'delFlags', uids, flags),
+    addKeywords: (uids, keywords) => call(imap, 'addKeywords', uids, keywords),
+    delKeywords: (uids, keywords) => call(imap, 'delKeywords', uids, keywords),
+    copy: (uids, box) => call(imap, 'copy', uids, box),
+    move: (uids, box) => call(imap, 'move', uids, box),
+    expunge: uids => call(imap, 'expunge', uids),
+    append: (message, options) => call(imap, 'append', message, options),
+    getQuotaRoot: name => call(imap, 'getQuotaRoot', name),
+    delimiter: () => imap.delimiter
+  };
+}
+
+/**
+ * Run `fn` with an IMAP session on a user's mailbox; the connection is closed afterwards.
+ * Connection and login failures surface as UPSTREAM_UNAVAILABLE.
+ */
+async function withMailbox(email, fn) {
+  let imap;
+  try {
+    imap = await connectAs(email);
+  } catch (error) {
+    throw imapUnavailable(email, error);
+  }
+
+  try {
+    return await fn(mailboxSession(imap));
+  } finally {
+    imap.end();
+  }
+}
+
+module.exports = {
+  withMailbox,
+  parseHeader: Imap.parseHeader
+};
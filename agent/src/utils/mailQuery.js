@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const { ValidationError } = require('./errors');
+
+/**
+ * Error for a search query or cursor that cannot be used
+ */
+function invalidQuery(message, reason = 'INVALID_QUERY') {
+  return new ValidationError(message, { reason });
+}
+
+const ADDRESS_OPERATORS = { from: 'FROM', to: 'TO', cc: 'CC', bcc: 'BCC', subject: 'SUBJECT' };
+
+const IS_FLAGS = {
+  unread: 'UNSEEN',
+  read: 'SEEN',
+  starred: 'FLAGGED',
+  flagged: 'FLAGGED',
+  answered: 'ANSWERED',
+  draft: 'DRAFT'
+};
+
+const SIZE_UNITS = { '': 1, k: 1024, m: 1024 * 1024 };
+const AGE_UNITS = { d: 1, m: 30, y: 365 };
+
+// operator:value, operator:"quoted value", "quoted phrase" or a bare word;
+// a leading "-" negates the term
+const TOKEN = /(-?)(?:([a-z_]+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+))/gi;
+
+/**
+ * Whether a label can be used as an IMAP keyword: an atom (keywords are sent
+ * unquoted) without a backslash, which marks system flags such as \Seen
+ */
+function isKeyword(value) {
+  return /^[^\\\s(){%*"\]]{1,64}$/.test(String(value));
+}
+
+/**
+ * YYYY-MM-DD or YYYY/MM/DD as a UTC date
+ */
+function parseDate(operator, value) {
+  const match = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/.exec(value);
+  const date = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  if (!date || date.getUTCMonth() !== Number(match[2]) - 1) {
+    throw invalidQuery(`${operator}: expects a date as YYYY-MM-DD, got "${value}"`);
+  }
+  return date;
+}
+
+/**
+ * IMAP search criterion for one operator:value term
+ */
+function operatorCriterion(operator, value) {
+  if (ADDRESS_OPERATORS[operator]) {
+    return [ADDRESS_OPERATORS[operator], value];
+  }
+
+  switch (operator) {
+    case 'has':
+      if (value.toLowerCase() !== 'attachment') {
+        throw invalidQuery(`has: supports only "attachment", got "${value}"`);
+      }
+      // IMAP has no attachment search; messages with attachments are multipart/mixed
+      return ['HEADER', 'CONTENT-TYPE', 'multipart/mixed'];
+    case 'is': {
+      const flag = IS_FLAGS[value.toLowerCase()];
+      if (!flag) {
+        throw invalidQuery(`is: supports ${Object.keys(IS_FLAGS).join(', ')}, got "${value}"`);
+      }
+      return flag;
+    }
+    case 'label':
+      if (!isKeyword(value)) {
+        throw invalidQuery(`label: "${value}" is not a valid label name`);
+      }
+      return ['KEYWORD', value];
+    case 'before':
+      return ['BEFORE', parseDate(operator, value)];
+    case 'after':
+      return ['SINCE', parseDate(operator, value)];
+    case 'older_than':
+    case 'newer_than': {
+      const match = /^(\d+)([dmy])$/i.exec(value);
+      if (!match) {
+        throw invalidQuery(`${operator}: expects a number of days, months or years such as 7d, got "${value}"`);
+      }
+      const date = new Date(Date.now() - Number(match[1]) * AGE_UNITS[match[2].toLowerCase()] * 24 * 60 * 60 * 1000);
+      return [operator === 'older_than' ? 'BEFORE' : 'SINCE', date];
+    }
+    case 'larger':
+    case 'smaller': {
+      const match = /^(\d+)([km]?)$/i.exec(value);
+      if (!match) {
+        throw invalidQuery(`${operator}: expects a size such as 500K or 10M, got "${value}"`);
+      }
+      return [operator === 'larger' ? 'LARGER' : 'SMALLER', Number(match[1]) * SIZE_UNITS[match[2].toLowerCase()]];
+    }
+    default:
+      throw invalidQuery(`Unknown search operator "${operator}:"`);
+  }
+}
+
+/**
+ * Negate a criterion the way the imap package expects ("!" before its name)
+ */
+function negate(criterion) {
+  return Array.isArray(criterion) ? [`!${criterion[0]}`, ...criterion.slice(1)] : `!${criterion}`;
+}
+
+/**
+ * Translate a Gmail-like query to IMAP SEARCH criteria for the imap package.
+ *
+ *   from: to: cc: bcc: subject:   header contains
+ *   has:attachment                multipart/mixed messages
+ *   is:unread|read|starred|flagged|answered|draft
+ *   label:name                    IMAP keyword
+ *   before:/after:YYYY-MM-DD, older_than:/newer_than:7d|2m|1y
+ *   larger:/smaller:10M           size in bytes, K or M
+ *   in:folder                     search this folder instead
+ *   words and "quoted phrases"    anywhere in the message
+ *
+ * Terms are ANDed; "a OR b" matches either and "-term" excludes.
+ * Returns { criteria, folder } (folder is null unless in: is used).
+ */
+function parseQuery(text) {
+  const criteria = [];
+  let folder = null;
+  let pendingOr = false;
+
+  for (const match of String(text || '').matchAll(TOKEN)) {
+    const [, minus, operator, quotedValue, plainValue, phrase, word] = match;
+
+    if (word === 'OR' && !minus) {
+      if (criteria.length === 0 || pendingOr) {
+        throw invalidQuery('OR needs a search term on both sides');
+      }
+      pendingOr = true;
+      continue;
+    }
+
+    let criterion;
+    if (operator) {
+      const name = operator.toLowerCase();
+      const value = quotedValue !== undefined ? quotedValue : plainValue;
+      if (name === 'in') {
+        if (minus || pendingOr) {
+          throw invalidQuery('in: cannot be negated or combined with OR');
+        }
+        folder = value;
+        continue;
+      }
+      criterion = operatorCriterion(name, value);
+    } else {
+      criterion = ['TEXT', phrase !== undefined ? phrase : word];
+    }
+
+    if (minus) {
+      criterion = negate(criterion);
+    }
+
+    if (pendingOr) {
+      criteria.push(['OR', criteria.pop(), criterion]);
+      pendingOr = false;
+    } else {
+      criteria.push(criterion);
+    }
+  }
+
+  if (pendingOr) {
+    throw invalidQuery('OR needs a search term on both sides');
+  }
+
+  return { criteria, folder };
+}
+
+/**
+ * Short fingerprint tying a cursor to the folder and query it was issued for
+ */
+function queryFingerprint(folder, text) {
+  return crypto.createHash('sha256').update(`${folder}\n${String(text || '').trim()}`).digest('base64url').slice(0, 12);
+}
+
+/**
+ * Opaque cursor: continue below `beforeUid` in a folder with the given UIDVALIDITY
+ */
+function encodeCursor({ folder, uidValidity, beforeUid, query }) {
+  return Buffer.from(JSON.stringify({
+    f: folder,
+    v: uidValidity,
+    u: beforeUid,
+    q: queryFingerprint(folder, query)
+  })).toString('base64url');
+}
+
+/**
+ * Decode a cursor and check it belongs to this folder and query
+ */
+function decodeCursor(cursor, folder, query) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    position = null;
+  }
+
+  if (!position || !Number.isInteger(position.u) || !Number.isInteger(position.v)) {
+    throw invalidQuery('Malformed cursor', 'INVALID_CURSOR');
+  }
+  if (position.f !== folder || position.q !== queryFingerprint(folder, query)) {
+    throw invalidQuery('Cursor was issued for a different folder or query', 'INVALID_CURSOR');
+  }
+  return { folder: position.f, uidValidity: position.v, beforeUid: position.u };
+}
+
+module.exports = {
+  parseQuery,
+  encodeCursor,
+  decodeCursor,
+  invalidQuery,
+  isKeyword
+};
@@ -0,0 +1,82 @@
+const { parseQuery } = require('./mailQuery');
+const { ValidationError } = require('./errors');
+
+describe('parseQuery', () => {
+  test('translates operators to IMAP criteria', () => {
+    expect(parseQuery('from:ann@example.com subject:"weekly report" is:unread has:attachment label:Work')).toEqual({
+      criteria: [
+        ['FROM', 'ann@example.com'],
+        ['SUBJECT', 'weekly report'],
+        'UNSEEN',
+        ['HEADER', 'CONTENT-TYPE', 'multipart/mixed'],
+        ['KEYWORD', 'Work']
+      ],
+      folder: null
+    });
+  });
+
+  test('searches words and quoted phrases as text', () => {
+    expect(parseQuery('invoice "due date"').criteria).toEqual([['TEXT', 'invoice'], ['TEXT', 'due date']]);
+  });
+
+  test('reads dates as UTC days', () => {
+    expect(parseQuery('after:2024-01-31 before:2024/02/15').criteria).toEqual([
+      ['SINCE', new Date(Date.UTC(2024, 0, 31))],
+      ['BEFORE', new Date(Date.UTC(2024, 1, 15))]
+    ]);
+  });
+
+  test('counts ages back from now', () => {
+    jest.useFakeTimers().setSystemTime(new Date('2024-03-10T12:00:00Z'));
+    try {
+      expect(parseQuery('older_than:7d newer_than:1y').criteria).toEqual([
+        ['BEFORE', new Date('2024-03-03T12:00:00Z')],
+        ['SINCE', new Date('2023-03-11T12:00:00Z')]
+      ]);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('converts sizes to bytes', () => {
+    expect(parseQuery('larger:10M smaller:500k').criteria).toEqual([
+      ['LARGER', 10 * 1024 * 1024],
+      ['SMALLER', 500 * 1024]
+    ]);
+  });
+
+  test('negates terms and combines them with OR', () => {
+    expect(parseQuery('-is:read from:ann@example.com OR -from:bob@example.com').criteria).toEqual([
+      '!SEEN',
+      ['OR', ['FROM', 'ann@example.com'], ['!FROM', 'bob@example.com']]
+    ]);
+  });
+
+  test('takes the folder from in:', () => {
+    expect(parseQuery('in:"Sent Messages" to:bob@example.com')).toEqual({
+      criteria: [['TO', 'bob@example.com']],
+      folder: 'Sent Messages'
+    });
+  });
+
+  test('returns no criteria for an empty query', () => {
+    expect(parseQuery('')).toEqual({ criteria: [], folder: null });
+    expect(parseQuery(undefined)).toEqual({ criteria: [], folder: null });
+  });
+
+  test.each([
+    ['OR invoice', /OR needs a search term/],
+    ['invoice OR', /OR needs a search term/],
+    ['-in:Trash', /in: cannot be negated/],
+    ['is:important', /is: supports/],
+    ['has:link', /has: supports only "attachment"/],
+    ['label:a\\b', /not a valid label name/],
+    ['before:2024-02-30', /expects a date/],
+    ['older_than:week', /expects a number of days/],
+    ['larger:10G', /expects a size/],
+    ['sender:ann@example.com', /Unknown search operator "sender:"/]
+  ])('refuses %p', (text, message) => {
+    expect(() => parseQuery(text)).toThrow(ValidationError);
+    expect(() => parseQuery(text)).toThrow(message);
+  });
+});
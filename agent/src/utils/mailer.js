@@ -0,0 +1,63 @@
+const nodemailer = require('nodemailer');
+const MailComposer = require('nodemailer/lib/mail-composer');
+
+const SYSTEM_MAIL_FROM = process.env.SYSTEM_MAIL_FROM || 'MailHero <postmaster@mailhero.in>';
+
+let transporter = null;
+
+/**
+ * SMTP transport for the agent's own notifications (verifications, warnings) and
+ * for users' outgoing mail.
+ * The agent relays through Postfix from the internal network; SMTP_USER and
+ * SMTP_PASSWORD are only needed when submission requires authentication.
+ */
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_PORT === '465',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+      tls: { servername: process.env.SMTP_TLS_SERVERNAME || process.env.MAIL_HOSTNAME }
+    });
+  }
+  return transporter;
+}
+
+/**
+ * Send a system notification. Marked Auto-Submitted so auto-replies ignore it.
+ */
+async function sendSystemMail({ to, subject, text }) {
+  return getTransporter().sendMail({
+    from: SYSTEM_MAIL_FROM,
+    to,
+    subject,
+    text,
+    headers: { 'Auto-Submitted': 'auto-generated' }
+  });
+}
+
+/**
+ * Send a user's message through the same transport. `mail` takes nodemailer message fields.
+ */
+async function sendMessage(mail) {
+  return getTransporter().sendMail(mail);
+}
+
+/**
+ * Build the RFC 5322 source of a message, e.g. to append it to a folder.
+ * Bcc is only kept for the sender's own copies (Drafts, Sent).
+ */
+async function composeMessage(mail, { keepBcc = false } = {}) {
+  const node = new MailComposer(mail).compile();
+  node.keepBcc = keepBcc;
+  return node.build();
+}
+
+module.exports = {
+  sendSystemMail,
+  sendMessage,
+  composeMessage
+};
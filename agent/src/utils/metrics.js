@@ -0,0 +1,195 @@
+const client = require('prom-client');
+const { query } = require('../database/connection');
+const { logger } = require('./logger');
+const { codeOf } = require('./errors');
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'mailhero_agent_' });
+
+const toolCalls = new client.Counter({
+  name: 'mailhero_tool_calls_total',
+  help: 'Tool calls by tool and outcome',
+  labelNames: ['tool', 'outcome'],
+  registers: [registry]
+});
+
+const toolErrors = new client.Counter({
+  name: 'mailhero_tool_errors_total',
+  help: 'Failed tool calls by tool and error code',
+  labelNames: ['tool', 'code'],
+  registers: [registry]
+});
+
+const toolDuration = new client.Histogram({
+  name: 'mailhero_tool_duration_seconds',
+  help: 'Tool execution time',
+  labelNames: ['tool'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [registry]
+});
+
+const mailSent = new client.Counter({
+  name: 'mailhero_mail_sent_total',
+  help: 'Messages accepted by the SMTP server',
+  registers: [registry]
+});
+
+const mailRecipients = new client.Counter({
+  name: 'mailhero_mail_recipients_total',
+  help: 'Recipients of sent messages',
+  registers: [registry]
+});
+
+const mailSendFailures = new client.Counter({
+  name: 'mailhero_mail_send_failures_total',
+  help: 'Messages the SMTP server did not accept',
+  registers: [registry]
+});
+
+const mailFetched = new client.Counter({
+  name: 'mailhero_mail_fetched_total',
+  help: 'Messages returned from mailboxes',
+  registers: [registry]
+});
+
+// Gauges read from the database on every scrape
+new client.Gauge({
+  name: 'mailhero_users',
+  help: 'Mailboxes by status',
+  labelNames: ['status'],
+  registers: [registry],
+  async collect() {
+    const result = await query('SELECT status, COUNT(*) AS count FROM users GROUP BY status');
+    this.reset();
+    for (const row of result.rows) {
+      this.set({ status: row.status }, parseInt(row.count, 10));
+    }
+  }
+});
+
+new client.Gauge({
+  name: 'mailhero_aliases',
+  help: 'Aliases pointing at mailboxes',
+  registers: [registry],
+  async collect() {
+    const result = await query('SELECT COUNT(*) AS count FROM aliases');
+    this.set(parseInt(result.rows[0].count, 10));
+  }
+});
+
+new client.Gauge({
+  name: 'mailhero_quota_allocated_bytes',
+  help: 'Quota allocated to mailboxes that are not deleted, by domain',
+  labelNames: ['domain'],
+  registers: [registry],
+  async collect() {
+    const result = await query(
+      `SELECT SPLIT_PART(email, '@', 2) AS domain, COALESCE(SUM(quota_mb), 0) AS quota_mb
+       FROM users WHERE status IN ('active', 'suspended')
+       GROUP BY 1`
+    );
+    this.reset();
+    for (const row of result.rows) {
+      this.set({ domain: row.domain }, parseInt(row.quota_mb, 10) * 1024 * 1024);
+    }
+  }
+});
+
+new client.Gauge({
+  name: 'mailhero_quota_used_bytes',
+  help: 'Storage used by mailboxes at their last quota reading, by domain',
+  labelNames: ['domain'],
+  registers: [registry],
+  async collect() {
+    const result = await query(
+      `SELECT SPLIT_PART(u.email, '@', 2) AS domain, COALESCE(SUM(latest.used_kb), 0) AS used_kb
+       FROM users u
+       JOIN LATERAL (
+         SELECT used_kb FROM quota_usage WHERE user_id = u.id ORDER BY collected_at DESC LIMIT 1
+       ) latest ON true
+       WHERE u.status IN ('active', 'suspended')
+       GROUP BY 1`
+    );
+    this.reset();
+    for (const row of result.rows) {
+      this.set({ domain: row.domain }, parseInt(row.used_kb, 10) * 1024);
+    }
+  }
+});
+
+/**
+ * Add to today's row in mail_stats so daily totals survive restarts
+ */
+function countToday(column, amount) {
+  query(
+    `INSERT INTO mail_stats (day, ${column}) VALUES (CURRENT_DATE, $1)
+     ON CONFLICT (day) DO UPDATE SET ${column} = mail_stats.${column} + EXCLUDED.${column}`,
+    [amount]
+  ).catch(error => logger.warn(`Failed to update mail_stats.${column}: ${error.message}`));
+}
+
+/**
+ * Record one tool call; `error` is the thrown error for failed calls
+ */
+function recordToolCall(tool, seconds, error) {
+  toolDuration.observe({ tool }, seconds);
+  toolCalls.inc({ tool, outcome: error ? 'error' : 'success' });
+  if (error) {
+    toolErrors.inc({ tool, code: codeOf(error) });
+  }
+}
+
+/**
+ * Record a message handed to SMTP (or refused by it)
+ */
+function recordMailSent(recipients, failed = false) {
+  if (failed) {
+    mailSendFailures.inc();
+    countToday('send_failures', 1);
+    return;
+  }
+  mailSent.inc();
+  mailRecipients.inc(recipients);
+  countToday('sent', 1);
+}
+
+/**
+ * Record messages returned by a mailbox fetch
+ */
+function recordMailFetched(count) {
+  if (count > 0) {
+    mailFetched.inc(count);
+    countToday('fetched', count);
+  }
+}
+
+/**
+ * Average tool latency and error rate since the agent started
+ */
+async function toolPerformance() {
+  const [duration, calls] = await Promise.all([toolDuration.get(), toolCalls.get()]);
+
+  const sum = duration.values
+    .filter(value => value.metricName === 'mailhero_tool_duration_seconds_sum')
+    .reduce((total, value) => total + value.value, 0);
+  const count = duration.values
+    .filter(value => value.metricName === 'mailhero_tool_duration_seconds_count')
+    .reduce((total, value) => total + value.value, 0);
+  const errors = calls.values
+    .filter(value => value.labels.outcome === 'error')
+    .reduce((total, value) => total + value.value, 0);
+
+  return {
+    calls: count,
+    avgResponseTimeMs: count > 0 ? Math.round((sum / count) * 1000) : 0,
+    errorRatePercent: count > 0 ? Math.round((errors / count) * 10000) / 100 : 0
+  };
+}
+
+module.exports = {
+  registry,
+  recordToolCall,
+  recordMailSent,
+  recordMailFetched,
+  toolPerformance
+};
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const { query } = require('../database/connection');
+const { logger } = require('./logger');
+const { ValidationError } = require('./errors');
+
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 10;
+// Character classes (lowercase, uppercase, digits, symbols) a password must mix
+const PASSWORD_MIN_CLASSES = parseInt(process.env.PASSWORD_MIN_CLASSES, 10) || 3;
+// Previous passwords a user may not reuse; 0 turns the check off
+const PASSWORD_HISTORY = process.env.PASSWORD_HISTORY !== undefined
+  ? parseInt(process.env.PASSWORD_HISTORY, 10)
+  : 5;
+const BCRYPT_COST = parseInt(process.env.BCRYPT_COST, 10) || 12;
+
+// bcrypt ignores everything after 72 bytes
+const PASSWORD_MAX_BYTES = 72;
+
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/];
+
+/**
+ * Lowercased passwords that are refused: the bundled list plus PASSWORD_BLOCKLIST_FILE
+ */
+function loadBlocklist() {
+  const files = [path.join(__dirname, '..', 'data', 'common-passwords.txt')];
+  if (process.env.PASSWORD_BLOCKLIST_FILE) {
+    files.push(process.env.PASSWORD_BLOCKLIST_FILE);
+  }
+
+  const blocklist = new Set();
+  for (const file of files) {
+    try {
+      for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+        const entry = line.trim();
+        if (entry && !entry.startsWith('#')) {
+          blocklist.add(entry.toLowerCase());
+        }
+      }
+    } catch (error) {
+      logger.warn(`Failed to load password blocklist ${file}: ${error.message}`);
+    }
+  }
+  return blocklist;
+}
+
+const BLOCKLIST = loadBlocklist();
+
+/**
+ * Error for a password the policy refuses
+ */
+function weakPassword(problems) {
+  return new ValidationError(`Password does not meet the policy: ${problems.join('; ')}`, {
+    reason: 'WEAK_PASSWORD'
+  });
+}
+
+/**
+ * What is wrong with a password for the mailbox `email`; empty when it passes
+ */
+function passwordProblems(password, email) {
+  const problems = [];
+  const value = String(password || '');
+
+  if (value.length < PASSWORD_MIN_LENGTH) {
+    problems.push(`must be at least ${PASSWORD_MIN_LENGTH} characters`);
+  }
+  if (Buffer.byteLength(value) > PASSWORD_MAX_BYTES) {
+    problems.push(`must be at most ${PASSWORD_MAX_BYTES} bytes`);
+  }
+
+  const classes = CHARACTER_CLASSES.filter(pattern => pattern.test(value)).length;
+  if (classes < PASSWORD_MIN_CLASSES) {
+    problems.push(`must mix at least ${PASSWORD_MIN_CLASSES} of lowercase, uppercase, digits and symbols`);
+  }
+
+  const localPart = String(email || '').split('@')[0].toLowerCase();
+  if (localPart.length >= 3 && value.toLowerCase().includes(localPart)) {
+    problems.push('must not contain the mailbox name');
+  }
+
+  if (BLOCKLIST.has(value.toLowerCase())) {
+    problems.push('is too common');
+  }
+
+  return problems;
+}
+
+/**
+ * Refuse a password that does not meet the policy
+ */
+function assertPasswordPolicy(password, email) {
+  const problems = passwordProblems(password, email);
+  if (problems.length > 0) {
+    throw weakPassword(problems);
+  }
+}
+
+/**
+ * Hash a password at the configured cost
+ */
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_COST);
+}
+
+/**
+ * Whether a stored hash was made at another cost than BCRYPT_COST
+ */
+function needsRehash(hash) {
+  try {
+    return bcrypt.getRounds(hash) !== BCRYPT_COST;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Refuse a password the user has had recently: the current one or one of the
+ * PASSWORD_HISTORY before it (kept in password_history)
+ */
+async function assertNotReused(userId, password, client = { query }) {
+  if (PASSWORD_HISTORY <= 0) {
+    return;
+  }
+
+  const result = await client.query(
+    `(SELECT password_hash FROM users WHERE id = $1)
+     UNION ALL
+     (SELECT password_hash FROM password_history WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2)`,
+    [userId, PASSWORD_HISTORY]
+  );
+
+  for (const row of result.rows) {
+    if (row.password_hash && await bcrypt.compare(password, row.password_hash)) {
+      throw weakPassword([`must not be the current password or one of the ${PASSWORD_HISTORY} before it`]);
+    }
+  }
+}
+
+/**
+ * Keep the hash of a password being replaced and drop entries beyond PASSWORD_HISTORY
+ */
+async function rememberPassword(userId, hash, client = { query }) {
+  if (PASSWORD_HISTORY <= 0) {
+    return;
+  }
+
+  await client.query('INSERT INTO password_history (user_id, password_hash) VALUES ($1, $2)', [userId, hash]);
+  await client.query(
+    `DELETE FROM password_history
+     WHERE user_id = $1 AND id NOT IN (
+       SELECT id FROM password_history WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2
+     )`,
+    [userId, PASSWORD_HISTORY]
+  );
+}
+
+module.exports = {
+  BCRYPT_COST,
+  passwordProblems,
+  assertPasswordPolicy,
+  hashPassword,
+  needsRehash,
+  assertNotReused,
+  rememberPassword
+};
@@ -0,0 +1,62 @@
+// passwordProblems needs none of the storage or hashing the module also provides
+jest.mock('../database/connection', () => ({ query: jest.fn() }), { virtual: true });
+jest.mock('./logger', () => ({ logger: { warn: jest.fn() } }), { virtual: true });
+jest.mock('bcrypt', () => ({}));
+
+const { passwordProblems, assertPasswordPolicy } = require('./passwords');
+const { ValidationError } = require('./errors');
+
+describe('passwordProblems', () => {
+  test('accepts a long password mixing three character classes', () => {
+    expect(passwordProblems('Harbour-lights-42', 'ann@example.com')).toEqual([]);
+  });
+
+  test('requires the minimum length', () => {
+    expect(passwordProblems('Ab1!xyz', 'ann@example.com')).toEqual(['must be at least 10 characters']);
+  });
+
+  test('limits the length to what bcrypt reads', () => {
+    expect(passwordProblems(`Aa1${'x'.repeat(70)}`, 'ann@example.com')).toEqual(['must be at most 72 bytes']);
+    // Multibyte characters count as bytes
+    expect(passwordProblems(`Aa1${'é'.repeat(35)}`, 'ann@example.com')).toEqual(['must be at most 72 bytes']);
+  });
+
+  test('requires a mix of character classes', () => {
+    expect(passwordProblems('harbourlightsfour', 'ann@example.com')).toEqual([
+      'must mix at least 3 of lowercase, uppercase, digits and symbols'
+    ]);
+  });
+
+  test('refuses the mailbox name, ignoring case', () => {
+    expect(passwordProblems('Annabel-2024!', 'annabel@example.com')).toEqual(['must not contain the mailbox name']);
+    // Names shorter than three characters are too likely to appear by chance
+    expect(passwordProblems('Harbour-lights-42', 'ha@example.com')).toEqual([]);
+  });
+
+  test('refuses common passwords, ignoring case', () => {
+    expect(passwordProblems('PASSWORD1234', 'ann@example.com')).toContain('is too common');
+  });
+
+  test('reports every problem at once', () => {
+    expect(passwordProblems('', 'ann@example.com')).toHaveLength(2);
+    expect(passwordProblems(undefined)).toHaveLength(2);
+  });
+});
+
+describe('assertPasswordPolicy', () => {
+  test('throws a WEAK_PASSWORD validation error listing the problems', () => {
+    let error;
+    try {
+      assertPasswordPolicy('short', 'ann@example.com');
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.reason).toBe('WEAK_PASSWORD');
+    expect(error.message).toMatch(/at least 10 characters; must mix/);
+  });
+
+  test('passes a good password', () => {
+    expect(() => assertPasswordPolicy('Harbour-lights-42', 'ann@example.com')).not.toThrow();
+  });
+});
@@ -0,0 +1,257 @@
+const net = require('net');
+const tls = require('tls');
+const http = require('http');
+const https = require('https');
+
+/**
+ * Summarize a peer certificate: expiry and whether it chains to a trusted CA
+ */
+function certificateInfo(socket) {
+  const cert = socket.getPeerCertificate();
+  if (!cert || !cert.valid_to) {
+    return null;
+  }
+
+  const validTo = new Date(cert.valid_to);
+  return {
+    subject: cert.subject && cert.subject.CN,
+    issuer: cert.issuer && cert.issuer.CN,
+    validTo: validTo.toISOString(),
+    daysRemaining: Math.floor((validTo.getTime() - Date.now()) / (24 * 60 * 60 * 1000)),
+    authorized: socket.authorized,
+    authorizationError: socket.authorizationError ? String(socket.authorizationError) : undefined
+  };
+}
+
+/**
+ * Line-oriented conversation over a socket (SMTP/IMAP).
+ * `read(isComplete)` resolves with the buffered lines once isComplete(lines) is true.
+ */
+function conversation(socket, timeoutMs) {
+  let buffer = '';
+  let lines = [];
+  let waiter = null;
+  let failure = null;
+
+  const settle = () => {
+    if (!waiter) {
+      return;
+    }
+    if (failure) {
+      const { reject } = waiter;
+      waiter = null;
+      reject(failure);
+    } else if (waiter.isComplete(lines)) {
+      const { resolve } = waiter;
+      const received = lines;
+      waiter = null;
+      lines = [];
+      resolve(received);
+    }
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) >= 0) {
+      lines.push(buffer.slice(0, index));
+      buffer = buffer.slice(index + 2);
+    }
+    settle();
+  };
+  const onError = (error) => {
+    failure = error;
+    settle();
+  };
+  const onClose = () => onError(new Error('Connection closed by server'));
+
+  const attach = (target) => {
+    target.on('data', onData);
+    target.on('error', onError);
+    target.on('close', onClose);
+  };
+  const detach = (target) => {
+    target.removeListener('data', onData);
+    target.removeListener('error', onError);
+    target.removeListener('close', onClose);
+  };
+
+  attach(socket);
+  socket.setTimeout(timeoutMs, () => onError(new Error(`Timed out after ${timeoutMs}ms`)));
+
+  return {
+    read(isComplete) {
+      return new Promise((resolve, reject) => {
+        waiter = { isComplete, resolve, reject };
+        settle();
+      });
+    },
+    write(line) {
+      socket.write(`${line}\r\n`);
+    },
+    // Stop reading from the current socket (before a TLS upgrade takes it over)
+    release() {
+      detach(socket);
+      socket.setTimeout(0);
+    },
+    // Continue the conversation on a new socket (after STARTTLS)
+    switchTo(newSocket) {
+      socket = newSocket;
+      buffer = '';
+      lines = [];
+      attach(socket);
+      socket.setTimeout(timeoutMs, () => onError(new Error(`Timed out after ${timeoutMs}ms`)));
+    },
+    close() {
+      detach(socket);
+      socket.destroy();
+    }
+  };
+}
+
+// SMTP replies end with a line "NNN text"; continuation lines are "NNN-text"
+const smtpReplyDone = lines => lines.length > 0 && /^\d{3} /.test(lines[lines.length - 1]);
+const smtpCode = lines => parseInt(lines[lines.length - 1].slice(0, 3), 10);
+
+/**
+ * Connect to a host, resolving once the socket is connected
+ */
+function connect(factory, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const socket = factory();
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(new Error(`Connect timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+    socket.once(socket instanceof tls.TLSSocket ? 'secureConnect' : 'connect', () => {
+      clearTimeout(timer);
+      resolve(socket);
+    });
+    socket.once('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Speak SMTP submission: greeting, EHLO, STARTTLS and a second EHLO over TLS
+ */
+async function probeSmtp({ host, port, timeoutMs, servername }) {
+  const started = Date.now();
+  const socket = await connect(() => net.connect({ host, port }), timeoutMs);
+  const session = conversation(socket, timeoutMs);
+
+  try {
+    const greeting = await session.read(smtpReplyDone);
+    if (smtpCode(greeting) !== 220) {
+      throw new Error(`Unexpected greeting: ${greeting.join(' ')}`);
+    }
+
+    session.write('EHLO mailhero-agent');
+    const ehlo = await session.read(smtpReplyDone);
+    if (smtpCode(ehlo) !== 250) {
+      throw new Error(`EHLO rejected: ${ehlo.join(' ')}`);
+    }
+
+    const extensions = ehlo.slice(1).map(line => line.slice(4).split(' ')[0].toUpperCase());
+    const result = { starttls: extensions.includes('STARTTLS'), tls: null };
+
+    if (result.starttls) {
+      session.write('STARTTLS');
+      const ready = await session.read(smtpReplyDone);
+      if (smtpCode(ready) !== 220) {
+        throw new Error(`STARTTLS rejected: ${ready.join(' ')}`);
+      }
+
+      session.release();
+      const secure = await connect(
+        () => tls.connect({ socket, servername: servername || host, rejectUnauthorized: false }),
+        timeoutMs
+      );
+      session.switchTo(secure);
+      result.tls = certificateInfo(secure);
+
+      session.write('EHLO mailhero-agent');
+      await session.read(smtpReplyDone);
+    }
+
+    session.write('QUIT');
+    return { ...result, latencyMs: Date.now() - started };
+  } finally {
+    session.close();
+  }
+}
+
+/**
+ * Speak IMAPS: greeting, CAPABILITY and (when credentials are given) LOGIN
+ */
+async function probeImap({ host, port, timeoutMs, servername, user, password }) {
+  const started = Date.now();
+  const socket = await connect(
+    () => tls.connect({ host, port, servername: servername || host, rejectUnauthorized: false }),
+    timeoutMs
+  );
+  const session = conversation(socket, timeoutMs);
+  const tagged = tag => lines => lines.some(line => line.startsWith(`${tag} `));
+  const tagStatus = (tag, lines) => lines.find(line => line.startsWith(`${tag} `)).split(' ')[1];
+
+  try {
+    const greeting = await session.read(lines => lines.length > 0);
+    if (!/^\* (OK|PREAUTH)/i.test(greeting[0])) {
+      throw new Error(`Unexpected greeting: ${greeting[0]}`);
+    }
+
+    session.write('a1 CAPABILITY');
+    const capability = await session.read(tagged('a1'));
+    const capabilities = (capability.find(line => /^\* CAPABILITY /i.test(line)) || '')
+      .split(' ').slice(2);
+
+    const result = { capabilities, tls: certificateInfo(socket), login: 'skipped' };
+
+    if (user && password) {
+      const quote = value => `"${String(value).replace(/[\\"]/g, match => `\\${match}`)}"`;
+      session.write(`a2 LOGIN ${quote(user)} ${quote(password)}`);
+      const login = await session.read(tagged('a2'));
+      result.login = tagStatus('a2', login).toUpperCase() === 'OK' ? 'ok' : 'failed';
+    }
+
+    session.write('a3 LOGOUT');
+    return { ...result, latencyMs: Date.now() - started };
+  } finally {
+    session.close();
+  }
+}
+
+/**
+ * GET a URL and return status code and body
+ */
+function probeHttp({ url, timeoutMs }) {
+  const started = Date.now();
+  const client = url.startsWith('https:') ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.get(url, { timeout: timeoutMs }, (response) => {
+      let body = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        if (body.length < 64 * 1024) {
+          body += chunk;
+        }
+      });
+      response.on('end', () => resolve({
+        statusCode: response.statusCode,
+        body,
+        latencyMs: Date.now() - started
+      }));
+    });
+    request.on('timeout', () => request.destroy(new Error(`Timed out after ${timeoutMs}ms`)));
+    request.on('error', reject);
+  });
+}
+
+module.exports = {
+  probeSmtp,
+  probeImap,
+  probeHttp
+};
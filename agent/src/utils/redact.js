@@ -0,0 +1,32 @@
+// Fields holding credentials: never logged, and not kept where others can read them
+const SENSITIVE_FIELDS = ['password', 'newPassword', 'generatedPassword', 'accessToken', 'refreshToken', 'secret'];
+
+/**
+ * Copy of a tool input/result with credentials masked
+ */
+function redact(value) {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  const copy = {};
+  for (const [field, fieldValue] of Object.entries(value)) {
+    copy[field] = SENSITIVE_FIELDS.includes(field) && fieldValue !== undefined ? '[redacted]' : redact(fieldValue);
+  }
+  return copy;
+}
+
+/**
+ * Whether a value holds any credential redact would mask
+ */
+function hasSecrets(value) {
+  return JSON.stringify(redact(value)) !== JSON.stringify(value);
+}
+
+module.exports = {
+  SENSITIVE_FIELDS,
+  redact,
+  hasSecrets
+};
@@ -0,0 +1,252 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const SIEVE_PATH = process.env.SIEVE_PATH || '/var/sieve';
+const SCRIPT_NAME = 'mailhero.sieve';
+
+/**
+ * Sieve quoted string
+ */
+function quote(value) {
+  return `"${String(value).replace(/[\\"]/g, match => `\\${match}`)}"`;
+}
+
+/**
+ * Sieve string list (["a", "b"])
+ */
+function stringList(values) {
+  return values.length === 1 ? quote(values[0]) : `[${values.map(quote).join(', ')}]`;
+}
+
+/**
+ * Single line safe to put in a # comment
+ */
+function commentText(value) {
+  return String(value).replace(/[\x00-\x1f\x7f]+/g, ' ');
+}
+
+/**
+ * Compile one condition (matcher or all/any group) to a Sieve test
+ */
+function compileTest(condition, extensions) {
+  if (condition.all || condition.any) {
+    const children = (condition.all || condition.any).map(child => compileTest(child, extensions));
+    if (children.length === 1) {
+      return children[0];
+    }
+    return `${condition.all ? 'allof' : 'anyof'} (${children.join(', ')})`;
+  }
+
+  let test;
+  switch (condition.field) {
+    case 'size':
+      test = `size :${condition.operator} ${String(condition.value).toUpperCase()}`;
+      break;
+    case 'from':
+      test = `address :${condition.operator} "from" ${quote(condition.value)}`;
+      break;
+    case 'to':
+      test = `address :${condition.operator} ["to", "cc"] ${quote(condition.value)}`;
+      break;
+    case 'subject':
+      test = `header :${condition.operator} "subject" ${quote(condition.value)}`;
+      break;
+    case 'body':
+      extensions.add('body');
+      test = `body :text :${condition.operator} ${quote(condition.value)}`;
+      break;
+    default:
+      test = `header :${condition.operator} ${quote(condition.header)} ${quote(condition.value)}`;
+  }
+  return condition.negate ? `not ${test}` : test;
+}
+
+/**
+ * Compile one action to a Sieve command
+ */
+function compileAction(action, extensions) {
+  switch (action.type) {
+    case 'fileinto':
+      extensions.add('fileinto');
+      extensions.add('mailbox');
+      return `fileinto :create ${quote(action.folder)};`;
+    case 'flag':
+      extensions.add('imap4flags');
+      return `addflag ${stringList(action.flags)};`;
+    case 'forward':
+      if (action.keepCopy) {
+        extensions.add('copy');
+        return `redirect :copy ${quote(action.to)};`;
+      }
+      return `redirect ${quote(action.to)};`;
+    case 'discard':
+      return 'discard;';
+    case 'reject':
+      extensions.add('reject');
+      return `reject ${quote(action.message)};`;
+    default:
+      return 'stop;';
+  }
+}
+
+/**
+ * Compile validated filters to a Sieve script (RFC 5228) for Dovecot Pigeonhole.
+ * Disabled filters are left out. `sections` are extra pre-compiled blocks that run
+ * before the filters, each { comment, extensions, body }.
+ */
+function compileSieve(filters, sections = []) {
+  const extensions = new Set();
+  const blocks = [];
+
+  for (const section of sections) {
+    section.extensions.forEach(extension => extensions.add(extension));
+    blocks.push(`# ${commentText(section.comment)}\n${section.body}`);
+  }
+
+  for (const filter of filters.filter(f => f.enabled !== false)) {
+    const commands = filter.actions.map(action => `  ${compileAction(action, extensions)}`).join('\n');
+    const test = filter.conditions ? compileTest(filter.conditions, extensions) : 'true';
+    blocks.push(`# Filter: ${commentText(filter.name)}\nif ${test} {\n${commands}\n}`);
+  }
+
+  const lines = ['# Generated by MailHero from the mailbox settings; changes made here are overwritten.'];
+  if (extensions.size > 0) {
+    lines.push(`require ${stringList(Array.from(extensions).sort())};`);
+  }
+  return `${[lines.join('\n'), ...blocks].join('\n\n')}\n`;
+}
+
+/**
+ * Compile forwarding rules to redirect commands.
+ * A rule with `fromSenders` (addresses, or domains for any sender there) only
+ * forwards mail from those senders; `keepCopy` also keeps the message in the mailbox.
+ */
+function compileForwarding(rules) {
+  const extensions = new Set();
+  const blocks = rules.map((rule) => {
+    if (rule.keepCopy) {
+      extensions.add('copy');
+    }
+    const commands = rule.forwardTo.map(address => `redirect ${rule.keepCopy ? ':copy ' : ''}${quote(address)};`);
+    if (rule.fromSenders.length === 0) {
+      return commands.join('\n');
+    }
+
+    const addresses = rule.fromSenders.filter(sender => sender.includes('@'));
+    const domains = rule.fromSenders.filter(sender => !sender.includes('@'));
+    const tests = [];
+    if (addresses.length > 0) {
+      tests.push(`address :is "from" ${stringList(addresses)}`);
+    }
+    if (domains.length > 0) {
+      tests.push(`address :domain :is "from" ${stringList(domains)}`);
+    }
+    const test = tests.length === 1 ? tests[0] : `anyof (${tests.join(', ')})`;
+    return `if ${test} {\n${commands.map(command => `  ${command}`).join('\n')}\n}`;
+  });
+
+  return {
+    comment: 'Forwarding',
+    extensions: Array.from(extensions),
+    body: blocks.join('\n')
+  };
+}
+
+/**
+ * Timestamp for `currentdate :zone "+0000" ... "iso8601"` comparisons (UTC, to the second)
+ */
+function sieveTimestamp(date) {
+  return new Date(date).toISOString().slice(0, 19);
+}
+
+/**
+ * Compile auto-reply settings to a vacation block (RFC 5230).
+ * It only replies inside the start/end window, at most once per sender every `days`,
+ * and never to mailing lists, bulk mail, other auto-responders or the user's own
+ * addresses. Senders on the mailbox's domain get `internalMessage`, others
+ * `externalMessage`; both fall back to `message`.
+ */
+function compileVacation(autoreply, { addresses, domain }) {
+  const extensions = ['vacation'];
+  const tests = [];
+
+  if (autoreply.startDate || autoreply.endDate) {
+    extensions.push('date', 'relational');
+  }
+  if (autoreply.startDate) {
+    tests.push(`currentdate :zone "+0000" :value "ge" "iso8601" ${quote(sieveTimestamp(autoreply.startDate))}`);
+  }
+  if (autoreply.endDate) {
+    tests.push(`currentdate :zone "+0000" :value "le" "iso8601" ${quote(sieveTimestamp(autoreply.endDate))}`);
+  }
+  tests.push(
+    'not exists "list-id"',
+    'not header :is "precedence" ["bulk", "list", "junk"]',
+    'anyof (not exists "auto-submitted", header :is "auto-submitted" "no")',
+    `not address :is "from" ${stringList(addresses)}`
+  );
+
+  // Without :subject Pigeonhole answers with "Auto: <original subject>"
+  const subject = autoreply.subject ? `:subject ${quote(autoreply.subject.replace(/[\r\n]+/g, ' '))} ` : '';
+  const reply = text => `vacation :days ${autoreply.days} ${subject}:addresses ${stringList(addresses)} ${quote(text)};`;
+  const internal = autoreply.internalMessage || autoreply.message;
+  const external = autoreply.externalMessage || autoreply.message;
+
+  const commands = internal === external
+    ? `  ${reply(internal)}`
+    : [
+      `  if address :domain :is "from" ${quote(domain)} {`,
+      `    ${reply(internal)}`,
+      '  } else {',
+      `    ${reply(external)}`,
+      '  }'
+    ].join('\n');
+
+  return {
+    comment: 'Auto-reply',
+    extensions,
+    body: `if allof (${tests.join(',\n          ')}) {\n${commands}\n}`
+  };
+}
+
+/**
+ * Location of a user's script, matching Dovecot's `sieve = file:/var/sieve/%d/%n/mailhero.sieve`
+ */
+function sieveScriptPath(email) {
+  const [local, domain] = email.toLowerCase().split('@');
+  const base = path.resolve(SIEVE_PATH);
+  const dir = local && domain ? path.resolve(base, domain, local) : base;
+
+  if (!dir.startsWith(base + path.sep)) {
+    throw new Error(`Refusing to resolve Sieve path for ${email}`);
+  }
+  return path.join(dir, SCRIPT_NAME);
+}
+
+/**
+ * Install a user's script (or remove it when `script` is null).
+ * Written to a temporary file and renamed so delivery never sees a partial script.
+ */
+async function writeSieveScript(email, script) {
+  const file = sieveScriptPath(email);
+
+  if (script === null) {
+    await fs.rm(path.dirname(file), { recursive: true, force: true });
+    return null;
+  }
+
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const temporary = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(temporary, script);
+  await fs.rename(temporary, file);
+  return file;
+}
+
+module.exports = {
+  compileSieve,
+  compileVacation,
+  compileForwarding,
+  writeSieveScript,
+  sieveScriptPath,
+  quote
+};
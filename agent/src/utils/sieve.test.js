@@ -0,0 +1,163 @@
+const { compileSieve, compileForwarding, compileVacation, sieveScriptPath, quote } = require('./sieve');
+const { validateFilters } = require('./filterRules');
+
+const HEADER = '# Generated by MailHero from the mailbox settings; changes made here are overwritten.';
+
+const compile = (filters, sections) => compileSieve(validateFilters(filters).value, sections);
+
+describe('quote', () => {
+  test('escapes quotes and backslashes', () => {
+    expect(quote('say "hi" \\ bye')).toBe('"say \\"hi\\" \\\\ bye"');
+  });
+});
+
+describe('compileSieve', () => {
+  test('compiles conditions and actions, requiring only the extensions used', () => {
+    const script = compile([{
+      name: 'Bills',
+      conditions: {
+        all: [
+          { field: 'from', operator: 'is', value: 'billing@example.com' },
+          { field: 'body', value: 'invoice' },
+          { field: 'size', operator: 'under', value: '2m', negate: true }
+        ]
+      },
+      actions: [
+        { type: 'flag', flags: ['\\Flagged'] },
+        { type: 'fileinto', folder: 'Bills' },
+        { type: 'forward', to: 'accounts@example.net', keepCopy: true },
+        { type: 'stop' }
+      ]
+    }]);
+
+    expect(script).toBe([
+      HEADER,
+      'require ["body", "copy", "fileinto", "imap4flags", "mailbox"];',
+      '',
+      '# Filter: Bills',
+      'if allof (address :is "from" "billing@example.com", body :text :contains "invoice", not size :under 2M) {',
+      '  addflag "\\\\Flagged";',
+      '  fileinto :create "Bills";',
+      '  redirect :copy "accounts@example.net";',
+      '  stop;',
+      '}',
+      ''
+    ].join('\n'));
+  });
+
+  test('compiles a filter without conditions as always true', () => {
+    expect(compile([{ name: 'All', actions: [{ type: 'discard' }] }])).toBe(
+      `${HEADER}\n\n# Filter: All\nif true {\n  discard;\n}\n`
+    );
+  });
+
+  test('unwraps single-condition groups and compiles header and to tests', () => {
+    const script = compile([{
+      name: 'Lists',
+      conditions: {
+        any: [
+          { all: [{ field: 'header', header: 'List-Id', operator: 'matches', value: '*dev*' }] },
+          { field: 'to', value: 'team@' }
+        ]
+      },
+      actions: [{ type: 'reject', message: 'Go away' }]
+    }]);
+
+    expect(script).toContain('require "reject";');
+    expect(script).toContain('if anyof (header :matches "List-Id" "*dev*", address :contains ["to", "cc"] "team@") {');
+  });
+
+  test('leaves out disabled filters and keeps names on one comment line', () => {
+    const script = compile([
+      { name: 'Off', enabled: false, actions: [{ type: 'discard' }] },
+      { name: 'Two\nlines', actions: [{ type: 'stop' }] }
+    ]);
+
+    expect(script).not.toContain('Off');
+    expect(script).toContain('# Filter: Two lines\n');
+  });
+
+  test('puts sections before the filters and merges their extensions', () => {
+    const script = compile(
+      [{ name: 'Keep', actions: [{ type: 'fileinto', folder: 'Kept' }] }],
+      [compileForwarding([{ forwardTo: ['bob@example.net'], keepCopy: true, fromSenders: [] }])]
+    );
+
+    expect(script).toBe([
+      HEADER,
+      'require ["copy", "fileinto", "mailbox"];',
+      '',
+      '# Forwarding',
+      'redirect :copy "bob@example.net";',
+      '',
+      '# Filter: Keep',
+      'if true {',
+      '  fileinto :create "Kept";',
+      '}',
+      ''
+    ].join('\n'));
+  });
+});
+
+describe('compileForwarding', () => {
+  test('forwards only mail from the listed senders and domains', () => {
+    expect(compileForwarding([{
+      forwardTo: ['bob@example.net', 'carol@example.net'],
+      keepCopy: false,
+      fromSenders: ['boss@example.com', 'partner.example']
+    }])).toEqual({
+      comment: 'Forwarding',
+      extensions: [],
+      body: [
+        'if anyof (address :is "from" "boss@example.com", address :domain :is "from" "partner.example") {',
+        '  redirect "bob@example.net";',
+        '  redirect "carol@example.net";',
+        '}'
+      ].join('\n')
+    });
+  });
+});
+
+describe('compileVacation', () => {
+  test('replies inside the window, never to lists or the user, with messages by sender domain', () => {
+    const section = compileVacation({
+      days: 3,
+      subject: 'Away\r\nuntil Monday',
+      message: 'Back soon',
+      internalMessage: 'Back Monday, call me',
+      startDate: '2024-03-01T08:00:00Z',
+      endDate: '2024-03-10T18:00:00Z'
+    }, { addresses: ['ann@example.com', 'a.doe@example.com'], domain: 'example.com' });
+
+    expect(section.extensions).toEqual(['vacation', 'date', 'relational']);
+    expect(section.body).toContain('currentdate :zone "+0000" :value "ge" "iso8601" "2024-03-01T08:00:00"');
+    expect(section.body).toContain('currentdate :zone "+0000" :value "le" "iso8601" "2024-03-10T18:00:00"');
+    expect(section.body).toContain('not exists "list-id"');
+    expect(section.body).toContain('not address :is "from" ["ann@example.com", "a.doe@example.com"]');
+    expect(section.body).toContain('if address :domain :is "from" "example.com" {');
+    expect(section.body).toContain(
+      'vacation :days 3 :subject "Away until Monday" :addresses ["ann@example.com", "a.doe@example.com"] "Back Monday, call me";'
+    );
+    expect(section.body).toContain('"Back soon";');
+  });
+
+  test('sends one reply to everyone when the messages are the same', () => {
+    const section = compileVacation({ days: 7, message: 'Out' }, { addresses: ['ann@example.com'], domain: 'example.com' });
+
+    expect(section.extensions).toEqual(['vacation']);
+    expect(section.body).not.toContain(':subject');
+    expect(section.body).not.toContain('else');
+    expect(section.body).toContain('  vacation :days 7 :addresses "ann@example.com" "Out";');
+  });
+});
+
+describe('sieveScriptPath', () => {
+  test('follows the Dovecot layout', () => {
+    expect(sieveScriptPath('Ann@Example.com')).toMatch(/\/example\.com\/ann\/mailhero\.sieve$/);
+  });
+
+  test('refuses addresses that escape the Sieve directory', () => {
+    expect(() => sieveScriptPath('..@..')).toThrow(/Refusing/);
+    expect(() => sieveScriptPath('nobody')).toThrow(/Refusing/);
+  });
+});
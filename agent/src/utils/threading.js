@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+
+/**
+ * Message-IDs in a References / In-Reply-To header, in order
+ */
+function messageIds(header) {
+  return (String(header || '').match(/<[^<>\s]+>/g) || []).map(id => id.toLowerCase());
+}
+
+/**
+ * Subject without reply/forward prefixes, for display
+ */
+function baseSubject(subject) {
+  return String(subject || '').replace(/^(\s*(re|fw|fwd|aw|sv|wg)(\[\d+\])?\s*:\s*)+/i, '').trim();
+}
+
+/**
+ * Thread id of a conversation root. The first entry of References is the root
+ * for every reply in a conversation, so ids stay the same across pages.
+ */
+function threadIdOf(rootId) {
+  return crypto.createHash('sha1').update(rootId).digest('hex').slice(0, 16);
+}
+
+/**
+ * Group messages into conversations by Message-ID, In-Reply-To and References.
+ * Each message needs uid, messageId, inReplyTo, references (lowercased ids), subject,
+ * date, from and flags; its threadId is set in place.
+ * Returns the threads, most recent activity first.
+ */
+function buildThreads(messages) {
+  const parent = new Map();
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  const union = (a, b) => {
+    for (const id of [a, b]) {
+      if (!parent.has(id)) {
+        parent.set(id, id);
+      }
+    }
+    parent.set(find(a), find(b));
+  };
+
+  const idsOf = new Map();
+  for (const message of messages) {
+    // Messages without a Message-ID still get a node of their own
+    const own = message.messageId ? message.messageId.toLowerCase() : `uid:${message.uid}`;
+    const related = [...message.references, ...messageIds(message.inReplyTo)];
+    idsOf.set(message, { own, root: related[0] || own });
+    union(own, own);
+    for (const id of related) {
+      union(own, id);
+    }
+  }
+
+  const groups = new Map();
+  for (const message of messages) {
+    const key = find(idsOf.get(message).own);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(message);
+  }
+
+  const threads = [];
+  for (const members of groups.values()) {
+    members.sort((a, b) => new Date(a.date) - new Date(b.date));
+    const threadId = threadIdOf(idsOf.get(members[0]).root);
+    for (const message of members) {
+      message.threadId = threadId;
+    }
+
+    const latest = members[members.length - 1];
+    threads.push({
+      threadId,
+      subject: baseSubject(members[0].subject),
+      count: members.length,
+      unread: members.filter(message => !message.flags.includes('\\Seen')).length,
+      participants: Array.from(new Set(members.flatMap(message => message.from.map(address => address.address)))),
+      latestDate: latest.date,
+      uids: members.map(message => message.uid)
+    });
+  }
+
+  return threads.sort((a, b) => new Date(b.latestDate) - new Date(a.latestDate));
+}
+
+module.exports = {
+  buildThreads,
+  messageIds,
+  baseSubject
+};
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { validate: isUuid } = require('uuid');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+/**
+ * Sign a short-lived access token bound to a session
+ */
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      sub: user.id,
+      email: user.email,
+      role: user.role,
+      domain: user.email.split('@').pop().toLowerCase(),
+      sid: sessionId
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * Create an opaque refresh token of the form `<sessionId>.<secret>`.
+ * Only the SHA-256 of the secret is stored.
+ */
+function generateRefreshToken(sessionId) {
+  const secret = crypto.randomBytes(48).toString('base64url');
+  return {
+    token: `${sessionId}.${secret}`,
+    hash: hashToken(secret)
+  };
+}
+
+/**
+ * Split a refresh token into its session id and secret
+ */
+function parseRefreshToken(token) {
+  const separator = String(token).indexOf('.');
+  if (separator <= 0 || !isUuid(token.slice(0, separator))) {
+    return null;
+  }
+  return {
+    sessionId: token.slice(0, separator),
+    secret: token.slice(separator + 1)
+  };
+}
+
+/**
+ * Hash a token secret for storage and comparison
+ */
+function hashToken(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Compare two token hashes in constant time
+ */
+function tokenHashesMatch(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Expiry timestamp for a refresh token issued now
+ */
+function refreshTokenExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+module.exports = {
+  signAccessToken,
+  generateRefreshToken,
+  parseRefreshToken,
+  hashToken,
+  tokenHashesMatch,
+  refreshTokenExpiry
+};
@@ -0,0 +1,20 @@
+require('dotenv').config();
+
+const { connectDB } = require('./database/connection');
+const { logger } = require('./utils/logger');
+const { startJobWorker } = require('./jobs/worker');
+
+/**
+ * Run a job worker without the HTTP server, to work through the queue on more
+ * processes or machines than the agent's own worker
+ */
+async function startWorker() {
+  await connectDB();
+  // The agent's worker does not keep its process alive; this one is all the process does
+  startJobWorker().ref();
+}
+
+startWorker().catch((error) => {
+  logger.error('Failed to start job worker:', error);
+  process.exit(1);
+});
@@ -83,6 +83,25 @@ echo "🗄️ Creating database schema..."
 cat > database/init.sql << 'EOF'
 -- MailHero Database Schema
 
+-- Hosted domains
+CREATE TABLE domains (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(253) UNIQUE NOT NULL,
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'disabled')),
+    default_quota_mb INTEGER DEFAULT 5120,
+    max_users INTEGER,
+    dkim_selector VARCHAR(63) DEFAULT 's1',
+    max_external_forwards INTEGER,
+    forward_allow TEXT[] DEFAULT '{}',
+    forward_deny TEXT[] DEFAULT '{}',
+    forward_verification BOOLEAN DEFAULT true,
+    send_messages_per_hour INTEGER,
+    send_recipients_per_message INTEGER,
+    send_recipients_per_day INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Users table
 CREATE TABLE users (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -91,10 +110,33 @@ CREATE TABLE users (
     password_hash VARCHAR(255) NOT NULL,
     quota_mb INTEGER DEFAULT 5120,
     status VARCHAR(20) DEFAULT 'active',
+    role VARCHAR(20) DEFAULT 'user' CHECK (role IN ('superadmin', 'domain_admin', 'user')),
+    deleted_at TIMESTAMP,
+    purge_after TIMESTAMP,
+    export_before_purge BOOLEAN DEFAULT false,
+    release_address BOOLEAN DEFAULT false,
+    purged_at TIMESTAMP,
+    original_email VARCHAR(255),
+    address_released_at TIMESTAMP,
+    send_messages_per_hour INTEGER,
+    send_recipients_per_message INTEGER,
+    send_recipients_per_day INTEGER,
+    sending_suspended_at TIMESTAMP,
+    quota_warning_percent INTEGER DEFAULT 0,
+    failed_logins INTEGER DEFAULT 0,
+    locked_until TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Previous password hashes, so recent passwords are not reused
+CREATE TABLE password_history (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    password_hash VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Aliases table
 CREATE TABLE aliases (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -109,9 +151,23 @@ CREATE TABLE forwarding (
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
     forward_to TEXT[] NOT NULL,
     keep_copy BOOLEAN DEFAULT true,
+    from_senders TEXT[] DEFAULT '{}',
+    position INTEGER DEFAULT 0,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Confirmation of external forwarding addresses (tokens are stored as SHA-256 hashes)
+CREATE TABLE forwarding_verifications (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    address VARCHAR(255) NOT NULL,
+    token_hash VARCHAR(64),
+    expires_at TIMESTAMP,
+    verified_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, address)
+);
+
 -- Email filters
 CREATE TABLE filters (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -120,6 +176,7 @@ CREATE TABLE filters (
     conditions JSONB NOT NULL,
     actions JSONB NOT NULL,
     enabled BOOLEAN DEFAULT true,
+    position INTEGER DEFAULT 0,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -130,8 +187,11 @@ CREATE TABLE autoreplies (
     enabled BOOLEAN DEFAULT false,
     subject VARCHAR(255),
     message TEXT,
+    internal_message TEXT,
+    external_message TEXT,
     start_date TIMESTAMP,
     end_date TIMESTAMP,
+    reply_interval_days INTEGER DEFAULT 7,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -143,18 +203,215 @@ CREATE TABLE audit_log (
     details JSONB,
     ip_address INET,
     user_agent TEXT,
+    actor_email VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Audit entries past AUDIT_RETENTION_DAYS
+CREATE TABLE audit_log_archive (LIKE audit_log INCLUDING DEFAULTS);
+
+-- DKIM keys and their rotation state
+CREATE TABLE dkim_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    domain_id UUID REFERENCES domains(id) ON DELETE CASCADE,
+    selector VARCHAR(63) NOT NULL,
+    algorithm VARCHAR(10) NOT NULL CHECK (algorithm IN ('rsa', 'ed25519')),
+    key_bits INTEGER NOT NULL,
+    public_key TEXT NOT NULL,
+    private_key_path TEXT NOT NULL,
+    state VARCHAR(20) DEFAULT 'pending' CHECK (state IN ('pending', 'published', 'active', 'retired')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    published_at TIMESTAMP,
+    activated_at TIMESTAMP,
+    retired_at TIMESTAMP,
+    UNIQUE (domain_id, selector)
+);
+
+-- Login sessions (refresh tokens are stored as SHA-256 hashes)
+CREATE TABLE sessions (
+    id UUID PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    refresh_token_hash VARCHAR(64) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(50),
+    ip_address INET,
+    user_agent TEXT,
+    last_used_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Stored results of tool calls made with an Idempotency-Key header
+CREATE TABLE idempotency_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    idempotency_key VARCHAR(255) NOT NULL,
+    scope VARCHAR(64) NOT NULL,
+    tool_name VARCHAR(100) NOT NULL,
+    request_hash VARCHAR(64) NOT NULL,
+    response_status INTEGER,
+    response_body JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+    UNIQUE (idempotency_key, scope)
+);
+
+-- Daily mail counters behind getMetrics
+CREATE TABLE mail_stats (
+    day DATE PRIMARY KEY,
+    sent INTEGER DEFAULT 0,
+    send_failures INTEGER DEFAULT 0,
+    fetched INTEGER DEFAULT 0
+);
+
+-- Outgoing mail waiting for its send time (scheduled, or in the undo window)
+CREATE TABLE scheduled_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    from_address VARCHAR(255) NOT NULL,
+    message JSONB NOT NULL,
+    message_id VARCHAR(255) NOT NULL,
+    draft_uid INTEGER,
+    send_at TIMESTAMP NOT NULL,
+    status VARCHAR(20) DEFAULT 'queued' CHECK (status IN ('queued', 'sending', 'sent', 'failed', 'cancelled')),
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    claimed_at TIMESTAMP,
+    sent_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Messages accepted by sendMail, counted against the sending limits
+CREATE TABLE send_log (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    domain VARCHAR(253) NOT NULL,
+    recipients INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Mailbox usage read from Dovecot by the quota collector
+CREATE TABLE quota_usage (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    used_kb BIGINT NOT NULL,
+    limit_kb BIGINT,
+    messages INTEGER,
+    collected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Mailbox lifecycle events, streamed by GET /events (outbox for webhooks).
+-- txid is the writing transaction: streams read in (txid, id) order and only
+-- transactions older than every one still running, so none is skipped.
+CREATE TABLE events (
+    id BIGSERIAL PRIMARY KEY,
+    txid XID8 NOT NULL DEFAULT pg_current_xact_id(),
+    type VARCHAR(100) NOT NULL,
+    domain VARCHAR(253),
+    data JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Webhook subscribers; an empty event list receives every event
+CREATE TABLE webhooks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    url TEXT NOT NULL,
+    secret VARCHAR(64) NOT NULL,
+    events TEXT[] DEFAULT '{}',
+    description TEXT,
+    active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Events waiting to be delivered to a webhook (a copy of the payload, so pruning events does not lose them)
+CREATE TABLE webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    webhook_id UUID REFERENCES webhooks(id) ON DELETE CASCADE,
+    event_id BIGINT NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL,
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    claimed_at TIMESTAMP,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Deliveries that failed WEBHOOK_MAX_ATTEMPTS times
+CREATE TABLE webhook_dead_letters (
+    id UUID PRIMARY KEY,
+    webhook_id UUID REFERENCES webhooks(id) ON DELETE CASCADE,
+    event_id BIGINT NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL,
+    attempts INTEGER NOT NULL,
+    last_error TEXT,
+    failed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Background jobs: tool calls queued with "Prefer: respond-async" and runs of
+-- recurring tasks. input is cleared once a job has finished.
+CREATE TABLE jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    kind VARCHAR(10) NOT NULL CHECK (kind IN ('tool', 'task')),
+    name VARCHAR(100) NOT NULL,
+    input JSONB,
+    context JSONB,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    status VARCHAR(20) DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled')),
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER NOT NULL,
+    run_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    worker VARCHAR(255),
+    heartbeat_at TIMESTAMP,
+    result JSONB,
+    error JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP
+);
+
+-- Cron schedules of the recurring tasks, written by the workers at startup
+CREATE TABLE job_schedules (
+    name VARCHAR(100) PRIMARY KEY,
+    schedule VARCHAR(100) NOT NULL,
+    next_run_at TIMESTAMP NOT NULL,
+    last_run_at TIMESTAMP
+);
+
 -- Indexes
 CREATE INDEX idx_users_email ON users(email);
-CREATE INDEX idx_aliases_email ON aliases(alias_email);
+CREATE UNIQUE INDEX idx_users_email_lower ON users(LOWER(email));
+CREATE UNIQUE INDEX idx_aliases_email_lower ON aliases(LOWER(alias_email));
 CREATE INDEX idx_audit_log_user_id ON audit_log(user_id);
 CREATE INDEX idx_audit_log_created_at ON audit_log(created_at);
+CREATE INDEX idx_audit_log_action ON audit_log(action, created_at);
+CREATE INDEX idx_audit_log_actor ON audit_log(LOWER(actor_email), created_at);
+CREATE INDEX idx_audit_log_archive_created_at ON audit_log_archive(created_at);
+CREATE INDEX idx_users_purge_after ON users(purge_after) WHERE status = 'deleted';
+CREATE INDEX idx_sessions_user_id ON sessions(user_id) WHERE revoked_at IS NULL;
+CREATE INDEX idx_idempotency_keys_created_at ON idempotency_keys(created_at);
+CREATE INDEX idx_scheduled_messages_due ON scheduled_messages(send_at) WHERE status IN ('queued', 'sending');
+CREATE INDEX idx_send_log_user ON send_log(user_id, created_at);
+CREATE INDEX idx_send_log_domain ON send_log(domain, created_at);
+CREATE INDEX idx_password_history_user ON password_history(user_id, created_at);
+CREATE INDEX idx_quota_usage_user ON quota_usage(user_id, collected_at);
+CREATE INDEX idx_forwarding_verifications_token ON forwarding_verifications(token_hash) WHERE token_hash IS NOT NULL;
+CREATE INDEX idx_events_created_at ON events(created_at);
+CREATE INDEX idx_events_cursor ON events(txid, id);
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at);
+CREATE INDEX idx_webhook_dead_letters_webhook ON webhook_dead_letters(webhook_id, failed_at);
+CREATE INDEX idx_jobs_due ON jobs(run_at) WHERE status = 'queued';
+CREATE INDEX idx_jobs_running ON jobs(heartbeat_at) WHERE status = 'running';
+CREATE INDEX idx_jobs_created_by ON jobs(created_by, created_at);
+CREATE INDEX idx_jobs_finished_at ON jobs(finished_at) WHERE finished_at IS NOT NULL;
+
+-- Insert default domain
+INSERT INTO domains (name, default_quota_mb, dkim_selector) VALUES ('mailhero.in', 5120, 's1');
 
 -- Insert default admin user
-INSERT INTO users (email, display_name, password_hash, quota_mb, status) 
-VALUES ('admin@mailhero.in', 'MailHero Admin', '$2b$10$dummy.hash.for.initial.setup', 10240, 'active');
+INSERT INTO users (email, display_name, password_hash, quota_mb, status, role) 
+VALUES ('admin@mailhero.in', 'MailHero Admin', '$2b$10$dummy.hash.for.initial.setup', 10240, 'active', 'superadmin');
 EOF
 
 # Create Postfix configuration
@@ -182,10 +439,11 @@ smtpd_sasl_type = dovecot
 smtpd_sasl_path = private/auth
 
 # Virtual domains
-virtual_mailbox_domains = mailhero.in
+virtual_mailbox_domains = pgsql:/etc/postfix/pgsql-virtual-mailbox-domains.cf
 virtual_mailbox_base = /var/mail
 virtual_mailbox_maps = pgsql:/etc/postfix/pgsql-virtual-mailbox-maps.cf
 virtual_alias_maps = pgsql:/etc/postfix/pgsql-virtual-alias-maps.cf
+virtual_transport = lmtp:inet:dovecot:24
 
 # DKIM
 milter_default_action = accept
@@ -202,6 +460,16 @@ smtpd_recipient_restrictions =
     reject_rbl_client zen.spamhaus.org
 EOF
 
+# Hosted domains come from the domains table managed by the agent
+cat > mail-stack/postfix/pgsql-virtual-mailbox-domains.cf << EOF
+hosts = postgres
+user = mailhero
+password = $(grep '^DB_PASSWORD=' .env | cut -d= -f2-)
+dbname = mailhero
+query = SELECT name FROM domains WHERE name = '%s' AND status = 'active'
+EOF
+chmod 600 mail-stack/postfix/pgsql-virtual-mailbox-domains.cf
+
 # Create Dovecot configuration
 echo "📬 Creating Dovecot configuration..."
 mkdir -p mail-stack/dovecot/conf.d
@@ -217,6 +485,16 @@ ssl_key = </etc/ssl/certs/mailhero.key
 
 # Authentication
 auth_mechanisms = plain login
+
+# The agent reads and manages mailboxes by logging in as "user@domain*agent";
+# the user must still exist in the SQL passdb
+auth_master_user_separator = *
+passdb {
+  driver = passwd-file
+  args = /etc/dovecot/master-users
+  master = yes
+  result_success = continue
+}
 passdb {
   driver = sql
   args = /etc/dovecot/dovecot-sql.conf.ext
@@ -278,6 +556,32 @@ service lmtp {
     mode = 0600
     user = postfix
   }
+  inet_listener lmtp {
+    port = 24
+  }
+}
+
+# Mailbox quotas. The SQL userdb (dovecot-sql.conf.ext) returns each user's
+# quota_mb as quota_rule (*:storage=<quota_mb>M), overriding the default below;
+# the agent reads usage with GETQUOTAROOT.
+mail_plugins = $mail_plugins quota
+protocol imap {
+  mail_plugins = $mail_plugins imap_quota
+}
+
+# Sieve filters compiled by the agent (setFilter)
+protocol lmtp {
+  mail_plugins = $mail_plugins sieve
+}
+
+plugin {
+  quota = count:User quota
+  quota_vsizes = yes
+  quota_rule = *:storage=5G
+
+  sieve = file:/var/sieve/%d/%n/mailhero.sieve
+  # Forwarding allows up to 20 destinations per mailbox
+  sieve_max_redirects = 20
 }
 
 # Auth
@@ -290,6 +594,33 @@ service auth {
 }
 EOF
 
+# SQL passdb and userdb: passwords are the agent's bcrypt hashes, and each
+# user's quota_mb becomes their quota_rule (read again at every login)
+DB_PASSWORD=$(grep '^DB_PASSWORD=' .env | cut -d= -f2-)
+cat > mail-stack/dovecot/dovecot-sql.conf.ext << EOF
+driver = pgsql
+connect = host=postgres dbname=mailhero user=mailhero password=$DB_PASSWORD
+default_pass_scheme = BLF-CRYPT
+
+password_query = SELECT email AS user, password_hash AS password \\
+  FROM users WHERE LOWER(email) = LOWER('%u') AND status = 'active'
+
+user_query = SELECT 'vmail' AS uid, 'vmail' AS gid, '/var/mail/%d/%n' AS home, \\
+  CONCAT('*:storage=', quota_mb, 'M') AS quota_rule \\
+  FROM users WHERE LOWER(email) = LOWER('%u') AND status IN ('active', 'suspended')
+
+iterate_query = SELECT email AS user FROM users WHERE status IN ('active', 'suspended')
+EOF
+chmod 600 mail-stack/dovecot/dovecot-sql.conf.ext
+
+# Master user for the agent's IMAP access (IMAP_MASTER_PASSWORD)
+if ! grep -q '^IMAP_MASTER_PASSWORD=' .env; then
+    echo "IMAP_MASTER_PASSWORD=$(openssl rand -hex 24)" >> .env
+fi
+echo "agent:{SHA512-CRYPT}$(openssl passwd -6 "$(grep '^IMAP_MASTER_PASSWORD=' .env | cut -d= -f2-)")" \
+    > mail-stack/dovecot/master-users
+chmod 600 mail-stack/dovecot/master-users
+
 # Create Nginx configuration
 echo "🌐 Creating Nginx configuration..."
 cat > nginx/nginx.conf << 'EOF'
@@ -341,6 +672,7 @@ http {
             proxy_pass http://agent;
             proxy_set_header Host $host;
             proxy_set_header X-Real-IP $remote_addr;
+            proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
         }
     }
 
@@ -368,6 +700,7 @@ global:
 
 scrape_configs:
   - job_name: 'mailhero-agent'
+    metrics_path: /metrics
     static_configs:
       - targets: ['agent:3001']
   
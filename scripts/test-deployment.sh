@@ -20,6 +20,10 @@ AGENT_URL="http://localhost:3001"
 WEBMAIL_URL="http://localhost:3000"
 ADMIN_URL="http://localhost:3002"
 
+# Tool calls need a superadmin Bearer token (JWT signed with JWT_SECRET)
+AGENT_TOKEN="${AGENT_TOKEN:?Set AGENT_TOKEN to a superadmin JWT}"
+AUTH_HEADER="Authorization: Bearer $AGENT_TOKEN"
+
 # Test counter
 TESTS_PASSED=0
 TESTS_TOTAL=0
@@ -64,8 +68,8 @@ run_test "Database Schema" "docker-compose exec -T postgres psql -U mailhero -d
 # Test Bhindi Agent Tools
 echo -e "\n🔧 Testing Bhindi Agent Tools..."
 run_test "List Tools Endpoint" "curl -f $AGENT_URL/tools"
-run_test "Health Tool" "curl -f -X POST $AGENT_URL/tools/health -H 'Content-Type: application/json' -d '{}'"
-run_test "DNS Status Tool" "curl -f -X POST $AGENT_URL/tools/dnsStatus -H 'Content-Type: application/json' -d '{\"domain\":\"$DOMAIN\"}'"
+run_test "Health Tool" "curl -f -X POST $AGENT_URL/tools/health -H 'Content-Type: application/json' -H '$AUTH_HEADER' -d '{}'"
+run_test "DNS Status Tool" "curl -f -X POST $AGENT_URL/tools/dnsStatus -H 'Content-Type: application/json' -H '$AUTH_HEADER' -d '{\"domain\":\"$DOMAIN\"}'"
 
 # Test mail server ports
 echo -e "\n📧 Testing Mail Server Ports..."
@@ -89,6 +93,7 @@ TEST_PASSWORD="TestPassword123!"
 echo "Creating test user: $TEST_USER"
 CREATE_USER_RESPONSE=$(curl -s -X POST $AGENT_URL/tools/provisionUser \
     -H 'Content-Type: application/json' \
+    -H "$AUTH_HEADER" \
     -d "{
         \"email\": \"$TEST_USER\",
         \"displayName\": \"Test User\",
@@ -101,18 +106,19 @@ if echo "$CREATE_USER_RESPONSE" | grep -q '"status":"created"'; then
     ((TESTS_PASSED++))
     
     # Test password change
-    run_test "Password Change" "curl -f -X POST $AGENT_URL/tools/setPassword -H 'Content-Type: application/json' -d '{\"email\":\"$TEST_USER\",\"newPassword\":\"NewPassword123!\"}'"
+    run_test "Password Change" "curl -f -X POST $AGENT_URL/tools/setPassword -H 'Content-Type: application/json' -H '$AUTH_HEADER' -d '{\"email\":\"$TEST_USER\",\"newPassword\":\"NewPassword123!\"}'"
     
     # Test quota setting
-    run_test "Quota Setting" "curl -f -X POST $AGENT_URL/tools/setQuota -H 'Content-Type: application/json' -d '{\"email\":\"$TEST_USER\",\"quotaMB\":2048}'"
+    run_test "Quota Setting" "curl -f -X POST $AGENT_URL/tools/setQuota -H 'Content-Type: application/json' -H '$AUTH_HEADER' -d '{\"email\":\"$TEST_USER\",\"quotaMB\":2048}'"
     
     # Test alias creation
-    run_test "Alias Creation" "curl -f -X POST $AGENT_URL/tools/createAlias -H 'Content-Type: application/json' -d '{\"email\":\"$TEST_USER\",\"alias\":\"testalias@$DOMAIN\"}'"
+    run_test "Alias Creation" "curl -f -X POST $AGENT_URL/tools/createAlias -H 'Content-Type: application/json' -H '$AUTH_HEADER' -d '{\"email\":\"$TEST_USER\",\"alias\":\"testalias@$DOMAIN\"}'"
     
     # Clean up test user
     echo "Cleaning up test user..."
     curl -s -X POST $AGENT_URL/tools/suspendUser \
         -H 'Content-Type: application/json' \
+        -H "$AUTH_HEADER" \
         -d "{\"email\":\"$TEST_USER\",\"mode\":\"delete\"}" >/dev/null
 else
     echo -e "${RED}❌ User creation failed${NC}"